@@ -0,0 +1,52 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../utils/filehelper')
+const luConverter = require('./../../parser/converters/lutoluisconverter')
+const luisConverter = require('./../../parser/converters/luistoluconverter')
+const luAugmenter = require('./../../parser/augment/luAugmenter')
+
+export default class LuisAugment extends Command {
+  static description = 'Expands the patterns of .lu file(s) with list entity and phrase list values into labeled example utterances'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Source .lu file or folder', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu file(s)', default: false}),
+    cap: flags.integer({description: 'Maximum number of new utterances per intent', default: 20}),
+    seed: flags.integer({description: 'Seed of the random choice of expansions. The same seed gives the same utterances', default: 0}),
+    out: flags.string({description: 'Output .lu file name. If not specified stdout will be used as output'}),
+    culture: flags.string({description: 'Lang code for the LUIS application'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisAugment)
+      const luFiles = await file.getLuFiles(flags.in, flags.recurse)
+      const model = await luConverter.parseLuToLuis(luFiles, false, flags.culture)
+      if (!model || (model.patterns || []).length === 0) {
+        throw new CLIError('Sorry, no patterns found to expand')
+      }
+
+      const result = luAugmenter.augment(model, {cap: flags.cap, seed: flags.seed})
+      result.warnings.forEach((warning: string) => this.warn(warning))
+      if (result.model.utterances.length === 0) {
+        throw new CLIError('Sorry, the patterns have no new utterances to add')
+      }
+      const content = await luisConverter.constructMdFromLUISJSON(result.model)
+      if (flags.out) {
+        const outFile = path.resolve(flags.out)
+        await fs.ensureDir(path.dirname(outFile))
+        await fs.writeFile(outFile, content, 'utf-8')
+        this.log(`Added ${result.model.utterances.length} utterance(s) to ${result.model.intents.length} intent(s) in ${outFile}`)
+      } else {
+        this.log(content)
+      }
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+}
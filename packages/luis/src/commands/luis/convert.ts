@@ -3,6 +3,10 @@ const exception = require('./../../parser/lufile/classes/exception')
 const fs = require('fs-extra')
 const path = require('path')
 const file = require('./../../utils/filehelper')
+const diagnosticHelper = require('./../../utils/diagnostichelper')
+const diagnosticsCollector = require('./../../parser/lufile/diagnosticsCollector')
+const ReferenceCache = require('./../../parser/lufile/referenceCache')
+const ParseCache = require('./../../parser/lufile/parseCache')
 const luConverter = require('./../../parser/converters/lutoluisconverter')
 const luisConverter = require('./../../parser/converters/luistoluconverter')
 
@@ -19,12 +23,19 @@ export default class LuisConvert extends Command {
     description: flags.string({description: 'Text describing the LUIS applicaion'}),
     culture: flags.string({description: 'Lang code for the LUIS application'}),
     versionid: flags.string({description: 'Version ID of the LUIS application'}),
-    schemaversion: flags.string({description: 'Schema version of the LUIS application'}),
+    schemaversion: flags.string({description: 'Schema version of the LUIS application. Use 7.0.0 for the LUIS v3 app schema with hierarchical entities'}),
+    'diagnostics-format': flags.string({description: diagnosticHelper.diagnosticsFormatFlagDescription, options: ['json']}),
+    lockfile: flags.string({description: 'Reference lockfile. Content of URL references is cached next to it and their content types and hashes are recorded in it'}),
+    offline: flags.boolean({description: 'Resolve URL references from the reference lockfile and cache only, without network access'}),
+    env: flags.string({description: 'Environment overlay to apply. env/<env>.lu next to the source .lu file(s) patches the LUIS application'}),
+    cache: flags.string({description: 'Parse cache folder. .lu files whose content and culture did not change are not parsed again'}),
+    workers: flags.integer({description: 'Number of worker threads to parse .lu files with, 1 parses on the main thread. With --cache it defaults to one per CPU core after the first for large trees'}),
   }
 
   async run() {
+    const {flags} = this.parse(LuisConvert)
+    let diagnostics: Array<any> | undefined = flags['diagnostics-format'] === 'json' ? [] : undefined
     try {
-      const {flags} = this.parse(LuisConvert)
       //Check if file or folder
       //if folder, only lu to luis is supported
       let inputStat = await fs.stat(flags.in)
@@ -33,8 +44,25 @@ export default class LuisConvert extends Command {
        // Parse the object depending on the input
       let result: any
       if (isLu) {
-        const luFiles = await file.getLuFiles(flags.in, flags.recurse)
-        result = await luConverter.parseLuToLuis(luFiles, flags.log, flags.culture)
+        // overlays are applied on top of the base model, never collated with it
+        const envFolder = this.getOverlayFolder(flags.in, inputStat.isFile())
+        const luFiles = (await file.getLuFiles(flags.in, flags.recurse)).filter((luFile: string) => path.dirname(path.resolve(luFile)) !== envFolder)
+        const overlayFiles = flags.env ? await this.getOverlayFiles(envFolder, flags.env) : undefined
+        if (flags.offline && !flags.lockfile) {
+          throw new CLIError('--offline requires a reference lockfile set with --lockfile')
+        }
+        const referenceCache = flags.lockfile ? await ReferenceCache.load(flags.lockfile, flags.offline) : undefined
+        if (diagnostics) {
+          diagnostics = await diagnosticsCollector.collectFileDiagnostics(luFiles.concat(overlayFiles || []), flags.culture, referenceCache)
+          if (diagnosticsCollector.hasErrors(diagnostics)) return diagnosticHelper.writeDiagnostics(diagnostics)
+        }
+        if (flags.workers !== undefined && flags.workers < 1) {
+          throw new CLIError('--workers must be at least 1')
+        }
+        // without --cache or --workers files are parsed one by one as they are merged
+        const parseOptions = flags.cache || flags.workers ? {cache: flags.cache ? new ParseCache(flags.cache) : undefined, workers: flags.workers} : undefined
+        result = await luConverter.parseLuToLuis(luFiles, flags.log, flags.culture, referenceCache, overlayFiles, parseOptions)
+        if (referenceCache) await referenceCache.save()
       } else {
         result = await luisConverter.parseLuisFileToLu(flags.in, flags.sort)
       }
@@ -46,6 +74,11 @@ export default class LuisConvert extends Command {
 
        // Add headers to Luis Json
       if (isLu) {
+        if (flags.schemaversion && flags.schemaversion.startsWith('7.')) {
+          result = luConverter.convertToSchemaVersion7(result)
+        } else {
+          result = luConverter.convertToSchemaVersion3(result)
+        }
         result.luis_schema_version = flags.schemaversion || result.luis_schema_version || '3.2.0'
         result.versionId = flags.versionId || result.versionId || '0.1'
         result.name = flags.name || result.name || ''
@@ -62,7 +95,9 @@ export default class LuisConvert extends Command {
       } else {
         this.log(result)
       }
+      if (diagnostics) diagnosticHelper.writeDiagnostics(diagnostics)
     } catch (err) {
+      if (diagnostics) return diagnosticHelper.writeDiagnostics(diagnostics, err, flags.in)
       if (err instanceof exception) {
         throw new CLIError(err.text)
       }
@@ -70,6 +105,18 @@ export default class LuisConvert extends Command {
     }
   }
 
+  private getOverlayFolder(input: string, isFile: boolean) {
+    return path.resolve(isFile ? path.dirname(input) : input, 'env')
+  }
+
+  private async getOverlayFiles(envFolder: string, env: string) {
+    const overlayFile = path.join(envFolder, `${env}.lu`)
+    if (!await fs.pathExists(overlayFile)) {
+      throw new CLIError(`No overlay found for environment "${env}". Expected ${overlayFile}`)
+    }
+    return [overlayFile]
+  }
+
   private async writeOutput(convertedObject: any, flags: any, isLu: boolean) {
     let filePath = await file.generateNewFilePath(flags.out, flags.in, isLu)
     // write out the final file
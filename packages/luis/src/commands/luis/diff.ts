@@ -0,0 +1,51 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../utils/filehelper')
+const luConverter = require('./../../parser/converters/lutoluisconverter')
+const luisFile = require('./../../parser/luisfile/parseLuisFile')
+const luisDiff = require('./../../parser/diff/luisDiff')
+
+export default class LuisDiff extends Command {
+  static description = 'Reports semantic differences between two .lu files or LUIS application JSON models, ignoring ordering and whitespace'
+
+  static flags: flags.Input<any> = {
+    base: flags.string({description: 'Source .lu file(s) or LUIS application JSON model to compare against', required: true}),
+    in: flags.string({description: 'Changed .lu file(s) or LUIS application JSON model', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu file(s)', default: false}),
+    culture: flags.string({description: 'Lang code for the LUIS application'}),
+    format: flags.string({description: 'Output format', options: ['text', 'json'], default: 'text'}),
+    out: flags.string({description: 'Output file name. If not specified stdout will be used as output'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisDiff)
+      const base = await this.loadModel(flags.base, flags.recurse, flags.culture)
+      const head = await this.loadModel(flags.in, flags.recurse, flags.culture)
+      const diff = luisDiff.diff(base, head)
+
+      const output = flags.format === 'json' ? JSON.stringify(diff, null, 2) : luisDiff.toText(diff)
+      if (flags.out) {
+        await fs.writeFile(path.resolve(flags.out), output, 'utf-8')
+      } else {
+        this.log(output)
+      }
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+
+  private async loadModel(input: string, recurse: boolean, culture: string) {
+    const inputStat = await fs.stat(input)
+    if (!inputStat.isFile() || path.extname(input) === '.lu') {
+      const luFiles = await file.getLuFiles(input, recurse)
+      return luConverter.parseLuToLuis(luFiles, false, culture)
+    }
+    return luisFile.parseLuisJson(await fs.readFile(input, 'utf-8'))
+  }
+}
@@ -0,0 +1,46 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../../utils/filehelper')
+const dispatchBuilder = require('./../../../parser/dispatch/dispatchBuilder')
+
+export default class LuisDispatchCreate extends Command {
+  static description = 'Creates a dispatch LUIS application JSON model routing to the LUIS applications and QnA knowledge bases of .lu and .qna file(s)'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Source .lu or .qna file or folder', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu and .qna file(s)', default: false}),
+    name: flags.string({description: 'Name of the dispatch application, also the base name of the output files', default: 'Dispatch'}),
+    out: flags.string({description: 'Output folder name. If not specified the current folder will be used'}),
+    cap: flags.integer({description: 'Maximum number of utterances or questions sampled from each source', default: 1000}),
+    seed: flags.integer({description: 'Seed of the random sample. The same seed gives the same utterances', default: 0}),
+    culture: flags.string({description: 'Lang code for the LUIS application'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisDispatchCreate)
+      const sourceFiles = await file.getLuFiles(flags.in, flags.recurse, ['.lu', '.qna'])
+      const outFolder = path.resolve(flags.out || process.cwd())
+      const result = await dispatchBuilder.create(sourceFiles, {name: flags.name, culture: flags.culture, cap: flags.cap, seed: flags.seed, root: outFolder})
+      result.warnings.forEach((warning: string) => this.warn(warning))
+      if (result.manifest.intents.length === 0) {
+        throw new CLIError('Sorry, no utterances or questions found to dispatch to')
+      }
+
+      const modelFile = path.join(outFolder, `${flags.name}.json`)
+      const manifestFile = path.join(outFolder, `${flags.name}.dispatch`)
+      await fs.ensureDir(outFolder)
+      await fs.writeFile(modelFile, JSON.stringify(result.model, null, 2), 'utf-8')
+      await fs.writeFile(manifestFile, JSON.stringify(result.manifest, null, 2), 'utf-8')
+      this.log(`Created dispatch model ${modelFile} with ${result.manifest.intents.length} source intent(s) and ${result.model.utterances.length} utterance(s)`)
+      this.log(`Wrote dispatch manifest ${manifestFile}`)
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+}
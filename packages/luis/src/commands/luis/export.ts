@@ -0,0 +1,54 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../utils/filehelper')
+const luConverter = require('./../../parser/converters/lutoluisconverter')
+const nluExporter = require('./../../parser/exporters/nluExporter')
+
+export default class LuisExport extends Command {
+  static description = 'Exports .lu file(s) as Rasa NLU YAML, a Dialogflow agent or an Alexa interaction model'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Source .lu file or folder', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu file(s)', default: false}),
+    format: flags.string({description: 'Format to export to', options: ['rasa', 'dialogflow', 'alexa'], required: true}),
+    out: flags.string({description: 'Output file name, or for Dialogflow the output folder or .zip file name. If not specified stdout will be used as output'}),
+    culture: flags.string({description: 'Lang code for the LUIS application, also the Dialogflow agent language'}),
+    invocationName: flags.string({description: 'Invocation name of the Alexa skill. Defaults to the application name'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisExport)
+      if (flags.format === 'dialogflow' && !flags.out) {
+        throw new CLIError('Sorry, a Dialogflow agent needs an output folder or .zip file')
+      }
+      const luFiles = await file.getLuFiles(flags.in, flags.recurse)
+      const model = await luConverter.parseLuToLuis(luFiles, false, flags.culture)
+      if (!model || (model.intents || []).length === 0) {
+        throw new CLIError('Sorry, no intents found to export')
+      }
+
+      const result = nluExporter.exportModel(model, {format: flags.format, culture: flags.culture, invocationName: flags.invocationName})
+      result.warnings.forEach((warning: string) => this.warn(warning))
+      if (result.files) {
+        const out = path.resolve(flags.out)
+        await nluExporter.writeFiles(result.files, out)
+        this.log(`Exported ${model.intents.length} intent(s) to ${out}`)
+      } else if (flags.out) {
+        const outFile = path.resolve(flags.out)
+        await fs.ensureDir(path.dirname(outFile))
+        await fs.writeFile(outFile, result.content, 'utf-8')
+        this.log(`Exported ${model.intents.length} intent(s) to ${outFile}`)
+      } else {
+        this.log(result.content)
+      }
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../utils/filehelper')
+const luFormatter = require('./../../parser/format/luFormatter')
+
+export default class LuisFormat extends Command {
+  static description = 'Formats .lu file(s) in a canonical style, keeping comments and model information'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Source .lu file or folder', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu file(s)', default: false}),
+    out: flags.string({description: 'Output folder name. If not specified files are formatted in place'}),
+    sort: flags.boolean({description: 'Sorts sections by type, then intents and entities by name', default: false}),
+    check: flags.boolean({description: 'Lists files that are not formatted and exits with code 1 instead of writing them', default: false}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisFormat)
+      const inputStat = await fs.stat(flags.in)
+      const rootFolder = inputStat.isFile() ? path.dirname(path.resolve(flags.in)) : path.resolve(flags.in)
+      const luFiles = await file.getLuFiles(flags.in, flags.recurse)
+      const unformatted = []
+      for (const luFile of luFiles) {
+        const content = await fs.readFile(luFile, 'utf8')
+        const formatted = this.formatFile(luFile, content, flags.sort)
+        if (flags.check) {
+          if (formatted !== content) unformatted.push(path.relative(process.cwd(), path.resolve(luFile)))
+        } else if (flags.out) {
+          const outFile = path.join(path.resolve(flags.out), path.relative(rootFolder, path.resolve(luFile)))
+          await fs.ensureDir(path.dirname(outFile))
+          await fs.writeFile(outFile, formatted, 'utf-8')
+        } else if (formatted !== content) {
+          await fs.writeFile(luFile, formatted, 'utf-8')
+        }
+      }
+
+      if (unformatted.length > 0) {
+        this.log(unformatted.join('\n'))
+        // CI checks rely on the exit code
+        this.error(`${unformatted.length} file(s) not formatted. Run bf luis:format to format them`)
+        process.exitCode = 1
+      }
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+
+  private formatFile(luFile: string, content: string, sort: boolean) {
+    try {
+      return luFormatter.format(content, {sort})
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(`${luFile}: ${err.text}`)
+      }
+      throw err
+    }
+  }
+}
@@ -0,0 +1,57 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+import {camelCase, upperFirst} from 'lodash'
+import * as path from 'path'
+
+import {LuisToJavaConverter} from '../../../parser/converters/luis-to-java-converter'
+import {Utils} from '../../../utils'
+
+const fs = require('fs-extra')
+
+export default class LuisGenerateJava extends Command {
+  static description = 'Generate:java generates a strongly typed java source code from an exported (json) LUIS model.'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Source .lu file(s) or LUIS application JSON model'}),
+    out: flags.string({description: 'Output file or folder name. If not specified stdout will be used as output', default: ''}),
+    className: flags.string({description: 'Name of the class'}),
+    packageName: flags.string({description: 'Name of the java package containing the class', default: 'luis'}),
+    force: flags.boolean({description: 'If --in flag provided with the path to an existing file, overwrites it', default: false}),
+  }
+
+  reorderEntities(app: any, name: string): void {
+    if (app[name] !== null && app[name] !== undefined) {
+      app[name].sort((a: any, b: any) => (a.name > b.name ? 1 : -1))
+    }
+  }
+
+  async run() {
+    const {flags} = this.parse(LuisGenerateJava)
+    let stdInput = await this.readStdin()
+
+    const pathPrefix = path.isAbsolute(flags.in) ? '' : process.cwd()
+    let app: any
+    try {
+      app = stdInput ? JSON.parse(stdInput as string) : await fs.readJSON(path.join(pathPrefix, flags.in))
+    } catch (err) {
+      throw new CLIError(err)
+    }
+
+    flags.className = flags.className || app.name
+    flags.className = upperFirst(camelCase(flags.className))
+
+    this.reorderEntities(app, 'entities')
+    this.reorderEntities(app, 'prebuiltEntities')
+    this.reorderEntities(app, 'closedLists')
+    this.reorderEntities(app, 'regex_entities')
+    this.reorderEntities(app, 'patternAnyEntities')
+    this.reorderEntities(app, 'composites')
+
+    const outputPath = Utils.validatePath(flags.out, process.cwd(), flags.className + '.java', flags.force)
+
+    this.log(
+      `Generating file at ${outputPath || ''} that contains class ${flags.packageName}.${flags.className}.`
+    )
+
+    await LuisToJavaConverter.writeFromLuisJson(app, flags.className, flags.packageName, outputPath)
+  }
+}
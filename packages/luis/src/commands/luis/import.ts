@@ -0,0 +1,42 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const luisConverter = require('./../../parser/converters/luistoluconverter')
+const nluImporter = require('./../../parser/importers/nluImporter')
+
+export default class LuisImport extends Command {
+  static description = 'Imports Rasa NLU, Dialogflow, Alexa or Wit.ai training data into a .lu file'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Rasa .md or .yml file, Dialogflow agent or Wit.ai export folder or .zip file, or Alexa interaction model .json file', required: true}),
+    format: flags.string({description: 'Format of the training data. Detected from the input if not specified', options: ['rasa', 'dialogflow', 'alexa', 'wit']}),
+    out: flags.string({description: 'Output .lu file name. If not specified stdout will be used as output'}),
+    culture: flags.string({description: 'Language of the Dialogflow training phrases to import. Defaults to the agent language'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisImport)
+      const result = await nluImporter.importData(flags.in, {format: flags.format, culture: flags.culture})
+      result.warnings.forEach((warning: string) => this.warn(warning))
+      if (result.model.intents.length === 0) {
+        throw new CLIError('Sorry, no intents found to import')
+      }
+      const content = await luisConverter.constructMdFromLUISJSON(result.model)
+      if (flags.out) {
+        const outFile = path.resolve(flags.out)
+        await fs.ensureDir(path.dirname(outFile))
+        await fs.writeFile(outFile, content, 'utf-8')
+        this.log(`Imported ${result.model.intents.length} intent(s), ${result.model.utterances.length} utterance(s) and ${result.model.patterns.length} pattern(s) to ${outFile}`)
+      } else {
+        this.log(content)
+      }
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+}
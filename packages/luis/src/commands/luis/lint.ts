@@ -0,0 +1,61 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../utils/filehelper')
+const linter = require('./../../parser/lint/luLinter')
+
+export default class LuisLint extends Command {
+  static description = 'Reports style and quality issues in .lu file(s). Rules are configured in a .lulintrc file'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Source .lu file or folder', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu file(s)', default: false}),
+    config: flags.string({description: 'Path to the .lulintrc file. If not specified the closest .lulintrc to the input is used'}),
+    format: flags.string({description: 'Output format', options: ['text', 'json', 'sarif'], default: 'text'}),
+    out: flags.string({description: 'Output file name. If not specified stdout will be used as output'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisLint)
+      const inputStat = await fs.stat(flags.in)
+      const configPath = flags.config || await linter.findConfig(inputStat.isFile() ? path.dirname(flags.in) : flags.in)
+      const config = await linter.loadConfig(configPath)
+
+      const luFiles = await file.getLuFiles(flags.in, flags.recurse)
+      const fileResults = []
+      for (const luFile of luFiles) {
+        const content = await fs.readFile(luFile, 'utf8')
+        fileResults.push({file: path.relative(process.cwd(), path.resolve(luFile)), results: linter.lint(content, config)})
+      }
+
+      let output = ''
+      if (flags.format === 'json') {
+        output = JSON.stringify(linter.toJson(fileResults), null, 2)
+      } else if (flags.format === 'sarif') {
+        output = JSON.stringify(linter.toSarif(fileResults), null, 2)
+      } else {
+        output = linter.toText(fileResults)
+      }
+
+      if (flags.out) {
+        await fs.writeFile(path.resolve(flags.out), output, 'utf-8')
+      } else if (output) {
+        this.log(output)
+      }
+
+      const errorCount = fileResults.reduce((count, fileResult) => count + fileResult.results.filter((result: any) => result.diagnostic.Severity === 'ERROR').length, 0)
+      if (errorCount > 0) {
+        // CI checks rely on the exit code
+        this.error(`${errorCount} lint error(s) found`)
+        process.exitCode = 1
+      }
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+}
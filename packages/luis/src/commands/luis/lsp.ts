@@ -0,0 +1,27 @@
+import {Command, flags} from '@microsoft/bf-cli-command'
+const intercept = require('intercept-stdout')
+const LuLanguageServer = require('./../../parser/lsp/luLanguageServer')
+
+export default class LuisLsp extends Command {
+  static description = 'Runs a Language Server Protocol server for .lu and .qna files over stdio'
+
+  static flags: flags.Input<any> = {
+    stdio: flags.boolean({description: 'Communicate with the client over stdin and stdout. This is the only supported transport', default: true}),
+    culture: flags.string({description: 'Lang code used to validate prebuilt entities', default: 'en-us'}),
+  }
+
+  async run() {
+    const {flags} = this.parse(LuisLsp)
+    // stdout carries the protocol, anything else written to it by the parser is moved to stderr
+    const write = process.stdout.write.bind(process.stdout)
+    const unhook = intercept((text: string) => {
+      process.stderr.write(text)
+      return ''
+    }, (text: string) => text)
+    try {
+      await new LuLanguageServer(process.stdin, {write}, flags.culture).listen()
+    } finally {
+      unhook()
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const txtfile = require('./../../parser/lufile/read-text-file')
+const luThreeWayMerge = require('./../../parser/merge/luThreeWayMerge')
+
+export default class LuisMerge extends Command {
+  static description = 'Three-way merge of .lu files. Conflicts are written as > <<<<<<< annotated blocks and the command exits with code 1'
+
+  static flags: flags.Input<any> = {
+    base: flags.string({description: 'Common ancestor .lu file', required: true}),
+    ours: flags.string({description: 'Our version of the .lu file', required: true}),
+    theirs: flags.string({description: 'Their version of the .lu file', required: true}),
+    out: flags.string({description: 'Output file name. If not specified stdout will be used as output'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisMerge)
+      const base = await this.readFile(flags.base)
+      const ours = await this.readFile(flags.ours)
+      const theirs = await this.readFile(flags.theirs)
+      const result = luThreeWayMerge.merge(base, ours, theirs)
+
+      if (flags.out) {
+        await fs.writeFile(path.resolve(flags.out), result.content, 'utf-8')
+      } else {
+        this.log(result.content)
+      }
+      if (result.conflicts > 0) {
+        // git merge drivers report conflicts through the exit code
+        this.error(`${result.conflicts} conflict(s) found`)
+        process.exitCode = 1
+      }
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+
+  private async readFile(file: string) {
+    if (!await fs.pathExists(path.resolve(file))) {
+      throw new CLIError(`Sorry unable to open [${file}]`)
+    }
+    return txtfile.readSync(file) || ''
+  }
+}
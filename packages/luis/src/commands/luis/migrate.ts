@@ -0,0 +1,63 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../utils/filehelper')
+const luMigrator = require('./../../parser/migrate/luMigrator')
+const textDiff = require('./../../parser/diff/textDiff')
+
+export default class LuisMigrate extends Command {
+  static description = 'Rewrites legacy $name:type entity definitions in .lu file(s) to the @ type name syntax'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Source .lu file or folder', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu file(s)', default: false}),
+    out: flags.string({description: 'Output folder name. If not specified files are migrated in place'}),
+    'dry-run': flags.boolean({description: 'Shows the changes as a unified diff instead of writing them', default: false}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisMigrate)
+      const inputStat = await fs.stat(flags.in)
+      const rootFolder = inputStat.isFile() ? path.dirname(path.resolve(flags.in)) : path.resolve(flags.in)
+      const luFiles = await file.getLuFiles(flags.in, flags.recurse)
+      let migrated = 0
+      for (const luFile of luFiles) {
+        const content = await fs.readFile(luFile, 'utf8')
+        const result = this.migrateFile(luFile, content)
+        const relativePath = path.relative(process.cwd(), path.resolve(luFile))
+        result.warnings.forEach((warning: any) => this.warn(`${relativePath} line ${warning.line}: ${warning.message}`))
+        migrated += result.migrated
+
+        if (flags['dry-run']) {
+          const diff = textDiff.unifiedDiff(content, result.content, `a/${relativePath}`, `b/${relativePath}`)
+          if (diff) this.log(diff)
+        } else if (flags.out) {
+          const outFile = path.join(path.resolve(flags.out), path.relative(rootFolder, path.resolve(luFile)))
+          await fs.ensureDir(path.dirname(outFile))
+          await fs.writeFile(outFile, result.content, 'utf-8')
+        } else if (result.migrated > 0) {
+          await fs.writeFile(luFile, result.content, 'utf-8')
+        }
+      }
+      if (!flags['dry-run']) this.log(`Migrated ${migrated} entity definition(s) in ${luFiles.length} file(s)`)
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+
+  private migrateFile(luFile: string, content: string) {
+    try {
+      return luMigrator.migrate(content)
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(`${luFile}: ${err.text}`)
+      }
+      throw err
+    }
+  }
+}
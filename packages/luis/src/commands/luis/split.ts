@@ -0,0 +1,48 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../utils/filehelper')
+const luConverter = require('./../../parser/converters/lutoluisconverter')
+const luisConverter = require('./../../parser/converters/luistoluconverter')
+const luSplitter = require('./../../parser/split/luSplitter')
+
+export default class LuisSplit extends Command {
+  static description = 'Splits the utterances of .lu file(s) into stratified train and test .lu files for k-fold cross-validation'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Source .lu file or folder', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu file(s)', default: false}),
+    folds: flags.integer({description: 'Number of folds', default: 5}),
+    seed: flags.integer({description: 'Seed of the random shuffle. The same seed gives the same split', default: 0}),
+    out: flags.string({description: 'Output folder name. If not specified the current folder is used'}),
+    culture: flags.string({description: 'Lang code for the LUIS application'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisSplit)
+      const luFiles = await file.getLuFiles(flags.in, flags.recurse)
+      const model = await luConverter.parseLuToLuis(luFiles, false, flags.culture)
+      if (!model || (model.utterances || []).length === 0) {
+        throw new CLIError('Sorry, no utterances found to split')
+      }
+
+      const result = luSplitter.split(model, flags.folds, flags.seed)
+      result.warnings.forEach((warning: string) => this.warn(warning))
+      const outFolder = path.resolve(flags.out || '.')
+      for (let fold = 0; fold < result.folds.length; fold++) {
+        const foldFolder = path.join(outFolder, `fold${fold + 1}`)
+        await fs.ensureDir(foldFolder)
+        await fs.writeFile(path.join(foldFolder, 'train.lu'), await luisConverter.constructMdFromLUISJSON(result.folds[fold].train), 'utf-8')
+        await fs.writeFile(path.join(foldFolder, 'test.lu'), await luisConverter.constructMdFromLUISJSON(result.folds[fold].test), 'utf-8')
+      }
+      this.log(`Split ${model.utterances.length} utterance(s) into ${result.folds.length} folds in ${outFolder}`)
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+}
@@ -0,0 +1,76 @@
+import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
+const exception = require('./../../parser/lufile/classes/exception')
+const fs = require('fs-extra')
+const path = require('path')
+const file = require('./../../utils/filehelper')
+const luConverter = require('./../../parser/converters/lutoluisconverter')
+const luisFile = require('./../../parser/luisfile/parseLuisFile')
+const recognizers = require('./../../parser/evaluate/recognizers')
+const luEvaluator = require('./../../parser/evaluate/luEvaluator')
+
+export default class LuisTest extends Command {
+  static description = 'Runs the labeled utterances of .lu test file(s) through a recognizer and reports intent and entity accuracy'
+
+  static flags: flags.Input<any> = {
+    in: flags.string({description: 'Labeled .lu test file or folder', required: true}),
+    recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .lu file(s)', default: false}),
+    recognizer: flags.string({description: 'Recognizer to test', options: ['exact', 'recorded', 'http'], default: 'exact'}),
+    model: flags.string({description: 'Training .lu file(s) or LUIS application JSON model used by the exact recognizer'}),
+    responses: flags.string({description: 'Recorded responses JSON file used by the recorded recognizer'}),
+    endpoint: flags.string({description: 'Endpoint URL used by the http recognizer. The utterance is sent in the q query parameter'}),
+    key: flags.string({description: 'Subscription key sent to the endpoint of the http recognizer'}),
+    culture: flags.string({description: 'Lang code for the LUIS application'}),
+    format: flags.string({description: 'Report format', options: ['table', 'json', 'junit'], default: 'table'}),
+    out: flags.string({description: 'Output file name. If not specified stdout will be used as output'}),
+  }
+
+  async run() {
+    try {
+      const {flags} = this.parse(LuisTest)
+      const testFiles = await file.getLuFiles(flags.in, flags.recurse)
+      const testModel = await luConverter.parseLuToLuis(testFiles, false, flags.culture)
+      const testCases = testModel.utterances || []
+      if (testCases.length === 0) {
+        throw new CLIError('Sorry, no labeled utterances found in the test file(s)')
+      }
+
+      const recognizer = await recognizers.createRecognizer({
+        recognizer: flags.recognizer,
+        model: flags.model ? await this.loadModel(flags.model, flags.recurse, flags.culture) : undefined,
+        responses: flags.responses,
+        endpoint: flags.endpoint,
+        key: flags.key
+      })
+      const predictions = await luEvaluator.recognizeAll(testCases, recognizer)
+      const report = luEvaluator.evaluate(testCases, predictions)
+
+      let output = ''
+      if (flags.format === 'json') {
+        output = JSON.stringify(report, null, 2)
+      } else if (flags.format === 'junit') {
+        output = luEvaluator.toJUnit(report)
+      } else {
+        output = luEvaluator.toTable(report)
+      }
+      if (flags.out) {
+        await fs.writeFile(path.resolve(flags.out), output, 'utf-8')
+      } else {
+        this.log(output)
+      }
+    } catch (err) {
+      if (err instanceof exception) {
+        throw new CLIError(err.text)
+      }
+      throw err
+    }
+  }
+
+  private async loadModel(input: string, recurse: boolean, culture: string) {
+    const inputStat = await fs.stat(input)
+    if (!inputStat.isFile() || path.extname(input) === '.lu') {
+      const luFiles = await file.getLuFiles(input, recurse)
+      return luConverter.parseLuToLuis(luFiles, false, culture)
+    }
+    return luisFile.parseLuisJson(await fs.readFile(input, 'utf-8'))
+  }
+}
@@ -2,8 +2,13 @@ import {CLIError, Command, flags} from '@microsoft/bf-cli-command'
 const fs = require('fs-extra')
 const path = require('path')
 const fileHelper = require('./../../utils/filehelper')
+const diagnosticHelper = require('./../../utils/diagnostichelper')
+const diagnosticsCollector = require('./../../parser/lufile/diagnosticsCollector')
 const exception = require('./../../parser/lufile/classes/exception')
 const luTranslator = require('./../../parser/translator/lutranslate')
+const translationProviders = require('./../../parser/translator/translationProviders')
+const TranslationMemory = require('./../../parser/translator/translationMemory')
+const Glossary = require('./../../parser/translator/glossary')
 const luisConverter = require('./../../parser/converters/luistoluconverter')
 const luConverter = require('./../../parser/lufile/parseFileContents')
 
@@ -16,15 +21,25 @@ export default class LuisTranslate extends Command {
     out: flags.string({description: 'Output folder name. If not specified stdout will be used as output'}),
     srclang: flags.string({description: 'Source lang code. Auto detect if missing.'}),
     tgtlang: flags.string({description: 'Comma separated list of target languages.', required: true}),
-    translatekey: flags.string({description: 'Machine translation endpoint key.', required: true}),
+    translatekey: flags.string({description: 'Machine translation endpoint key. Required unless --translate_provider is file or --translate_auth is none'}),
     translate_comments: flags.string({description: 'When set, machine translate comments found in .lu or .qna file'}),
     translate_link_text: flags.string({description: 'When set, machine translate link description in .lu or .qna file'}),
+    translate_provider: flags.string({description: 'Translation provider. file reads translations from --translate_file for offline runs', options: ['microsoft', 'file'], default: 'microsoft'}),
+    translate_endpoint: flags.string({description: 'Base URL of a Microsoft Translator compatible endpoint, e.g. a regional endpoint, a proxy or a mock translator'}),
+    translate_auth: flags.string({description: 'Authentication scheme used to send the translate key', options: ['subscription-key', 'bearer', 'none'], default: 'subscription-key'}),
+    translate_region: flags.string({description: 'Azure region of the translator resource, required for regional keys'}),
+    translate_file: flags.string({description: 'JSON file with translations and glossary per language used by the file translation provider'}),
+    glossary: flags.string({description: 'JSON glossary of terms with a forced translation per target language. Map a term to itself to keep it untranslated'}),
+    tm: flags.string({description: 'Translation memory file. Lines found in it are not sent to the translator and new translations are added to it'}),
+    'tm-only': flags.boolean({description: 'Fail when any line is missing from the translation memory instead of calling the translator'}),
+    'diagnostics-format': flags.string({description: diagnosticHelper.diagnosticsFormatFlagDescription, options: ['json']}),
   }
 
   /* tslint:disable:forin no-for-in*/
   async run() {
+    const {flags} = this.parse(LuisTranslate)
+    let diagnostics: Array<any> | undefined = flags['diagnostics-format'] === 'json' ? [] : undefined
     try {
-      const {flags} = this.parse(LuisTranslate)
       let inputStat = await fs.stat(flags.in)
       let outputStat = flags.out ? await fs.stat(flags.out) : null
 
@@ -33,26 +48,54 @@ export default class LuisTranslate extends Command {
       }
 
       let isLu = !inputStat.isFile() ? true : path.extname(flags.in) === '.lu'
+      if (flags['tm-only'] && !flags.tm) {
+        throw new CLIError('--tm-only requires a translation memory file set with --tm')
+      }
+      const memory = flags.tm ? await TranslationMemory.load(flags.tm) : undefined
+      let translator = flags['tm-only'] ? undefined : await translationProviders.createProvider({
+        provider: flags.translate_provider,
+        key: flags.translatekey,
+        endpoint: flags.translate_endpoint,
+        auth: flags.translate_auth,
+        region: flags.translate_region,
+        file: flags.translate_file
+      })
+      if (memory) translator = memory.wrap(translator, flags['tm-only'])
+      const glossary = flags.glossary ? await Glossary.load(flags.glossary) : undefined
       let result: any
       if (isLu) {
         let luFiles = await fileHelper.getLuFiles(flags.in, flags.recurse)
-        result = await luTranslator.translateLuFile(luFiles, flags.translatekey, flags.tgtlang, flags.srclang, flags.translate_comments, flags.translate_link_text)
+        if (diagnostics) {
+          // translate files one at a time so a failure in one file does not hide the others
+          result = {}
+          for (const luFile of luFiles) {
+            try {
+              Object.assign(result, await luTranslator.translateLuFile([luFile], translator, flags.tgtlang, flags.srclang, flags.translate_comments, flags.translate_link_text, glossary))
+            } catch (err) {
+              diagnostics = diagnostics.concat(diagnosticsCollector.fromException(err, luFile))
+            }
+          }
+        } else {
+          result = await luTranslator.translateLuFile(luFiles, translator, flags.tgtlang, flags.srclang, flags.translate_comments, flags.translate_link_text, glossary)
+        }
       } else {
         let translation = await luisConverter.parseLuisFileToLu(flags.in, false)
-        translation = await luTranslator.translateLuObj(result, flags.translatekey, flags.tgtlang, flags.srclang, flags.translate_comments, flags.translate_link_text)
+        translation = await luTranslator.translateLuObj(result, translator, flags.tgtlang, flags.srclang, flags.translate_comments, flags.translate_link_text, glossary)
         result = {}
         Object.keys(translation).forEach(async idx => {
           result[flags.in][idx] = await luConverter.parseFile(translation[idx][0], false)
         })
       }
+      if (memory) await memory.save()
 
       if (flags.out) {
         await this.writeOutput(result, flags.out)
       } else {
         this.log(result)
       }
-
+      if (diagnostics) diagnosticHelper.writeDiagnostics(diagnostics)
     } catch (err) {
+      if (diagnostics) return diagnosticHelper.writeDiagnostics(diagnostics, err, flags.in)
       if (err instanceof exception) {
         throw new CLIError(err.text)
       }
@@ -3,6 +3,9 @@ const exception = require('./../../parser/lufile/classes/exception')
 const fs = require('fs-extra')
 const path = require('path')
 const file = require('./../../utils/filehelper')
+const diagnosticHelper = require('./../../utils/diagnostichelper')
+const diagnosticsCollector = require('./../../parser/lufile/diagnosticsCollector')
+const ReferenceCache = require('./../../parser/lufile/referenceCache')
 const luConverter = require('./../../parser/converters/qnatoqnajsonconverter')
 const qnaConverter = require('./../../parser/converters/qnajsontoqnaconverter')
 
@@ -17,12 +20,15 @@ export default class QnamakerConvert extends Command {
     recurse: flags.boolean({description: 'Indicates if sub-folders need to be considered to file .qna file(s)'}),
     out: flags.string({description: 'Output file or folder name. If not specified stdout will be used as output'}),
     name: flags.string({description: 'Name of the QnA KB'}),
+    'diagnostics-format': flags.string({description: diagnosticHelper.diagnosticsFormatFlagDescription, options: ['json']}),
+    lockfile: flags.string({description: 'Reference lockfile. Content of URL references is cached next to it and their content types and hashes are recorded in it'}),
+    offline: flags.boolean({description: 'Resolve URL references from the reference lockfile and cache only, without network access'}),
   }
 
   async run() {
+    const {flags} = this.parse(QnamakerConvert)
+    let diagnostics: Array<any> | undefined = flags['diagnostics-format'] === 'json' ? [] : undefined
     try {
-      const {flags} = this.parse(QnamakerConvert)
-
       // Check if file or folder
       // If folder, only lu to luis is supported
       let inputStat = await fs.stat(flags.in)
@@ -32,7 +38,16 @@ export default class QnamakerConvert extends Command {
       let result: any
       if (isQnA) {
         const luFiles = await file.getLuFiles(flags.in, flags.recurse)
-        result = await luConverter.parseQnaToJson(luFiles, false, flags.luis_culture)
+        if (flags.offline && !flags.lockfile) {
+          throw new CLIError('--offline requires a reference lockfile set with --lockfile')
+        }
+        const referenceCache = flags.lockfile ? await ReferenceCache.load(flags.lockfile, flags.offline) : undefined
+        if (diagnostics) {
+          diagnostics = await diagnosticsCollector.collectFileDiagnostics(luFiles, flags.luis_culture, referenceCache)
+          if (diagnosticsCollector.hasErrors(diagnostics)) return diagnosticHelper.writeDiagnostics(diagnostics)
+        }
+        result = await luConverter.parseQnaToJson(luFiles, false, flags.luis_culture, referenceCache)
+        if (referenceCache) await referenceCache.save()
       } else {
         result = await qnaConverter.parseQnAFileToLu(flags.in, flags.sort, flags.alterations)
       }
@@ -58,7 +73,9 @@ export default class QnamakerConvert extends Command {
           this.log(result)
         }
       }
+      if (diagnostics) diagnosticHelper.writeDiagnostics(diagnostics)
     } catch (err) {
+      if (diagnostics) return diagnosticHelper.writeDiagnostics(diagnostics, err, flags.in)
       if (err instanceof exception) {
         throw new CLIError(err.text)
       }
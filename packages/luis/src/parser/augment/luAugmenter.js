@@ -0,0 +1,260 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const helpers = require('./../lufile/helpers');
+
+// intents with up to this many pattern expansions pick from all of them, larger ones pick expansions at random
+const ENUMERATION_LIMIT = 10000;
+// number of random picks per new utterance for intents with more expansions than the enumeration limit
+const SAMPLES_PER_UTTERANCE = 10;
+
+const luAugmenter = {
+    /**
+     * Expand the patterns of a LUIS model into labeled example utterances. Entities in a pattern are filled with the
+     * normalized values and synonyms of list entities or with the words of the phrase lists the entity uses as
+     * features, [optional] text and (alternatives | groups) are expanded. Expansions are picked with a seeded random
+     * generator so the same seed gives the same utterances. Utterances the model already has are never added.
+     * @param {Object} model collated LUIS model
+     * @param {Object} options augmentation options
+     * @param {number} options.cap maximum number of new utterances per intent
+     * @param {number} options.seed seed of the random generator
+     * @returns {Object} model with the intents that got new utterances, the new utterances and all entity definitions,
+     * and warnings for patterns that could not be expanded
+     * @throws {exception} Throws on an invalid cap
+     */
+    augment: function (model, options) {
+        options = options || {};
+        const cap = options.cap === undefined ? 20 : options.cap;
+        if (!Number.isInteger(cap) || cap < 1) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, the cap must be a whole number of at least 1, got ${cap}`));
+        }
+        const warnings = [];
+        const byIntent = new Map();
+        (model.intents || []).forEach(intent => byIntent.set(intent.name, []));
+        (model.patterns || []).forEach(pattern => {
+            const tree = parsePattern(pattern.pattern);
+            if (tree === undefined) {
+                warnings.push(`Pattern "${pattern.pattern}" of intent "${pattern.intent}" is skipped, it has unbalanced brackets.`);
+                return;
+            }
+            const missing = entityNodes(tree).filter(node => (node.values = getValues(model, node.entity)).length === 0);
+            if (missing.length !== 0) {
+                const names = [...new Set(missing.map(node => `{${node.entity}}`))].join(', ');
+                warnings.push(`Pattern "${pattern.pattern}" of intent "${pattern.intent}" is skipped, no list or phrase list values found for ${names}.`);
+                return;
+            }
+            if (!byIntent.has(pattern.intent)) byIntent.set(pattern.intent, []);
+            byIntent.get(pattern.intent).push({ tree: tree, count: sequenceCount(tree) });
+        });
+
+        const known = new Set((model.utterances || []).map(utterance => normalize(utterance.text)));
+        const random = helpers.createRandom(options.seed || 0);
+        const utterances = [];
+        byIntent.forEach((patterns, intent) => {
+            const total = patterns.reduce((sum, pattern) => sum + pattern.count, 0);
+            let added = 0;
+            for (const index of pickIndices(total, cap, random)) {
+                if (added === cap) break;
+                const utterance = expand(patterns, index, intent);
+                const key = normalize(utterance.text);
+                if (known.has(key)) continue;
+                known.add(key);
+                utterances.push(utterance);
+                added++;
+            }
+        });
+
+        const result = JSON.parse(JSON.stringify(model));
+        const intents = new Set(utterances.map(utterance => utterance.intent));
+        result.intents = (model.intents || []).filter(intent => intents.has(intent.name)).map(intent => JSON.parse(JSON.stringify(intent)));
+        result.utterances = utterances;
+        result.patterns = [];
+        return { model: result, warnings: warnings };
+    }
+};
+
+/**
+ * Helper function to parse a pattern into a sequence of nodes. A node is literal text, an entity reference with an
+ * optional role, or a choice between sequences that can be left out for [optional] text.
+ * @param {string} pattern pattern text
+ * @returns {Object[]} sequence of nodes or undefined if the brackets are not balanced
+ */
+const parsePattern = function (pattern) {
+    const state = { text: pattern, pos: 0 };
+    const alternatives = parseAlternatives(state, undefined);
+    if (alternatives === undefined) return undefined;
+    return alternatives.length === 1 ? alternatives[0] : [{ options: alternatives, optional: false }];
+}
+
+/**
+ * Helper function to parse sequences separated by | up to the closing bracket
+ * @param {Object} state pattern text and current position
+ * @param {string} closing closing bracket or undefined at the top level
+ * @returns {Object[][]} alternative sequences or undefined if the brackets are not balanced
+ */
+const parseAlternatives = function (state, closing) {
+    const alternatives = [[]];
+    let text = '';
+    const flush = () => {
+        if (text !== '') alternatives[alternatives.length - 1].push({ text: text });
+        text = '';
+    };
+    while (state.pos < state.text.length) {
+        const char = state.text[state.pos++];
+        if (char === '\\' && state.pos < state.text.length) {
+            text += state.text[state.pos++];
+        } else if (char === closing) {
+            flush();
+            return alternatives;
+        } else if (char === '|') {
+            flush();
+            alternatives.push([]);
+        } else if (char === '(' || char === '[') {
+            flush();
+            const options = parseAlternatives(state, char === '(' ? ')' : ']');
+            if (options === undefined) return undefined;
+            alternatives[alternatives.length - 1].push({ options: options, optional: char === '[' });
+        } else if (char === '{') {
+            const end = state.text.indexOf('}', state.pos);
+            if (end === -1) return undefined;
+            flush();
+            const reference = state.text.substring(state.pos, end).split(':').map(item => item.trim());
+            alternatives[alternatives.length - 1].push({ entity: reference[0], role: reference[1] });
+            state.pos = end + 1;
+        } else if (char === ')' || char === ']' || char === '}') {
+            return undefined;
+        } else {
+            text += char;
+        }
+    }
+    if (closing !== undefined) return undefined;
+    flush();
+    return alternatives;
+}
+
+/**
+ * Helper function to get the values an entity can be filled with
+ * @param {Object} model LUIS model
+ * @param {string} name entity name
+ * @returns {string[]} normalized values and synonyms of a list entity, or the words of the phrase lists an entity
+ * uses as features
+ */
+const getValues = function (model, name) {
+    let values = [];
+    const list = (model.closedLists || []).find(item => item.name === name);
+    if (list !== undefined) {
+        (list.subLists || []).forEach(subList => values.push(subList.canonicalForm, ...(subList.list || [])));
+    } else {
+        const entity = (model.entities || []).find(item => item.name === name);
+        const phraseLists = model.model_features || model.phraselists || [];
+        ((entity || {}).features || []).filter(feature => feature.featureName !== undefined).forEach(feature => {
+            const phraseList = phraseLists.find(item => item.name === feature.featureName);
+            if (phraseList !== undefined) values.push(...phraseList.words.split(','));
+        });
+    }
+    return [...new Set(values.map(value => (value || '').trim()).filter(value => value !== ''))];
+}
+
+const entityNodes = function (sequence) {
+    return [].concat(...sequence.map(node => {
+        if (node.entity !== undefined) return [node];
+        if (node.options !== undefined) return [].concat(...node.options.map(entityNodes));
+        return [];
+    }));
+}
+
+/**
+ * Helper function to count the expansions of a sequence
+ * @param {Object[]} sequence sequence of nodes
+ * @returns {number} number of expansions
+ */
+const sequenceCount = function (sequence) {
+    return sequence.reduce((product, node) => product * nodeCount(node), 1);
+}
+
+const nodeCount = function (node) {
+    if (node.entity !== undefined) return node.values.length;
+    if (node.options !== undefined) return node.options.reduce((sum, option) => sum + sequenceCount(option), node.optional ? 1 : 0);
+    return 1;
+}
+
+/**
+ * Helper function to pick the expansions to try for an intent. Small intents try all expansions in random order,
+ * larger ones try random expansions.
+ * @param {number} total number of expansions of the intent
+ * @param {number} cap maximum number of new utterances
+ * @param {Function} random random number generator
+ * @returns {number[]} expansion indices
+ */
+const pickIndices = function (total, cap, random) {
+    if (total <= ENUMERATION_LIMIT) return helpers.shuffle([...Array(total).keys()], random);
+    const indices = [];
+    for (let idx = 0; idx < cap * SAMPLES_PER_UTTERANCE; idx++) indices.push(Math.floor(random() * total));
+    return indices;
+}
+
+/**
+ * Helper function to build the labeled utterance of one expansion. Expansions are numbered across the patterns of an
+ * intent, every node takes its share of the index like the digits of a number.
+ * @param {Object[]} patterns parsed patterns of the intent with their number of expansions
+ * @param {number} index expansion index
+ * @param {string} intent intent name
+ * @returns {Object} utterance with text, intent and entities
+ */
+const expand = function (patterns, index, intent) {
+    let pattern = patterns[0];
+    for (pattern of patterns) {
+        if (index < pattern.count) break;
+        index -= pattern.count;
+    }
+    const pieces = [];
+    expandSequence(pattern.tree, index, pieces);
+    let text = '';
+    const entities = [];
+    pieces.forEach(piece => {
+        let value = piece.entity === undefined ? piece.text.replace(/\s+/g, ' ') : piece.text;
+        if (value.startsWith(' ') && (text === '' || text.endsWith(' '))) value = value.substr(1);
+        if (piece.entity !== undefined) {
+            const label = { entity: piece.entity, startPos: text.length, endPos: text.length + value.length - 1 };
+            if (piece.role) label.role = piece.role;
+            entities.push(label);
+        }
+        text += value;
+    });
+    return { text: text.replace(/\s+$/, ''), intent: intent, entities: entities };
+}
+
+const expandSequence = function (sequence, index, pieces) {
+    sequence.forEach(node => {
+        const count = nodeCount(node);
+        expandNode(node, index % count, pieces);
+        index = Math.floor(index / count);
+    });
+}
+
+const expandNode = function (node, index, pieces) {
+    if (node.entity !== undefined) {
+        pieces.push({ text: node.values[index], entity: node.entity, role: node.role });
+    } else if (node.options !== undefined) {
+        if (node.optional) {
+            if (index === 0) return;
+            index--;
+        }
+        for (const option of node.options) {
+            const count = sequenceCount(option);
+            if (index < count) return expandSequence(option, index, pieces);
+            index -= count;
+        }
+    } else {
+        pieces.push({ text: node.text });
+    }
+}
+
+const normalize = function (text) {
+    return (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+module.exports = luAugmenter;
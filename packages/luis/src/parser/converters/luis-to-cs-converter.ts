@@ -208,6 +208,62 @@ export namespace LuisToCsConverter {
       })
     }
 
+    // Machine learned entities
+    if (
+      app.machineLearnedEntities.length > 0
+    ) {
+      writer.writeLine()
+      writer.writeLineIndented('// Machine learned entities')
+      let first = true
+      app.getMachineLearnedClasses().forEach(entity => {
+        if (first) {
+          first = false
+        } else {
+          writer.writeLine()
+        }
+
+        writer.writeLineIndented([
+          `public class _Instance${entity.className}`,
+          '{'
+        ])
+        writer.increaseIndentation()
+
+        entity.children.forEach(child => {
+          writer.writeLineIndented([
+            `public InstanceData[] ${ParseMultiPlatformLuis.jsonPropertyName(child.name)};`
+          ])
+        })
+
+        writer.decreaseIndentation()
+        writer.writeLineIndented([
+          '}',
+          `public class ${entity.className}Class`,
+          '{'
+        ])
+        writer.increaseIndentation()
+
+        entity.children.forEach(child => {
+          writer.writeLineIndented(child.children.length > 0 ?
+            `public ${child.className}Class[] ${ParseMultiPlatformLuis.jsonPropertyName(child.name)};` :
+            getEntityWithType(child.name, app.getChildEntityType(child)))
+        })
+
+        writer.writeLineIndented([
+          '[JsonProperty("$instance")]',
+          `public _Instance${entity.className} _instance;`
+        ])
+
+        writer.decreaseIndentation()
+        writer.writeLineIndented('}')
+      })
+
+      app.machineLearnedEntities.forEach(entity => {
+        [entity.name, ...entity.roles].forEach(name => {
+          writer.writeLineIndented(`public ${entity.className}Class[] ${ParseMultiPlatformLuis.jsonPropertyName(name)};`)
+        })
+      })
+    }
+
     // Instance
     writer.writeLine()
     writer.writeLineIndented([
@@ -0,0 +1,455 @@
+import {ParseMultiPlatformLuis} from '../luisfile/parse-multi-platform-luis'
+
+import {Writer} from './helpers/writer'
+
+import MultiPlatformLuis = ParseMultiPlatformLuis.MultiPlatformLuis
+
+export namespace LuisToJavaConverter {
+  const reservedWords = [
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+    'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'goto',
+    'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'null', 'package',
+    'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized',
+    'this', 'throw', 'throws', 'transient', 'true', 'try', 'void', 'volatile', 'while'
+  ]
+
+  export async function writeFromLuisJson(
+    luisJson: any,
+    className: string,
+    packageName: string,
+    outPath: string
+  ) {
+    const app = ParseMultiPlatformLuis.fromLuisApp(luisJson)
+    let writer = new Writer()
+    await writer.setOutputStream(outPath)
+    header(packageName, className, writer)
+    intents(app.intents, writer)
+    supportClasses(writer)
+    entities(app, writer)
+
+    writer.writeLine()
+    writer.writeLineIndented([
+      '@JsonIgnore',
+      'public _Entities typedEntities;'
+    ])
+
+    converter(writer)
+    topScoringIntent(writer)
+
+    writer.decreaseIndentation()
+    writer.writeLineIndented('}') // Class
+
+    await writer.closeOutputStream()
+  }
+
+  function header(
+    packageName: string,
+    className: string,
+    writer: Writer
+  ): void {
+    writer.writeLine([
+      '// <auto-generated>',
+      '// Code generated by luis:generate:java',
+      '// Tool github: https://github.com/microsoft/botframwork-cli',
+      '// Changes may cause incorrect behavior and will be lost if the code is',
+      '// regenerated.',
+      '// </auto-generated>',
+      `package ${packageName};`,
+      '',
+      'import com.fasterxml.jackson.annotation.JsonIgnore;',
+      'import com.fasterxml.jackson.annotation.JsonProperty;',
+      'import com.fasterxml.jackson.databind.DeserializationFeature;',
+      'import com.fasterxml.jackson.databind.ObjectMapper;',
+      'import com.microsoft.bot.builder.IntentScore;',
+      'import com.microsoft.bot.builder.RecognizerConvert;',
+      'import com.microsoft.bot.builder.RecognizerResult;',
+      'import java.util.AbstractMap;',
+      'import java.util.Map;',
+      '',
+      `public class ${className} extends RecognizerResult implements RecognizerConvert`,
+      '{'
+    ])
+    writer.increaseIndentation()
+  }
+
+  function intents(intents: string[], writer: Writer) {
+    writer.writeLineIndented('public enum Intent {')
+    writer.increaseIndentation()
+    intents.forEach((intent: string, index: number) => {
+      writer.writeLineIndented(`${javaName(intent)}("${intent}")${index === intents.length - 1 ? ';' : ','}`)
+    })
+    if (intents.length === 0) {
+      writer.writeLineIndented(';')
+    }
+
+    writer.writeLine()
+    writer.writeLineIndented('private final String value;')
+    writer.writeLine()
+    writer.writeLineIndented([
+      'Intent(String value) {',
+      '    this.value = value;',
+      '}'
+    ])
+    writer.writeLine()
+    writer.writeLineIndented([
+      'public String getValue() {',
+      '    return value;',
+      '}'
+    ])
+    writer.decreaseIndentation()
+    writer.writeLineIndented('}')
+  }
+
+  function supportClasses(writer: Writer) {
+    writeClass('InstanceData', [
+      'public int startIndex;',
+      'public int endIndex;',
+      'public String text;',
+      'public Double score;',
+      'public String type;',
+      'public String subtype;'
+    ], writer)
+
+    writeClass('DateTimeSpec', [
+      'public String type;',
+      '@JsonProperty("timex")',
+      'public String[] expressions;'
+    ], writer)
+
+    writeClass('GeographyV2', [
+      'public String type;',
+      '@JsonProperty("value")',
+      'public String location;'
+    ], writer)
+
+    writeClass('NumberWithUnits', [
+      'public Double number;',
+      'public String units;'
+    ], writer)
+
+    writeClass('OrdinalV2', [
+      'public long offset;',
+      'public String relativeTo;'
+    ], writer)
+  }
+
+  function entities(app: MultiPlatformLuis, writer: Writer) {
+    writer.writeLine()
+    writer.writeLineIndented([
+      'public static class _Entities',
+      '{'
+    ])
+    writer.increaseIndentation()
+
+    writeEntityBlock(
+      app.simpleEntities,
+      'Simple entities',
+      (entity: string) => {
+        writer.writeLineIndented(getEntityWithType(entity))
+      },
+      writer
+    )
+
+    writeEntityBlock(
+      app.builtInEntities,
+      'Built-in entities',
+      (entities: string[]) => {
+        const entityType = entities[0]
+        entities.forEach(entity => {
+          writer.writeLineIndented(getEntityWithType(entity, entityType))
+        })
+      },
+      writer
+    )
+
+    writeEntityBlock(
+      app.listEntities,
+      'Lists',
+      (entity: string) => {
+        writer.writeLineIndented(getEntityWithType(entity, 'list'))
+      },
+      writer
+    )
+
+    writeEntityBlock(
+      app.regexEntities,
+      'Regex entities',
+      (entity: string) => {
+        writer.writeLineIndented(getEntityWithType(entity))
+      },
+      writer
+    )
+
+    writeEntityBlock(
+      app.patternEntities,
+      'Pattern.any',
+      (entity: string) => {
+        writer.writeLineIndented(getEntityWithType(entity))
+      },
+      writer
+    )
+
+    // Composites
+    if (
+      app.composites.length > 0
+    ) {
+      writer.writeLineIndented('// Composites')
+      let first = true
+      app.composites.forEach(composite => {
+        if (first) {
+          first = false
+        } else {
+          writer.writeLine()
+        }
+
+        writer.writeLineIndented([
+          `public static class _Instance${composite.compositeName}`,
+          '{'
+        ])
+        writer.increaseIndentation()
+
+        composite.attributes.forEach(attr => {
+          writer.writeLineIndented(getEntityWithType(attr, '$instance'))
+        })
+
+        writer.decreaseIndentation()
+        writer.writeLineIndented([
+          '}',
+          `public static class ${composite.compositeName}Class`,
+          '{'
+        ])
+        writer.increaseIndentation()
+
+        composite.attributes.forEach(attr => {
+          writer.writeLineIndented(getEntityWithType(
+            attr,
+            app.listEntities.includes(attr) ? 'list' : attr
+          ))
+        })
+
+        writer.writeLineIndented([
+          '@JsonProperty("$instance")',
+          `public _Instance${composite.compositeName} _instance;`
+        ])
+
+        writer.decreaseIndentation()
+        writer.writeLineIndented('}')
+        writer.writeLineIndented(fieldDeclaration(composite.compositeName, `public ${composite.compositeName}Class[]`))
+      })
+      writer.writeLine()
+    }
+
+    // Machine learned entities
+    if (
+      app.machineLearnedEntities.length > 0
+    ) {
+      writer.writeLineIndented('// Machine learned entities')
+      let first = true
+      app.getMachineLearnedClasses().forEach(entity => {
+        if (first) {
+          first = false
+        } else {
+          writer.writeLine()
+        }
+
+        writer.writeLineIndented([
+          `public static class _Instance${entity.className}`,
+          '{'
+        ])
+        writer.increaseIndentation()
+
+        entity.children.forEach(child => {
+          writer.writeLineIndented(getEntityWithType(child.name, '$instance'))
+        })
+
+        writer.decreaseIndentation()
+        writer.writeLineIndented([
+          '}',
+          `public static class ${entity.className}Class`,
+          '{'
+        ])
+        writer.increaseIndentation()
+
+        entity.children.forEach(child => {
+          writer.writeLineIndented(child.children.length > 0 ?
+            fieldDeclaration(ParseMultiPlatformLuis.jsonPropertyName(child.name), `public ${child.className}Class[]`) :
+            getEntityWithType(child.name, app.getChildEntityType(child)))
+        })
+
+        writer.writeLineIndented([
+          '@JsonProperty("$instance")',
+          `public _Instance${entity.className} _instance;`
+        ])
+
+        writer.decreaseIndentation()
+        writer.writeLineIndented('}')
+      })
+
+      app.machineLearnedEntities.forEach(entity => {
+        [entity.name, ...entity.roles].forEach(name => {
+          writer.writeLineIndented(fieldDeclaration(ParseMultiPlatformLuis.jsonPropertyName(name), `public ${entity.className}Class[]`))
+        })
+      })
+      writer.writeLine()
+    }
+
+    // Instance
+    writer.writeLineIndented([
+      '// Instance',
+      'public static class _Instance',
+      '{'
+    ])
+    writer.increaseIndentation()
+
+    app.getInstancesList().forEach(instanceData => {
+      writer.writeLineIndented(getEntityWithType(instanceData, '$instance'))
+    })
+
+    writer.decreaseIndentation()
+    writer.writeLineIndented([
+      '}',
+      '@JsonProperty("$instance")',
+      'public _Instance _instance;'
+    ])
+
+    writer.decreaseIndentation()
+    writer.writeLineIndented('}') // Entities
+  }
+
+  function getEntityWithType(entityName: string, entityType = ''): string {
+    let result = ''
+    switch (entityType) {
+    case 'age':
+    case 'dimension':
+    case 'money':
+    case 'temperature':
+      result = 'public NumberWithUnits[]'
+      break
+    case 'datetimeV2':
+      result = 'public DateTimeSpec[]'
+      break
+    case 'geographyV2':
+      result = 'public GeographyV2[]'
+      break
+    case '$instance':
+      result = 'public InstanceData[]'
+      break
+    case 'list':
+      result = 'public String[][]'
+      break
+    case 'ordinalV2':
+      result = 'public OrdinalV2[]'
+      break
+    case 'number':
+    case 'ordinal':
+    case 'percentage':
+      result = 'public double[]'
+      break
+    default:
+      result = 'public String[]'
+    }
+    return fieldDeclaration(ParseMultiPlatformLuis.jsonPropertyName(entityName), result)
+  }
+
+  function fieldDeclaration(name: string, type: string): string {
+    const field = javaName(name)
+    return (field === name ? '' : `@JsonProperty("${name}") `) + type + ` ${field};`
+  }
+
+  function converter(writer: Writer): void {
+    writer.writeLine()
+    writer.writeLineIndented([
+      '@Override',
+      'public void convert(Object result)',
+      '{'
+    ])
+
+    writer.increaseIndentation()
+    writer.writeLineIndented([
+      'ObjectMapper mapper = new ObjectMapper().configure(DeserializationFeature.FAIL_ON_UNKNOWN_PROPERTIES, false);',
+      'RecognizerResult app = result instanceof RecognizerResult',
+      '    ? (RecognizerResult) result',
+      '    : mapper.convertValue(result, RecognizerResult.class);',
+      'setText(app.getText());',
+      'setAlteredText(app.getAlteredText());',
+      'setIntents(app.getIntents());',
+      'setEntities(app.getEntities());',
+      'if (app.getProperties() != null) {',
+      '    app.getProperties().forEach(this::setProperties);',
+      '}',
+      'typedEntities = app.getEntities() != null ? mapper.convertValue(app.getEntities(), _Entities.class) : null;'
+    ])
+
+    writer.decreaseIndentation()
+    writer.writeLineIndented('}')
+  }
+
+  function topScoringIntent(writer: Writer): void {
+    writer.writeLine()
+    writer.writeLineIndented([
+      'public Map.Entry<Intent, Double> topIntent()',
+      '{'
+    ])
+
+    writer.increaseIndentation()
+    writer.writeLineIndented([
+      'Intent maxIntent = null;',
+      'double max = 0.0;',
+      'for (Intent intent : Intent.values())',
+      '{'
+    ])
+
+    writer.increaseIndentation()
+    writer.writeLineIndented([
+      'IntentScore score = getIntents() != null ? getIntents().get(intent.getValue()) : null;',
+      'if (score != null && score.getScore() > max)',
+      '{'
+    ])
+
+    writer.increaseIndentation()
+    writer.writeLineIndented([
+      'maxIntent = intent;',
+      'max = score.getScore();'
+    ])
+
+    writer.decreaseIndentation()
+    writer.writeLineIndented('}')
+
+    writer.decreaseIndentation()
+    writer.writeLineIndented([
+      '}',
+      'return new AbstractMap.SimpleEntry<>(maxIntent, max);'
+    ])
+
+    writer.decreaseIndentation()
+    writer.writeLineIndented('}')
+  }
+
+  function writeClass(name: string, fields: string[], writer: Writer) {
+    writer.writeLine()
+    writer.writeLineIndented([
+      `public static class ${name}`,
+      '{'
+    ])
+    writer.increaseIndentation()
+    writer.writeLineIndented(fields)
+    writer.decreaseIndentation()
+    writer.writeLineIndented('}')
+  }
+
+  function writeEntityBlock(entities: any[], message: string, logic: (x: any) => void, writer: Writer) {
+    if (
+      entities.length > 0
+    ) {
+      if (message !== '') {
+        writer.writeLineIndented(`// ${message}`)
+      }
+      entities.forEach(logic)
+      writer.writeLine()
+    }
+  }
+
+  function javaName(name: string): string {
+    return reservedWords.includes(name) ? name + '_' : name
+  }
+}
@@ -0,0 +1,359 @@
+import {ParseMultiPlatformLuis} from '../luisfile/parse-multi-platform-luis'
+
+import {Writer} from './helpers/writer'
+
+import MultiPlatformLuis = ParseMultiPlatformLuis.MultiPlatformLuis
+
+export namespace LuisToPyConverter {
+  const reservedWords = [
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+    'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+    'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+  ]
+
+  const supportClasses = ['DateTimeSpec', 'GeographyV2', 'NumberWithUnits', 'OrdinalV2']
+
+  export async function writeFromLuisJson(
+    luisJson: any,
+    className: string,
+    outPath: string
+  ) {
+    const app: MultiPlatformLuis = ParseMultiPlatformLuis.fromLuisApp(luisJson)
+    let writer = new Writer()
+    await writer.setOutputStream(outPath)
+    header(writer)
+    helpers(writer)
+    intents(app, writer)
+    entities(app, writer)
+    recognizerClass(className, writer)
+    await writer.closeOutputStream()
+  }
+
+  function header(writer: Writer): void {
+    writer.writeLine([
+      '# <auto-generated>',
+      '# Code generated by luis:generate:py',
+      '# Tool github: https://github.com/microsoft/botframwork-cli',
+      '# Changes may cause incorrect behavior and will be lost if the code is',
+      '# regenerated.',
+      '# </auto-generated>',
+      'from dataclasses import dataclass, field',
+      'from enum import Enum',
+      'from typing import Any, Dict, List, Optional, Tuple'
+    ])
+  }
+
+  function helpers(writer: Writer): void {
+    writer.writeLine()
+    writer.writeLine()
+    writer.writeLine([
+      'def _from_dict(cls, data):',
+      '    return cls.from_dict(data) if data is not None else None',
+    ])
+    writer.writeLine()
+    writer.writeLine()
+    writer.writeLine([
+      'def _from_list(cls, data):',
+      '    return [cls.from_dict(item) for item in data] if data is not None else None',
+    ])
+
+    writeDataClass('IntentData', [
+      {name: 'score', type: 'float', default: '0.0', value: "data.get('score', 0.0)"}
+    ], writer)
+
+    writeDataClass('InstanceData', [
+      {name: 'start_index', type: 'int', default: '0', value: "data.get('startIndex', 0)"},
+      {name: 'end_index', type: 'int', default: '0', value: "data.get('endIndex', 0)"},
+      {name: 'text', type: 'str', default: "''", value: "data.get('text', '')"},
+      {name: 'score', type: 'Optional[float]', default: 'None', value: "data.get('score')"},
+      {name: 'type', type: 'Optional[str]', default: 'None', value: "data.get('type')"},
+      {name: 'subtype', type: 'Optional[str]', default: 'None', value: "data.get('subtype')"}
+    ], writer)
+
+    writeDataClass('DateTimeSpec', [
+      {name: 'type', type: 'str', default: "''", value: "data.get('type', '')"},
+      {name: 'expressions', type: 'List[str]', default: 'field(default_factory=list)', value: "data.get('timex', [])"}
+    ], writer)
+
+    writeDataClass('GeographyV2', [
+      {name: 'type', type: 'str', default: "''", value: "data.get('type', '')"},
+      {name: 'location', type: 'str', default: "''", value: "data.get('value', '')"}
+    ], writer)
+
+    writeDataClass('NumberWithUnits', [
+      {name: 'number', type: 'Optional[float]', default: 'None', value: "data.get('number')"},
+      {name: 'units', type: 'str', default: "''", value: "data.get('units', '')"}
+    ], writer)
+
+    writeDataClass('OrdinalV2', [
+      {name: 'offset', type: 'int', default: '0', value: "data.get('offset', 0)"},
+      {name: 'relative_to', type: 'str', default: "''", value: "data.get('relativeTo', '')"}
+    ], writer)
+  }
+
+  function intents(app: MultiPlatformLuis, writer: Writer): void {
+    writer.writeLine()
+    writer.writeLine()
+    writer.writeLine('class Intent(Enum):')
+    writer.increaseIndentation()
+    if (app.intents.length === 0) {
+      writer.writeLineIndented('pass')
+    }
+    app.intents.forEach((intent: string) => {
+      writer.writeLineIndented(`${pyName(intent)} = '${intent}'`)
+    })
+    writer.decreaseIndentation()
+
+    writeDataClass('GeneratedIntents', app.intents.map(intent => {
+      return {
+        name: pyName(intent),
+        type: 'Optional[IntentData]',
+        default: 'None',
+        value: `_from_dict(IntentData, data.get('${intent}'))`
+      }
+    }), writer)
+  }
+
+  function entities(app: MultiPlatformLuis, writer: Writer): void {
+    // Composite instance and data
+    app.composites.forEach(composite => {
+      const name = ParseMultiPlatformLuis.normalizeName(composite.compositeName)
+      writeDataClass(`GeneratedInstance${name}`, composite.attributes.map(instanceField), writer)
+      writeDataClass(`${name}Class`, [
+        ...composite.attributes.map(attribute => {
+          return entityField(attribute, isList(attribute, app) ? 'list' : attribute)
+        }),
+        {
+          name: 'instance',
+          type: `Optional[GeneratedInstance${name}]`,
+          default: 'None',
+          value: `_from_dict(GeneratedInstance${name}, data.get('$instance'))`
+        }
+      ], writer)
+    })
+
+    // Machine learned entity instance and data
+    app.getMachineLearnedClasses().forEach(entity => {
+      writeDataClass(`GeneratedInstance${entity.className}`, entity.children.map(child => instanceField(child.name)), writer)
+      writeDataClass(`${entity.className}Class`, [
+        ...entity.children.map(child => {
+          return child.children.length > 0 ?
+            classField(child.name, `${child.className}Class`) :
+            entityField(child.name, app.getChildEntityType(child))
+        }),
+        {
+          name: 'instance',
+          type: `Optional[GeneratedInstance${entity.className}]`,
+          default: 'None',
+          value: `_from_dict(GeneratedInstance${entity.className}, data.get('$instance'))`
+        }
+      ], writer)
+    })
+
+    // Entity instance
+    writeDataClass('GeneratedInstance', app.getInstancesList().map(instanceField), writer)
+
+    // Entities
+    const fields: DataField[] = []
+    app.simpleEntities.forEach(entity => {
+      fields.push(entityField(entity))
+    })
+    app.builtInEntities.forEach(builtInEntity => {
+      const entityType = builtInEntity[0]
+      builtInEntity.forEach(entity => {
+        fields.push(entityField(entity, entityType))
+      })
+    })
+    app.listEntities.forEach(entity => {
+      fields.push(entityField(entity, 'list'))
+    })
+    app.regexEntities.forEach(entity => {
+      fields.push(entityField(entity))
+    })
+    app.patternEntities.forEach(entity => {
+      fields.push(entityField(entity))
+    })
+    app.composites.forEach(composite => {
+      const name = ParseMultiPlatformLuis.normalizeName(composite.compositeName)
+      fields.push(classField(name, `${name}Class`))
+    })
+    app.machineLearnedEntities.forEach(entity => {
+      [entity.name, ...entity.roles].forEach(name => {
+        fields.push(classField(name, `${entity.className}Class`))
+      })
+    })
+    fields.push({
+      name: 'instance',
+      type: 'Optional[GeneratedInstance]',
+      default: 'None',
+      value: "_from_dict(GeneratedInstance, data.get('$instance'))"
+    })
+    writeDataClass('GeneratedEntities', fields, writer)
+  }
+
+  function recognizerClass(className: string, writer: Writer): void {
+    writeDataClass(className, [
+      {name: 'text', type: 'str', default: "''", value: "data.get('text', '')"},
+      {name: 'altered_text', type: 'Optional[str]', default: 'None', value: "data.get('alteredText')"},
+      {
+        name: 'intents',
+        type: 'GeneratedIntents',
+        default: 'field(default_factory=GeneratedIntents)',
+        value: "GeneratedIntents.from_dict(data.get('intents') or {})"
+      },
+      {
+        name: 'entities',
+        type: 'GeneratedEntities',
+        default: 'field(default_factory=GeneratedEntities)',
+        value: "GeneratedEntities.from_dict(data.get('entities') or {})"
+      },
+      {
+        name: 'properties',
+        type: 'Dict[str, Any]',
+        default: 'field(default_factory=dict)',
+        value: "{key: value for key, value in data.items() if key not in ('text', 'alteredText', 'intents', 'entities')}"
+      }
+    ], writer)
+
+    writer.increaseIndentation()
+    writer.writeLine()
+    writer.writeLineIndented([
+      '@classmethod',
+      `def from_recognizer_result(cls, result: Any) -> '${className}':`
+    ])
+    writer.increaseIndentation()
+    writer.writeLineIndented([
+      'return cls.from_dict({',
+      '    **(result.properties or {}),',
+      "    'text': result.text,",
+      "    'alteredText': result.altered_text,",
+      "    'intents': {name: {'score': intent.score} for name, intent in (result.intents or {}).items()},",
+      "    'entities': result.entities or {},",
+      '})'
+    ])
+    writer.decreaseIndentation()
+
+    writer.writeLine()
+    writer.writeLineIndented('def top_intent(self) -> Tuple[Optional[Intent], float]:')
+    writer.increaseIndentation()
+    writer.writeLineIndented([
+      'max_intent, max_score = None, 0.0',
+      'for intent in Intent:'
+    ])
+    writer.increaseIndentation()
+    writer.writeLineIndented([
+      'data = getattr(self.intents, intent.name)',
+      'if data is not None and data.score > max_score:',
+      '    max_intent, max_score = intent, data.score'
+    ])
+    writer.decreaseIndentation()
+    writer.writeLineIndented('return max_intent, max_score')
+    writer.decreaseIndentation()
+    writer.decreaseIndentation()
+  }
+
+  interface DataField {
+    name: string
+    type: string
+    default: string
+    value: string
+  }
+
+  function writeDataClass(name: string, fields: DataField[], writer: Writer): void {
+    writer.writeLine()
+    writer.writeLine()
+    writer.writeLine([
+      '@dataclass',
+      `class ${name}:`
+    ])
+    writer.increaseIndentation()
+    fields.forEach(dataField => {
+      writer.writeLineIndented(`${dataField.name}: ${dataField.type} = ${dataField.default}`)
+    })
+    if (fields.length > 0) {
+      writer.writeLine()
+    }
+
+    writer.writeLineIndented([
+      '@classmethod',
+      `def from_dict(cls, data: Dict[str, Any]) -> '${name}':`
+    ])
+    writer.increaseIndentation()
+    if (fields.length === 0) {
+      writer.writeLineIndented('return cls()')
+    } else {
+      writer.writeLineIndented('return cls(')
+      writer.increaseIndentation()
+      fields.forEach(dataField => {
+        writer.writeLineIndented(`${dataField.name}=${dataField.value},`)
+      })
+      writer.decreaseIndentation()
+      writer.writeLineIndented(')')
+    }
+    writer.decreaseIndentation()
+    writer.decreaseIndentation()
+  }
+
+  function instanceField(entityName: string): DataField {
+    const name = ParseMultiPlatformLuis.jsonPropertyName(entityName)
+    return {
+      name: pyName(name),
+      type: 'Optional[List[InstanceData]]',
+      default: 'None',
+      value: `_from_list(InstanceData, data.get('${name}'))`
+    }
+  }
+
+  function entityField(entityName: string, entityType = ''): DataField {
+    const name = ParseMultiPlatformLuis.jsonPropertyName(entityName)
+    const type = getEntityType(entityType)
+    return {
+      name: pyName(name),
+      type: `Optional[List[${type}]]`,
+      default: 'None',
+      value: supportClasses.includes(type) ? `_from_list(${type}, data.get('${name}'))` : `data.get('${name}')`
+    }
+  }
+
+  function classField(entityName: string, className: string): DataField {
+    const name = ParseMultiPlatformLuis.jsonPropertyName(entityName)
+    return {
+      name: pyName(name),
+      type: `Optional[List[${className}]]`,
+      default: 'None',
+      value: `_from_list(${className}, data.get('${name}'))`
+    }
+  }
+
+  function isList(entityName: string, app: MultiPlatformLuis): boolean {
+    return app.listEntities.includes(entityName)
+  }
+
+  function getEntityType(entityType: string): string {
+    switch (entityType) {
+    case 'age':
+    case 'dimension':
+    case 'money':
+    case 'temperature':
+      return 'NumberWithUnits'
+    case 'datetimeV2':
+      return 'DateTimeSpec'
+    case 'geographyV2':
+      return 'GeographyV2'
+    case 'ordinalV2':
+      return 'OrdinalV2'
+    case 'number':
+    case 'ordinal':
+    case 'percentage':
+      return 'float'
+    case 'list':
+      return 'List[str]'
+    default:
+      return 'str'
+    }
+  }
+
+  function pyName(name: string): string {
+    return reservedWords.includes(name) ? name + '_' : name
+  }
+}
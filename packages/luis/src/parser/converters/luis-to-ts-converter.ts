@@ -75,6 +75,30 @@ export namespace LuisToTsConverter {
       writer.decreaseIndentation()
       writer.writeLineIndented('}')
     })
+
+    // Machine learned entity instance and data
+    app.getMachineLearnedClasses().forEach(entity => {
+      writer.writeLine()
+      writer.writeLineIndented(`export interface GeneratedInstance${entity.className} {`)
+      writer.increaseIndentation()
+      entity.children.forEach(child => {
+        writer.writeLineIndented(
+          `${ParseMultiPlatformLuis.jsonPropertyName(child.name)}?: InstanceData[]`
+        )
+      })
+      writer.decreaseIndentation()
+      writer.writeLineIndented('}')
+      writer.writeLineIndented(`export interface ${entity.className} {`)
+      writer.increaseIndentation()
+      entity.children.forEach(child => {
+        writer.writeLineIndented(child.children.length > 0 ?
+          `${ParseMultiPlatformLuis.jsonPropertyName(child.name)}?: ${child.className}[]` :
+          getEntityWithType(child.name, isList(child.instanceOf, app), child.instanceOf))
+      })
+      writer.writeLineIndented(`$instance?: GeneratedInstance${entity.className}`)
+      writer.decreaseIndentation()
+      writer.writeLineIndented('}')
+    })
     writer.writeLine()
 
     // Entity instance
@@ -116,6 +140,19 @@ export namespace LuisToTsConverter {
         `${composite.compositeName}?: ${composite.compositeName}[]`
         )
     })
+
+    // Machine learned entities
+    if (app.machineLearnedEntities.length > 0) {
+      writer.writeLine()
+      writer.writeLineIndented('// Machine learned entities')
+      app.machineLearnedEntities.forEach(entity => {
+        [entity.name, ...entity.roles].forEach(name => {
+          writer.writeLineIndented(
+            `${ParseMultiPlatformLuis.jsonPropertyName(name)}?: ${entity.className}[]`
+          )
+        })
+      })
+    }
     writer.writeLineIndented('$instance: GeneratedInstance')
     writer.decreaseIndentation()
     writer.writeLineIndented('}')
@@ -150,10 +187,10 @@ export namespace LuisToTsConverter {
     return app.listEntities.includes(entityName)
   }
 
-  function getEntityWithType(entityName: string, isListType = false): string {
+  function getEntityWithType(entityName: string, isListType = false, entityType = entityName): string {
     let result = ''
 
-    switch (isListType ? 'list' : entityName) {
+    switch (isListType ? 'list' : entityType) {
     case 'age':
     case 'dimension':
     case 'money':
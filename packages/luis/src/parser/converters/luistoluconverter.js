@@ -48,15 +48,21 @@ module.exports = {
                     }
                     fileContent += NEWLINE + NEWLINE;
                 }
+                // Add features information if any
+                if (intent.intent.features !== undefined && intent.intent.features.length > 0) {
+                    // > !# @intent.features = name : BookFlight; features : cities, address
+                    fileContent += '> !# @intent.features = name : ' + intent.intent.name + '; features : ' + getFeatureNames(intent.intent.features);
+                    fileContent += NEWLINE + NEWLINE;
+                }
                 fileContent += '## ' + intent.intent.name + NEWLINE;
                 intent.utterances.forEach(function(utterance) {
                     let updatedText = utterance.text;
                     if(utterance.entities.length >= 0) {
                         // update utterance for each entity
                         let text = utterance.text;
-                        let sortedEntitiesList = objectSortByStartPos(utterance.entities);
+                        let sortedEntitiesList = objectSortByStartPos(flattenEntityLabels(utterance.entities));
                         let tokenizedText = text.split('');
-                        let nonCompositesInUtterance = sortedEntitiesList.filter(entity => LUISJSON.composites.find(composite => composite.name == entity.entity) == undefined);
+                        let nonCompositesInUtterance = sortedEntitiesList.filter(entity => (LUISJSON.composites || []).find(composite => composite.name == entity.entity) == undefined);
                         nonCompositesInUtterance.forEach(entity => {
                             if (entity.role !== undefined) {
                                 tokenizedText[parseInt(entity.startPos)] = `{@${entity.role}=${tokenizedText[parseInt(entity.startPos)]}`;    
@@ -65,7 +71,7 @@ module.exports = {
                             }
                             tokenizedText[parseInt(entity.endPos)] += `}`;
                         })
-                        let compositeEntitiesInUtterance = sortedEntitiesList.filter(entity => LUISJSON.composites.find(composite => composite.name == entity.entity) != undefined);
+                        let compositeEntitiesInUtterance = sortedEntitiesList.filter(entity => (LUISJSON.composites || []).find(composite => composite.name == entity.entity) != undefined);
                         compositeEntitiesInUtterance.forEach(entity => {
                             if (entity.role !== undefined) {
                                 tokenizedText[parseInt(entity.startPos)] = `{@${entity.role}=${tokenizedText[parseInt(entity.startPos)]}`;
@@ -97,11 +103,17 @@ module.exports = {
                     }
                     fileContent += NEWLINE + NEWLINE;
                 }
-                fileContent += `@ simple ${entity.name}`;
+                let isMachineLearned = (entity.children || []).length > 0 || (entity.features || []).length > 0;
+                fileContent += `@ ${isMachineLearned ? 'machine-learned' : 'simple'} ${entity.name}`;
                 if (entity.roles.length > 0) {
                     fileContent += ` ${entity.roles.length > 1 ? `hasRoles` : `hasRole`} ${entity.roles.join(',')}`
                 }
-                fileContent += NEWLINE + NEWLINE;
+                if ((entity.features || []).length > 0) {
+                    fileContent += ` usesFeatures ${getFeatureNames(entity.features)}`;
+                }
+                fileContent += NEWLINE;
+                fileContent += addChildEntities(entity.children || [], '\t');
+                fileContent += NEWLINE;
             });
             fileContent += NEWLINE;
         }
@@ -118,9 +130,10 @@ module.exports = {
             fileContent += NEWLINE;
         }
         
-        if(LUISJSON.model_features && LUISJSON.model_features.length >= 0) {
+        let phraseLists = LUISJSON.model_features || LUISJSON.phraselists;
+        if(phraseLists && phraseLists.length >= 0) {
             fileContent += '> # Phrase list definitions' + NEWLINE + NEWLINE;
-            LUISJSON.model_features.forEach(function(entity) {
+            phraseLists.forEach(function(entity) {
                 fileContent += `@ phraselist ${entity.name}${(entity.mode ? `(interchangeable)` : ``)}`;
                 if (entity.words !== '') {
                     fileContent += ` = ${NEWLINE}\t- ${entity.words}`;
@@ -248,6 +261,48 @@ const addUtteranceToCollection = function (attribute, srcItem, matchInTarget) {
     }
 }
 
+/**
+ * helper function to write out child entity definitions of a machine learned entity
+ * @param {object []} children child entity definitions
+ * @param {string} indent indentation for this level of children
+ * @returns {string} child entity definitions
+ */
+const addChildEntities = function (children, indent) {
+    let content = '';
+    children.forEach(child => {
+        content += `${indent}- @ ${child.instanceOf || 'machine-learned'} ${child.name}`;
+        if ((child.features || []).length > 0) {
+            content += ` usesFeatures ${getFeatureNames(child.features)}`;
+        }
+        content += NEWLINE;
+        content += addChildEntities(child.children || [], indent + '\t');
+    });
+    return content;
+}
+
+/**
+ * helper function to get a comma separated list of feature names
+ * @param {object []} features features referencing phrase lists (featureName) or models (modelName)
+ * @returns {string} comma separated list of feature names
+ */
+const getFeatureNames = function (features) {
+    return features.map(feature => feature.featureName || feature.modelName).join(',');
+}
+
+/**
+ * helper function to flatten nested entity labels, child labels before their parent
+ * @param {object []} labels entity labels in an utterance
+ * @returns {object []} flat list of entity labels
+ */
+const flattenEntityLabels = function (labels) {
+    let result = [];
+    labels.forEach(label => {
+        result = result.concat(flattenEntityLabels(label.children || []));
+        result.push(label);
+    });
+    return result;
+}
+
 /**
  * helper function sort entities list by starting position
  * @param {object} objectArray array of entity objects
@@ -284,7 +339,7 @@ const sortLUISJSON = async function(LUISJSON) {
         LUISJSON.entities.sort(sortComparers.compareNameFn);
         LUISJSON.closedLists.sort(sortComparers.compareNameFn);
         LUISJSON.regex_entities.sort(sortComparers.compareNameFn);
-        LUISJSON.model_features.sort(sortComparers.compareNameFn);
+        (LUISJSON.model_features || LUISJSON.phraselists).sort(sortComparers.compareNameFn);
         LUISJSON.patternAnyEntities.sort(sortComparers.compareNameFn);
         LUISJSON.prebuiltEntities.sort(sortComparers.compareNameFn);
         LUISJSON.utterances.sort(sortComparers.compareIntentFn);
@@ -13,17 +13,33 @@ const txtfile = require('./../lufile/read-text-file');
 const BuildDiagnostic = require('./../lufile/diagnostic').BuildDiagnostic;
 const LUISObjNameEnum = require('./../lufile/enums/luisobjenum');
 const luisJSON = require('./../luisfile/parseLuisFile');
+const ParseCache = require('./../lufile/parseCache');
+const parseWorkers = require('./../lufile/parseWorkers');
+
+// LUIS model collections an entity reference can import from
+const EntityCollections = [LUISObjNameEnum.ENTITIES, LUISObjNameEnum.CLOSEDLISTS, LUISObjNameEnum.REGEX, LUISObjNameEnum.PATTERNANYENTITY, LUISObjNameEnum.COMPOSITES, 'prebuiltEntities', 'model_features'];
 
 
 module.exports = {
-    mergeAndResolveReferences: async function (files, verbose, luis_culture){
-        let allParsedContent = await getAgregatedDataFromLuFiles(files, verbose, luis_culture)
+    /**
+     * Parse .lu files and the files they reference, and resolve references between them
+     * @param {string[]} files .lu files
+     * @param {boolean} verbose indicates if we need verbose logging
+     * @param {string} luis_culture LUIS language code
+     * @param {ReferenceCache} referenceCache optional cache to resolve URL references with
+     * @param {Object} parseOptions optional parse cache and number of worker threads, { cache: ParseCache, workers: number }
+     * @returns {Object} parsed LUIS, QnA and QnA alterations content of all files
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    mergeAndResolveReferences: async function (files, verbose, luis_culture, referenceCache, parseOptions){
+        let allParsedContent = await getAgregatedDataFromLuFiles(files, verbose, luis_culture, referenceCache, parseOptions)
+        resolveEntityReferences(allParsedContent)
         await resolveReferencesInUtterances(allParsedContent)
         return allParsedContent
     }
 }
 
-const getAgregatedDataFromLuFiles = async function (filesToParse, log, luis_culture) {
+const getAgregatedDataFromLuFiles = async function (filesToParse, log, luis_culture, referenceCache, parseOptions) {
     let parsedContent = '';
     let allParsedLUISContent = [];
     let allParsedQnAContent = [];
@@ -31,6 +47,7 @@ const getAgregatedDataFromLuFiles = async function (filesToParse, log, luis_cult
  
     filesToParse = filesToParseClass.stringArrayToFileToParseList(filesToParse);
     let parsedFiles = [];
+    let prefetched = new Map();
     while (filesToParse.length > 0) {
         let file = filesToParse[0].filePath;
         // skip this file if we have parsed it already
@@ -38,12 +55,20 @@ const getAgregatedDataFromLuFiles = async function (filesToParse, log, luis_cult
             filesToParse.splice(0,1)
             continue;
         }
-        parsedContent = await parseLuFile(file, log, luis_culture)
+        // parse the files waiting in the list together, they are still merged in list order
+        if (parseOptions && !prefetched.has(file)) {
+            await prefetchLuFiles(filesToParse.map(item => item.filePath).filter(item => !parsedFiles.includes(item)), log, luis_culture, parseOptions, prefetched);
+        }
+        parsedContent = await parseLuFile(file, log, luis_culture, referenceCache, parseOptions, prefetched)
         parsedFiles.push(file);
         try {
-            if (haveLUISContent(parsedContent.LUISJsonStructure)
-                && await luisJSON.validateLUISBlob(parsedContent.LUISJsonStructure)) {
-                allParsedLUISContent.push(parserObject.create(parsedContent.LUISJsonStructure, undefined, undefined, file, filesToParse[0].includeInCollate));
+            // files that only import entities or only have overlay directives still need to be collated
+            if ((haveLUISContent(parsedContent.LUISJsonStructure)
+                && await luisJSON.validateLUISBlob(parsedContent.LUISJsonStructure)) || parsedContent.entityReferences.length > 0 || parsedContent.overlayDirectives.length > 0) {
+                let luisObject = parserObject.create(parsedContent.LUISJsonStructure, undefined, undefined, file, filesToParse[0].includeInCollate);
+                luisObject.entityReferences = parsedContent.entityReferences;
+                luisObject.overlayDirectives = parsedContent.overlayDirectives;
+                allParsedLUISContent.push(luisObject);
             }
         } catch (err) {
             throw (err);
@@ -105,7 +130,38 @@ const updateParsedFiles = function(allParsedLUISContent, allParsedQnAContent, al
     if(matchInAlterations && (matchInAlterations.includeInCollate === false && file.includeInCollate === true)) matchInAlterations.includeInCollate = true;
 } 
 
-const parseLuFile = async function(file, log, luis_culture) {
+/**
+ * Helper function to get the parsed content of files from the parse cache, and parse the others on worker threads
+ * @param {string[]} files .lu files waiting to be parsed
+ * @param {boolean} log indicates if we need verbose logging
+ * @param {string} luis_culture LUIS language code
+ * @param {Object} parseOptions parse cache and number of worker threads
+ * @param {Map<string, Object>} prefetched parsed content or error by file, updated in place. Files without either are
+ * not in the cache and are parsed when they are merged
+ * @returns {void} Nothing
+ */
+const prefetchLuFiles = async function(files, log, luis_culture, parseOptions, prefetched) {
+    let jobs = [];
+    for (const file of new Set(files)) {
+        // files that cannot be read are reported when they are merged
+        if (prefetched.has(file) || !fs.existsSync(path.resolve(file))) continue;
+        let content = txtfile.readSync(file);
+        if (!content) continue;
+        let parsed = parseOptions.cache ? await parseOptions.cache.get(content, luis_culture) : undefined;
+        prefetched.set(file, { parsed: parsed });
+        // URL references are resolved on the main thread, with the reference cache
+        if (parsed === undefined && ParseCache.canCache(content)) jobs.push({ file: file, content: content, culture: luis_culture });
+    }
+    let workers = parseWorkers.count(parseOptions.workers, jobs.length);
+    if (workers === 0) return;
+    let results = await parseWorkers.parseAll(jobs, workers, log);
+    for (let idx = 0; idx < jobs.length; idx++) {
+        if (results[idx].error === undefined && parseOptions.cache) await parseOptions.cache.set(jobs[idx].content, luis_culture, results[idx].json);
+        prefetched.set(jobs[idx].file, results[idx]);
+    }
+}
+
+const parseLuFile = async function(file, log, luis_culture, referenceCache, parseOptions, prefetched) {
     if(!fs.existsSync(path.resolve(file))) {
         let error = BuildDiagnostic({
             message: `Sorry unable to open [${file}]`
@@ -124,9 +180,21 @@ const parseLuFile = async function(file, log, luis_culture) {
         process.stdout.write(chalk.default.whiteBright('Parsing file: ' + file + '\n'));
     }
 
-    let parsedContent = '';
+    let parsedContent;
+    let cache = parseOptions ? parseOptions.cache : undefined;
     try {
-        parsedContent = await parseFileContents.parseFile(fileContent, log, luis_culture);
+        if (prefetched && prefetched.has(file)) {
+            let result = prefetched.get(file);
+            prefetched.delete(file);
+            if (result.error) throw (result.error);
+            parsedContent = result.parsed;
+        } else if (cache) {
+            parsedContent = await cache.get(fileContent, luis_culture);
+        }
+        if (parsedContent === undefined) {
+            parsedContent = await parseFileContents.parseFile(fileContent, log, luis_culture, referenceCache);
+            if (cache) await cache.set(fileContent, luis_culture, parsedContent);
+        }
     } catch (err) {
         throw(err);
     }
@@ -153,6 +221,86 @@ const haveLUISContent = function(blob) {
     (blob.composites.length > 0));
 }
 
+/**
+ * Helper function to import entity definitions referenced with [desc](file.lu#@entity) into the referencing files,
+ * together with the entities, lists and phrase lists they use as features or children
+ * @param {Object} allParsedContent parsed content of all files
+ * @returns {void} Nothing
+ * @throws {exception} Throws if the referenced file or entity cannot be found
+ */
+const resolveEntityReferences = function(allParsedContent) {
+    (allParsedContent.LUISContent || []).forEach(luisModel => {
+        (luisModel.entityReferences || []).forEach(reference => {
+            let luFile = path.isAbsolute(reference.luFile) ? reference.luFile : path.resolve(path.dirname(luisModel.srcFile), reference.luFile);
+            let parsedLUISBlob = (allParsedContent.LUISContent || []).find(item => item.srcFile == luFile);
+            if (!importEntity(luisModel.LUISJsonStructure, parsedLUISBlob ? parsedLUISBlob.LUISJsonStructure : undefined, reference.entity)) {
+                let error = BuildDiagnostic({
+                    message: `Unable to parse ${reference.text} in file: ${luisModel.srcFile}. Entity "${reference.entity}" is not defined in ${luFile}`
+                });
+
+                throw (new exception(retCode.errorCode.INVALID_INPUT, error.toString()));
+            }
+        });
+    });
+}
+
+/**
+ * Helper function to copy an entity definition and the definitions it depends on from one LUIS model to another
+ * @param {Object} target LUIS model to import into
+ * @param {Object} source LUIS model to import from
+ * @param {string} name entity name
+ * @returns {boolean} true if the entity is defined in the source model
+ */
+const importEntity = function(target, source, name) {
+    if (source === undefined) return false;
+    let collection = EntityCollections.find(item => (source[item] || []).find(entity => entity.name == name) !== undefined);
+    if (collection === undefined) return false;
+    if ((target[collection] || []).find(entity => entity.name == name) !== undefined) return true;
+    let definition = JSON.parse(JSON.stringify(source[collection].find(entity => entity.name == name)));
+    if (target[collection] === undefined) target[collection] = [];
+    target[collection].push(definition);
+    let dependencies = (definition.features || []).map(feature => feature.modelName || feature.featureName);
+    if (collection === LUISObjNameEnum.COMPOSITES) dependencies = dependencies.concat((definition.children || []).map(child => child.split(':')[0]));
+    dependencies.forEach(dependency => importEntity(target, source, dependency));
+    return true;
+}
+
+/**
+ * Helper function to match intent names against a reference that may be a glob with * wildcards
+ * @param {string} reference intent name or glob
+ * @returns {Function} function that returns true for matching intent names
+ */
+const intentMatcher = function(reference) {
+    if (!reference.includes('*')) return intent => intent == reference;
+    let glob = new RegExp('^' + reference.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return intent => glob.test(intent);
+}
+
+/**
+ * Helper function to check if an utterance or pattern uses an entity
+ * @param {string} text utterance or pattern text
+ * @param {Object []} labels entity labels of the utterance
+ * @param {string} entity entity or role name
+ * @returns {boolean} true if the entity or role is labeled or referenced in the text
+ */
+const usesEntity = function(text, labels, entity) {
+    if ((labels || []).find(label => label.entity == entity || label.role == entity) !== undefined) return true;
+    return ((text || '').match(/\{[^}]*\}/g) || []).some(reference => {
+        return reference.replace(/[{}@]/g, '').split('=')[0].split(':').map(name => name.trim()).includes(entity);
+    });
+}
+
+/**
+ * Helper function to get the labels an utterance imported with a label filter keeps
+ * @param {Object} utterance parsed utterance with its labels
+ * @param {String} entity entity or role of the label filter, undefined without a filter
+ * @returns {Object []} copies of the labels of the entity or role. Without a filter imported utterances have no labels.
+ */
+const labelsOf = function(utterance, entity) {
+    if (entity === undefined) return [];
+    return (utterance.entities || []).filter(label => label.entity == entity || label.role == entity).map(label => Object.assign({}, label));
+}
+
 const resolveReferencesInUtterances = async function(allParsedContent) {
     // find LUIS utterances that have references
     (allParsedContent.LUISContent || []).forEach(luisModel => {
@@ -191,8 +339,19 @@ const resolveReferencesInUtterances = async function(allParsedContent) {
                             throw (new exception(retCode.errorCode.INVALID_INPUT, error.toString()));
                         }
 
-                        // get questions list from .lu file and update list
-                        parsedQnABlob.qnaJsonStructure.qnaList.forEach(item => item.questions.forEach(question => newUtterancesToAdd.push(new hClasses.uttereances(question, utterance.intent))));
+                        // get questions list from .lu file and update list. A question ID picks one QnA pair by its position in the file.
+                        let qnaList = parsedQnABlob.qnaJsonStructure.qnaList;
+                        if (parsedUtterance.qnaId !== undefined) {
+                            if (parsedUtterance.qnaId < 1 || parsedUtterance.qnaId > qnaList.length) {
+                                let error = BuildDiagnostic({
+                                    message: `Unable to parse ${utterance.text} in file: ${luisModel.srcFile}. ${parsedUtterance.luFile} has no question with ID ${parsedUtterance.qnaId}, it has ${qnaList.length} question(s).`
+                                });
+
+                                throw (new exception(retCode.errorCode.INVALID_INPUT, error.toString()));
+                            }
+                            qnaList = [qnaList[parsedUtterance.qnaId - 1]];
+                        }
+                        qnaList.forEach(item => item.questions.forEach(question => newUtterancesToAdd.push(new hClasses.uttereances(question, utterance.intent))));
                     }
                     spliceList.push(idx);
                 } else {
@@ -221,14 +380,24 @@ const resolveReferencesInUtterances = async function(allParsedContent) {
                     } else if (parsedUtterance.ref.toLowerCase().includes('patterns')) {
                         // Find all patterns and add them
                         (parsedLUISBlob.LUISJsonStructure.patterns || []).forEach(item => utterances.push(new hClasses.uttereances(item.pattern, item.intent)));
+                    } else if (parsedUtterance.ref === '') {
+                        // an entity reference alone picks from all intents
+                        utterances = parsedLUISBlob.LUISJsonStructure.utterances;
+                        patterns = parsedLUISBlob.LUISJsonStructure.patterns;
                     } else {
-                        // get utterance list from reference intent and update list
+                        // get utterance list from reference intent, or intents matching a glob, and update list
                         let referenceIntent = parsedUtterance.ref.replace(/-/g, ' ').trim();
-                        utterances = parsedLUISBlob.LUISJsonStructure.utterances.filter(item => item.intent == referenceIntent);
+                        let matchesIntent = intentMatcher(referenceIntent);
+                        utterances = parsedLUISBlob.LUISJsonStructure.utterances.filter(item => matchesIntent(item.intent));
                         // find and add any patterns for this intent
-                        patterns = parsedLUISBlob.LUISJsonStructure.patterns.filter(item => item.intent == referenceIntent);
+                        patterns = parsedLUISBlob.LUISJsonStructure.patterns.filter(item => matchesIntent(item.intent));
+                    }
+                    if (parsedUtterance.entity !== undefined) {
+                        // label filter: only utterances labeled with, and patterns referencing, the entity or role
+                        utterances = (utterances || []).filter(item => usesEntity(item.text, item.entities, parsedUtterance.entity));
+                        patterns = (patterns || []).filter(item => usesEntity(item.pattern, [], parsedUtterance.entity));
                     }
-                    (utterances || []).forEach(item => newUtterancesToAdd.push(new hClasses.uttereances(item.text, utterance.intent)));
+                    (utterances || []).forEach(item => newUtterancesToAdd.push(new hClasses.uttereances(item.text, utterance.intent, labelsOf(item, parsedUtterance.entity))));
                     (patterns || []).forEach(item => newPatternsToAdd.push(new hClasses.pattern(item.pattern, utterance.intent)));
                     // remove this reference utterance from the list
                     spliceList.push(idx);
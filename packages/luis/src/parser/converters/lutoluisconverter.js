@@ -5,14 +5,20 @@ const retCode = require('./../lufile/enums/CLI-errors')
 const helpers = require('./../lufile/helpers')
 const exception = require('./../lufile/classes/exception')
 const LUISObjNameEnum = require('./../lufile/enums/luisobjenum')
+const overlay = require('./../lufile/overlay')
 
 module.exports = {
-    parseLuToLuis: async function(files, verbose, luis_culture) {
+    parseLuToLuis: async function(files, verbose, luis_culture, referenceCache, overlayFiles, parseOptions) {
         try {
             // Extract all lu files and merge all into and object
-            let allParsedContent = await lu.mergeAndResolveReferences(files, verbose, luis_culture)
+            let allParsedContent = await lu.mergeAndResolveReferences(files, verbose, luis_culture, referenceCache, parseOptions)
+            // environment overlays are parsed on their own so they can patch the collated base content
+            let overlays = []
+            if (overlayFiles && overlayFiles.length > 0) {
+                overlays = (await lu.mergeAndResolveReferences(overlayFiles, verbose, luis_culture, referenceCache, parseOptions)).LUISContent.filter(item => item.includeInCollate)
+            }
             // pass only files that need to be collated.
-            let finalLUISJSON  = await this.collateLUISFiles(allParsedContent.LUISContent.filter(item => item.includeInCollate))
+            let finalLUISJSON  = await this.collateLUISFiles(allParsedContent.LUISContent.filter(item => item.includeInCollate), overlays)
             if (haveLUISContent(finalLUISJSON)) {
                 await luisJSON.validateLUISBlob(finalLUISJSON)
             }
@@ -24,140 +30,297 @@ module.exports = {
     /**
      * Collate LUIS sections across parsed files into one LUIS collection
      * @param {LUIS []} parsedLUISList Contents of all parsed file blobs
+     * @param {parserObject []} overlays Parsed environment overlays, applied in order after the files are collated
      * @returns {LUIS} Collated LUIS json contents
      * @throws {exception} Throws on errors. exception object includes errCode and text. 
      */
-    collateLUISFiles: async function (parsedLUISList) {
+    collateLUISFiles: async function (parsedLUISList, overlays) {
         if (parsedLUISList.length === 0) return undefined;
         let FinalLUISJSON = parsedLUISList[0].LUISJsonStructure;
         parsedLUISList.splice(0, 1);
-        parsedLUISList.forEach(function (blob) {
-            blob = blob.LUISJsonStructure;
-            mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.INTENT);
-            mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.ENTITIES);
-            mergeResults_closedlists(blob, FinalLUISJSON, LUISObjNameEnum.CLOSEDLISTS);
-            mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.UTTERANCE);
-            mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.PATTERNS);
-            mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.PATTERNANYENTITY);
+        parsedLUISList.forEach(blob => mergeLUISBlob(blob.LUISJsonStructure, FinalLUISJSON));
+        (overlays || []).forEach(overlayObject => {
+            overlay.applyDirectives(FinalLUISJSON, overlayObject);
+            mergeLUISBlob(overlayObject.LUISJsonStructure, FinalLUISJSON);
+            overlay.applySettings(FinalLUISJSON, overlayObject.LUISJsonStructure);
+        });
+        helpers.updateFeatureReferences(FinalLUISJSON);
+        return FinalLUISJSON;
+    },
+    /**
+     * Convert collated LUIS JSON content to the LUIS v3 app schema (7.0.0)
+     * @param {LUIS} LUISJSON Collated LUIS json contents
+     * @returns {LUIS} LUIS json contents with hierarchical entities and phraselists
+     */
+    convertToSchemaVersion7: function (LUISJSON) {
+        LUISJSON.luis_schema_version = '7.0.0';
+        (LUISJSON.intents || []).forEach(intent => {
+            if (intent.features === undefined) intent.features = [];
+        });
+        // composites become machine learned entities with one child per composite child
+        let entities = (LUISJSON.entities || []).concat((LUISJSON.composites || []).map(composite => {
+            return {
+                name: composite.name,
+                roles: composite.roles || [],
+                children: (composite.children || []).map(child => compositeChildToEntity(LUISJSON, child))
+            };
+        }));
+        entities.forEach(entity => {
+            if (entity.children === undefined) entity.children = [];
+            if (entity.features === undefined) entity.features = [];
+        });
+        LUISJSON.entities = entities;
+        LUISJSON.hierarchicals = [];
+        LUISJSON.composites = [];
+        (LUISJSON.utterances || []).forEach(utterance => {
+            utterance.entities = nestChildLabels(utterance.entities || [], LUISJSON.entities);
+        });
+        removeImplicitChildEntities(LUISJSON);
+        LUISJSON.phraselists = (LUISJSON.model_features || []).map(phraseList => {
+            return {
+                name: phraseList.name,
+                mode: phraseList.mode,
+                words: phraseList.words,
+                activated: phraseList.activated,
+                enabledForAllModels: phraseList.enabledForAllModels === undefined ? true : phraseList.enabledForAllModels
+            };
+        });
+        delete LUISJSON.model_features;
+        return LUISJSON;
+    },
+    /**
+     * Remove the children and features of machine learned entities, which only the LUIS v3 app schema (7.0.0) defines
+     * @param {LUIS} LUISJSON Collated LUIS json contents
+     * @returns {LUIS} LUIS json contents for schema version 3.2.0
+     */
+    convertToSchemaVersion3: function (LUISJSON) {
+        (LUISJSON.entities || []).forEach(entity => {
+            delete entity.children;
+            delete entity.features;
+        });
+        return LUISJSON;
+    }
+}
 
-            // do we have regex entities here?
-            if (blob.regex_entities.length > 0) {
-                blob.regex_entities.forEach(function (regexEntity) {
-                    // do we have the same entity in final?
-                    let entityExistsInFinal = (FinalLUISJSON.regex_entities || []).find(item => item.name == regexEntity.name);
-                    if (entityExistsInFinal === undefined) {
-                        FinalLUISJSON.regex_entities.push(regexEntity);
-                    } else {
-                        // verify that the pattern is the same
-                        if (entityExistsInFinal.regexPattern !== regexEntity.regexPattern) {
-                            throw (new exception(retCode.errorCode.INVALID_REGEX_ENTITY, `[ERROR]: RegEx entity : ${regexEntity.name} has inconsistent pattern definitions. \n 1. ${regexEntity.regexPattern} \n 2. ${entityExistsInFinal.regexPattern}`));
-                        }
-                        // merge roles
-                        if (entityExistsInFinal.roles.length > 0) {
-                            (regexEntity.roles || []).forEach(function (role) {
-                                if (!entityExistsInFinal.roles.includes(role))
-                                    entityExistsInFinal.roles.push(role);
-                            })
-                        }
-                    }
-                })
+/**
+ * Helper function to merge the LUIS sections of a parsed file blob into the collated LUIS content
+ * @param {LUIS} blob LUIS json contents of one file
+ * @param {LUIS} FinalLUISJSON collated LUIS json contents, updated in place
+ * @returns {void} Nothing
+ * @throws {exception} Throws on conflicting definitions. exception object includes errCode and text.
+ */
+const mergeLUISBlob = function (blob, FinalLUISJSON) {
+    mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.INTENT);
+    mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.ENTITIES);
+    mergeResults_closedlists(blob, FinalLUISJSON, LUISObjNameEnum.CLOSEDLISTS);
+    mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.UTTERANCE);
+    mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.PATTERNS);
+    mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.PATTERNANYENTITY);
+
+    // do we have regex entities here?
+    if (blob.regex_entities.length > 0) {
+        blob.regex_entities.forEach(function (regexEntity) {
+            // do we have the same entity in final?
+            let entityExistsInFinal = (FinalLUISJSON.regex_entities || []).find(item => item.name == regexEntity.name);
+            if (entityExistsInFinal === undefined) {
+                FinalLUISJSON.regex_entities.push(regexEntity);
+            } else {
+                // verify that the pattern is the same
+                if (entityExistsInFinal.regexPattern !== regexEntity.regexPattern) {
+                    throw (new exception(retCode.errorCode.INVALID_REGEX_ENTITY, `[ERROR]: RegEx entity : ${regexEntity.name} has inconsistent pattern definitions. \n 1. ${regexEntity.regexPattern} \n 2. ${entityExistsInFinal.regexPattern}`));
+                }
+                // merge roles
+                if (entityExistsInFinal.roles.length > 0) {
+                    (regexEntity.roles || []).forEach(function (role) {
+                        if (!entityExistsInFinal.roles.includes(role))
+                            entityExistsInFinal.roles.push(role);
+                    })
+                }
             }
+        })
+    }
 
-            // do we have prebuiltEntities here?
-            if (blob.prebuiltEntities.length > 0) {
-                blob.prebuiltEntities.forEach(function (prebuiltEntity) {
-                    let prebuiltTypeExists = false;
-                    for (let fIndex in FinalLUISJSON.prebuiltEntities) {
-                        if (prebuiltEntity.name === FinalLUISJSON.prebuiltEntities[fIndex].name) {
-                            // do we have all the roles? if not, merge the roles
-                            prebuiltEntity.roles.forEach(function (role) {
-                                if (!FinalLUISJSON.prebuiltEntities[fIndex].roles.includes(role)) {
-                                    FinalLUISJSON.prebuiltEntities[fIndex].roles.push(role);
-                                }
-                            });
-                            prebuiltTypeExists = true;
-                            break;
+    // do we have prebuiltEntities here?
+    if (blob.prebuiltEntities.length > 0) {
+        blob.prebuiltEntities.forEach(function (prebuiltEntity) {
+            let prebuiltTypeExists = false;
+            for (let fIndex in FinalLUISJSON.prebuiltEntities) {
+                if (prebuiltEntity.name === FinalLUISJSON.prebuiltEntities[fIndex].name) {
+                    // do we have all the roles? if not, merge the roles
+                    prebuiltEntity.roles.forEach(function (role) {
+                        if (!FinalLUISJSON.prebuiltEntities[fIndex].roles.includes(role)) {
+                            FinalLUISJSON.prebuiltEntities[fIndex].roles.push(role);
                         }
-                    }
-                    if (!prebuiltTypeExists) {
-                        FinalLUISJSON.prebuiltEntities.push(prebuiltEntity);
-                    }
-                });
+                    });
+                    prebuiltTypeExists = true;
+                    break;
+                }
             }
-            // do we have model_features?
-            if (blob.model_features.length > 0) {
-                blob.model_features.forEach(function (modelFeature) {
-                    let modelFeatureInMaster = helpers.filterMatch(FinalLUISJSON.model_features, 'name', modelFeature.name);
-                    if (modelFeatureInMaster.length === 0) {
-                        FinalLUISJSON.model_features.push(modelFeature);
-                    } else {
-                        if (modelFeatureInMaster[0].mode !== modelFeature.mode) {
-                            // error.
-                            throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Phrase list : "' + modelFeature.name + '" has conflicting definitions. One marked interchangeable and another not interchangeable'));
-                        } else {
-                            modelFeature.words.split(',').forEach(function (word) {
-                                if (!modelFeatureInMaster[0].words.includes(word)) modelFeatureInMaster[0].words += "," + word;
-                            })
-                        }
-                    }
-                });
+            if (!prebuiltTypeExists) {
+                FinalLUISJSON.prebuiltEntities.push(prebuiltEntity);
             }
-
-            // do we have composites? collate them correctly
-            (blob.composites || []).forEach(composite => {
-                let compositeInMaster = helpers.filterMatch(FinalLUISJSON.composites, 'name', composite.name);
-                if (compositeInMaster.length === 0) {
-                    FinalLUISJSON.composites.push(composite);
+        });
+    }
+    // do we have model_features?
+    if (blob.model_features.length > 0) {
+        blob.model_features.forEach(function (modelFeature) {
+            let modelFeatureInMaster = helpers.filterMatch(FinalLUISJSON.model_features, 'name', modelFeature.name);
+            if (modelFeatureInMaster.length === 0) {
+                FinalLUISJSON.model_features.push(modelFeature);
+            } else {
+                if (modelFeatureInMaster[0].mode !== modelFeature.mode) {
+                    // error.
+                    throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Phrase list : "' + modelFeature.name + '" has conflicting definitions. One marked interchangeable and another not interchangeable'));
                 } else {
-                    if (JSON.stringify(composite.children.sort()) !== JSON.stringify(compositeInMaster[0].children.sort())) {
-                        throw (new exception(retCode.errorCode.INVALID_COMPOSITE_ENTITY, `[ERROR]: Composite entity: ${composite.name} has multiple definition with different children. \n 1. ${compositeInMaster[0].children.join(', ')}\n 2. ${composite.children.join(', ')}`));
-                    } else {
-                        // merge roles
-                        (composite.roles || []).forEach(blobRole => {
-                            if (!compositeInMaster[0].roles.includes(blobRole)) {
-                                compositeInMaster[0].roles.push(blobRole);
-                            }
-                        })
-                    }
+                    modelFeature.words.split(',').forEach(function (word) {
+                        if (!modelFeatureInMaster[0].words.includes(word)) modelFeatureInMaster[0].words += "," + word;
+                    })
                 }
-            });
+            }
+        });
+    }
 
-            // do we have pattern.any entities here? 
-            (blob.patternAnyEntities || []).forEach(patternAny => {
-                let paIdx = -1;
-                let patternAnyInMaster = FinalLUISJSON.patternAnyEntities.find((item, idx) => {
-                    if (item.name === patternAny.name) {
-                        paIdx = idx;
-                        return true;
-                    }
-                    return false;
-                });
-                // verify that this patternAny entity does not exist as any other type
-                let simpleEntityInMaster = FinalLUISJSON.entities.find(item => item.name == patternAny.name);
-                let compositeInMaster = FinalLUISJSON.composites.find(item => item.name == patternAny.name);
-                let listEntityInMaster = FinalLUISJSON.closedLists.find(item => item.name == patternAny.name);
-                let regexEntityInMaster = FinalLUISJSON.regex_entities.find(item => item.name == patternAny.name);
-                let prebuiltInMaster = FinalLUISJSON.prebuiltEntities.find(item => item.name == patternAny.name);
-                if (!simpleEntityInMaster && 
-                    !compositeInMaster &&
-                    !listEntityInMaster &&
-                    !regexEntityInMaster &&
-                    !prebuiltInMaster) {
-                    if (patternAnyInMaster) {
-                        (patternAny.roles || []).forEach(role => !patternAnyInMaster.roles.includes(role) ? patternAnyInMaster.roles.push(role) : undefined);
-                    } else {
-                            FinalLUISJSON.patternAnyEntities.push(patternAny);
-                    }
-                } else {
-                    // remove the pattern.any from master if another entity type has this name.
-                    if (patternAnyInMaster) {
-                        if (paIdx !== -1) FinalLUISJSON.patternAnyEntities.splice(paIdx, 1);
+    // do we have composites? collate them correctly
+    (blob.composites || []).forEach(composite => {
+        let compositeInMaster = helpers.filterMatch(FinalLUISJSON.composites, 'name', composite.name);
+        if (compositeInMaster.length === 0) {
+            FinalLUISJSON.composites.push(composite);
+        } else {
+            if (JSON.stringify(composite.children.sort()) !== JSON.stringify(compositeInMaster[0].children.sort())) {
+                throw (new exception(retCode.errorCode.INVALID_COMPOSITE_ENTITY, `[ERROR]: Composite entity: ${composite.name} has multiple definition with different children. \n 1. ${compositeInMaster[0].children.join(', ')}\n 2. ${composite.children.join(', ')}`));
+            } else {
+                // merge roles
+                (composite.roles || []).forEach(blobRole => {
+                    if (!compositeInMaster[0].roles.includes(blobRole)) {
+                        compositeInMaster[0].roles.push(blobRole);
                     }
-                }
-            })
+                })
+            }
+        }
+    });
+
+    // do we have pattern.any entities here? 
+    (blob.patternAnyEntities || []).forEach(patternAny => {
+        let paIdx = -1;
+        let patternAnyInMaster = FinalLUISJSON.patternAnyEntities.find((item, idx) => {
+            if (item.name === patternAny.name) {
+                paIdx = idx;
+                return true;
+            }
+            return false;
         });
-        return FinalLUISJSON;
+        // verify that this patternAny entity does not exist as any other type
+        let simpleEntityInMaster = FinalLUISJSON.entities.find(item => item.name == patternAny.name);
+        let compositeInMaster = FinalLUISJSON.composites.find(item => item.name == patternAny.name);
+        let listEntityInMaster = FinalLUISJSON.closedLists.find(item => item.name == patternAny.name);
+        let regexEntityInMaster = FinalLUISJSON.regex_entities.find(item => item.name == patternAny.name);
+        let prebuiltInMaster = FinalLUISJSON.prebuiltEntities.find(item => item.name == patternAny.name);
+        if (!simpleEntityInMaster && 
+            !compositeInMaster &&
+            !listEntityInMaster &&
+            !regexEntityInMaster &&
+            !prebuiltInMaster) {
+            if (patternAnyInMaster) {
+                (patternAny.roles || []).forEach(role => !patternAnyInMaster.roles.includes(role) ? patternAnyInMaster.roles.push(role) : undefined);
+            } else {
+                    FinalLUISJSON.patternAnyEntities.push(patternAny);
+            }
+        } else {
+            // remove the pattern.any from master if another entity type has this name.
+            if (patternAnyInMaster) {
+                if (paIdx !== -1) FinalLUISJSON.patternAnyEntities.splice(paIdx, 1);
+            }
+        }
+    })
+}
+
+/**
+ * Helper function to convert a composite child reference to a machine learned child entity
+ * @param {LUIS} LUISJSON Collated LUIS json contents
+ * @param {String} child composite child reference, optionally qualified with a role as entity:role
+ * @returns {Object} child entity definition
+ */
+const compositeChildToEntity = function (LUISJSON, child) {
+    let childParts = child.split(':').map(item => item.trim());
+    let entityName = childParts[0];
+    let isInstanceOf = ['prebuiltEntities', 'closedLists', 'regex_entities']
+        .some(type => (LUISJSON[type] || []).find(item => item.name == entityName) !== undefined);
+    return {
+        name: childParts[1] || entityName,
+        instanceOf: isInstanceOf ? entityName : null,
+        children: [],
+        features: isInstanceOf ? [] : [{ modelName: entityName }]
+    };
+}
+
+/**
+ * Helper function to nest utterance labels of child entities under the labels of their machine learned parent
+ * @param {Object []} labels entity labels in an utterance
+ * @param {Object []} entities entity definitions the labels can refer to
+ * @returns {Object []} nested entity labels
+ */
+const nestChildLabels = function (labels, entities) {
+    // outermost labels first; for labels spanning the same text, parents before their children
+    let isParentOf = (a, b) => {
+        let entity = entities.find(item => item.name == a.entity);
+        return entity !== undefined && getDescendantNames(entity.children || []).includes(b.entity);
+    };
+    let remaining = labels.slice().sort((a, b) => (a.startPos - b.startPos) || (b.endPos - a.endPos) ||
+        (isParentOf(a, b) ? -1 : (isParentOf(b, a) ? 1 : 0)));
+    let result = [];
+    while (remaining.length > 0) {
+        let label = remaining.shift();
+        let entity = entities.find(item => item.name == label.entity);
+        let children = entity && entity.children ? entity.children : [];
+        let descendants = getDescendantNames(children);
+        let childLabels = remaining.filter(item => item.startPos >= label.startPos && item.endPos <= label.endPos && descendants.includes(item.entity));
+        remaining = remaining.filter(item => !childLabels.includes(item));
+        result.push(Object.assign({}, label, { children: nestChildLabels(childLabels, children) }));
     }
+    return result;
+}
+
+/**
+ * Helper function to get names of all child entities at any depth
+ * @param {Object []} children child entity definitions
+ * @returns {String []} child entity names
+ */
+const getDescendantNames = function (children) {
+    let names = [];
+    children.forEach(child => {
+        names.push(child.name);
+        names = names.concat(getDescendantNames(child.children || []));
+    });
+    return names;
+}
+
+/**
+ * Helper function to remove entities implicitly added by labels of machine learned child entities
+ * @param {LUIS} LUISJSON LUIS json contents with nested utterance labels
+ * @returns {void} Nothing
+ */
+const removeImplicitChildEntities = function (LUISJSON) {
+    let childNames = getDescendantNames(LUISJSON.entities.reduce((children, entity) => children.concat(entity.children), []));
+    let featureNames = getFeatureNames(LUISJSON.entities.concat(LUISJSON.intents || []));
+    LUISJSON.entities = LUISJSON.entities.filter(entity => {
+        if (!childNames.includes(entity.name) || featureNames.includes(entity.name)) return true;
+        if (entity.roles.length !== 0 || entity.children.length !== 0 || entity.features.length !== 0) return true;
+        return (LUISJSON.utterances || []).find(utterance => utterance.entities.find(label => label.entity == entity.name)) !== undefined;
+    });
+}
+
+/**
+ * Helper function to get names of all models used as features by the given intents or entities at any depth
+ * @param {Object []} items intent or entity definitions
+ * @returns {String []} model names
+ */
+const getFeatureNames = function (items) {
+    let names = [];
+    items.forEach(item => {
+        (item.features || []).forEach(feature => feature.modelName !== undefined ? names.push(feature.modelName) : undefined);
+        names = names.concat(getFeatureNames(item.children || []));
+    });
+    return names;
 }
 
 /**
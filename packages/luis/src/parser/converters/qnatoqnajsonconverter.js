@@ -4,9 +4,9 @@ const qna = require('./../lufile/classes/qna')
 const qnaAlterations = require('./../lufile/classes/qnaAlterations');
 
 module.exports = {
-    parseQnaToJson: async function(files, verbose, luis_culture) {
+    parseQnaToJson: async function(files, verbose, luis_culture, referenceCache) {
         // Extract all lu files and merge all into and object
-        let allParsedContent = await lu.mergeAndResolveReferences(files, verbose, luis_culture)
+        let allParsedContent = await lu.mergeAndResolveReferences(files, verbose, luis_culture, referenceCache)
         // pass only files that need to be collated.
         let finalQnAJSON = await this.collateQnAFiles(allParsedContent.QnAContent.filter(item => item.includeInCollate));
         let finalQnAAlterations = await collateQnAAlterations(allParsedContent.QnAAlterations.filter(item => item.includeInCollate));
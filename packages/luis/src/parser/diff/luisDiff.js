@@ -0,0 +1,298 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const NEWLINE = require('os').EOL;
+
+const luisDiff = {
+    /**
+     * Compute the semantic differences between two LUIS models. Ordering and whitespace are ignored.
+     * @param {Object} base LUIS model to compare against
+     * @param {Object} head changed LUIS model
+     * @returns {Object} intents, utterances, labels, patterns, entities, roles and list entity differences
+     */
+    diff: function (base, head) {
+        base = base || {};
+        head = head || {};
+        return {
+            intents: diffNames((base.intents || []).map(intent => intent.name), (head.intents || []).map(intent => intent.name)),
+            utterances: diffExamples(getExamples(base.utterances, 'text'), getExamples(head.utterances, 'text'), 'text'),
+            labels: diffLabels(getExamples(base.utterances, 'text'), getExamples(head.utterances, 'text')),
+            patterns: diffExamples(getExamples(base.patterns, 'pattern'), getExamples(head.patterns, 'pattern'), 'pattern'),
+            entities: diffEntities(getEntities(base), getEntities(head)),
+            roles: diffRoles(getEntities(base), getEntities(head)),
+            lists: diffLists(base.closedLists || [], head.closedLists || [])
+        };
+    },
+    /**
+     * @param {Object} diff result of diff
+     * @returns {Boolean} true if the models have no differences
+     */
+    isEmpty: function (diff) {
+        return diff.intents.added.length === 0 && diff.intents.removed.length === 0 &&
+            isEmptyExamples(diff.utterances) && isEmptyExamples(diff.patterns) && diff.labels.length === 0 &&
+            diff.entities.added.length === 0 && diff.entities.removed.length === 0 && diff.entities.changed.length === 0 &&
+            diff.roles.length === 0 && diff.lists.length === 0;
+    },
+    /**
+     * Format differences for the console. Added items start with +, removed items with - and changed items with ~
+     * @param {Object} diff result of diff
+     * @returns {string} human readable differences
+     */
+    toText: function (diff) {
+        if (luisDiff.isEmpty(diff)) return 'No differences found.';
+        const sections = [];
+        const addSection = (title, lines) => {
+            if (lines.length > 0) sections.push([`${title}:`].concat(lines.map(line => `  ${line}`)).join(NEWLINE));
+        };
+        addSection('Intents', diff.intents.added.map(name => `+ ${name}`)
+            .concat(diff.intents.removed.map(name => `- ${name}`)));
+        addSection('Utterances', exampleLines(diff.utterances, 'text'));
+        addSection('Labels', diff.labels.map(item => `~ [${item.intent}] ${item.text}: ${changeList(item.added, item.removed)}`));
+        addSection('Patterns', exampleLines(diff.patterns, 'pattern'));
+        addSection('Entities', diff.entities.added.map(entity => `+ ${entity.name} (${entity.type})`)
+            .concat(diff.entities.removed.map(entity => `- ${entity.name} (${entity.type})`))
+            .concat(diff.entities.changed.map(entity => `~ ${entity.name} (${entity.type}): ${entity.property} ${JSON.stringify(entity.before)} -> ${JSON.stringify(entity.after)}`)));
+        addSection('Roles', diff.roles.map(entity => `~ ${entity.name} (${entity.type}): ${changeList(entity.added, entity.removed)}`));
+        addSection('List entities', diff.lists.map(list => {
+            const changes = list.added.map(canonicalForm => `+ ${canonicalForm}`)
+                .concat(list.removed.map(canonicalForm => `- ${canonicalForm}`))
+                .concat(list.changed.map(subList => `~ ${subList.canonicalForm}: ${changeList(subList.added, subList.removed)}`));
+            return `~ ${list.name}: ${changes.join('; ')}`;
+        }));
+        return sections.join(NEWLINE + NEWLINE);
+    }
+};
+
+/**
+ * Helper function to normalize text so whitespace changes are not reported
+ * @param {string} text text to normalize
+ * @returns {string} normalized text
+ */
+const normalize = function (text) {
+    return (text || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Helper function to diff two lists of names
+ * @param {string[]} base names in the base model
+ * @param {string[]} head names in the changed model
+ * @returns {Object} added and removed names, sorted
+ */
+const diffNames = function (base, head) {
+    return {
+        added: head.filter(name => !base.includes(name)).sort(),
+        removed: base.filter(name => !head.includes(name)).sort()
+    };
+}
+
+/**
+ * Helper function to index utterances or patterns by normalized text
+ * @param {Object[]} examples utterances or patterns
+ * @param {string} property text or pattern
+ * @returns {Map} examples by normalized text
+ */
+const getExamples = function (examples, property) {
+    const result = new Map();
+    (examples || []).forEach(example => {
+        const key = normalize(example[property]);
+        if (!result.has(key)) result.set(key, example);
+    });
+    return result;
+}
+
+/**
+ * Helper function to diff utterances or patterns, reporting the ones that changed intent as moved
+ * @param {Map} base examples in the base model
+ * @param {Map} head examples in the changed model
+ * @param {string} property text or pattern
+ * @returns {Object} added, removed and moved examples
+ */
+const diffExamples = function (base, head, property) {
+    const result = { added: [], removed: [], moved: [] };
+    head.forEach((example, key) => {
+        const baseExample = base.get(key);
+        if (baseExample === undefined) {
+            result.added.push({ [property]: key, intent: example.intent });
+        } else if (baseExample.intent !== example.intent) {
+            result.moved.push({ [property]: key, from: baseExample.intent, to: example.intent });
+        }
+    });
+    base.forEach((example, key) => {
+        if (!head.has(key)) result.removed.push({ [property]: key, intent: example.intent });
+    });
+    const byIntent = (a, b) => (a.intent || a.to).localeCompare(b.intent || b.to) || a[property].localeCompare(b[property]);
+    result.added.sort(byIntent);
+    result.removed.sort(byIntent);
+    result.moved.sort(byIntent);
+    return result;
+}
+
+const isEmptyExamples = function (examples) {
+    return examples.added.length === 0 && examples.removed.length === 0 && examples.moved.length === 0;
+}
+
+/**
+ * Helper function to diff the entity labels of utterances found in both models
+ * @param {Map} base utterances in the base model
+ * @param {Map} head utterances in the changed model
+ * @returns {Object[]} utterance, intent and the labels added and removed
+ */
+const diffLabels = function (base, head) {
+    const result = [];
+    head.forEach((utterance, key) => {
+        const baseUtterance = base.get(key);
+        if (baseUtterance === undefined) return;
+        const labels = diffNames(getLabels(baseUtterance), getLabels(utterance));
+        if (labels.added.length === 0 && labels.removed.length === 0) return;
+        result.push({ text: key, intent: utterance.intent, added: labels.added, removed: labels.removed });
+    });
+    return result.sort((a, b) => a.intent.localeCompare(b.intent) || a.text.localeCompare(b.text));
+}
+
+/**
+ * Helper function to describe the entity labels of an utterance in .lu syntax e.g. {toCity:destination=london}
+ * @param {Object} utterance utterance with entity labels
+ * @returns {string[]} labels
+ */
+const getLabels = function (utterance) {
+    return flattenLabels(utterance.entities || []).map(label => {
+        const value = normalize(utterance.text.substring(label.startPos, label.endPos + 1));
+        return `{${label.entity}${label.role ? ':' + label.role : ''}=${value}}`;
+    });
+}
+
+/**
+ * Helper function to flatten nested entity labels of the LUIS 7.0.0 app schema
+ * @param {Object[]} labels entity labels
+ * @returns {Object[]} flat list of entity labels
+ */
+const flattenLabels = function (labels) {
+    let result = [];
+    labels.forEach(label => {
+        result.push(label);
+        result = result.concat(flattenLabels(label.children || []));
+    });
+    return result;
+}
+
+/**
+ * Helper function to index all entity definitions by name
+ * @param {Object} model LUIS model
+ * @returns {Map} type, roles and definition by entity name
+ */
+const getEntities = function (model) {
+    const result = new Map();
+    const add = (collection, type, getDefinition) => (collection || []).forEach(entity => {
+        result.set(entity.name, { type: type, roles: entity.roles || [], definition: getDefinition ? getDefinition(entity) : undefined });
+    });
+    add(model.entities, 'simple', entity => entity.children === undefined ? undefined : { property: 'children', value: getChildNames(entity.children) });
+    add(model.prebuiltEntities, 'prebuilt');
+    add(model.closedLists, 'list');
+    add(model.patternAnyEntities, 'patternany');
+    add(model.regex_entities, 'regex', entity => ({ property: 'pattern', value: entity.regexPattern }));
+    add(model.composites, 'composite', entity => ({ property: 'children', value: getChildNames(entity.children) }));
+    add(model.model_features, 'phraselist', entity => ({ property: 'words', value: splitWords(entity.words) }));
+    add(model.phraselists, 'phraselist', entity => ({ property: 'words', value: splitWords(entity.words) }));
+    return result;
+}
+
+const getChildNames = function (children) {
+    return (children || []).map(child => typeof child === 'string' ? child : child.name).sort();
+}
+
+const splitWords = function (words) {
+    return (words || '').split(',').map(word => word.trim()).filter(word => word !== '').sort();
+}
+
+/**
+ * Helper function to diff entity definitions. Roles and list entity values are reported separately.
+ * @param {Map} base entities in the base model
+ * @param {Map} head entities in the changed model
+ * @returns {Object} added, removed and changed entities
+ */
+const diffEntities = function (base, head) {
+    const result = { added: [], removed: [], changed: [] };
+    head.forEach((entity, name) => {
+        const baseEntity = base.get(name);
+        if (baseEntity === undefined) {
+            result.added.push({ name: name, type: entity.type });
+        } else if (baseEntity.type !== entity.type) {
+            result.changed.push({ name: name, type: entity.type, property: 'type', before: baseEntity.type, after: entity.type });
+        } else if (entity.definition !== undefined && JSON.stringify(baseEntity.definition) !== JSON.stringify(entity.definition)) {
+            const before = baseEntity.definition === undefined ? undefined : baseEntity.definition.value;
+            result.changed.push({ name: name, type: entity.type, property: entity.definition.property, before: before, after: entity.definition.value });
+        }
+    });
+    base.forEach((entity, name) => {
+        if (!head.has(name)) result.removed.push({ name: name, type: entity.type });
+    });
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    result.added.sort(byName);
+    result.removed.sort(byName);
+    result.changed.sort(byName);
+    return result;
+}
+
+/**
+ * Helper function to diff the roles of entities found in both models
+ * @param {Map} base entities in the base model
+ * @param {Map} head entities in the changed model
+ * @returns {Object[]} entity name, type and the roles added and removed
+ */
+const diffRoles = function (base, head) {
+    const result = [];
+    head.forEach((entity, name) => {
+        const baseEntity = base.get(name);
+        if (baseEntity === undefined) return;
+        const roles = diffNames(baseEntity.roles, entity.roles);
+        if (roles.added.length === 0 && roles.removed.length === 0) return;
+        result.push({ name: name, type: entity.type, added: roles.added, removed: roles.removed });
+    });
+    return result.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Helper function to diff the sub lists of list entities found in both models
+ * @param {Object[]} base list entities in the base model
+ * @param {Object[]} head list entities in the changed model
+ * @returns {Object[]} list entity name with the sub lists added, removed and changed
+ */
+const diffLists = function (base, head) {
+    const result = [];
+    head.forEach(list => {
+        const baseList = base.find(item => item.name === list.name);
+        if (baseList === undefined) return;
+        const baseSubLists = getSubLists(baseList);
+        const subLists = getSubLists(list);
+        const canonicalForms = diffNames(Array.from(baseSubLists.keys()), Array.from(subLists.keys()));
+        const changed = [];
+        subLists.forEach((synonyms, canonicalForm) => {
+            if (!baseSubLists.has(canonicalForm)) return;
+            const synonymChanges = diffNames(baseSubLists.get(canonicalForm), synonyms);
+            if (synonymChanges.added.length === 0 && synonymChanges.removed.length === 0) return;
+            changed.push({ canonicalForm: canonicalForm, added: synonymChanges.added, removed: synonymChanges.removed });
+        });
+        if (canonicalForms.added.length === 0 && canonicalForms.removed.length === 0 && changed.length === 0) return;
+        result.push({ name: list.name, added: canonicalForms.added, removed: canonicalForms.removed, changed: changed.sort((a, b) => a.canonicalForm.localeCompare(b.canonicalForm)) });
+    });
+    return result.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+const getSubLists = function (list) {
+    const result = new Map();
+    (list.subLists || []).forEach(subList => result.set(normalize(subList.canonicalForm), (subList.list || []).map(normalize)));
+    return result;
+}
+
+const exampleLines = function (examples, property) {
+    return examples.added.map(example => `+ [${example.intent}] ${example[property]}`)
+        .concat(examples.removed.map(example => `- [${example.intent}] ${example[property]}`))
+        .concat(examples.moved.map(example => `~ [${example.from} -> ${example.to}] ${example[property]}`));
+}
+
+const changeList = function (added, removed) {
+    return added.map(item => `+ ${item}`).concat(removed.map(item => `- ${item}`)).join(' ');
+}
+
+module.exports = luisDiff;
@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const helpers = require('./../lufile/helpers');
+const NEWLINE = require('os').EOL;
+
+const textDiff = {
+    /**
+     * Line by line differences between two texts in unified diff format
+     * @param {string} oldText original text
+     * @param {string} newText changed text
+     * @param {string} oldName name of the original file
+     * @param {string} newName name of the changed file
+     * @param {number} context number of unchanged lines shown around changes, 3 if not specified
+     * @returns {string} unified diff, empty if the texts are the same
+     */
+    unifiedDiff: function (oldText, newText, oldName, newName, context) {
+        context = context === undefined ? 3 : context;
+        const oldLines = splitLines(oldText);
+        const newLines = splitLines(newText);
+        const hunks = getHunks(diffLines(oldLines, newLines), context);
+        if (hunks.length === 0) return '';
+        const result = [`--- ${oldName}`, `+++ ${newName}`];
+        hunks.forEach(hunk => {
+            result.push(`@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@`);
+            hunk.lines.forEach(line => result.push(line));
+        });
+        return result.join(NEWLINE) + NEWLINE;
+    }
+};
+
+const splitLines = function (text) {
+    const lines = helpers.sanitizeNewLines(text || '').split(NEWLINE);
+    // a final line break does not start another line
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Helper function to compute the edit script between two lists of lines from their longest common subsequence.
+ * Lines that are the same at the start and end are skipped before building the table.
+ * @param {string[]} oldLines original lines
+ * @param {string[]} newLines changed lines
+ * @returns {Object[]} operations, each with a type of ' ', '-' or '+' and the line
+ */
+const diffLines = function (oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) suffix++;
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    const columns = newMiddle.length + 1;
+    const lengths = new Uint32Array((oldMiddle.length + 1) * columns);
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+        for (let j = newMiddle.length - 1; j >= 0; j--) {
+            lengths[i * columns + j] = oldMiddle[i] === newMiddle[j] ?
+                lengths[(i + 1) * columns + j + 1] + 1 :
+                Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+        }
+    }
+
+    const operations = oldLines.slice(0, prefix).map(line => ({ type: ' ', line: line }));
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length || j < newMiddle.length) {
+        if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+            operations.push({ type: ' ', line: oldMiddle[i++] });
+            j++;
+        } else if (j === newMiddle.length || (i < oldMiddle.length && lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1])) {
+            operations.push({ type: '-', line: oldMiddle[i++] });
+        } else {
+            operations.push({ type: '+', line: newMiddle[j++] });
+        }
+    }
+    return operations.concat(oldLines.slice(oldLines.length - suffix).map(line => ({ type: ' ', line: line })));
+}
+
+/**
+ * Helper function to group changed lines with the unchanged lines around them
+ * @param {Object[]} operations edit script
+ * @param {number} context number of unchanged lines shown around changes
+ * @returns {Object[]} hunks with one based start lines, line counts and diff lines
+ */
+const getHunks = function (operations, context) {
+    const hunks = [];
+    let hunk;
+    let oldLine = 1;
+    let newLine = 1;
+    operations.forEach((operation, idx) => {
+        const nearChange = operations.slice(Math.max(0, idx - context), idx + context + 1).some(item => item.type !== ' ');
+        if (operation.type !== ' ' || nearChange) {
+            if (hunk === undefined) {
+                hunk = { oldStart: oldLine, oldCount: 0, newStart: newLine, newCount: 0, lines: [] };
+                hunks.push(hunk);
+            }
+            hunk.lines.push(operation.type + operation.line);
+            if (operation.type !== '+') hunk.oldCount++;
+            if (operation.type !== '-') hunk.newCount++;
+        } else {
+            hunk = undefined;
+        }
+        if (operation.type !== '+') oldLine++;
+        if (operation.type !== '-') newLine++;
+    });
+    return hunks;
+}
+
+const range = function (start, count) {
+    // an empty range starts at the line before it
+    if (count === 0) return `${start - 1},0`;
+    return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+module.exports = textDiff;
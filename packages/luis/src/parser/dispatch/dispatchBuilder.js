@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const helpers = require('./../lufile/helpers');
+const LUIS = require('./../lufile/classes/LUIS');
+const lumerger = require('./../converters/lumerger');
+const luConverter = require('./../converters/lutoluisconverter');
+const qnaConverter = require('./../converters/qnatoqnajsonconverter');
+
+const dispatchBuilder = {
+    /**
+     * Create a dispatch LUIS model that routes to the LUIS applications and QnA knowledge bases defined by .lu and .qna
+     * files. Each file with utterances becomes an l_<file name> intent and each file with questions a q_<file name>
+     * intent, trained with the utterances or questions of that file and the files it references. Utterances already
+     * used by an earlier source are dropped and each source is sampled down to the cap with a seeded random generator.
+     * @param {string[]} files source .lu and .qna files
+     * @param {Object} options dispatch options
+     * @param {string} options.name name of the dispatch application
+     * @param {string} options.culture lang code of the dispatch application
+     * @param {number} options.cap maximum number of utterances or questions per source
+     * @param {number} options.seed seed of the random generator, the same seed gives the same sample
+     * @param {string} options.root folder the manifest file paths are relative to
+     * @returns {Object} dispatch LUIS model, manifest mapping its intents to source files and warnings
+     * @throws {exception} Throws on parse errors or an invalid cap
+     */
+    create: async function (files, options) {
+        options = options || {};
+        const cap = options.cap === undefined ? 1000 : options.cap;
+        if (!Number.isInteger(cap) || cap < 1) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, the cap must be a whole number of at least 1, got ${cap}`));
+        }
+        const root = path.resolve(options.root || process.cwd());
+        const random = helpers.createRandom(options.seed || 0);
+        const warnings = [];
+        const seen = new Set();
+        const intentNames = new Set(['None']);
+        const sources = [];
+
+        for (const file of files) {
+            const parsed = await lumerger.mergeAndResolveReferences([file], false, options.culture);
+            const baseName = path.basename(file, path.extname(file)).replace(/[^\w-]/g, '_');
+            const luisContent = parsed.LUISContent.filter(item => item.includeInCollate);
+            // referenced files that are not collated still supply utterances through references
+            const luisFiles = parsed.LUISContent.map(item => item.srcFile);
+            const qnaContent = parsed.QnAContent.filter(item => item.includeInCollate);
+            const qnaFiles = parsed.QnAContent.filter(item => item.qnaJsonStructure.qnaList.length !== 0).map(item => item.srcFile);
+            const model = luisContent.length === 0 ? undefined : await luConverter.collateLUISFiles(luisContent);
+            const kb = await qnaConverter.collateQnAFiles(qnaContent);
+            const utterances = ((model || {}).utterances || []).map(utterance => utterance.text);
+            const questions = kb.qnaList.reduce((all, item) => all.concat(item.questions), []);
+            if (utterances.length === 0 && questions.length === 0) {
+                warnings.push(`${file} has no utterances or questions and is not dispatched to.`);
+                continue;
+            }
+            if (utterances.length !== 0) sources.push({ type: 'luis', intent: uniqueName(`l_${baseName}`, intentNames), files: luisFiles, texts: utterances });
+            if (questions.length !== 0) sources.push({ type: 'qna', intent: uniqueName(`q_${baseName}`, intentNames), files: qnaFiles, texts: questions });
+        }
+
+        const dispatch = Object.assign({
+            luis_schema_version: '3.2.0',
+            versionId: '0.1',
+            name: options.name || 'Dispatch',
+            desc: '',
+            culture: (options.culture || 'en-us').toLowerCase()
+        }, new LUIS());
+        dispatch.intents.push({ name: 'None' });
+        const manifest = { name: dispatch.name, culture: dispatch.culture, intents: [] };
+        sources.forEach(source => {
+            const unique = [];
+            let duplicates = 0;
+            source.texts.forEach(text => {
+                const key = text.trim().toLowerCase();
+                if (seen.has(key)) {
+                    duplicates++;
+                } else {
+                    seen.add(key);
+                    unique.push(text);
+                }
+            });
+            const kind = source.type === 'qna' ? 'question' : 'utterance';
+            if (unique.length === 0) {
+                warnings.push(`All ${kind}s of ${source.intent} are also in earlier sources, it is not dispatched to.`);
+                return;
+            }
+            if (duplicates !== 0) warnings.push(`${duplicates} ${kind}(s) of ${source.intent} are also in an earlier source and are not added.`);
+            const indexes = helpers.shuffle(unique.map((text, idx) => idx), random).slice(0, cap).sort((a, b) => a - b);
+            dispatch.intents.push({ name: source.intent });
+            indexes.forEach(idx => dispatch.utterances.push({ text: unique[idx], intent: source.intent, entities: [] }));
+            manifest.intents.push({
+                intent: source.intent,
+                type: source.type,
+                files: source.files.map(file => path.relative(root, path.resolve(file)).split(path.sep).join('/')),
+                total: source.texts.length,
+                sampled: indexes.length
+            });
+        });
+        dispatch.desc = `Dispatch model for ${manifest.intents.map(item => item.intent).join(', ')}`;
+        return { model: dispatch, manifest: manifest, warnings: warnings };
+    }
+};
+
+/**
+ * Helper function to make an intent name unique by adding a number
+ * @param {string} name intent name
+ * @param {Set<string>} names intent names already taken, the returned name is added
+ * @returns {string} unique intent name
+ */
+const uniqueName = function (name, names) {
+    let unique = name;
+    for (let idx = 2; names.has(unique); idx++) unique = `${name}_${idx}`;
+    names.add(unique);
+    return unique;
+}
+
+module.exports = dispatchBuilder;
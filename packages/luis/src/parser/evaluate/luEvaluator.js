@@ -0,0 +1,192 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const NEWLINE = require('os').EOL;
+
+const luEvaluator = {
+    /**
+     * Run every test utterance through a recognizer
+     * @param {Object[]} testCases labeled utterances with text, intent and entities as parsed from a .lu file
+     * @param {Object} recognizer recognizer with an async recognize(text) function
+     * @returns {Object[]} predictions with intent and entities, in test case order
+     * @throws {exception} Throws if the recognizer fails
+     */
+    recognizeAll: async function (testCases, recognizer) {
+        const predictions = [];
+        for (const testCase of testCases) {
+            predictions.push(await recognizer.recognize(testCase.text));
+        }
+        return predictions;
+    },
+    /**
+     * Compare predictions to the expected labels
+     * @param {Object[]} testCases labeled utterances with text, intent and entities
+     * @param {Object[]} predictions predictions with intent and entities, in test case order
+     * @returns {Object} report with per intent precision, recall and F1, a confusion matrix, per entity span accuracy
+     * and the result of every test case
+     */
+    evaluate: function (testCases, predictions) {
+        const cases = testCases.map((testCase, idx) => evaluateCase(testCase, predictions[idx] || {}));
+        const labels = [...new Set(cases.map(item => item.expectedIntent).concat(cases.map(item => item.predictedIntent)))].sort();
+        const matrix = labels.map(expected => labels.map(predicted => cases.filter(item => item.expectedIntent === expected && item.predictedIntent === predicted).length));
+        const intents = labels.map((name, idx) => {
+            const truePositives = matrix[idx][idx];
+            const support = matrix[idx].reduce((sum, count) => sum + count, 0);
+            const predicted = matrix.reduce((sum, row) => sum + row[idx], 0);
+            return Object.assign({ name: name, support: support }, scores(truePositives, predicted, support));
+        });
+        const entityNames = [...new Set([].concat(...cases.map(item => item.expectedEntities.concat(item.predictedEntities).map(entity => entity.label || entity.entity))))].sort();
+        const entities = entityNames.map(name => {
+            const expected = [].concat(...cases.map(item => item.expectedEntities.filter(entity => entity.entity === name)));
+            const predicted = [].concat(...cases.map(item => item.predictedEntities.filter(entity => entity.label === name)));
+            const matched = expected.filter(entity => entity.matched).length;
+            const entityScores = scores(matched, predicted.length, expected.length);
+            // span accuracy is the share of labeled spans predicted with the right entity at the right position
+            return { name: name, expected: expected.length, predicted: predicted.length, matched: matched, precision: entityScores.precision, spanAccuracy: entityScores.recall };
+        });
+        const intentMatches = cases.filter(item => item.expectedIntent === item.predictedIntent).length;
+        return {
+            total: cases.length,
+            passed: cases.filter(item => item.passed).length,
+            intentAccuracy: cases.length === 0 ? 0 : intentMatches / cases.length,
+            intents: intents,
+            confusion: { labels: labels, matrix: matrix },
+            entities: entities,
+            cases: cases
+        };
+    },
+    /**
+     * Format a report as text tables for the console
+     * @param {Object} report result of evaluate
+     * @returns {string} tables with intent scores, the confusion matrix, entity span accuracy and failed utterances
+     */
+    toTable: function (report) {
+        const lines = [];
+        lines.push(...table(['Intent', 'Precision', 'Recall', 'F1', 'Support'],
+            report.intents.map(intent => [intent.name, fixed(intent.precision), fixed(intent.recall), fixed(intent.f1), `${intent.support}`])));
+        lines.push('', `Intent accuracy: ${percent(report.intentAccuracy)}, ${report.passed} of ${report.total} utterance(s) passed`);
+        lines.push('', 'Confusion matrix (rows are expected intents, columns predicted intents)');
+        lines.push(...table([''].concat(report.confusion.labels), report.confusion.matrix.map((row, idx) => [report.confusion.labels[idx]].concat(row.map(count => `${count}`)))));
+        if (report.entities.length !== 0) {
+            lines.push('');
+            lines.push(...table(['Entity', 'Expected', 'Predicted', 'Matched', 'Span accuracy'],
+                report.entities.map(entity => [entity.name, `${entity.expected}`, `${entity.predicted}`, `${entity.matched}`, percent(entity.spanAccuracy)])));
+        }
+        const failed = report.cases.filter(item => !item.passed);
+        if (failed.length !== 0) {
+            lines.push('', 'Failed utterances');
+            failed.forEach(item => lines.push(`- ${item.text}: ${failureMessage(item)}`));
+        }
+        return lines.join(NEWLINE);
+    },
+    /**
+     * Format a report as JUnit XML. Every utterance is a test case named after its text, in a class named after its
+     * expected intent.
+     * @param {Object} report result of evaluate
+     * @returns {string} JUnit XML
+     */
+    toJUnit: function (report) {
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+        const failures = report.total - report.passed;
+        lines.push(`<testsuites name="luis:test" tests="${report.total}" failures="${failures}">`);
+        lines.push(`  <testsuite name="luis:test" tests="${report.total}" failures="${failures}">`);
+        report.cases.forEach(item => {
+            const testCase = `    <testcase classname="${escapeXml(item.expectedIntent)}" name="${escapeXml(item.text)}"`;
+            if (item.passed) {
+                lines.push(`${testCase}/>`);
+            } else {
+                lines.push(`${testCase}>`);
+                lines.push(`      <failure message="${escapeXml(failureMessage(item))}"/>`);
+                lines.push('    </testcase>');
+            }
+        });
+        lines.push('  </testsuite>', '</testsuites>');
+        return lines.join(NEWLINE);
+    }
+};
+
+/**
+ * Helper function to compare the prediction for one utterance to its labels. An expected entity is matched when an
+ * entity with the same name or role is predicted at the same span.
+ * @param {Object} testCase labeled utterance
+ * @param {Object} prediction prediction with intent and entities
+ * @returns {Object} test case result
+ */
+const evaluateCase = function (testCase, prediction) {
+    const predictedEntities = (prediction.entities || []).map(entity => ({ entity: entity.entity, role: entity.role, startPos: entity.startPos, endPos: entity.endPos, matched: false }));
+    const expectedEntities = (testCase.entities || []).map(entity => {
+        const match = predictedEntities.find(item => !item.matched &&
+            (item.entity === entity.entity || (item.role !== undefined && item.role === entity.entity)) &&
+            item.startPos === entity.startPos && item.endPos === entity.endPos);
+        if (match !== undefined) {
+            match.matched = true;
+            match.label = entity.entity;
+        }
+        return { entity: entity.entity, startPos: entity.startPos, endPos: entity.endPos, matched: match !== undefined };
+    });
+    // predictions are counted under the label they matched, or their role if they did not match any
+    predictedEntities.forEach(entity => entity.label = entity.label || entity.role || entity.entity);
+    const predictedIntent = prediction.intent || '';
+    return {
+        text: testCase.text,
+        expectedIntent: testCase.intent,
+        predictedIntent: predictedIntent,
+        expectedEntities: expectedEntities,
+        predictedEntities: predictedEntities,
+        passed: predictedIntent === testCase.intent && expectedEntities.every(entity => entity.matched) && predictedEntities.every(entity => entity.matched)
+    };
+}
+
+/**
+ * @param {number} truePositives correct predictions
+ * @param {number} predicted all predictions
+ * @param {number} expected all expected items
+ * @returns {Object} precision, recall and F1, 0 when not defined
+ */
+const scores = function (truePositives, predicted, expected) {
+    const precision = predicted === 0 ? 0 : truePositives / predicted;
+    const recall = expected === 0 ? 0 : truePositives / expected;
+    const f1 = precision + recall === 0 ? 0 : 2 * precision * recall / (precision + recall);
+    return { precision: precision, recall: recall, f1: f1 };
+}
+
+const failureMessage = function (item) {
+    const messages = [];
+    if (item.predictedIntent !== item.expectedIntent) messages.push(`expected intent ${item.expectedIntent} but was ${item.predictedIntent || 'none'}`);
+    const missing = item.expectedEntities.filter(entity => !entity.matched).map(spanText);
+    if (missing.length !== 0) messages.push(`missing ${missing.join(', ')}`);
+    const unexpected = item.predictedEntities.filter(entity => !entity.matched).map(entity => spanText({ entity: entity.label, startPos: entity.startPos, endPos: entity.endPos }));
+    if (unexpected.length !== 0) messages.push(`unexpected ${unexpected.join(', ')}`);
+    return messages.join('; ');
+}
+
+const spanText = function (entity) {
+    return `${entity.entity} [${entity.startPos}-${entity.endPos}]`;
+}
+
+/**
+ * Helper function to lay out rows in columns
+ * @param {string[]} header column names
+ * @param {string[][]} rows rows of cell values
+ * @returns {string[]} lines
+ */
+const table = function (header, rows) {
+    const widths = header.map((name, idx) => Math.max(name.length, ...rows.map(row => row[idx].length)));
+    const format = row => row.map((cell, idx) => cell.padEnd(widths[idx])).join('  ').replace(/\s+$/, '');
+    return [format(header), format(widths.map(width => '-'.repeat(width)))].concat(rows.map(format));
+}
+
+const fixed = function (value) {
+    return value.toFixed(2);
+}
+
+const percent = function (value) {
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+const escapeXml = function (text) {
+    return (text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+module.exports = luEvaluator;
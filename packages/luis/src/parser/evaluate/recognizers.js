@@ -0,0 +1,197 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const fetch = require('node-fetch');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+
+const Recognizers = ['exact', 'recorded', 'http'];
+
+/**
+ * Recognizer that only knows the utterances of a training model. Utterances are matched ignoring case and white space,
+ * anything else is recognized as the None intent without entities.
+ */
+class ExactMatchRecognizer {
+    /**
+     * @param {Object} model LUIS model with utterances
+     */
+    constructor(model) {
+        this.utterances = new Map();
+        ((model || {}).utterances || []).forEach(utterance => {
+            const key = normalize(utterance.text);
+            if (!this.utterances.has(key)) this.utterances.set(key, { intent: utterance.intent, entities: utterance.entities || [] });
+        });
+    }
+
+    /**
+     * @param {string} text utterance
+     * @returns {Object} prediction with intent and entities
+     */
+    async recognize(text) {
+        const match = this.utterances.get(normalize(text));
+        if (match === undefined) return { intent: 'None', entities: [] };
+        return { intent: match.intent, entities: match.entities.map(entity => ({ entity: entity.entity, role: entity.role, startPos: entity.startPos, endPos: entity.endPos })) };
+    }
+}
+
+/**
+ * Recognizer reading predictions recorded earlier from a JSON file. The file maps utterances to LUIS v2 or v3
+ * endpoint responses, or to { "intent": "...", "entities": [{ "entity": "...", "startPos": 0, "endPos": 3 }] }.
+ * A list of LUIS v2 responses with their query also works.
+ */
+class RecordedRecognizer {
+    /**
+     * @param {Object} content parsed recorded responses
+     */
+    constructor(content) {
+        this.responses = new Map();
+        if (Array.isArray(content)) {
+            content.forEach(response => this.responses.set(normalize(response.query || response.text), response));
+        } else {
+            Object.keys(content || {}).forEach(text => this.responses.set(normalize(text), content[text]));
+        }
+    }
+
+    /**
+     * Read a recorded responses file
+     * @param {string} filePath path to the JSON file
+     * @returns {RecordedRecognizer} recognizer
+     * @throws {exception} Throws if the file cannot be read or is not valid JSON
+     */
+    static async load(filePath) {
+        let content;
+        try {
+            content = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+        } catch (err) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to read recorded responses file ${filePath}: ${err.message}`));
+        }
+        return new RecordedRecognizer(content);
+    }
+
+    /**
+     * @param {string} text utterance
+     * @returns {Object} prediction with intent and entities
+     * @throws {exception} Throws if no response was recorded for the utterance
+     */
+    async recognize(text) {
+        const response = this.responses.get(normalize(text));
+        if (response === undefined) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, no recorded response found for utterance "${text}"`));
+        }
+        return fromResponse(response);
+    }
+}
+
+/**
+ * Recognizer calling an HTTP endpoint with the utterance in the q query parameter, e.g. a LUIS prediction endpoint
+ * or a local stand-in. The endpoint returns a LUIS v2 or v3 response.
+ */
+class HttpRecognizer {
+    /**
+     * @param {Object} options recognizer options
+     * @param {string} options.endpoint endpoint URL
+     * @param {string} options.key subscription key sent in the Ocp-Apim-Subscription-Key header
+     */
+    constructor(options) {
+        this.endpoint = options.endpoint;
+        this.key = options.key;
+    }
+
+    /**
+     * @param {string} text utterance
+     * @returns {Object} prediction with intent and entities
+     * @throws {exception} Throws if the endpoint call fails
+     */
+    async recognize(text) {
+        const uri = `${this.endpoint}${this.endpoint.includes('?') ? '&' : '?'}q=${encodeURIComponent(text)}`;
+        const headers = {};
+        if (this.key) headers['Ocp-Apim-Subscription-Key'] = this.key;
+        const res = await fetch(uri, { method: 'GET', headers: headers });
+        if (!res.ok) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, `Recognizer endpoint call failed with [${res.status}] : ${res.statusText}`));
+        }
+        return fromResponse(await res.json());
+    }
+}
+
+/**
+ * Create the recognizer configured on the command line
+ * @param {Object} options recognizer options
+ * @param {string} options.recognizer exact (default), recorded or http
+ * @param {Object} options.model LUIS model used by the exact match recognizer
+ * @param {string} options.responses recorded responses file used by the recorded recognizer
+ * @param {string} options.endpoint endpoint URL used by the http recognizer
+ * @param {string} options.key subscription key used by the http recognizer
+ * @returns {Object} recognizer with an async recognize(text) function
+ * @throws {exception} Throws on invalid options
+ */
+const createRecognizer = async function (options) {
+    options = options || {};
+    const recognizer = options.recognizer || 'exact';
+    if (!Recognizers.includes(recognizer)) {
+        throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, unknown recognizer "${recognizer}". Use one of ${Recognizers.join(', ')}`));
+    }
+    if (recognizer === 'recorded') {
+        if (!options.responses) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, a recorded responses file is required for the recorded recognizer'));
+        }
+        return await RecordedRecognizer.load(options.responses);
+    }
+    if (recognizer === 'http') {
+        if (!options.endpoint) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, an endpoint is required for the http recognizer'));
+        }
+        return new HttpRecognizer(options);
+    }
+    if (!options.model) {
+        throw (new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, a training model is required for the exact match recognizer'));
+    }
+    return new ExactMatchRecognizer(options.model);
+}
+
+/**
+ * Helper function to read the top intent and entities from a LUIS v2 or v3 response
+ * @param {Object} response endpoint response
+ * @returns {Object} prediction with intent and entities using zero based, inclusive positions
+ */
+const fromResponse = function (response) {
+    response = response || {};
+    if (response.prediction) {
+        const instances = (response.prediction.entities || {}).$instance || {};
+        const entities = [];
+        Object.keys(instances).forEach(name => {
+            instances[name].forEach(instance => entities.push({
+                entity: stripBuiltIn(instance.type || name),
+                role: instance.role,
+                startPos: instance.startIndex,
+                endPos: instance.startIndex + instance.length - 1
+            }));
+        });
+        return { intent: response.prediction.topIntent, entities: entities };
+    }
+    if (response.topScoringIntent) {
+        return {
+            intent: response.topScoringIntent.intent,
+            entities: (response.entities || []).map(entity => ({ entity: stripBuiltIn(entity.type), role: entity.role, startPos: entity.startIndex, endPos: entity.endIndex }))
+        };
+    }
+    return { intent: response.intent, entities: response.entities || [] };
+}
+
+const stripBuiltIn = function (type) {
+    return (type || '').replace(/^builtin\./, '');
+}
+
+const normalize = function (text) {
+    return (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+module.exports = {
+    ExactMatchRecognizer: ExactMatchRecognizer,
+    RecordedRecognizer: RecordedRecognizer,
+    HttpRecognizer: HttpRecognizer,
+    createRecognizer: createRecognizer
+};
@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const exportHelpers = require('./exportHelpers');
+
+// LUIS prebuilt entities with a built-in Alexa slot type counterpart
+const BuiltInSlotTypes = {
+    'number': 'AMAZON.NUMBER',
+    'ordinal': 'AMAZON.Ordinal',
+    'datetimeV2': 'AMAZON.DATE',
+    'phonenumber': 'AMAZON.PhoneNumber',
+    'geographyV2': 'AMAZON.City',
+    'personName': 'AMAZON.FirstName'
+};
+
+// built-in intents every Alexa skill needs
+const RequiredIntents = ['AMAZON.CancelIntent', 'AMAZON.HelpIntent', 'AMAZON.StopIntent', 'AMAZON.NavigateHomeIntent'];
+
+const alexaExporter = {
+    /**
+     * Export a LUIS model as an Alexa interaction model. Labeled utterances and patterns become samples with slots
+     * named after the role or entity, list entities and labeled entities custom slot types with their values and
+     * synonyms, and prebuilt entities built-in slot types.
+     * @param {Object} model LUIS model
+     * @param {Object} options export options
+     * @param {string} options.invocationName invocation name of the skill, the model name by default
+     * @returns {Object} interaction model JSON and warnings for content that could not be mapped
+     */
+    exportInteractionModel: function (model, options) {
+        options = options || {};
+        const warnings = [];
+        const types = new Map();
+        const intents = [];
+        let nested = 0;
+        (model.intents || []).forEach(intent => {
+            if (intent.name === 'None') {
+                warnings.push('Intent "None" is not exported, Alexa skills use AMAZON.FallbackIntent instead.');
+                return;
+            }
+            const slots = new Map();
+            const samples = new Set();
+            const toSlot = (entity, role) => addSlot(model, slots, types, entity, role, intent.name, warnings);
+            (model.utterances || []).filter(utterance => utterance.intent === intent.name).forEach(utterance => {
+                const result = exportHelpers.segments(utterance);
+                if (result.nested) nested++;
+                samples.add(toSample(result.segments.map(segment => segment.entity === undefined ? segment.text : toSlot(segment.entity, segment.role) || segment.text)));
+            });
+            (model.patterns || []).filter(pattern => pattern.intent === intent.name).forEach(pattern => {
+                if (/[\[\]()|]/.test(pattern.pattern.replace(/\\./g, ''))) {
+                    warnings.push(`Pattern "${pattern.pattern}" is not exported, Alexa samples have no optional text or alternatives.`);
+                    return;
+                }
+                let mapped = true;
+                const sample = pattern.pattern.replace(/\{([^}:]+)(?::([^}]+))?\}/g, (match, entity, role) => {
+                    const slot = toSlot(entity.trim(), role ? role.trim() : undefined);
+                    mapped = mapped && slot !== undefined;
+                    return slot;
+                });
+                if (mapped) samples.add(toSample([sample]));
+            });
+            intents.push({
+                name: toName(intent.name),
+                slots: [...slots.values()].map(slot => ({ name: slot.name, type: slot.type, samples: [] })),
+                samples: [...samples].filter(sample => sample !== '')
+            });
+        });
+        if (nested !== 0) warnings.push(`Labels of child entities and overlapping labels in ${nested} utterance(s) are not exported.`);
+        ['AMAZON.FallbackIntent'].concat(RequiredIntents)
+            .filter(name => !intents.find(intent => intent.name === name))
+            .forEach(name => intents.push({ name: name, samples: [] }));
+
+        const interactionModel = {
+            interactionModel: {
+                languageModel: {
+                    invocationName: options.invocationName || (model.name || 'my skill').toLowerCase(),
+                    intents: intents,
+                    types: [...types.values()]
+                }
+            }
+        };
+        return { content: JSON.stringify(interactionModel, null, 2), warnings: warnings };
+    }
+};
+
+/**
+ * Helper function to add the slot for a labeled or referenced entity to an intent
+ * @param {Object} model LUIS model
+ * @param {Map<string, Object>} slots slots of the intent by name
+ * @param {Map<string, Object>} types custom slot types by name
+ * @param {string} entity entity name
+ * @param {string} role role name or undefined
+ * @param {string} intent intent name
+ * @param {string[]} warnings warnings
+ * @returns {string} slot reference, or undefined if the entity cannot be a slot
+ */
+const addSlot = function (model, slots, types, entity, role, intent, warnings) {
+    const name = toName(role || entity);
+    const entityType = exportHelpers.entityType(model, entity);
+    let type;
+    if (entityType === 'prebuilt') {
+        type = BuiltInSlotTypes[entity];
+    } else if (entityType === 'patternAny') {
+        type = 'AMAZON.SearchQuery';
+    } else if (entityType === 'list' || entityType === 'entity') {
+        type = toName(entity);
+        if (!types.has(type)) {
+            const values = exportHelpers.entityValues(model, entity);
+            if (values.length === 0) warnings.push(`Slot type ${type} has no values, Alexa needs at least one.`);
+            types.set(type, { name: type, values: values.map(value => ({ name: value.synonyms.length === 0 ? { value: value.value } : { value: value.value, synonyms: value.synonyms } })) });
+        }
+    }
+    if (type === undefined) {
+        const warning = `Entity "${entity}" of intent "${intent}" has no Alexa slot type, its labels are exported as text and its patterns are not exported.`;
+        if (!warnings.includes(warning)) warnings.push(warning);
+        return undefined;
+    }
+    if (slots.has(name) && slots.get(name).type !== type) {
+        warnings.push(`Slot "${name}" of intent "${intent}" is used with slot types ${slots.get(name).type} and ${type}, only ${slots.get(name).type} is exported.`);
+    } else if (!slots.has(name)) {
+        slots.set(name, { name: name, type: type });
+    }
+    return `{${name}}`;
+}
+
+/**
+ * Helper function to build a sample from text and slot references. Alexa does not accept most punctuation.
+ * @param {string[]} parts text and slot references
+ * @returns {string} sample
+ */
+const toSample = function (parts) {
+    return parts.join('').replace(/[?!,;:"]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Helper function to make a valid Alexa intent, slot or slot type name, which only has letters and underscores
+ * @param {string} name name
+ * @returns {string} name with other characters replaced by _
+ */
+const toName = function (name) {
+    if (name.startsWith('AMAZON.')) return name;
+    return name.replace(/[^A-Za-z_]/g, '_');
+}
+
+module.exports = alexaExporter;
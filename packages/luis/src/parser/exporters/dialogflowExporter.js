@@ -0,0 +1,169 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const exportHelpers = require('./exportHelpers');
+
+// LUIS prebuilt entities with a Dialogflow system entity counterpart
+const SystemEntities = {
+    'number': 'sys.number',
+    'ordinal': 'sys.ordinal',
+    'datetimeV2': 'sys.date-time',
+    'geographyV2': 'sys.location',
+    'email': 'sys.email',
+    'phonenumber': 'sys.phone-number',
+    'url': 'sys.url',
+    'percentage': 'sys.percentage',
+    'temperature': 'sys.temperature',
+    'money': 'sys.unit-currency',
+    'age': 'sys.age',
+    'personName': 'sys.person'
+};
+
+// Dialogflow language codes that keep their region
+const RegionalLanguages = ['pt-br', 'zh-cn', 'zh-hk', 'zh-tw'];
+
+const dialogflowExporter = {
+    /**
+     * Export a LUIS model as a Dialogflow agent. Utterances become training phrases, patterns template training
+     * phrases, list entities entity types with synonyms, regex entities regexp entity types and labeled entities
+     * entity types with their labeled values. Roles become parameter names.
+     * @param {Object} model LUIS model
+     * @param {Object} options export options
+     * @param {string} options.culture language of the agent, the model culture or en-us by default
+     * @returns {Object} agent files by path and warnings for content that could not be mapped
+     */
+    exportAgent: function (model, options) {
+        options = options || {};
+        const warnings = [];
+        const files = new Map();
+        const culture = (options.culture || model.culture || 'en-us').toLowerCase();
+        const language = RegionalLanguages.includes(culture) ? culture : culture.split('-')[0];
+        const entityTypes = new Map();
+        let nested = 0;
+
+        files.set('package.json', toJson({ version: '1.0.0' }));
+        files.set('agent.json', toJson({
+            description: model.desc || '',
+            language: language,
+            supportedLanguages: [],
+            isPrivate: true,
+            mlMinConfidence: 0.3,
+            enableOnePlatformResponses: true,
+            onePlatformApiVersion: 'v2'
+        }));
+        (model.intents || []).forEach(intent => {
+            const parameters = new Map();
+            const toMeta = (entity, role) => addParameter(model, parameters, entityTypes, entity, role, warnings);
+            const phrases = (model.utterances || []).filter(utterance => utterance.intent === intent.name).map(utterance => {
+                const result = exportHelpers.segments(utterance);
+                if (result.nested) nested++;
+                return {
+                    data: result.segments.map(segment => {
+                        const meta = segment.entity === undefined ? undefined : toMeta(segment.entity, segment.role);
+                        return meta === undefined ? { text: segment.text } : { text: segment.text, alias: meta.alias, meta: meta.meta, userDefined: true };
+                    }),
+                    isTemplate: false,
+                    count: 0
+                };
+            });
+            (model.patterns || []).filter(pattern => pattern.intent === intent.name).forEach(pattern => {
+                let mapped = true;
+                const template = pattern.pattern.replace(/\{([^}:]+)(?::([^}]+))?\}/g, (match, entity, role) => {
+                    const meta = toMeta(entity.trim(), role ? role.trim() : undefined);
+                    mapped = mapped && meta !== undefined;
+                    return meta === undefined ? match : `${meta.meta}:${meta.alias}`;
+                });
+                if (!mapped) return;
+                if (/[\[\]()|]/.test(template.replace(/\\./g, ''))) {
+                    warnings.push(`Pattern "${pattern.pattern}" is not exported, Dialogflow templates have no optional text or alternatives.`);
+                    return;
+                }
+                phrases.push({ data: [{ text: template }], isTemplate: true, count: 0 });
+            });
+            const fileName = toFileName(intent.name);
+            files.set(`intents/${fileName}.json`, toJson({
+                name: intent.name,
+                auto: true,
+                contexts: [],
+                responses: [{
+                    resetContexts: false,
+                    affectedContexts: [],
+                    parameters: [...parameters.values()].map(parameter => ({ name: parameter.alias, required: false, dataType: parameter.meta, value: `$${parameter.alias}`, isList: false })),
+                    messages: [],
+                    defaultResponsePlatforms: {},
+                    speech: []
+                }],
+                priority: 500000,
+                webhookUsed: false,
+                webhookForSlotFilling: false,
+                fallbackIntent: intent.name === 'None',
+                events: []
+            }));
+            if (phrases.length !== 0) files.set(`intents/${fileName}_usersays_${language}.json`, toJson(phrases));
+        });
+
+        entityTypes.forEach((entityType, name) => {
+            const isRegexp = exportHelpers.entityType(model, entityType.entity) === 'regex';
+            const entries = isRegexp ?
+                model.regex_entities.filter(regex => regex.name === entityType.entity).map(regex => ({ value: regex.regexPattern, synonyms: [regex.regexPattern] })) :
+                exportHelpers.entityValues(model, entityType.entity).map(value => ({ value: value.value, synonyms: [value.value].concat(value.synonyms) }));
+            if (entries.length === 0) warnings.push(`Entity type "${name}" has no entries, Dialogflow needs at least one.`);
+            files.set(`entities/${name}.json`, toJson({
+                name: name,
+                isOverridable: true,
+                isEnum: false,
+                isRegexp: isRegexp,
+                automatedExpansion: entityType.learned,
+                allowFuzzyExtraction: false
+            }));
+            files.set(`entities/${name}_entries_${language}.json`, toJson(entries));
+        });
+
+        if (nested !== 0) warnings.push(`Labels of child entities and overlapping labels in ${nested} utterance(s) are not exported.`);
+        (model.model_features || model.phraselists || []).forEach(phraseList => warnings.push(`Phrase list "${phraseList.name}" is not exported, Dialogflow has no phrase lists.`));
+        return { files: files, warnings: warnings };
+    }
+};
+
+/**
+ * Helper function to add the parameter for a labeled or referenced entity to an intent
+ * @param {Object} model LUIS model
+ * @param {Map<string, Object>} parameters parameters of the intent by alias
+ * @param {Map<string, Object>} entityTypes entity types to export by name
+ * @param {string} entity entity name
+ * @param {string} role role name or undefined
+ * @param {string[]} warnings warnings
+ * @returns {Object} parameter alias and meta, the entity type reference, or undefined if the entity has no counterpart
+ */
+const addParameter = function (model, parameters, entityTypes, entity, role, warnings) {
+    const entityType = exportHelpers.entityType(model, entity);
+    let meta;
+    if (entityType === 'prebuilt') {
+        meta = SystemEntities[entity] === undefined ? undefined : `@${SystemEntities[entity]}`;
+    } else if (entityType === 'patternAny') {
+        meta = '@sys.any';
+    } else if (entityType !== 'composite') {
+        const name = entity.replace(/[^\w-]/g, '_');
+        if (!entityTypes.has(name)) entityTypes.set(name, { entity: entity, learned: entityType === 'entity' });
+        meta = `@${name}`;
+    }
+    if (meta === undefined) {
+        const warning = `Entity "${entity}" has no Dialogflow counterpart, its labels are exported as text and its patterns are not exported.`;
+        if (!warnings.includes(warning)) warnings.push(warning);
+        return undefined;
+    }
+    const alias = (role || entity).replace(/[^\w-]/g, '_');
+    if (!parameters.has(alias)) parameters.set(alias, { alias: alias, meta: meta });
+    return { alias: alias, meta: meta };
+}
+
+const toFileName = function (name) {
+    return name.replace(/[\\/:*?"<>|]/g, '_');
+}
+
+const toJson = function (content) {
+    return JSON.stringify(content, null, 2);
+}
+
+module.exports = dialogflowExporter;
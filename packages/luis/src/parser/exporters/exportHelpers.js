@@ -0,0 +1,146 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+
+// built-in LUIS prebuilt entities by name
+const PrebuiltEntityNames = ['age', 'datetimeV2', 'dimension', 'email', 'geographyV2', 'keyPhrase', 'money', 'number', 'ordinal', 'ordinalV2', 'percentage', 'personName', 'phonenumber', 'temperature', 'url'];
+
+const exportHelpers = {
+    /**
+     * Split an utterance into text and labeled segments. Only top level labels are kept, labels of child entities and
+     * overlapping labels are reported by the nested flag.
+     * @param {Object} utterance utterance with text and entities
+     * @returns {Object} segments with text and, for labeled segments, entity and role, and whether labels were dropped
+     */
+    segments: function (utterance) {
+        const labels = (utterance.entities || []).slice().sort((a, b) => a.startPos - b.startPos);
+        const segments = [];
+        let nested = labels.some(label => (label.children || []).length !== 0);
+        let last = 0;
+        labels.forEach(label => {
+            if (label.startPos < last) {
+                nested = true;
+                return;
+            }
+            if (label.startPos > last) segments.push({ text: utterance.text.substring(last, label.startPos) });
+            segments.push({ text: utterance.text.substring(label.startPos, label.endPos + 1), entity: label.entity, role: label.role });
+            last = label.endPos + 1;
+        });
+        if (last < utterance.text.length) segments.push({ text: utterance.text.substring(last) });
+        return { segments: segments, nested: nested };
+    },
+    /**
+     * Get the normalized values and synonyms of an entity: those of a list entity, or the labeled values of a machine
+     * learned entity together with the values of the list entities it uses as features
+     * @param {Object} model LUIS model
+     * @param {string} name entity name
+     * @returns {Object[]} values with value and synonyms
+     */
+    entityValues: function (model, name) {
+        const list = (model.closedLists || []).find(item => item.name === name);
+        if (list !== undefined) return (list.subLists || []).map(subList => ({ value: subList.canonicalForm, synonyms: subList.list || [] }));
+        const values = [];
+        (model.utterances || []).forEach(utterance => {
+            exportHelpers.segments(utterance).segments.filter(segment => segment.entity === name).forEach(segment => {
+                if (!values.find(item => item.value === segment.text)) values.push({ value: segment.text, synonyms: [] });
+            });
+        });
+        const entity = (model.entities || []).find(item => item.name === name) || {};
+        (entity.features || []).filter(feature => feature.modelName !== undefined).forEach(feature => {
+            const featureList = (model.closedLists || []).find(item => item.name === feature.modelName);
+            if (featureList !== undefined) values.push(...exportHelpers.entityValues(model, featureList.name).filter(item => !values.find(other => other.value === item.value)));
+        });
+        return values;
+    },
+    /**
+     * Get the type of a named entity
+     * @param {Object} model LUIS model
+     * @param {string} name entity name
+     * @returns {string} list, regex, prebuilt, patternAny, composite or entity
+     */
+    entityType: function (model, name) {
+        if ((model.closedLists || []).find(item => item.name === name)) return 'list';
+        if ((model.regex_entities || []).find(item => item.name === name)) return 'regex';
+        if ((model.prebuiltEntities || []).find(item => item.name === name) || PrebuiltEntityNames.includes(name)) return 'prebuilt';
+        if ((model.patternAnyEntities || []).find(item => item.name === name)) return 'patternAny';
+        if ((model.composites || []).find(item => item.name === name)) return 'composite';
+        return 'entity';
+    },
+    /**
+     * Write files to a folder, or to a .zip archive if the output name ends with .zip
+     * @param {Map<string, string>} files file content by relative path using / separators
+     * @param {string} out output folder or .zip file name
+     * @returns {void} Nothing
+     */
+    writeFiles: async function (files, out) {
+        if (path.extname(out).toLowerCase() === '.zip') {
+            await fs.ensureDir(path.dirname(out));
+            await fs.writeFile(out, createZip(files));
+            return;
+        }
+        for (const [name, content] of files) {
+            const filePath = path.join(out, ...name.split('/'));
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.writeFile(filePath, content, 'utf-8');
+        }
+    }
+};
+
+/**
+ * Helper function to create a .zip archive with stored, uncompressed entries
+ * @param {Map<string, string>} files file content by path in the archive
+ * @returns {Buffer} archive content
+ */
+const createZip = function (files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const [name, content] of files) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        // bit 11: file names are UTF-8
+        header.writeUInt16LE(0x0800, 6);
+        header.writeUInt32LE(crc32(data), 14);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt32LE(crc32(data), 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        localParts.push(header, nameBuffer, data);
+        centralParts.push(central, nameBuffer);
+        offset += header.length + nameBuffer.length + data.length;
+    }
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.size, 8);
+    end.writeUInt16LE(files.size, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat(localParts.concat(centralParts, [end]));
+}
+
+const crc32 = function (data) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = exportHelpers;
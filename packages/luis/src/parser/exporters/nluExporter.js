@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const exportHelpers = require('./exportHelpers');
+const rasaExporter = require('./rasaExporter');
+const dialogflowExporter = require('./dialogflowExporter');
+const alexaExporter = require('./alexaExporter');
+
+const Formats = ['rasa', 'dialogflow', 'alexa'];
+
+const nluExporter = {
+    /**
+     * Export a LUIS model as the training data of another NLU engine
+     * @param {Object} model LUIS model
+     * @param {Object} options export options
+     * @param {string} options.format one of rasa, dialogflow or alexa
+     * @param {string} options.culture language of the Dialogflow agent
+     * @param {string} options.invocationName invocation name of the Alexa skill
+     * @returns {Object} content of single file formats or files by path of multi file formats, and warnings for
+     * content that could not be mapped
+     * @throws {exception} Throws if the format is unknown
+     */
+    exportModel: function (model, options) {
+        options = options || {};
+        switch (options.format) {
+            case 'rasa':
+                return rasaExporter.exportYaml(model);
+            case 'dialogflow':
+                return dialogflowExporter.exportAgent(model, { culture: options.culture });
+            case 'alexa':
+                return alexaExporter.exportInteractionModel(model, { invocationName: options.invocationName });
+            default:
+                throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, unknown export format ${options.format}. Set it to one of ${Formats.join(', ')}`));
+        }
+    },
+    /**
+     * Write the files of a multi file export to a folder, or to a .zip archive if the output name ends with .zip
+     * @param {Map<string, string>} files file content by relative path
+     * @param {string} out output folder or .zip file name
+     * @returns {void} Nothing
+     */
+    writeFiles: async function (files, out) {
+        await exportHelpers.writeFiles(files, out);
+    }
+};
+
+module.exports = nluExporter;
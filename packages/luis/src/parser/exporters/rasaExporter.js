@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const NEWLINE = require('os').EOL;
+const exportHelpers = require('./exportHelpers');
+
+const rasaExporter = {
+    /**
+     * Export a LUIS model as Rasa NLU YAML training data. Utterances become labeled examples, the values of list
+     * entities synonyms, regex entities regular expressions and phrase lists lookup tables.
+     * @param {Object} model LUIS model
+     * @returns {Object} YAML content and warnings for content that could not be mapped
+     */
+    exportYaml: function (model) {
+        const warnings = [];
+        const lines = ['version: "3.1"', '', 'nlu:'];
+        let nested = 0;
+        (model.intents || []).forEach(intent => {
+            const examples = (model.utterances || []).filter(utterance => utterance.intent === intent.name).map(utterance => {
+                const result = exportHelpers.segments(utterance);
+                if (result.nested) nested++;
+                return result.segments.map(toAnnotation).join('');
+            });
+            if (examples.length !== 0) lines.push(...item('intent', intent.name, examples));
+        });
+        (model.closedLists || []).forEach(list => {
+            (list.subLists || []).filter(subList => (subList.list || []).length !== 0).forEach(subList => lines.push(...item('synonym', subList.canonicalForm, subList.list)));
+        });
+        (model.regex_entities || []).forEach(regex => lines.push(...item('regex', regex.name, [regex.regexPattern])));
+        (model.model_features || model.phraselists || []).forEach(phraseList => {
+            lines.push(...item('lookup', phraseList.name, phraseList.words.split(',').map(word => word.trim()).filter(word => word !== '')));
+        });
+
+        if (nested !== 0) warnings.push(`Labels of child entities and overlapping labels in ${nested} utterance(s) are not exported.`);
+        if ((model.patterns || []).length !== 0) warnings.push(`${model.patterns.length} pattern(s) are not exported, Rasa has no patterns.`);
+        if ((model.prebuiltEntities || []).length !== 0) {
+            warnings.push(`Prebuilt entities ${model.prebuiltEntities.map(entity => entity.name).join(', ')} are not exported. Add an extractor like Duckling to the Rasa pipeline for them.`);
+        }
+        (model.composites || []).forEach(composite => warnings.push(`Composite entity "${composite.name}" is not exported.`));
+        (model.patternAnyEntities || []).forEach(entity => warnings.push(`Pattern.any entity "${entity.name}" is not exported.`));
+        return { content: lines.join(NEWLINE) + NEWLINE, warnings: warnings };
+    }
+};
+
+/**
+ * Helper function to write a Rasa NLU item with its examples
+ * @param {string} type intent, synonym, regex or lookup
+ * @param {string} name item name
+ * @param {string[]} examples examples
+ * @returns {string[]} lines
+ */
+const item = function (type, name, examples) {
+    return [`- ${type}: ${quote(name)}`, '  examples: |'].concat(examples.map(example => `    - ${example}`));
+}
+
+const quote = function (text) {
+    return /^[A-Za-z0-9_][\w .\/-]*$/.test(text) && !/\s$/.test(text) ? text : JSON.stringify(text);
+}
+
+const toAnnotation = function (segment) {
+    if (segment.entity === undefined) return segment.text;
+    if (segment.role === undefined) return `[${segment.text}](${segment.entity})`;
+    return `[${segment.text}]{"entity": "${segment.entity}", "role": "${segment.role}"}`;
+}
+
+module.exports = rasaExporter;
@@ -0,0 +1,267 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luParser = require('./../lufile/luParser');
+const helpers = require('./../lufile/helpers');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const DiagnosticSeverity = require('./../lufile/diagnostic').DiagnosticSeverity;
+const PARSERCONSTS = require('./../lufile/enums/parserconsts');
+const NEWLINE = require('os').EOL;
+
+const FILTER_MARK = '**Filters:**';
+// sections are written in this order when sorting
+const SectionOrder = ['info', 'reference', 'intent', 'entity', 'qna', 'comment'];
+
+const luFormatter = {
+    /**
+     * Format .lu content the way luis:convert writes it. Works from the parse tree so comments and model information
+     * are kept. Headings become ## , list markers become - , entity definitions get a single spacing style and
+     * sections are separated by one blank line.
+     * @param {string} content .lu content
+     * @param {Object} options format options
+     * @param {boolean} options.sort sort sections by type and intents and entities by name
+     * @returns {string} formatted content
+     * @throws {exception} Throws if the content has syntax errors
+     */
+    format: function (content, options) {
+        options = options || {};
+        const text = helpers.sanitizeNewLines(content || '');
+        if (text.trim() === '') return '';
+        const lines = text.split(NEWLINE);
+        const { fileContent, errors } = luParser.getFileContent(text);
+        const syntaxErrors = errors.filter(error => error && error.Severity === DiagnosticSeverity.ERROR);
+        if (syntaxErrors.length > 0) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to format content with syntax errors.${NEWLINE}${syntaxErrors.map(error => error.toString()).join(NEWLINE)}`));
+        }
+
+        const definitions = new Map();
+        fileContent.paragraph().forEach(paragraph => {
+            const definition = getDefinition(paragraph);
+            if (definition !== undefined) definitions.set(definition.context.start.line - 1, definition);
+        });
+
+        let sections = [];
+        let pending = [];
+        for (let idx = 0; idx < lines.length; idx++) {
+            const definition = definitions.get(idx);
+            if (definition === undefined) {
+                pending.push(lines[idx].trim());
+                continue;
+            }
+            const stop = getStopLine(definition.context);
+            const section = definition.write(definition.context, lines.slice(idx, stop + 1));
+            section.comments = leadingComments(pending);
+            pending = [];
+            sections.push(section);
+            idx = stop;
+        }
+        const trailing = leadingComments(pending).filter(line => line !== '');
+        if (trailing.length !== 0) sections.push({ type: 'comment', name: '', comments: [], lines: trailing });
+
+        if (options.sort) sections = sortSections(sections);
+        return sections.length === 0 ? '' : sections.map((section, idx) => {
+            const previous = sections[idx - 1];
+            const separator = previous === undefined ? '' : (isCompact(previous) && isCompact(section) && section.comments.length === 0 ? NEWLINE : NEWLINE + NEWLINE);
+            return separator + section.comments.concat(section.lines).join(NEWLINE);
+        }).join('') + NEWLINE;
+    },
+    /**
+     * @param {string} content .lu content
+     * @param {Object} options format options, see format
+     * @returns {boolean} true if formatting would not change the content
+     * @throws {exception} Throws if the content has syntax errors
+     */
+    isFormatted: function (content, options) {
+        return luFormatter.format(content, options) === helpers.sanitizeNewLines(content || '');
+    }
+};
+
+/**
+ * Helper function to find the definition in a paragraph and how to write it
+ * @param {Object} paragraph paragraph context
+ * @returns {Object} definition context and writer, undefined for empty lines
+ */
+const getDefinition = function (paragraph) {
+    if (paragraph.intentDefinition()) return { context: paragraph.intentDefinition(), write: writeIntent };
+    if (paragraph.newEntityDefinition()) return { context: paragraph.newEntityDefinition(), write: writeNewEntity };
+    if (paragraph.entityDefinition()) return { context: paragraph.entityDefinition(), write: writeEntity };
+    if (paragraph.importDefinition()) return { context: paragraph.importDefinition(), write: writeImport };
+    if (paragraph.qnaDefinition()) return { context: paragraph.qnaDefinition(), write: writeQna };
+    if (paragraph.modelInfoDefinition()) return { context: paragraph.modelInfoDefinition(), write: writeModelInfo };
+    return undefined;
+}
+
+/**
+ * Helper function to get the zero based last line of a definition. Tokens only know their first line so line breaks
+ * inside the last token, e.g. a multi line answer, are counted.
+ * @param {Object} context definition context
+ * @returns {number} last line
+ */
+const getStopLine = function (context) {
+    const stopText = (context.stop.text || '').replace(/\r?\n$/, '');
+    return context.stop.line - 1 + (stopText.match(/\n/g) || []).length;
+}
+
+/**
+ * Helper function to clean up the comment and blank lines in front of a section. A blank line between the comments
+ * and the section is kept, other runs of blank lines become one.
+ * @param {string[]} lines trimmed lines
+ * @returns {string[]} comment lines
+ */
+const leadingComments = function (lines) {
+    const comments = [];
+    lines.forEach(line => {
+        if (line !== '' || (comments.length !== 0 && comments[comments.length - 1] !== '')) comments.push(line);
+    });
+    return comments;
+}
+
+const writeIntent = function (context, lines) {
+    const name = lines[0].trim().replace(/^#+\s*/, '');
+    return { type: 'intent', name: name, lines: [`## ${name}`].concat(writeBody(lines.slice(1), writeItem)) };
+}
+
+const writeNewEntity = function (context, lines) {
+    const line = context.newEntityLine();
+    const type = line.newEntityType() ? line.newEntityType().getText().trim() : undefined;
+    const name = line.newEntityName() ? line.newEntityName().getText().trim() : line.newEntityNameWithWS().getText().trim();
+    let header = `${PARSERCONSTS.NEWENTITY} ${type ? `${type} ` : ''}${name}`;
+    if (line.newEntityRoles()) {
+        const roles = splitNames(line.newEntityRoles().newEntityRoleOrFeatures().getText());
+        header += ` ${roles.length > 1 ? 'hasRoles' : 'hasRole'} ${roles.join(',')}`;
+    }
+    if (line.newEntityUsesFeatures()) {
+        const features = splitNames(line.newEntityUsesFeatures().newEntityRoleOrFeatures().getText());
+        header += ` ${features.length > 1 ? 'usesFeatures' : 'usesFeature'} ${features.join(',')}`;
+    }
+    if (line.newCompositeDefinition()) {
+        header += ` = [${splitNames(line.newCompositeDefinition().getText().replace(/[\[\]]/g, '')).join(', ')}]`;
+    } else if (line.newRegexDefinition()) {
+        header += ` = ${line.newRegexDefinition().getText().trim()}`;
+    } else if (context.newEntityListbody()) {
+        header += ' =';
+    }
+
+    const body = lines.slice(1);
+    const writer = type === 'list' ? writeListItem : nestedItemWriter(body);
+    return { type: 'entity', name: name.replace(/^['"]|['"]$/g, ''), lines: [header].concat(writeBody(body, writer)) };
+}
+
+const writeEntity = function (context, lines) {
+    const line = context.entityLine();
+    const name = line.entityName().getText().trim();
+    const definition = helpers.getRolesAndType(line.entityType().getText().trim());
+    let type = definition.entityType;
+    if (type.indexOf('[') === 0) {
+        type = `[${splitNames(type.replace(/[\[\]]/g, '')).join(', ')}]`;
+    } else if (type.indexOf('/') !== 0) {
+        type = type.replace(/\s*=$/, '=').replace(/\s+/g, ' ');
+    }
+    const roles = definition.roles.filter(role => role !== '');
+    const header = `${PARSERCONSTS.ENTITY}${name}:${type}${roles.length !== 0 ? ` Roles=${roles.join(',')}` : ''}`;
+    return { type: 'entity', name: name, lines: [header].concat(writeBody(lines.slice(1), writeItem)) };
+}
+
+const writeImport = function (context) {
+    return { type: 'reference', name: '', lines: [`${context.IMPORT_DESC().getText().trim()}${context.IMPORT_PATH().getText().trim()}`] };
+}
+
+const writeModelInfo = function (context) {
+    const info = context.getText().trim().replace(/^>\s*!#\s*/, '');
+    const match = info.match(/^([^=]*?)\s*=\s*(.*)$/);
+    return { type: 'info', name: '', lines: [`> !# ${match === null ? info : `${match[1]} = ${match[2]}`}`] };
+}
+
+const writeQna = function (context, lines) {
+    const question = context.qnaQuestion().questionText().getText().trim();
+    const answerStart = context.qnaAnswerBody().multiLineAnswer().start.line - context.start.line;
+    const questions = [];
+    const filters = [];
+    let current = questions;
+    lines.slice(1, answerStart).forEach(line => {
+        if (line.trim() === FILTER_MARK) current = filters;
+        else current.push(line);
+    });
+    let result = [`## ? ${question}`].concat(writeBody(questions, writeItem));
+    if (context.qnaAnswerBody().filterSection()) result = result.concat(['', FILTER_MARK], writeBody(filters, writeItem));
+    return { type: 'qna', name: question, lines: result.concat([''], lines.slice(answerStart)) };
+}
+
+/**
+ * Helper function to write the body of a section. Items are written by the item writer, comments are kept and blank
+ * lines are dropped.
+ * @param {string[]} lines body lines
+ * @param {Function} writer writes an item given its source line and its text without the list marker
+ * @returns {string[]} formatted lines
+ */
+const writeBody = function (lines, writer) {
+    const result = [];
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed === '') return;
+        if (trimmed.indexOf(PARSERCONSTS.COMMENT) === 0) {
+            result.push(trimmed);
+            return;
+        }
+        const item = trimmed.replace(/^[-*+]\s*/, '');
+        result.push(writer(line, item));
+    });
+    return result;
+}
+
+const writeItem = function (line, item) {
+    return `- ${item}`;
+}
+
+const writeListItem = function (line, item) {
+    // normalized values end with a colon, their synonyms are nested under them
+    return item.endsWith(':') ? `\t- ${item.replace(/\s*:$/, '')} :` : `\t\t- ${item}`;
+}
+
+/**
+ * Helper function to indent items by nesting level e.g. for child entities. Every distinct indentation found in the
+ * body is one level deeper than the one before it.
+ * @param {string[]} lines body lines
+ * @returns {Function} item writer
+ */
+const nestedItemWriter = function (lines) {
+    const items = lines.filter(line => line.trim() !== '' && line.trim().indexOf(PARSERCONSTS.COMMENT) !== 0);
+    const widths = [...new Set(items.map(getIndentWidth))].sort((a, b) => a - b);
+    return (line, item) => `${'\t'.repeat(widths.indexOf(getIndentWidth(line)) + 1)}- ${item}`;
+}
+
+const getIndentWidth = function (line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+const splitNames = function (text) {
+    return text.split(/[,;]/).map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Helper function to sort sections by type, then intents and entities by name. Other sections keep their order.
+ * @param {Object[]} sections sections
+ * @returns {Object[]} sorted sections
+ */
+const sortSections = function (sections) {
+    return sections
+        .map((section, idx) => ({ section: section, idx: idx }))
+        .sort((a, b) => {
+            const order = SectionOrder.indexOf(a.section.type) - SectionOrder.indexOf(b.section.type);
+            if (order !== 0) return order;
+            if (a.section.type === 'intent' || a.section.type === 'entity') {
+                const byName = a.section.name.localeCompare(b.section.name);
+                if (byName !== 0) return byName;
+            }
+            return a.idx - b.idx;
+        })
+        .map(item => item.section);
+}
+
+const isCompact = function (section) {
+    return section.type === 'info' || section.type === 'reference';
+}
+
+module.exports = luFormatter;
@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const LUIS = require('./../lufile/classes/LUIS');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const importHelpers = require('./importHelpers');
+
+// built-in Alexa slot types with a LUIS prebuilt entity counterpart
+const PrebuiltSlotTypes = {
+    'AMAZON.NUMBER': 'number',
+    'AMAZON.FOUR_DIGIT_NUMBER': 'number',
+    'AMAZON.Ordinal': 'ordinal',
+    'AMAZON.DATE': 'datetimeV2',
+    'AMAZON.TIME': 'datetimeV2',
+    'AMAZON.DURATION': 'datetimeV2',
+    'AMAZON.PhoneNumber': 'phonenumber',
+    'AMAZON.City': 'geographyV2',
+    'AMAZON.Country': 'geographyV2',
+    'AMAZON.US_CITY': 'geographyV2',
+    'AMAZON.US_STATE': 'geographyV2',
+    'AMAZON.FirstName': 'personName',
+    'AMAZON.Person': 'personName'
+};
+
+const alexaImporter = {
+    /**
+     * Import an Alexa interaction model. Sample utterances with slots become patterns, custom slot types list
+     * entities, built-in slot types prebuilt entities and slot names the roles of those entities.
+     * @param {string} content interaction model JSON
+     * @returns {Object} LUIS model and warnings for content that could not be mapped
+     * @throws {exception} Throws if the content is not an interaction model
+     */
+    importInteractionModel: function (content) {
+        const document = importHelpers.parseJson(content, 'the Alexa interaction model');
+        const languageModel = (document.interactionModel || document).languageModel;
+        if (!languageModel || !Array.isArray(languageModel.intents)) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, the Alexa interaction model has no languageModel intents'));
+        }
+        const model = new LUIS();
+        const warnings = [];
+        const customTypes = new Set((languageModel.types || []).map(type => type.name));
+        (languageModel.types || []).forEach(type => {
+            (type.values || []).forEach(value => importHelpers.addListValue(model, importHelpers.toEntityName(type.name), value.name.value, value.name.synonyms));
+        });
+        languageModel.intents.forEach(intent => {
+            const samples = intent.samples || [];
+            if (samples.length === 0) {
+                warnings.push(`Intent "${intent.name}" has no sample utterances and is not imported.`);
+                return;
+            }
+            const slots = new Map();
+            (intent.slots || []).forEach(slot => slots.set(slot.name, toReference(model, slot, customTypes, warnings)));
+            if ((intent.slots || []).some(slot => (slot.samples || []).length !== 0)) {
+                warnings.push(`Slot samples of intent "${intent.name}" are not imported.`);
+            }
+            samples.forEach(sample => {
+                if (!/\{[^}]+\}/.test(sample)) return importHelpers.addUtterance(model, sample, intent.name, []);
+                importHelpers.addPattern(model, sample.replace(/\{([^}]+)\}/g, (match, name) => slots.has(name.trim()) ? slots.get(name.trim()) : match), intent.name);
+            });
+        });
+        if (document.interactionModel && document.interactionModel.dialog) warnings.push('The dialog model is not imported.');
+        if (document.interactionModel && document.interactionModel.prompts) warnings.push('Prompts are not imported.');
+        return { model: model, warnings: warnings };
+    }
+};
+
+/**
+ * Helper function to map a slot to a pattern entity reference and add its entity and role to the model
+ * @param {Object} model LUIS model
+ * @param {Object} slot slot with name and type
+ * @param {Set<string>} customTypes names of the custom slot types
+ * @param {string[]} warnings warnings
+ * @returns {string} pattern entity reference, {entity} or {entity:role}
+ */
+const toReference = function (model, slot, customTypes, warnings) {
+    const role = importHelpers.toEntityName(slot.name);
+    let entity;
+    if (customTypes.has(slot.type)) {
+        entity = importHelpers.toEntityName(slot.type);
+        importHelpers.addList(model, entity, role !== entity ? role : undefined);
+    } else if (PrebuiltSlotTypes[slot.type] !== undefined) {
+        entity = PrebuiltSlotTypes[slot.type];
+        importHelpers.addPrebuilt(model, entity, role !== entity ? role : undefined);
+    } else {
+        warnings.push(`Slot type ${slot.type} of slot "${slot.name}" has no LUIS counterpart and is imported as a pattern.any entity.`);
+        importHelpers.addPatternAny(model, role);
+        return `{${role}}`;
+    }
+    return role === entity ? `{${entity}}` : `{${entity}:${role}}`;
+}
+
+module.exports = alexaImporter;
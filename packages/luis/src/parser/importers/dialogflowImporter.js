@@ -0,0 +1,176 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const LUIS = require('./../lufile/classes/LUIS');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const importHelpers = require('./importHelpers');
+
+// Dialogflow system entities with a LUIS prebuilt entity counterpart
+const PrebuiltSystemEntities = {
+    'sys.number': 'number',
+    'sys.number-integer': 'number',
+    'sys.cardinal': 'number',
+    'sys.ordinal': 'ordinal',
+    'sys.date': 'datetimeV2',
+    'sys.time': 'datetimeV2',
+    'sys.date-time': 'datetimeV2',
+    'sys.date-period': 'datetimeV2',
+    'sys.time-period': 'datetimeV2',
+    'sys.duration': 'datetimeV2',
+    'sys.geo-city': 'geographyV2',
+    'sys.geo-country': 'geographyV2',
+    'sys.geo-state': 'geographyV2',
+    'sys.geo-capital': 'geographyV2',
+    'sys.email': 'email',
+    'sys.phone-number': 'phonenumber',
+    'sys.url': 'url',
+    'sys.percentage': 'percentage',
+    'sys.temperature': 'temperature',
+    'sys.unit-currency': 'money',
+    'sys.age': 'age',
+    'sys.given-name': 'personName',
+    'sys.last-name': 'personName',
+    'sys.person': 'personName'
+};
+
+const dialogflowImporter = {
+    /**
+     * Import a Dialogflow agent export. Training phrases become utterances, template training phrases patterns,
+     * entity types list or regex entities and system entities prebuilt entities. Parameters named differently from
+     * their entity type become roles.
+     * @param {Map<string, string>} files content of the agent files by path
+     * @param {Object} options import options
+     * @param {string} options.culture language of the training phrases to import, the agent language by default
+     * @returns {Object} LUIS model and warnings for content that could not be mapped
+     * @throws {exception} Throws if the files are not a Dialogflow agent
+     */
+    importAgent: function (files, options) {
+        const agentPath = [...files.keys()].find(name => name === 'agent.json' || name.endsWith('/agent.json'));
+        if (agentPath === undefined) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, the Dialogflow agent has no agent.json'));
+        }
+        const root = agentPath.substring(0, agentPath.length - 'agent.json'.length);
+        const agent = importHelpers.parseJson(files.get(agentPath), agentPath);
+        const language = findLanguage(files, root, ((options || {}).culture || agent.language || 'en').toLowerCase());
+        const model = new LUIS();
+        const warnings = [];
+
+        const entityFiles = [...files.keys()].filter(name => name.startsWith(`${root}entities/`) && !/_entries_[^/]*\.json$/.test(name) && name.endsWith('.json'));
+        entityFiles.forEach(name => {
+            const entityType = importHelpers.parseJson(files.get(name), name);
+            const entries = files.get(name.replace(/\.json$/, `_entries_${language}.json`));
+            if (entries === undefined) {
+                warnings.push(`Entity type "${entityType.name}" has no entries for language ${language} and is not imported.`);
+                return;
+            }
+            const values = importHelpers.parseJson(entries, name);
+            const entityName = importHelpers.toEntityName(entityType.name);
+            if (entityType.isRegexp) {
+                importHelpers.addRegex(model, entityName, values.map(entry => entry.value).join('|'));
+            } else {
+                values.forEach(entry => importHelpers.addListValue(model, entityName, entry.value, entry.synonyms));
+            }
+        });
+
+        let unsupported = false;
+        const intentFiles = [...files.keys()].filter(name => name.startsWith(`${root}intents/`) && !/_usersays_[^/]*\.json$/.test(name) && name.endsWith('.json'));
+        intentFiles.forEach(name => {
+            const intent = importHelpers.parseJson(files.get(name), name);
+            unsupported = unsupported || (intent.contexts || []).length !== 0 || (intent.events || []).length !== 0 ||
+                (intent.responses || []).some(response => (response.messages || []).length !== 0 || (response.affectedContexts || []).length !== 0);
+            const userSays = files.get(name.replace(/\.json$/, `_usersays_${language}.json`));
+            if (userSays === undefined) {
+                warnings.push(`Intent "${intent.name}" has no training phrases for language ${language} and is not imported.`);
+                return;
+            }
+            importHelpers.parseJson(userSays, name).forEach(phrase => {
+                if (phrase.isTemplate) {
+                    importTemplate(model, (phrase.data || []).map(chunk => chunk.text).join(''), intent.name, warnings);
+                } else {
+                    importPhrase(model, phrase.data || [], intent.name, warnings);
+                }
+            });
+        });
+        if (unsupported) warnings.push('Contexts, events and responses of Dialogflow intents are not imported.');
+        importHelpers.resolveNameClashes(model);
+        return { model: model, warnings: warnings };
+    }
+};
+
+/**
+ * Helper function to find the language of the training phrases, trying the full language code and then its primary
+ * language, e.g. pt-br and then pt
+ * @param {Map<string, string>} files agent files
+ * @param {string} root path of the agent root folder
+ * @param {string} language requested language
+ * @returns {string} language used in the file names
+ */
+const findLanguage = function (files, root, language) {
+    const exists = code => [...files.keys()].some(name => name.startsWith(root) && (name.endsWith(`_usersays_${code}.json`) || name.endsWith(`_entries_${code}.json`)));
+    if (exists(language)) return language;
+    const primary = language.split('-')[0];
+    return exists(primary) ? primary : language;
+}
+
+/**
+ * Helper function to import a training phrase. Chunks annotated with a custom entity or @sys.any are labeled with a
+ * machine learned entity, system entities are added as prebuilt entities, which LUIS recognizes without labels.
+ * @param {Object} model LUIS model
+ * @param {Object[]} chunks training phrase chunks with text and optional meta and alias
+ * @param {string} intent intent name
+ * @param {string[]} warnings warnings
+ * @returns {void} Nothing
+ */
+const importPhrase = function (model, chunks, intent, warnings) {
+    let text = '';
+    const labels = [];
+    chunks.forEach(chunk => {
+        const chunkText = chunk.text || '';
+        if (chunk.meta && chunkText.trim() !== '') {
+            const type = chunk.meta.replace(/^@/, '');
+            const role = chunk.alias ? importHelpers.toEntityName(chunk.alias) : undefined;
+            if (PrebuiltSystemEntities[type] !== undefined) {
+                importHelpers.addPrebuilt(model, PrebuiltSystemEntities[type], role);
+            } else if (type === 'sys.any' || !type.startsWith('sys.')) {
+                const entity = type === 'sys.any' ? (role || 'any') : importHelpers.toEntityName(type);
+                labels.push({ entity: entity, role: role !== entity ? role : undefined, startPos: text.length, endPos: text.length + chunkText.length - 1 });
+            } else {
+                warnings.push(`System entity @${type} has no LUIS counterpart, its label in "${chunks.map(item => item.text).join('')}" is not imported.`);
+            }
+        }
+        text += chunkText;
+    });
+    importHelpers.addUtterance(model, text, intent, labels);
+}
+
+/**
+ * Helper function to import a template training phrase, e.g. "fly to @sys.geo-city:city" becomes the pattern
+ * "fly to {geographyV2:city}"
+ * @param {Object} model LUIS model
+ * @param {string} template template text
+ * @param {string} intent intent name
+ * @param {string[]} warnings warnings
+ * @returns {void} Nothing
+ */
+const importTemplate = function (model, template, intent, warnings) {
+    const pattern = template.replace(/@(sys\.)?([\w-]+)(?::([\w-]+))?/g, (match, system, type, alias) => {
+        const role = importHelpers.toEntityName(alias || type);
+        let entity;
+        if (system === undefined) {
+            entity = importHelpers.toEntityName(type);
+        } else if (PrebuiltSystemEntities[`sys.${type}`] !== undefined) {
+            entity = PrebuiltSystemEntities[`sys.${type}`];
+            importHelpers.addPrebuilt(model, entity, role !== entity ? role : undefined);
+        } else {
+            if (type !== 'any') warnings.push(`System entity @sys.${type} has no LUIS counterpart and is imported as a pattern.any entity.`);
+            importHelpers.addPatternAny(model, role);
+            return `{${role}}`;
+        }
+        return role === entity ? `{${entity}}` : `{${entity}:${role}}`;
+    });
+    importHelpers.addPattern(model, pattern, intent);
+}
+
+module.exports = dialogflowImporter;
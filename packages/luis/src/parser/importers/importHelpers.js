@@ -0,0 +1,256 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const helperClasses = require('./../lufile/classes/hclasses');
+
+const importHelpers = {
+    /**
+     * Make a valid LU entity name from a name used by another NLU engine
+     * @param {string} name name
+     * @returns {string} name with every character other than letters, digits, _ - and . replaced by _
+     */
+    toEntityName: function (name) {
+        return (name || '').trim().replace(/[^\w.-]/g, '_');
+    },
+    /**
+     * Add an intent if the model does not have it yet
+     * @param {Object} model LUIS model
+     * @param {string} name intent name
+     * @returns {void} Nothing
+     */
+    addIntent: function (model, name) {
+        if (!model.intents.find(item => item.name === name)) model.intents.push({ name: name });
+    },
+    /**
+     * Add a labeled utterance, its intent and the machine learned entities and roles it labels
+     * @param {Object} model LUIS model
+     * @param {string} text utterance text
+     * @param {string} intent intent name
+     * @param {Object[]} labels labels with entity, optional role, startPos and endPos, inclusive and zero based
+     * @returns {void} Nothing
+     */
+    addUtterance: function (model, text, intent, labels) {
+        importHelpers.addIntent(model, intent);
+        const entities = (labels || []).map(label => {
+            addItem(model.entities, label.entity, label.role);
+            const entity = { entity: label.entity, startPos: label.startPos, endPos: label.endPos };
+            if (label.role) entity.role = label.role;
+            return entity;
+        });
+        if (!model.utterances.find(item => item.text === text && item.intent === intent)) {
+            model.utterances.push(new helperClasses.uttereances(text, intent, entities));
+        }
+    },
+    /**
+     * Add a pattern and its intent
+     * @param {Object} model LUIS model
+     * @param {string} pattern pattern text with {entity} or {entity:role} references
+     * @param {string} intent intent name
+     * @returns {void} Nothing
+     */
+    addPattern: function (model, pattern, intent) {
+        importHelpers.addIntent(model, intent);
+        if (!model.patterns.find(item => item.pattern === pattern && item.intent === intent)) {
+            model.patterns.push(new helperClasses.pattern(pattern, intent));
+        }
+    },
+    /**
+     * Add a prebuilt entity and role
+     * @param {Object} model LUIS model
+     * @param {string} name prebuilt entity name
+     * @param {string} role role name or undefined
+     * @returns {void} Nothing
+     */
+    addPrebuilt: function (model, name, role) {
+        addItem(model.prebuiltEntities, name, role);
+    },
+    /**
+     * Add a pattern.any entity and role
+     * @param {Object} model LUIS model
+     * @param {string} name entity name
+     * @param {string} role role name or undefined
+     * @returns {void} Nothing
+     */
+    addPatternAny: function (model, name, role) {
+        if (!model.patternAnyEntities.find(item => item.name === name)) model.patternAnyEntities.push(new helperClasses.patternAnyEntity(name));
+        addItem(model.patternAnyEntities, name, role);
+    },
+    /**
+     * Add a list entity and role
+     * @param {Object} model LUIS model
+     * @param {string} name list entity name
+     * @param {string} role role name or undefined
+     * @returns {Object} list entity
+     */
+    addList: function (model, name, role) {
+        let list = model.closedLists.find(item => item.name === name);
+        if (list === undefined) model.closedLists.push(list = new helperClasses.closedLists(name));
+        if (role && !list.roles.includes(role)) list.roles.push(role);
+        return list;
+    },
+    /**
+     * Add a normalized value and its synonyms to a list entity
+     * @param {Object} model LUIS model
+     * @param {string} name list entity name
+     * @param {string} canonicalForm normalized value
+     * @param {string[]} synonyms synonyms
+     * @returns {void} Nothing
+     */
+    addListValue: function (model, name, canonicalForm, synonyms) {
+        const list = importHelpers.addList(model, name);
+        let subList = list.subLists.find(item => item.canonicalForm === canonicalForm);
+        if (subList === undefined) list.subLists.push(subList = new helperClasses.subList(canonicalForm));
+        (synonyms || []).map(synonym => synonym.trim())
+            .filter(synonym => synonym !== '' && synonym !== canonicalForm && !subList.list.includes(synonym))
+            .forEach(synonym => subList.list.push(synonym));
+    },
+    /**
+     * Add words to a phrase list
+     * @param {Object} model LUIS model
+     * @param {string} name phrase list name
+     * @param {string[]} words words and phrases
+     * @returns {void} Nothing
+     */
+    addPhraseList: function (model, name, words) {
+        let phraseList = model.model_features.find(item => item.name === name);
+        if (phraseList === undefined) model.model_features.push(phraseList = new helperClasses.modelObj(name, true, '', true));
+        const values = phraseList.words === '' ? [] : phraseList.words.split(',');
+        // phrase list words are comma separated
+        (words || []).map(word => word.replace(/,/g, ' ').trim()).filter(word => word !== '' && !values.includes(word)).forEach(word => values.push(word));
+        phraseList.words = values.join(',');
+    },
+    /**
+     * Add a regular expression entity
+     * @param {Object} model LUIS model
+     * @param {string} name entity name
+     * @param {string} regexPattern regular expression
+     * @returns {void} Nothing
+     */
+    addRegex: function (model, name, regexPattern) {
+        const regex = model.regex_entities.find(item => item.name === name);
+        if (regex === undefined) {
+            model.regex_entities.push(new helperClasses.regExEntity(name, regexPattern));
+        } else if (regex.regexPattern !== regexPattern) {
+            regex.regexPattern = `(${regex.regexPattern})|(${regexPattern})`;
+        }
+    },
+    /**
+     * LU does not allow a list, regex or phrase list to have the name of a machine learned entity. Rename those
+     * that do to <name>List, <name>Regex and <name>Phrases and add them as features of the entity with that name.
+     * @param {Object} model LUIS model
+     * @returns {void} Nothing
+     */
+    resolveNameClashes: function (model) {
+        const rename = (collection, suffix, toFeature) => collection.forEach(item => {
+            const entity = model.entities.find(other => other.name === item.name);
+            if (entity === undefined) return;
+            item.name = `${item.name}${suffix}`;
+            entity.features = entity.features || [];
+            entity.features.push(toFeature(item.name));
+        });
+        rename(model.closedLists, 'List', name => ({ modelName: name }));
+        rename(model.regex_entities, 'Regex', name => ({ modelName: name }));
+        rename(model.model_features, 'Phrases', name => ({ featureName: name }));
+    },
+    /**
+     * Read all files of a folder or .zip archive
+     * @param {string} input folder or .zip file
+     * @returns {Map<string, string>} file content by path relative to the folder or archive root, using / separators
+     * @throws {exception} Throws if the archive cannot be read
+     */
+    readFiles: async function (input) {
+        const files = new Map();
+        if ((await fs.stat(input)).isDirectory()) {
+            const walk = async (folder) => {
+                for (const item of await fs.readdir(folder)) {
+                    const itemPath = path.join(folder, item);
+                    if ((await fs.stat(itemPath)).isDirectory()) {
+                        await walk(itemPath);
+                    } else {
+                        files.set(path.relative(input, itemPath).split(path.sep).join('/'), await fs.readFile(itemPath, 'utf8'));
+                    }
+                }
+            };
+            await walk(input);
+        } else {
+            readZip(await fs.readFile(input), input).forEach((content, name) => files.set(name, content));
+        }
+        return files;
+    },
+    /**
+     * Parse JSON content of an imported file
+     * @param {string} content file content
+     * @param {string} name file name used in the error message
+     * @returns {Object} parsed content
+     * @throws {exception} Throws if the content is not valid JSON
+     */
+    parseJson: function (content, name) {
+        try {
+            return JSON.parse(content.replace(/^\uFEFF/, ''));
+        } catch (err) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, ${name} is not valid JSON: ${err.message}`));
+        }
+    }
+};
+
+/**
+ * Helper function to add an entity and role to an entity collection if not present
+ * @param {Object[]} collection entities, prebuilt or pattern.any entities
+ * @param {string} name entity name
+ * @param {string} role role name or undefined
+ * @returns {void} Nothing
+ */
+const addItem = function (collection, name, role) {
+    let item = collection.find(entity => entity.name === name);
+    if (item === undefined) collection.push(item = { name: name, roles: [] });
+    if (role && !item.roles.includes(role)) item.roles.push(role);
+}
+
+/**
+ * Helper function to read the files of a .zip archive. Only stored and deflated entries are supported, which is what
+ * Dialogflow and Wit.ai exports use.
+ * @param {Buffer} buffer archive content
+ * @param {string} name archive name used in error messages
+ * @returns {Map<string, string>} file content by path in the archive
+ * @throws {exception} Throws if the archive cannot be read
+ */
+const readZip = function (buffer, name) {
+    const invalid = reason => new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to read archive ${name}: ${reason}`);
+    // the end of central directory record is at the end of the archive, followed by a comment of up to 64KB
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < 0) throw invalid('not a .zip file');
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = new Map();
+    for (let idx = 0; idx < count; idx++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw invalid('corrupt central directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const fileName = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (fileName.endsWith('/')) continue;
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.slice(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.set(fileName, data.toString('utf8'));
+        } else if (method === 8) {
+            files.set(fileName, zlib.inflateRawSync(data).toString('utf8'));
+        } else {
+            throw invalid(`unsupported compression method ${method} for ${fileName}`);
+        }
+    }
+    return files;
+}
+
+module.exports = importHelpers;
@@ -0,0 +1,76 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const importHelpers = require('./importHelpers');
+const rasaImporter = require('./rasaImporter');
+const dialogflowImporter = require('./dialogflowImporter');
+const alexaImporter = require('./alexaImporter');
+const witImporter = require('./witImporter');
+
+const Formats = ['rasa', 'dialogflow', 'alexa', 'wit'];
+
+const nluImporter = {
+    /**
+     * Import the training data of another NLU engine into a LUIS model
+     * @param {string} input Rasa .md or .yml file, Dialogflow agent or Wit.ai export folder or .zip file, or Alexa
+     * interaction model .json file
+     * @param {Object} options import options
+     * @param {string} options.format one of rasa, dialogflow, alexa or wit. Detected from the input if not set
+     * @param {string} options.culture language of the Dialogflow training phrases to import
+     * @returns {Object} LUIS model and warnings for content that could not be mapped
+     * @throws {exception} Throws if the input cannot be read or its format is unknown
+     */
+    importData: async function (input, options) {
+        options = options || {};
+        if (!await fs.pathExists(input)) {
+            throw (new exception(retCode.errorCode.FILE_OPEN_ERROR, `Sorry, unable to open ${input}`));
+        }
+        const extension = path.extname(input).toLowerCase();
+        const isArchive = extension === '.zip' || (await fs.stat(input)).isDirectory();
+        const files = isArchive ? await importHelpers.readFiles(input) : undefined;
+        const content = isArchive ? undefined : await fs.readFile(input, 'utf8');
+        const format = options.format || detectFormat(extension, files, content);
+        if (!Formats.includes(format)) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, unable to detect the format of ${input}. Set it to one of ${Formats.join(', ')}`));
+        }
+        if ((format === 'rasa' || format === 'alexa') === isArchive) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, ${format} training data must be ${isArchive ? 'a file' : 'a folder or .zip file'}`));
+        }
+        switch (format) {
+            case 'rasa':
+                return extension === '.md' ? rasaImporter.importMarkdown(content) : rasaImporter.importYaml(content);
+            case 'dialogflow':
+                return dialogflowImporter.importAgent(files, { culture: options.culture });
+            case 'alexa':
+                return alexaImporter.importInteractionModel(content);
+            default:
+                return witImporter.importApp(files);
+        }
+    }
+};
+
+/**
+ * Helper function to detect the format of the input
+ * @param {string} extension file extension
+ * @param {Map<string, string>} files files of a folder or archive
+ * @param {string} content file content
+ * @returns {string} format or undefined if unknown
+ */
+const detectFormat = function (extension, files, content) {
+    if (files !== undefined) {
+        const names = [...files.keys()];
+        if (names.some(name => /(^|\/)agent\.json$/.test(name))) return 'dialogflow';
+        if (names.some(name => /(^|\/)(utterances\/[^/]+|expressions)\.json$/.test(name))) return 'wit';
+        return undefined;
+    }
+    if (extension === '.md' || extension === '.yml' || extension === '.yaml') return 'rasa';
+    if (extension === '.json' && /"(interactionModel|languageModel)"\s*:/.test(content)) return 'alexa';
+    return undefined;
+}
+
+module.exports = nluImporter;
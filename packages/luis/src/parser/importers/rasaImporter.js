@@ -0,0 +1,159 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const yaml = require('js-yaml');
+const LUIS = require('./../lufile/classes/LUIS');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const importHelpers = require('./importHelpers');
+
+const rasaImporter = {
+    /**
+     * Import Rasa NLU training data in Markdown format (## intent:, ## synonym:, ## regex: and ## lookup: sections)
+     * @param {string} content training data
+     * @returns {Object} LUIS model and warnings for content that could not be mapped
+     */
+    importMarkdown: function (content) {
+        const sections = [];
+        let section;
+        content.replace(/<!--[\s\S]*?-->/g, '').split(/\r?\n/).forEach((line, idx) => {
+            const header = line.match(/^\s*##\s*(.*?)\s*$/);
+            if (header) {
+                const typeAndName = header[1].match(/^(intent|synonym|regex|lookup)\s*:\s*(.+)$/);
+                section = typeAndName ? { type: typeAndName[1], name: typeAndName[2], examples: [], line: idx + 1 } : { type: header[1], examples: [], line: idx + 1 };
+                sections.push(section);
+                return;
+            }
+            const item = line.match(/^\s*[-*+]\s+(.*?)\s*$/);
+            if (item && section) section.examples.push(item[1]);
+        });
+        return importSections(sections);
+    },
+    /**
+     * Import Rasa NLU training data in YAML format (nlu: items with intent, synonym, regex or lookup and examples)
+     * @param {string} content training data
+     * @returns {Object} LUIS model and warnings for content that could not be mapped
+     * @throws {exception} Throws if the content is not valid YAML
+     */
+    importYaml: function (content) {
+        let document;
+        try {
+            document = yaml.safeLoad(content) || {};
+        } catch (err) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, the Rasa training data is not valid YAML: ${err.message}`));
+        }
+        const sections = (document.nlu || []).map(item => {
+            const type = ['intent', 'synonym', 'regex', 'lookup'].find(key => item[key] !== undefined);
+            return { type: type || Object.keys(item)[0], name: type ? `${item[type]}` : undefined, examples: readExamples(item.examples) };
+        });
+        const result = importSections(sections);
+        Object.keys(document).filter(key => key !== 'version' && key !== 'nlu')
+            .forEach(key => result.warnings.push(`Rasa "${key}" data is not imported, only NLU training data is.`));
+        return result;
+    }
+};
+
+/**
+ * Helper function to map parsed Rasa sections onto a LUIS model. Labeled entities become machine learned entities,
+ * synonyms become list entities, lookup tables phrase lists and regular expressions regex entities. Lists, phrase
+ * lists and regex entities with the name of a labeled entity are used as features of that entity.
+ * @param {Object[]} sections sections with type, name and example lines
+ * @returns {Object} LUIS model and warnings
+ */
+const importSections = function (sections) {
+    const model = new LUIS();
+    const warnings = [];
+    const labeledValues = [];
+    sections.filter(section => section.type === 'intent').forEach(section => {
+        section.examples.forEach(example => {
+            const parsed = parseExample(example, warnings);
+            importHelpers.addUtterance(model, parsed.text, section.name, parsed.labels);
+            parsed.labels.forEach(label => {
+                labeledValues.push({ entity: label.entity, text: parsed.text.substring(label.startPos, label.endPos + 1), value: label.value });
+                if (label.value !== undefined) importHelpers.addListValue(model, label.entity, label.value, [parsed.text.substring(label.startPos, label.endPos + 1)]);
+            });
+        });
+    });
+    sections.forEach(section => {
+        switch (section.type) {
+            case 'intent':
+                break;
+            case 'synonym': {
+                const values = [section.name].concat(section.examples);
+                const entities = [...new Set(labeledValues.filter(item => values.includes(item.value) || values.includes(item.text)).map(item => item.entity))];
+                if (entities.length === 0) {
+                    warnings.push(`Synonyms of "${section.name}" are not imported, no labeled entity uses them.`);
+                }
+                entities.forEach(entity => importHelpers.addListValue(model, entity, section.name, section.examples));
+                break;
+            }
+            case 'regex':
+                importHelpers.addRegex(model, importHelpers.toEntityName(section.name), section.examples.length === 1 ? section.examples[0] : section.examples.map(example => `(${example})`).join('|'));
+                break;
+            case 'lookup':
+                if (section.examples.length === 1 && /\.(txt|csv)$/.test(section.examples[0])) {
+                    warnings.push(`Lookup table "${section.name}" is not imported, lookup table files are not supported.`);
+                } else {
+                    importHelpers.addPhraseList(model, importHelpers.toEntityName(section.name), section.examples);
+                }
+                break;
+            default:
+                warnings.push(`Rasa section "${section.type}"${section.line ? ` at line ${section.line}` : ''} is not imported.`);
+        }
+    });
+    importHelpers.resolveNameClashes(model);
+    return { model: model, warnings: warnings };
+}
+
+/**
+ * Helper function to read the example lines of a YAML item
+ * @param {string|Object[]} examples block of "- example" lines, or a list of examples with text
+ * @returns {string[]} examples
+ */
+const readExamples = function (examples) {
+    if (Array.isArray(examples)) return examples.map(example => typeof example === 'string' ? example : example.text).filter(example => example);
+    return `${examples || ''}`.split(/\r?\n/).map(line => line.replace(/^\s*-\s*/, '').trim()).filter(line => line !== '');
+}
+
+/**
+ * Helper function to parse the entity annotations of an example, [text](entity), [text](entity:value) or
+ * [text]{"entity": "...", "role": "...", "value": "..."}
+ * @param {string} example example with annotations
+ * @param {string[]} warnings warnings
+ * @returns {Object} text without annotations and labels with entity, role, value, startPos and endPos
+ */
+const parseExample = function (example, warnings) {
+    const labels = [];
+    let text = '';
+    let last = 0;
+    const annotation = /\[([^\]]+)\](?:\(([^)]+)\)|(\{[^}]*\}))/g;
+    let match;
+    while ((match = annotation.exec(example)) !== null) {
+        text += example.substring(last, match.index);
+        last = annotation.lastIndex;
+        let label;
+        if (match[2] !== undefined) {
+            const separator = match[2].indexOf(':');
+            label = separator === -1 ? { entity: match[2] } : { entity: match[2].substring(0, separator), value: match[2].substring(separator + 1) };
+        } else {
+            try {
+                label = JSON.parse(match[3]);
+            } catch (err) {
+                warnings.push(`Entity annotation ${match[3]} in "${example}" is not valid JSON and is not imported.`);
+                text += match[1];
+                continue;
+            }
+            if (label.group !== undefined) warnings.push(`Entity group ${label.group} in "${example}" is not imported.`);
+        }
+        const entity = { entity: importHelpers.toEntityName(label.entity), startPos: text.length, endPos: text.length + match[1].length - 1 };
+        if (label.role) entity.role = importHelpers.toEntityName(label.role);
+        if (label.value !== undefined && label.value !== match[1]) entity.value = `${label.value}`;
+        labels.push(entity);
+        text += match[1];
+    }
+    text += example.substring(last);
+    return { text: text, labels: labels };
+}
+
+module.exports = rasaImporter;
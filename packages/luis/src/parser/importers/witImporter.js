@@ -0,0 +1,112 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const LUIS = require('./../lufile/classes/LUIS');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const importHelpers = require('./importHelpers');
+
+// Wit.ai built-in entities with a LUIS prebuilt entity counterpart
+const PrebuiltEntities = {
+    'wit$number': 'number',
+    'wit$ordinal': 'ordinal',
+    'wit$datetime': 'datetimeV2',
+    'wit$duration': 'datetimeV2',
+    'wit$location': 'geographyV2',
+    'wit$email': 'email',
+    'wit$phone_number': 'phonenumber',
+    'wit$url': 'url',
+    'wit$temperature': 'temperature',
+    'wit$amount_of_money': 'money',
+    'wit$age_of_person': 'age',
+    'wit$contact': 'personName',
+    'wit$distance': 'dimension',
+    'wit$volume': 'dimension'
+};
+
+// Wit.ai built-in entities that capture free text and are learned from labels
+const FreeTextEntities = ['wit$message_body', 'wit$search_query', 'wit$agenda_entry', 'wit$reminder'];
+
+const witImporter = {
+    /**
+     * Import a Wit.ai app export. Utterances keep their labels, entities with keywords become list entities used
+     * as features, built-in entities prebuilt entities. Entity roles become LUIS roles. Exports with an
+     * expressions.json file from before Wit.ai API version 20200513 are supported too.
+     * @param {Map<string, string>} files content of the export files by path
+     * @returns {Object} LUIS model and warnings for content that could not be mapped
+     * @throws {exception} Throws if the files are not a Wit.ai export
+     */
+    importApp: function (files) {
+        const model = new LUIS();
+        const warnings = [];
+        const names = [...files.keys()];
+        const utteranceFiles = names.filter(name => /(^|\/)utterances\/[^/]+\.json$/.test(name));
+        const expressionFile = names.find(name => /(^|\/)expressions\.json$/.test(name));
+        if (utteranceFiles.length === 0 && expressionFile === undefined) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, the Wit.ai export has no utterances'));
+        }
+
+        names.filter(name => /(^|\/)entities\/[^/]+\.json$/.test(name)).forEach(name => {
+            const entity = importHelpers.parseJson(files.get(name), name);
+            // exports from before API version 20200513 have the entity under data and keywords as values
+            const definition = entity.data || entity;
+            const keywords = definition.keywords || (definition.values || []).map(value => ({ keyword: value.value, synonyms: value.expressions }));
+            if (definition.name === undefined || definition.name === 'intent' || definition.name.startsWith('wit$')) return;
+            keywords.forEach(keyword => importHelpers.addListValue(model, importHelpers.toEntityName(definition.name), keyword.keyword, keyword.synonyms));
+        });
+        names.filter(name => /(^|\/)traits\/[^/]+\.json$/.test(name)).forEach(name => {
+            warnings.push(`Trait "${importHelpers.parseJson(files.get(name), name).name}" is not imported.`);
+        });
+
+        utteranceFiles.forEach(name => {
+            (importHelpers.parseJson(files.get(name), name).utterances || []).forEach(utterance => {
+                importUtterance(model, utterance.text, utterance.intent || 'None', utterance.entities || [], warnings);
+            });
+        });
+        if (expressionFile !== undefined) {
+            (importHelpers.parseJson(files.get(expressionFile), expressionFile).data || []).forEach(expression => {
+                const intent = (expression.entities || []).find(entity => entity.entity === 'intent');
+                const entities = (expression.entities || []).filter(entity => entity.entity !== 'intent' && entity.start !== undefined);
+                importUtterance(model, expression.text, intent ? JSON.parse(intent.value) : 'None', entities, warnings);
+            });
+        }
+        importHelpers.resolveNameClashes(model);
+        return { model: model, warnings: warnings };
+    }
+};
+
+/**
+ * Helper function to import an utterance and its entity labels. Wit.ai labels end after their last character.
+ * @param {Object} model LUIS model
+ * @param {string} text utterance text
+ * @param {string} intent intent name
+ * @param {Object[]} entities labels with entity or entity:role, start and end
+ * @param {string[]} warnings warnings
+ * @returns {void} Nothing
+ */
+const importUtterance = function (model, text, intent, entities, warnings) {
+    const labels = [];
+    entities.forEach(label => {
+        const separator = label.entity.indexOf(':');
+        const type = separator === -1 ? label.entity : label.entity.substring(0, separator);
+        const name = importHelpers.toEntityName(type.replace(/^wit\$/, ''));
+        // Wit.ai names the default role of an entity after the entity
+        const role = separator === -1 || label.entity.substring(separator + 1) === name ? undefined : importHelpers.toEntityName(label.entity.substring(separator + 1));
+        if ((label.entities || []).length !== 0) {
+            warnings.push(`Entities nested in ${label.entity} in "${text}" are not imported.`);
+        }
+        if (PrebuiltEntities[type] !== undefined) {
+            importHelpers.addPrebuilt(model, PrebuiltEntities[type], role);
+            return;
+        }
+        if (type.startsWith('wit$') && !FreeTextEntities.includes(type)) {
+            warnings.push(`Built-in entity ${type} has no LUIS counterpart, its label in "${text}" is not imported.`);
+            return;
+        }
+        labels.push({ entity: name, role: role, startPos: label.start, endPos: label.end - 1 });
+    });
+    importHelpers.addUtterance(model, text, intent, labels);
+}
+
+module.exports = witImporter;
@@ -0,0 +1,233 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const BuildDiagnostic = require('./../lufile/diagnostic').BuildDiagnostic;
+const DiagnosticSeverity = require('./../lufile/diagnostic').DiagnosticSeverity;
+const helpers = require('./../lufile/helpers');
+const LUISObjNameEnum = require('./../lufile/enums/luisobjenum');
+
+/**
+ * Lint rules over a parsed lu resource. Every rule has a description, default options and a check function that
+ * returns the diagnostics found. Options can be tuned per rule in .lulintrc.
+ */
+const rules = {
+    'min-utterances': {
+        description: 'Intents should have at least the configured number of utterances',
+        defaults: { min: 5 },
+        check: function (luResource, options) {
+            const diagnostics = [];
+            luResource.Intents.forEach(intent => {
+                // utterances pulled in from other files cannot be counted here
+                if (intent.UtteranceAndEntitiesMap.find(item => helpers.isUtteranceLinkRef(item.utterance)) !== undefined) return;
+                const count = intent.UtteranceAndEntitiesMap.length;
+                if (count === 0 || count >= options.min) return;
+                diagnostics.push(BuildDiagnostic({
+                    message: `Intent "${intent.Name}" has ${count} utterance(s). At least ${options.min} are recommended.`,
+                    context: intent.ParseTree.intentNameLine(),
+                    severity: DiagnosticSeverity.WARN
+                }));
+            });
+            return diagnostics;
+        }
+    },
+    'duplicate-utterances': {
+        description: 'The same utterance should not be used in more than one intent',
+        defaults: {},
+        check: function (luResource) {
+            const diagnostics = [];
+            const seen = new Map();
+            getUtterances(luResource).forEach(item => {
+                const key = normalize(item.utterance);
+                const first = seen.get(key);
+                if (first === undefined) {
+                    seen.set(key, item);
+                } else if (first.intent !== item.intent) {
+                    diagnostics.push(BuildDiagnostic({
+                        message: `Utterance "${item.utterance}" in intent "${item.intent}" is also defined in intent "${first.intent}" at line ${first.context.start.line}.`,
+                        context: item.context,
+                        severity: DiagnosticSeverity.WARN
+                    }));
+                }
+            });
+            return diagnostics;
+        }
+    },
+    'unlabeled-entity-mentions': {
+        description: 'Values labelled as an entity in one utterance should be labelled in every utterance',
+        defaults: {},
+        check: function (luResource) {
+            const diagnostics = [];
+            const utterances = getUtterances(luResource).filter(item => !item.isPattern);
+            const labelledValues = new Map();
+            utterances.forEach(item => getLabels(item).forEach(label => {
+                const value = normalize(item.utterance.substring(label.startPos, label.endPos + 1));
+                if (value !== '' && !labelledValues.has(value)) labelledValues.set(value, label.entity);
+            }));
+            utterances.forEach(item => {
+                const labels = getLabels(item);
+                labelledValues.forEach((entity, value) => {
+                    const match = findValue(item.utterance, value, labels);
+                    if (match === -1) return;
+                    diagnostics.push(BuildDiagnostic({
+                        message: `Utterance "${item.utterance}" mentions "${value}" without a label. It is labelled as entity "${entity}" in other utterances.`,
+                        context: item.context,
+                        severity: DiagnosticSeverity.WARN
+                    }));
+                });
+            });
+            return diagnostics;
+        }
+    },
+    'unused-phrase-lists': {
+        description: 'Phrase lists should contain at least one value that occurs in an utterance',
+        defaults: {},
+        check: function (luResource) {
+            const diagnostics = [];
+            const utterances = getUtterances(luResource).map(item => item.utterance);
+            getPhraseLists(luResource).forEach(phraseList => {
+                const used = phraseList.values.find(value => utterances.find(utterance => findValue(utterance, normalize(value), []) !== -1) !== undefined);
+                if (used !== undefined || phraseList.values.length === 0) return;
+                diagnostics.push(BuildDiagnostic({
+                    message: `Phrase list "${phraseList.name}" does not match any utterance.`,
+                    context: phraseList.context,
+                    severity: DiagnosticSeverity.WARN
+                }));
+            });
+            return diagnostics;
+        }
+    },
+    'pattern-shadows-utterance': {
+        description: 'Patterns should not match utterances of other intents',
+        defaults: {},
+        check: function (luResource) {
+            const diagnostics = [];
+            const utterances = getUtterances(luResource);
+            utterances.filter(item => item.isPattern).forEach(pattern => {
+                const patternRegex = toRegExp(pattern.utterance);
+                utterances
+                    .filter(item => !item.isPattern && item.intent !== pattern.intent && patternRegex.test(stripPunctuation(item.utterance)))
+                    .forEach(item => diagnostics.push(BuildDiagnostic({
+                        message: `Pattern "${pattern.utterance}" in intent "${pattern.intent}" matches utterance "${item.utterance}" of intent "${item.intent}" at line ${item.context.start.line}.`,
+                        context: pattern.context,
+                        severity: DiagnosticSeverity.WARN
+                    })));
+            });
+            return diagnostics;
+        }
+    }
+};
+
+/**
+ * Helper function to get all utterances and patterns of a resource, without references to other files
+ * @param {LUResource} luResource parsed lu content
+ * @returns {Object[]} utterance, intent, parse tree context and whether the utterance is a pattern
+ */
+const getUtterances = function (luResource) {
+    const utterances = [];
+    luResource.Intents.forEach(intent => intent.UtteranceAndEntitiesMap.forEach(item => {
+        if (helpers.isUtteranceLinkRef(item.utterance)) return;
+        const isPattern = item.entities.find(entity => entity.type === LUISObjNameEnum.PATTERNANYENTITY) !== undefined ||
+            (item.entities.length === 0 && helpers.isUtterancePattern(item.utterance));
+        utterances.push({ utterance: item.utterance, entities: item.entities, intent: intent.Name, context: item.context, isPattern: isPattern });
+    }));
+    return utterances;
+}
+
+/**
+ * Helper function to get the labelled entities of an utterance
+ * @param {Object} utterance utterance from getUtterances
+ * @returns {Object[]} labels with start and end position
+ */
+const getLabels = function (utterance) {
+    return utterance.entities.filter(entity => entity.type === LUISObjNameEnum.ENTITIES && entity.startPos !== undefined);
+}
+
+/**
+ * Helper function to get phrase lists defined with either $name:phraseList or @ phraselist name
+ * @param {LUResource} luResource parsed lu content
+ * @returns {Object[]} name, values and parse tree context of every phrase list
+ */
+const getPhraseLists = function (luResource) {
+    const getName = name => name.replace(/\(.*\)$/, '').trim();
+    const splitValues = list => (list || []).reduce((values, item) => values.concat(item.split(/[,;]/g).map(value => value.trim()).filter(value => value !== '')), []);
+    const phraseLists = luResource.Entities
+        .filter(entity => entity.Type.toLowerCase().trim().indexOf('phraselist') === 0)
+        .map(entity => ({ name: getName(entity.Name), values: splitValues(entity.SynonymsOrPhraseList), context: entity.ParseTree.entityLine() }));
+    return phraseLists.concat(luResource.NewEntities
+        .filter(entity => (entity.Type || '').toLowerCase().trim() === 'phraselist')
+        .map(entity => ({ name: getName(entity.Name), values: splitValues(entity.ListBody), context: entity.ParseTree.newEntityLine() })));
+}
+
+/**
+ * Helper function to find a value as a whole word in an utterance, outside of the given labels
+ * @param {String} utterance utterance text
+ * @param {String} value normalized value to find
+ * @param {Object[]} labels labels to ignore matches in
+ * @returns {Number} position of the value or -1 if not found
+ */
+const findValue = function (utterance, value, labels) {
+    if (value === '') return -1;
+    const valueRegex = new RegExp(`(^|[^\\w])(${escapeRegExp(value)})(?=[^\\w]|$)`, 'gi');
+    let match;
+    while ((match = valueRegex.exec(utterance)) !== null) {
+        const start = match.index + match[1].length;
+        const end = start + match[2].length - 1;
+        if (labels.find(label => start <= label.endPos && end >= label.startPos) === undefined) return start;
+        valueRegex.lastIndex = start + 1;
+    }
+    return -1;
+}
+
+/**
+ * Helper function to convert a pattern to a regular expression matching the utterances it covers
+ * e.g. "book [a] flight to {city}" becomes /^book\s*(?:a)?\s*flight\s*to\s*.+?$/i
+ * @param {String} pattern pattern text
+ * @returns {RegExp} regular expression for the pattern
+ */
+const toRegExp = function (pattern) {
+    let source = '';
+    const text = stripPunctuation(pattern);
+    for (let idx = 0; idx < text.length; idx++) {
+        const char = text[idx];
+        if (char === '\\' && idx + 1 < text.length) {
+            source += escapeRegExp(text[++idx]);
+        } else if (char === '{') {
+            const end = text.indexOf('}', idx);
+            idx = end === -1 ? text.length : end;
+            source += '.+?';
+        } else if (char === '[') {
+            source += '(?:';
+        } else if (char === ']') {
+            source += ')?';
+        } else if (char === '(') {
+            source += '(?:';
+        } else if (char === ')' || char === '|') {
+            source += char;
+        } else if (/\s/.test(char)) {
+            if (!source.endsWith('\\s*')) source += '\\s*';
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    try {
+        return new RegExp(`^${source}$`, 'i');
+    } catch (err) {
+        // unbalanced brackets, nothing can be reported for this pattern
+        return /(?!)/;
+    }
+}
+
+const escapeRegExp = function (text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const stripPunctuation = function (text) {
+    return text.trim().replace(/[?.!,;:]+$/, '').trim();
+}
+
+const normalize = function (text) {
+    return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+module.exports = rules;
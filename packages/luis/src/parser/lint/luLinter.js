@@ -0,0 +1,187 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const luParser = require('./../lufile/luParser');
+const DiagnosticSeverity = require('./../lufile/diagnostic').DiagnosticSeverity;
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const rules = require('./lintRules');
+
+const CONFIG_FILE_NAME = '.lulintrc';
+const SYNTAX_RULE = 'syntax';
+const Severities = ['off', 'warn', 'error'];
+
+const linter = {
+    /**
+     * Lint lu content
+     * @param {String} content lu file content
+     * @param {Object} config rule configuration returned by resolveConfig
+     * @returns {Object[]} rule name and diagnostic of every issue found
+     */
+    lint: function (content, config) {
+        config = config || linter.resolveConfig();
+        if ((content || '').trim() === '') return [];
+        const luResource = luParser.parse(content);
+        let results = (luResource.Errors || [])
+            .filter(error => error)
+            .map(error => ({ rule: SYNTAX_RULE, diagnostic: error }));
+        if (luResource.Intents === undefined || results.find(result => result.diagnostic.Severity === DiagnosticSeverity.ERROR) !== undefined) {
+            return results;
+        }
+        Object.keys(config).forEach(ruleName => {
+            const ruleConfig = config[ruleName];
+            if (ruleConfig.severity === 'off') return;
+            rules[ruleName].check(luResource, ruleConfig.options).forEach(diagnostic => {
+                if (ruleConfig.severity === 'error') diagnostic.Severity = DiagnosticSeverity.ERROR;
+                results.push({ rule: ruleName, diagnostic: diagnostic });
+            });
+        });
+        return results.sort((a, b) => getLine(a.diagnostic) - getLine(b.diagnostic));
+    },
+    /**
+     * Merge the rules section of a .lulintrc file with the rule defaults. Rules are configured with a severity or an array
+     * of severity and options e.g. { "rules": { "min-utterances": ["warn", { "min": 10 }], "duplicate-utterances": "off" } }
+     * @param {Object} lintrc parsed .lulintrc content
+     * @returns {Object} severity and options for every rule
+     * @throws {exception} Throws on unknown rules or severities
+     */
+    resolveConfig: function (lintrc) {
+        const configuredRules = (lintrc || {}).rules || {};
+        Object.keys(configuredRules).forEach(ruleName => {
+            if (rules[ruleName] === undefined) {
+                throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Unknown lint rule "${ruleName}" in ${CONFIG_FILE_NAME}. Available rules are ${Object.keys(rules).join(', ')}`));
+            }
+        });
+        const config = {};
+        Object.keys(rules).forEach(ruleName => {
+            let value = configuredRules[ruleName];
+            if (value === undefined || value === true) value = 'warn';
+            if (value === false) value = 'off';
+            const [severity, options] = Array.isArray(value) ? value : [value, {}];
+            if (!Severities.includes(severity)) {
+                throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Invalid severity "${severity}" for lint rule "${ruleName}" in ${CONFIG_FILE_NAME}. Use one of ${Severities.join(', ')}`));
+            }
+            config[ruleName] = { severity: severity, options: Object.assign({}, rules[ruleName].defaults, options) };
+        });
+        return config;
+    },
+    /**
+     * Find the closest .lulintrc file, starting at the given folder and walking up to the root
+     * @param {String} folder folder to start looking in
+     * @returns {String} path to the .lulintrc file or undefined if there is none
+     */
+    findConfig: async function (folder) {
+        let current = path.resolve(folder);
+        while (true) {
+            const candidate = path.join(current, CONFIG_FILE_NAME);
+            if (await fs.pathExists(candidate)) return candidate;
+            const parent = path.dirname(current);
+            if (parent === current) return undefined;
+            current = parent;
+        }
+    },
+    /**
+     * Read and resolve a .lulintrc file
+     * @param {String} configPath path to the .lulintrc file, rule defaults are used if undefined
+     * @returns {Object} severity and options for every rule
+     * @throws {exception} Throws if the file cannot be read or is not valid JSON
+     */
+    loadConfig: async function (configPath) {
+        if (configPath === undefined) return linter.resolveConfig();
+        let lintrc;
+        try {
+            lintrc = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        } catch (err) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to read lint configuration ${configPath}: ${err.message}`));
+        }
+        return linter.resolveConfig(lintrc);
+    },
+    /**
+     * Format lint results as plain text, one issue per line
+     * @param {Object[]} fileResults file name and lint results for every file
+     * @returns {String} formatted results
+     */
+    toText: function (fileResults) {
+        const lines = [];
+        fileResults.forEach(fileResult => fileResult.results.forEach(result => {
+            lines.push(`${fileResult.file}: ${result.diagnostic.toString()} (${result.rule})`);
+        }));
+        return lines.join('\n');
+    },
+    /**
+     * Format lint results as JSON
+     * @param {Object[]} fileResults file name and lint results for every file
+     * @returns {Object[]} one entry per issue with file, rule, severity, message and zero based range
+     */
+    toJson: function (fileResults) {
+        const issues = [];
+        fileResults.forEach(fileResult => fileResult.results.forEach(result => {
+            const range = result.diagnostic.Range;
+            issues.push({
+                file: fileResult.file,
+                rule: result.rule,
+                severity: result.diagnostic.Severity.toLowerCase(),
+                message: result.diagnostic.Message,
+                range: range === undefined ? undefined : {
+                    start: { line: range.Start.Line - 1, character: range.Start.Character },
+                    end: { line: range.End.Line - 1, character: range.End.Character }
+                }
+            });
+        }));
+        return issues;
+    },
+    /**
+     * Format lint results as a SARIF 2.1.0 log
+     * @param {Object[]} fileResults file name and lint results for every file
+     * @returns {Object} SARIF log
+     */
+    toSarif: function (fileResults) {
+        const ruleIds = [SYNTAX_RULE].concat(Object.keys(rules));
+        const results = [];
+        fileResults.forEach(fileResult => fileResult.results.forEach(result => {
+            const range = result.diagnostic.Range;
+            const location = { physicalLocation: { artifactLocation: { uri: fileResult.file.split(path.sep).join('/') } } };
+            if (range !== undefined) {
+                location.physicalLocation.region = {
+                    startLine: range.Start.Line,
+                    startColumn: range.Start.Character + 1,
+                    endLine: range.End.Line,
+                    endColumn: range.End.Character + 1
+                };
+            }
+            results.push({
+                ruleId: result.rule,
+                ruleIndex: ruleIds.indexOf(result.rule),
+                level: result.diagnostic.Severity === DiagnosticSeverity.ERROR ? 'error' : 'warning',
+                message: { text: result.diagnostic.Message },
+                locations: [location]
+            });
+        }));
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'bf luis:lint',
+                        informationUri: 'https://github.com/microsoft/botframework-cli',
+                        rules: ruleIds.map(ruleId => ({
+                            id: ruleId,
+                            shortDescription: { text: ruleId === SYNTAX_RULE ? 'Errors and warnings reported by the lu parser' : rules[ruleId].description }
+                        }))
+                    }
+                },
+                results: results
+            }]
+        };
+    }
+};
+
+const getLine = function (diagnostic) {
+    return diagnostic.Range === undefined ? 0 : diagnostic.Range.Start.Line;
+}
+
+module.exports = linter;
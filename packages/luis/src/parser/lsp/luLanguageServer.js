@@ -0,0 +1,343 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const url = require('url');
+const luParser = require('./../lufile/luParser');
+const templates = require('./../lufile/templates');
+const parseFileContents = require('./../lufile/parseFileContents');
+const diagnosticsCollector = require('./../lufile/diagnosticsCollector');
+const RpcConnection = require('./rpcConnection');
+
+// Language Server Protocol constants used by this server
+const ErrorCodes = {
+    PARSE_ERROR: -32700,
+    METHOD_NOT_FOUND: -32601,
+    INTERNAL_ERROR: -32603
+};
+const DiagnosticSeverity = {
+    ERROR: 1,
+    WARN: 2
+};
+const SymbolKind = {
+    CLASS: 5,
+    FIELD: 8,
+    STRING: 15
+};
+const CompletionItemKind = {
+    FIELD: 5,
+    PROPERTY: 10
+};
+const TextDocumentSyncKind = {
+    FULL: 1
+};
+
+/**
+ * Language server for .lu and .qna files. Reports the same diagnostics as the parser used by the CLI, provides a document
+ * outline, go to definition for file references and completion of entity names in labels.
+ */
+class LuLanguageServer {
+    /**
+     * @param {stream.Readable} input stream requests and notifications are read from
+     * @param {{write: Function}} output stream responses and notifications are written to
+     * @param {String} culture culture used to validate prebuilt entities
+     */
+    constructor(input, output, culture) {
+        this.connection = new RpcConnection(input, output);
+        this.culture = culture || 'en-us';
+        this.documents = new Map();
+    }
+
+    /**
+     * Serves requests until the client sends exit or closes the input
+     * @returns {Promise} resolves when the server stopped
+     */
+    listen() {
+        return this.connection.listen(message => this.handleMessage(message));
+    }
+
+    async handleMessage(message) {
+        if (message.parseError !== undefined) {
+            this.connection.send({ id: null, error: { code: ErrorCodes.PARSE_ERROR, message: message.parseError } });
+            return;
+        }
+        // responses to requests sent by the server are ignored
+        if (message.method === undefined) return;
+        const params = message.params || {};
+        if (message.id === undefined) {
+            await this.handleNotification(message.method, params);
+            return;
+        }
+        try {
+            const result = await this.handleRequest(message.method, params);
+            if (result === undefined) {
+                this.connection.send({ id: message.id, error: { code: ErrorCodes.METHOD_NOT_FOUND, message: `Unhandled method ${message.method}` } });
+            } else {
+                this.connection.send({ id: message.id, result: result });
+            }
+        } catch (err) {
+            this.connection.send({ id: message.id, error: { code: ErrorCodes.INTERNAL_ERROR, message: err.message || String(err) } });
+        }
+    }
+
+    /**
+     * @returns {Object} result of the request, null for no result or undefined if the method is not supported
+     */
+    async handleRequest(method, params) {
+        switch (method) {
+            case 'initialize':
+                return {
+                    capabilities: {
+                        textDocumentSync: TextDocumentSyncKind.FULL,
+                        documentSymbolProvider: true,
+                        definitionProvider: true,
+                        completionProvider: { triggerCharacters: ['{', '@'] }
+                    },
+                    serverInfo: { name: 'bf luis:lsp' }
+                };
+            case 'shutdown':
+                return null;
+            case 'textDocument/documentSymbol':
+                return this.getDocumentSymbols(this.getText(params.textDocument.uri));
+            case 'textDocument/definition':
+                return await this.getDefinition(params.textDocument.uri, this.getText(params.textDocument.uri), params.position);
+            case 'textDocument/completion':
+                return this.getCompletions(this.getText(params.textDocument.uri), params.position);
+            default:
+                return undefined;
+        }
+    }
+
+    async handleNotification(method, params) {
+        switch (method) {
+            case 'exit':
+                this.connection.close();
+                break;
+            case 'textDocument/didOpen':
+                this.documents.set(params.textDocument.uri, params.textDocument.text);
+                await this.publishDiagnostics(params.textDocument.uri);
+                break;
+            case 'textDocument/didChange':
+                // full document sync, the last change holds the complete text
+                this.documents.set(params.textDocument.uri, params.contentChanges[params.contentChanges.length - 1].text);
+                await this.publishDiagnostics(params.textDocument.uri);
+                break;
+            case 'textDocument/didClose':
+                this.documents.delete(params.textDocument.uri);
+                this.connection.send({ method: 'textDocument/publishDiagnostics', params: { uri: params.textDocument.uri, diagnostics: [] } });
+                break;
+            default:
+                break;
+        }
+    }
+
+    getText(uri) {
+        return this.documents.get(uri) || '';
+    }
+
+    async publishDiagnostics(uri) {
+        const text = this.getText(uri);
+        const diagnostics = await this.getDiagnostics(text);
+        // skip outdated results if the document changed while parsing
+        if (this.documents.get(uri) === text) {
+            this.connection.send({ method: 'textDocument/publishDiagnostics', params: { uri: uri, diagnostics: diagnostics } });
+        }
+    }
+
+    /**
+     * Get syntax errors reported by the lu parser and, when the syntax is valid, errors reported while building the model
+     * @param {String} text document content
+     * @returns {Object[]} LSP diagnostics
+     */
+    async getDiagnostics(text) {
+        if (text.trim() === '') return [];
+        let content;
+        try {
+            content = templates.prepare(text).content;
+        } catch (err) {
+            return diagnosticsCollector.fromException(err).map(toLspDiagnostic);
+        }
+        let diagnostics = (luParser.parse(content).Errors || [])
+            .filter(error => error)
+            .map(error => toLspDiagnostic(diagnosticsCollector.fromDiagnostic(error)));
+        if (diagnostics.find(diagnostic => diagnostic.severity === DiagnosticSeverity.ERROR) !== undefined) return diagnostics;
+        try {
+            // URL references are not resolved to avoid network requests on every change
+            await parseFileContents.parseFile(withoutUrlReferences(text), false, this.culture);
+        } catch (err) {
+            diagnostics = diagnostics.concat(diagnosticsCollector.fromException(err).map(toLspDiagnostic));
+        }
+        return diagnostics;
+    }
+
+    /**
+     * @param {String} text document content
+     * @returns {Object[]} LSP document symbols for intents, entities and QnA pairs
+     */
+    getDocumentSymbols(text) {
+        const luResource = parse(text);
+        if (luResource === undefined) return [];
+        const symbols = [];
+        luResource.Intents.forEach(intent => symbols.push(documentSymbol(
+            intent.Name, `${intent.UtteranceAndEntitiesMap.length} utterance(s)`, SymbolKind.CLASS, intent.ParseTree, intent.ParseTree.intentNameLine())));
+        luResource.NewEntities.forEach(entity => symbols.push(documentSymbol(
+            entity.Name, entity.Type || '', SymbolKind.FIELD, entity.ParseTree, entity.ParseTree.newEntityLine())));
+        luResource.Entities.forEach(entity => symbols.push(documentSymbol(
+            entity.Name, entity.Type, SymbolKind.FIELD, entity.ParseTree, entity.ParseTree.entityLine())));
+        luResource.Qnas.forEach(qna => symbols.push(documentSymbol(
+            qna.Questions[0], 'QnA pair', SymbolKind.STRING, qna.ParseTree, qna.ParseTree.qnaQuestion())));
+        return symbols.sort((a, b) => a.range.start.line - b.range.start.line);
+    }
+
+    /**
+     * Resolve a [link](file.lu#Intent-Name) reference under the cursor to the referenced file or intent
+     * @param {String} uri document uri
+     * @param {String} text document content
+     * @param {Object} position LSP position of the cursor
+     * @returns {Object} LSP location or null if there is no reference under the cursor
+     */
+    async getDefinition(uri, text, position) {
+        const line = text.split(/\r?\n/)[position.line] || '';
+        const linkRegex = /\[[^\]]*\]\(([^)]*)\)/g;
+        let match;
+        while ((match = linkRegex.exec(line)) !== null) {
+            if (position.character < match.index || position.character > match.index + match[0].length) continue;
+            const [filePart, reference] = match[1].trim().split('#');
+            const parsedUrl = url.parse(filePart);
+            if (filePart === '' || filePart.endsWith('*') || parsedUrl.host || parsedUrl.hostname || !uri.startsWith('file:')) return null;
+            const targetPath = path.resolve(path.dirname(fileUriToPath(uri)), filePart);
+            const targetUri = pathToFileUri(targetPath);
+            let targetText = this.documents.get(targetUri);
+            if (targetText === undefined) {
+                if (!await fs.pathExists(targetPath)) return null;
+                targetText = await fs.readFile(targetPath, 'utf8');
+            }
+            let range = { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+            const targetResource = parse(targetText);
+            const intentName = (reference || '').replace(/-/g, ' ').trim();
+            const intent = targetResource === undefined ? undefined :
+                targetResource.Intents.find(item => item.Name === intentName || item.Name === (reference || '').trim());
+            if (intent !== undefined) range = toRange(intent.ParseTree.intentNameLine());
+            return { uri: targetUri, range: range };
+        }
+        return null;
+    }
+
+    /**
+     * Complete entity and role names inside {} labels
+     * @param {String} text document content
+     * @param {Object} position LSP position of the cursor
+     * @returns {Object[]} LSP completion items
+     */
+    getCompletions(text, position) {
+        const linePrefix = (text.split(/\r?\n/)[position.line] || '').substr(0, position.character);
+        const labelStart = linePrefix.lastIndexOf('{');
+        if (labelStart === -1 || labelStart < linePrefix.lastIndexOf('}') || linePrefix.substr(labelStart).includes('=')) return [];
+        const luResource = parse(text);
+        if (luResource === undefined) return [];
+        const items = new Map();
+        const addItem = (name, kind, detail) => {
+            name = (name || '').trim().replace(/^@/, '');
+            if (name !== '' && !items.has(name)) items.set(name, { label: name, kind: kind, detail: detail });
+        };
+        luResource.NewEntities.forEach(entity => {
+            addItem(entity.Name.replace(/^[\'\"]|[\'\"]$/g, ''), CompletionItemKind.FIELD, entity.Type);
+            (entity.Roles || '').split(',').forEach(role => addItem(role, CompletionItemKind.PROPERTY, `role of ${entity.Name}`));
+        });
+        luResource.Entities.forEach(entity => addItem(entity.Name, CompletionItemKind.FIELD, entity.Type));
+        luResource.Intents.forEach(intent => intent.UtteranceAndEntitiesMap.forEach(utterance => utterance.entities.forEach(entity => {
+            addItem(entity.entity, CompletionItemKind.FIELD, 'entity');
+            addItem(entity.role, CompletionItemKind.PROPERTY, `role of ${entity.entity}`);
+        })));
+        return Array.from(items.values());
+    }
+}
+
+/**
+ * Helper function to parse a document, ignoring documents that cannot be parsed
+ * @param {String} text document content
+ * @returns {LUResource} parsed document or undefined
+ */
+const parse = function (text) {
+    if (text.trim() === '') return undefined;
+    const luResource = luParser.parse(text);
+    return luResource.Intents === undefined ? undefined : luResource;
+}
+
+/**
+ * Helper function to convert a parse tree context to a zero based LSP range
+ * @param {Object} context parse tree context
+ * @returns {Object} LSP range
+ */
+const toRange = function (context) {
+    const stopText = context.stop.text || '';
+    const stopCharacter = /[\r\n]$/.test(stopText) ? context.stop.column : context.stop.column + stopText.length;
+    return {
+        start: { line: context.start.line - 1, character: context.start.column },
+        end: { line: context.stop.line - 1, character: stopCharacter }
+    };
+}
+
+const documentSymbol = function (name, detail, kind, context, selectionContext) {
+    return {
+        name: name,
+        detail: detail,
+        kind: kind,
+        range: toRange(context),
+        selectionRange: toRange(selectionContext)
+    };
+}
+
+/**
+ * Helper function to convert a diagnostic collected by diagnosticsCollector to an LSP diagnostic
+ * @param {Object} diagnostic diagnostic with zero based range, undefined for errors without location
+ * @returns {Object} LSP diagnostic
+ */
+const toLspDiagnostic = function (diagnostic) {
+    const start = diagnostic.range === undefined ? { line: 0, character: 0 } : { line: Math.max(diagnostic.range.start.line, 0), character: diagnostic.range.start.character };
+    const end = diagnostic.range === undefined ? start : { line: Math.max(diagnostic.range.end.line, 0), character: diagnostic.range.end.character };
+    const lspDiagnostic = {
+        range: { start: start, end: end },
+        severity: DiagnosticSeverity[diagnostic.severity.toUpperCase()] || DiagnosticSeverity.ERROR,
+        source: 'bf luis',
+        message: diagnostic.message
+    };
+    if (diagnostic.codeName !== undefined) lspDiagnostic.code = diagnostic.codeName;
+    return lspDiagnostic;
+}
+
+/**
+ * Helper function to blank out references to URLs, keeping line numbers intact
+ * @param {String} text document content
+ * @returns {String} document content without URL references
+ */
+const withoutUrlReferences = function (text) {
+    return text.split('\n').map(line => /^\s*\[[^\]]*\]\(\s*https?:\/\/[^)]*\)\s*$/i.test(line) ? '' : line).join('\n');
+}
+
+/**
+ * Helper function to convert a file URI to a path. url.fileURLToPath needs Node.js 10.12
+ * @param {String} uri file URI, e.g. file:///c%3A/bot/app.lu
+ * @returns {String} file path
+ */
+const fileUriToPath = function (uri) {
+    let pathname = decodeURIComponent(url.parse(uri).pathname || '');
+    // drop the slash in front of a Windows drive letter
+    if (/^\/[A-Za-z]:/.test(pathname)) pathname = pathname.substring(1);
+    return path.normalize(pathname);
+}
+
+/**
+ * Helper function to convert a path to a file URI. url.pathToFileURL needs Node.js 10.12
+ * @param {String} filePath file path
+ * @returns {String} file URI
+ */
+const pathToFileUri = function (filePath) {
+    let pathname = path.resolve(filePath).replace(/\\/g, '/');
+    if (!pathname.startsWith('/')) pathname = '/' + pathname;
+    return 'file://' + encodeURI(pathname).replace(/[?#]/g, encodeURIComponent);
+}
+
+module.exports = LuLanguageServer;
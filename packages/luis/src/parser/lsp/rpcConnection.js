@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const CONTENT_LENGTH = 'Content-Length:';
+const HEADER_DELIMITER = '\r\n\r\n';
+
+/**
+ * JSON-RPC connection using the Language Server Protocol base protocol - every message is
+ * preceded by a Content-Length header.
+ */
+class RpcConnection {
+    /**
+     * @param {stream.Readable} input stream messages are read from
+     * @param {{write: Function}} output stream messages are written to
+     */
+    constructor(input, output) {
+        this.input = input;
+        this.output = output;
+        this.buffer = Buffer.alloc(0);
+        this.queue = Promise.resolve();
+        this.onClose = undefined;
+    }
+
+    /**
+     * Reads messages until the input ends or the connection is closed. Messages are handled one at a time, in order.
+     * @param {Function} handler async function called with every message received
+     * @returns {Promise} resolves once the input ended or the connection was closed
+     */
+    listen(handler) {
+        return new Promise((resolve, reject) => {
+            const onData = chunk => {
+                this.buffer = Buffer.concat([this.buffer, Buffer.from(chunk)]);
+                let message;
+                while ((message = this.readMessage()) !== undefined) {
+                    const current = message;
+                    this.queue = this.queue.then(() => handler(current)).catch(reject);
+                }
+            };
+            const onEnd = () => this.close();
+            this.onClose = () => {
+                this.input.removeListener('data', onData);
+                this.input.removeListener('end', onEnd);
+                this.input.removeListener('error', reject);
+                this.queue.then(resolve);
+            };
+            this.input.on('data', onData);
+            this.input.on('end', onEnd);
+            this.input.on('error', reject);
+        });
+    }
+
+    /**
+     * Stops reading messages. Messages already received are still handled.
+     */
+    close() {
+        if (this.onClose !== undefined) {
+            this.onClose();
+            this.onClose = undefined;
+        }
+    }
+
+    /**
+     * Writes a message to the output
+     * @param {Object} message JSON-RPC request, response or notification without the jsonrpc version
+     */
+    send(message) {
+        const content = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message));
+        this.output.write(`${CONTENT_LENGTH} ${Buffer.byteLength(content, 'utf8')}${HEADER_DELIMITER}${content}`);
+    }
+
+    /**
+     * Reads the next complete message from the buffered input
+     * @returns {Object} parsed message, an object with parseError set if the content is not valid JSON or undefined if no complete message is buffered yet
+     */
+    readMessage() {
+        const headerEnd = this.buffer.indexOf(HEADER_DELIMITER);
+        if (headerEnd === -1) return undefined;
+        const lengthHeader = this.buffer.slice(0, headerEnd).toString('ascii').split('\r\n')
+            .find(header => header.startsWith(CONTENT_LENGTH));
+        const contentStart = headerEnd + HEADER_DELIMITER.length;
+        if (lengthHeader === undefined) {
+            // skip headers without a content length
+            this.buffer = this.buffer.slice(contentStart);
+            return { parseError: `Missing ${CONTENT_LENGTH} header` };
+        }
+        const contentEnd = contentStart + parseInt(lengthHeader.substr(CONTENT_LENGTH.length).trim());
+        if (this.buffer.length < contentEnd) return undefined;
+        const content = this.buffer.slice(contentStart, contentEnd).toString('utf8');
+        this.buffer = this.buffer.slice(contentEnd);
+        try {
+            return JSON.parse(content);
+        } catch (err) {
+            return { parseError: err.message };
+        }
+    }
+}
+
+module.exports = RpcConnection;
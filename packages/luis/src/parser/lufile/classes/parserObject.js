@@ -24,6 +24,12 @@ class parserObject {
     /**
      * @property {Boolean} includeInCollate
      */
+    /**
+     * @property {Object []} entityReferences entities to import from other files, with luFile, entity and text
+     */
+    /**
+     * @property {Object []} overlayDirectives remove and replace directives of an environment overlay file
+     */
     constructor() {
         this.additionalFilesToParse = [];
         this.LUISJsonStructure = new LUIS();
@@ -31,6 +37,8 @@ class parserObject {
         this.qnaAlterations = new qnaAlterations.qnaAlterations();
         this.srcFile = undefined;
         this.includeInCollate = true;
+        this.entityReferences = [];
+        this.overlayDirectives = [];
     }
 }
 /**
@@ -51,5 +59,12 @@ parserObject.create = function(LUISJsonStructure, qnaJsonStructure, lQnaAlterati
     else parserObj.includeInCollate = includeInCollate;
     return parserObj;
 }
+/**
+ * Helper method to create a parser object from its JSON, e.g. parsed content from a cache or worker thread.
+ * @param {string} json JSON of a parser object
+ */
+parserObject.fromJson = function(json) {
+    return Object.assign(new parserObject(), JSON.parse(json));
+}
 
 module.exports = parserObject;
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const luParser = require('./luParser');
+const templates = require('./templates');
+const parseFileContents = require('./parseFileContents');
+const helpers = require('./helpers');
+const txtfile = require('./read-text-file');
+const exception = require('./classes/exception');
+const retCode = require('./enums/CLI-errors');
+const DiagnosticSeverity = require('./diagnostic').DiagnosticSeverity;
+const LUISObjNameEnum = require('./enums/luisobjenum');
+const luisJSON = require('./../luisfile/parseLuisFile');
+
+// [ERROR] line 3:0 - line 3:12: message, [WARN]: message
+const DIAGNOSTIC_TEXT_REGEX = /^\[(ERROR|WARN)\]:?\s*(?:line (\d+):(\d+)(?: - line (\d+):(\d+))?: )?(.*)$/;
+
+const diagnosticsCollector = {
+    /**
+     * Convert a parser diagnostic to its machine readable form
+     * @param {Diagnostic} diagnostic parser diagnostic
+     * @param {String} file file the diagnostic was found in
+     * @param {Number} errCode error code from CLI-errors, only reported for errors
+     * @returns {Object} file, zero based range, severity, error code and message
+     */
+    fromDiagnostic: function (diagnostic, file, errCode) {
+        const range = diagnostic.Range === undefined ? undefined : {
+            start: { line: diagnostic.Range.Start.Line - 1, character: diagnostic.Range.Start.Character },
+            end: { line: diagnostic.Range.End.Line - 1, character: diagnostic.Range.End.Character }
+        };
+        return build(file, range, diagnostic.Severity, errCode, diagnostic.Message);
+    },
+    /**
+     * Recover diagnostics from an exception thrown by the parser. Every [ERROR] or [WARN] line in the exception text
+     * becomes a diagnostic, lines that follow are appended to its message.
+     * @param {exception|Error} err error thrown while parsing
+     * @param {String} file file being parsed
+     * @returns {Object[]} diagnostics in machine readable form
+     */
+    fromException: function (err, file) {
+        const isException = err instanceof exception;
+        const text = isException ? err.text : (err.message || String(err));
+        const errCode = isException ? err.errCode : retCode.errorCode.UNKNOWN_ERROR;
+        const diagnostics = [];
+        text.split(/\r?\n/).filter(line => line.trim() !== '').forEach(line => {
+            const match = line.match(DIAGNOSTIC_TEXT_REGEX);
+            if (match !== null) {
+                let range;
+                if (match[2] !== undefined) {
+                    const start = { line: parseInt(match[2]) - 1, character: parseInt(match[3]) };
+                    const end = match[4] !== undefined ? { line: parseInt(match[4]) - 1, character: parseInt(match[5]) } : start;
+                    range = { start: start, end: end };
+                }
+                diagnostics.push(build(file, range, match[1], errCode, match[6].trim()));
+            } else if (diagnostics.length === 0) {
+                diagnostics.push(build(file, undefined, DiagnosticSeverity.ERROR, errCode, line.trim()));
+            } else {
+                const last = diagnostics[diagnostics.length - 1];
+                last.message = `${last.message}\n${line.trim()}`.trim();
+            }
+        });
+        return diagnostics;
+    },
+    /**
+     * Parse every file on its own and collect all diagnostics found, instead of stopping at the first error
+     * @param {String[]} files .lu or .qna files to parse
+     * @param {String} luis_culture LUIS locale code
+     * @param {ReferenceCache} referenceCache optional cache to resolve URL references with
+     * @returns {Object[]} diagnostics in machine readable form
+     */
+    collectFileDiagnostics: async function (files, luis_culture, referenceCache) {
+        let diagnostics = [];
+        for (const file of files) {
+            if (!await fs.pathExists(path.resolve(file))) {
+                diagnostics.push(build(file, undefined, DiagnosticSeverity.ERROR, retCode.errorCode.FILE_OPEN_ERROR, `Sorry unable to open [${file}]`));
+                continue;
+            }
+            const fileContent = helpers.sanitizeNewLines(txtfile.readSync(file) || '');
+            if (fileContent.trim() === '') continue;
+            try {
+                const fileDiagnostics = (luParser.parse(templates.prepare(fileContent).content).Errors || [])
+                    .filter(error => error)
+                    .map(error => diagnosticsCollector.fromDiagnostic(error, file, retCode.errorCode.INVALID_LINE));
+                diagnostics = diagnostics.concat(fileDiagnostics);
+                if (diagnosticsCollector.hasErrors(fileDiagnostics)) continue;
+                const parsedContent = await parseFileContents.parseFile(fileContent, false, luis_culture, referenceCache);
+                if (haveLUISContent(parsedContent.LUISJsonStructure)) {
+                    await luisJSON.validateLUISBlob(parsedContent.LUISJsonStructure);
+                }
+            } catch (err) {
+                diagnostics = diagnostics.concat(diagnosticsCollector.fromException(err, file));
+            }
+        }
+        return diagnostics;
+    },
+    /**
+     * @param {Object[]} diagnostics diagnostics in machine readable form
+     * @returns {Boolean} true if any of the diagnostics is an error
+     */
+    hasErrors: function (diagnostics) {
+        return diagnostics.find(diagnostic => diagnostic.severity === DiagnosticSeverity.ERROR.toLowerCase()) !== undefined;
+    }
+};
+
+/**
+ * Helper function to build a diagnostic in machine readable form
+ * @param {String} file file the diagnostic was found in
+ * @param {Object} range zero based range or undefined if the location is not known
+ * @param {String} severity parser diagnostic severity
+ * @param {Number} errCode error code from CLI-errors
+ * @param {String} message diagnostic message
+ * @returns {Object} diagnostic
+ */
+const build = function (file, range, severity, errCode, message) {
+    const diagnostic = { file: file, range: range, severity: severity.toLowerCase(), message: message };
+    if (severity === DiagnosticSeverity.ERROR && errCode !== undefined) {
+        diagnostic.code = errCode;
+        diagnostic.codeName = Object.keys(retCode.errorCode).find(name => retCode.errorCode[name] === errCode);
+    }
+    return diagnostic;
+}
+
+const haveLUISContent = function (blob) {
+    if (!blob) return false;
+    return [LUISObjNameEnum.INTENT, LUISObjNameEnum.ENTITIES, LUISObjNameEnum.CLOSEDLISTS, LUISObjNameEnum.PATTERNANYENTITY,
+        LUISObjNameEnum.UTTERANCE, LUISObjNameEnum.REGEX, 'patterns', 'prebuiltEntities', 'model_features', 'composites']
+        .find(type => (blob[type] || []).length > 0) !== undefined;
+}
+
+module.exports = diagnosticsCollector;
@@ -28,6 +28,10 @@ module.exports = {
         INVALID_URI:                21,
         INVALID_REGEX_ENTITY:       22,
         INVALID_COMPOSITE_ENTITY:   23,
+        TRANSLATION_MEMORY_MISS:    24,
+        REFERENCE_NOT_CACHED:       25,
+        INVALID_OVERLAY:            26,
+        INVALID_TEMPLATE:           27,
         UNKNOWN_ERROR:              99   
     }
 };
\ No newline at end of file
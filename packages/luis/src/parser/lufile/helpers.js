@@ -26,18 +26,18 @@ const helpers = {
      * Helper function to recursively get all .lu files
      * @param {string} inputfolder input folder name
      * @param {boolean} getSubFolder indicates if we should recursively look in sub-folders as well
+     * @param {string[]} extensions file extensions to look for, .lu by default
      * @returns {Array} Array of .lu files found
     */
-   findLUFiles: function(inputFolder, getSubFolders) {
+   findLUFiles: function(inputFolder, getSubFolders, extensions = ['.lu']) {
         let results = [];
-        const luExt = '.lu';
         fs.readdirSync(inputFolder).forEach(function(dirContent) {
             dirContent = path.resolve(inputFolder,dirContent);
             if(getSubFolders && fs.statSync(dirContent).isDirectory()) {
-                results = results.concat(helpers.findLUFiles(dirContent, getSubFolders));
+                results = results.concat(helpers.findLUFiles(dirContent, getSubFolders, extensions));
             }
             if(fs.statSync(dirContent).isFile()) {
-                if(dirContent.endsWith(luExt)) {
+                if(extensions.some(ext => dirContent.endsWith(ext))) {
                     results.push(dirContent);
                 }
             }
@@ -47,7 +47,9 @@ const helpers = {
     /**
      * Helper function to parse link URIs in utterances
      * @param {String} utterance
-     * @returns {Object} Object that contains luFile and ref. ref can be Intent-Name or ? or * or **
+     * @returns {Object} Object that contains luFile and ref. ref can be Intent-Name, an intent name glob with *, ?,
+     * utterances, patterns, utterancesandpatterns or empty for an entity reference. entity is set by an @entity suffix and
+     * qnaId by a ?<question ID> reference
      * @throws {exception} Throws on errors. exception object includes errCode and text. 
      */
     parseLinkURI : function(utterance) {
@@ -62,9 +64,26 @@ const helpers = {
         let splitReference = linkValue.split(new RegExp(/(.*?)(#|\*+)/g));
         if(splitReference.length === 1) throw (new exception(retCode.errorCode.INVALID_LU_FILE_REF, `[ERROR]: Invalid LU File Ref: "${utterance}".\n Reference needs a qualifier - either a #Intent-Name or #?`));
         luFileInRef = splitReference[1];
+        let entity, qnaId;
         switch(splitReference[2]) {
             case '#':{
-                reference = splitReference[3];
+                // everything after # is the reference: #?<question ID>, #<Intent-Name or glob>@<entity>, #*utterances*@<entity> or #@<entity>
+                reference = linkValue.substring(luFileInRef.length + 1);
+                if (reference.startsWith('?')) {
+                    if (!/^\?\d*$/.test(reference)) throw (new exception(retCode.errorCode.INVALID_LU_FILE_REF, `[ERROR]: Invalid LU File Ref: "${utterance}".\n A QnA reference can only have a question ID e.g. #?3`));
+                    if (reference.length > 1) qnaId = parseInt(reference.substring(1));
+                    reference = '?';
+                    break;
+                }
+                const atIdx = reference.lastIndexOf('@');
+                if (atIdx !== -1) {
+                    entity = reference.substring(atIdx + 1).trim();
+                    reference = reference.substring(0, atIdx);
+                    if (entity === '') throw (new exception(retCode.errorCode.INVALID_LU_FILE_REF, `[ERROR]: Invalid LU File Ref: "${utterance}".\n Missing entity name after @`));
+                }
+                const keyword = reference.match(/^\*(utterances|patterns|utterancesandpatterns)\*?$/i);
+                if (keyword) reference = keyword[1].toLowerCase();
+                if (reference === '' && entity === undefined) throw (new exception(retCode.errorCode.INVALID_LU_FILE_REF, `[ERROR]: Invalid LU File Ref: "${utterance}".\n Reference needs a qualifier - either a #Intent-Name or #?`));
                 break;
             }
             case '**': 
@@ -77,13 +96,12 @@ const helpers = {
             default:
             throw (new exception(retCode.errorCode.INVALID_LU_FILE_REF, `[ERROR]: Invalid LU File Ref: "${utterance}".\n Unsupported syntax. Not expecting ${splitReference[2]}`));
         }
-        if (reference === "" && splitReference.length >= 7 && splitReference[7].toLowerCase() === 'utterances') reference = splitReference[7].toLowerCase();
-        if (reference === "" && splitReference.length >= 7 && splitReference[7].toLowerCase() === 'patterns') reference = splitReference[7].toLowerCase();
-        if (reference === "" && splitReference.length >= 7 && splitReference[7].toLowerCase() === 'utterancesandpatterns') reference = splitReference[7].toLowerCase();
 
         return {
             luFile: luFileInRef,
-            ref: reference
+            ref: reference,
+            entity: entity,
+            qnaId: qnaId
         }
     },
     /**
@@ -143,6 +161,54 @@ const helpers = {
         // patterns must have at least one [optional] and or one (group | text)
         let detectPatternRegex = /(\[.*?\])|(\(.*?(\|.*?)+\))/gi;
         return detectPatternRegex.test(utterance);
+    },
+    /**
+     * Helper function to reference phrase lists used as features by featureName and every other model by modelName.
+     * Needed once all phrase lists are known since features can be used before the phrase list is defined.
+     * @param {Object} LUISJSON LUIS json contents
+     * @returns {void} Nothing
+     */
+    updateFeatureReferences : function (LUISJSON) {
+        let phraseLists = (LUISJSON.model_features || LUISJSON.phraselists || []).map(item => item.name);
+        let updateFeatures = function (items) {
+            (items || []).forEach(item => {
+                item.features = (item.features || []).map(feature => {
+                    let name = feature.featureName || feature.modelName;
+                    return phraseLists.includes(name) ? { featureName: name } : { modelName: name };
+                });
+                updateFeatures(item.children);
+            });
+        };
+        (LUISJSON.intents || []).filter(item => item.features !== undefined).forEach(intent => updateFeatures([intent]));
+        (LUISJSON.entities || []).filter(item => item.features !== undefined).forEach(entity => updateFeatures([entity]));
+    },
+    /**
+     * Helper function to create a seeded random number generator (mulberry32)
+     * @param {number} seed seed
+     * @returns {Function} returns numbers between 0 and 1
+     */
+    createRandom : function (seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+    /**
+     * Helper function to shuffle items in place (Fisher-Yates)
+     * @param {Object[]} items items
+     * @param {Function} random random number generator
+     * @returns {Object[]} shuffled items
+     */
+    shuffle : function (items, random) {
+        for (let idx = items.length - 1; idx > 0; idx--) {
+            const swap = Math.floor(random() * (idx + 1));
+            [items[idx], items[swap]] = [items[swap], items[idx]];
+        }
+        return items;
     }
 }
 
@@ -11,6 +11,8 @@ const LUQna = require('./luQna');
 const LUModelInfo = require('./luModelInfo');
 const LUErrorListener = require('./luErrorListener');
 
+const TRANSLATE_ANNOTATION_REGEX = /^(\s*>\s*)!#(\s*@translate\.)/gm;
+
 class LUParser {
     /**
      * @param {string} text
@@ -60,7 +62,8 @@ class LUParser {
             return undefined;
         }
 
-        const chars = new antlr4.InputStream(text);
+        // translation annotations are only read by the translator and can appear anywhere, so parse them as comments
+        const chars = new antlr4.InputStream(text.replace(TRANSLATE_ANNOTATION_REGEX, '$1  $2'));
         const lexer = new LUFileLexer(chars);
         const tokens = new antlr4.CommonTokenStream(lexer);
         const parser = new LUFileParser(tokens);
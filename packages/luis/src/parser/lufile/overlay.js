@@ -0,0 +1,127 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const exception = require('./classes/exception');
+const retCode = require('./enums/CLI-errors');
+
+// what each overlay action can target
+const Targets = {
+    remove: ['intent', 'utterance', 'list', 'sublist', 'phraselist'],
+    replace: ['intent', 'list', 'sublist', 'phraselist']
+};
+
+/**
+ * Environment overlays patch a base LUIS model for one environment, e.g. env/prod.lu. Content in the overlay is added to
+ * the base model and its app settings win. Directives remove or replace base content:
+ * > !# @overlay.remove = intent : Cancel
+ * > !# @overlay.remove = utterance : hi there
+ * > !# @overlay.remove = sublist : cityList : Paris
+ * > !# @overlay.replace = list : cityList
+ * > !# @overlay.replace = phraselist : travelWords
+ * Replacing an intent, list, sublist or phrase list drops its base utterances, patterns, synonyms or words and keeps the
+ * overlay definition.
+ */
+const overlay = {
+    /**
+     * Parse an overlay directive from a model info line
+     * @param {string} action remove or replace
+     * @param {string} value target type and name e.g. sublist : cityList : Paris
+     * @param {string} line model info line, for errors
+     * @returns {Object} directive with action, target, name, canonicalForm for sublists and text
+     * @throws {exception} Throws on unknown actions or targets and missing names
+     */
+    parseDirective: function (action, value, line) {
+        action = action.toLowerCase();
+        if (Targets[action] === undefined) {
+            throw (new exception(retCode.errorCode.INVALID_OVERLAY, `[ERROR]: Invalid overlay directive "${line}". Expected @overlay.remove or @overlay.replace`));
+        }
+        const separator = value.indexOf(':');
+        const target = (separator === -1 ? value : value.substring(0, separator)).trim().toLowerCase();
+        let name = separator === -1 ? '' : value.substring(separator + 1).trim();
+        let canonicalForm;
+        if (target === 'sublist') {
+            const listSeparator = name.indexOf(':');
+            canonicalForm = listSeparator === -1 ? '' : name.substring(listSeparator + 1).trim();
+            name = listSeparator === -1 ? name : name.substring(0, listSeparator).trim();
+            if (canonicalForm === '') name = '';
+        }
+        if (!Targets[action].includes(target)) {
+            throw (new exception(retCode.errorCode.INVALID_OVERLAY, `[ERROR]: Invalid overlay directive "${line}". @overlay.${action} can target ${Targets[action].join(', ')}`));
+        }
+        if (name === '') {
+            const example = target === 'sublist' ? 'sublist : <list name> : <canonical form>' : `${target} : <${target === 'utterance' ? 'text' : 'name'}>`;
+            throw (new exception(retCode.errorCode.INVALID_OVERLAY, `[ERROR]: Invalid overlay directive "${line}". Expected ${example}`));
+        }
+        return { action: action, target: target, name: name, canonicalForm: canonicalForm, text: line };
+    },
+    /**
+     * Remove the base content an overlay removes or replaces. Call before the overlay content is merged.
+     * @param {LUIS} base collated base LUIS json contents, updated in place
+     * @param {parserObject} overlayObject parsed overlay file with its directives
+     * @returns {void} Nothing
+     * @throws {exception} Throws if a directive targets content that is not in the base model, or a replacement is not
+     * defined in the overlay
+     */
+    applyDirectives: function (base, overlayObject) {
+        const patch = overlayObject.LUISJsonStructure;
+        (overlayObject.overlayDirectives || []).forEach(directive => {
+            const notFound = what => new exception(retCode.errorCode.INVALID_OVERLAY, `[ERROR]: Overlay ${overlayObject.srcFile} cannot apply "${directive.text}". ${what} is not in the base model`);
+            const notDefined = what => new exception(retCode.errorCode.INVALID_OVERLAY, `[ERROR]: Overlay ${overlayObject.srcFile} cannot apply "${directive.text}". ${what} is not defined in the overlay`);
+            const replace = directive.action === 'replace';
+            switch (directive.target) {
+                case 'intent': {
+                    if (!base.intents.find(item => item.name === directive.name)) throw notFound(`Intent "${directive.name}"`);
+                    if (replace && !patch.intents.find(item => item.name === directive.name)) throw notDefined(`Intent "${directive.name}"`);
+                    if (!replace) base.intents = base.intents.filter(item => item.name !== directive.name);
+                    base.utterances = base.utterances.filter(item => item.intent !== directive.name);
+                    base.patterns = base.patterns.filter(item => item.intent !== directive.name);
+                    break;
+                }
+                case 'utterance': {
+                    const remaining = base.utterances.filter(item => item.text !== directive.name);
+                    if (remaining.length === base.utterances.length) throw notFound(`Utterance "${directive.name}"`);
+                    base.utterances = remaining;
+                    break;
+                }
+                case 'list': {
+                    const list = base.closedLists.find(item => item.name === directive.name);
+                    if (list === undefined) throw notFound(`List entity "${directive.name}"`);
+                    if (replace && !patch.closedLists.find(item => item.name === directive.name)) throw notDefined(`List entity "${directive.name}"`);
+                    if (replace) list.subLists = [];
+                    else base.closedLists = base.closedLists.filter(item => item !== list);
+                    break;
+                }
+                case 'sublist': {
+                    const list = base.closedLists.find(item => item.name === directive.name);
+                    if (list === undefined) throw notFound(`List entity "${directive.name}"`);
+                    const subLists = list.subLists.filter(item => item.canonicalForm !== directive.canonicalForm);
+                    if (subLists.length === list.subLists.length) throw notFound(`Sublist "${directive.canonicalForm}" of list entity "${directive.name}"`);
+                    const patchList = patch.closedLists.find(item => item.name === directive.name);
+                    if (replace && (patchList === undefined || !patchList.subLists.find(item => item.canonicalForm === directive.canonicalForm))) {
+                        throw notDefined(`Sublist "${directive.canonicalForm}" of list entity "${directive.name}"`);
+                    }
+                    list.subLists = subLists;
+                    break;
+                }
+                case 'phraselist': {
+                    if (!base.model_features.find(item => item.name === directive.name)) throw notFound(`Phrase list "${directive.name}"`);
+                    if (replace && !patch.model_features.find(item => item.name === directive.name)) throw notDefined(`Phrase list "${directive.name}"`);
+                    base.model_features = base.model_features.filter(item => item.name !== directive.name);
+                    break;
+                }
+            }
+        });
+    },
+    /**
+     * Apply the app settings of an overlay, e.g. > !# @app.versionId = 0.1-prod, over the base model
+     * @param {LUIS} base collated LUIS json contents, updated in place
+     * @param {LUIS} patch overlay LUIS json contents
+     * @returns {void} Nothing
+     */
+    applySettings: function (base, patch) {
+        Object.keys(patch).filter(key => typeof patch[key] !== 'object').forEach(key => base[key] = patch[key]);
+    }
+};
+
+module.exports = overlay;
@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const parserObject = require('./classes/parserObject');
+const packageVersion = require('./../../../package.json').version;
+
+// bump when the shape of parsed content changes, so old cache entries are not used
+const CACHE_FORMAT = 1;
+
+/**
+ * On-disk cache of parsed .lu file content. Entries are keyed by the SHA-256 hash of the file content, the culture and
+ * the parser version, so an unchanged file is never parsed twice. Content with URL references depends on what the URLs
+ * return and is not cached.
+ */
+class ParseCache {
+    /**
+     * @param {string} folder cache folder, created on the first write
+     */
+    constructor(folder) {
+        this.folder = path.resolve(folder);
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Check if content can be cached
+     * @param {string} content file content
+     * @returns {boolean} true if the content has no URL references
+     */
+    static canCache(content) {
+        return !/\]\(\s*https?:\/\//i.test(content);
+    }
+
+    /**
+     * Get cached parsed content
+     * @param {string} content file content
+     * @param {string} culture lang code the content is parsed for
+     * @returns {parserObject} parsed content, or undefined if it is not cached or the entry cannot be read
+     */
+    async get(content, culture) {
+        const entry = this.entryPath(content, culture);
+        let parsed;
+        try {
+            parsed = await fs.pathExists(entry) ? parserObject.fromJson(await fs.readFile(entry, 'utf8')) : undefined;
+        } catch (err) {
+            // a damaged entry is parsed again and overwritten
+            parsed = undefined;
+        }
+        if (parsed === undefined) this.misses++;
+        else this.hits++;
+        return parsed;
+    }
+
+    /**
+     * Add parsed content to the cache
+     * @param {string} content file content
+     * @param {string} culture lang code the content was parsed for
+     * @param {parserObject|string} parsed parsed content or its JSON
+     * @returns {void}
+     */
+    async set(content, culture, parsed) {
+        if (!ParseCache.canCache(content)) return;
+        const entry = this.entryPath(content, culture);
+        await fs.ensureDir(this.folder);
+        // write to a temporary file first so parallel runs never read a partial entry
+        const temporary = `${entry}.${process.pid}.tmp`;
+        await fs.writeFile(temporary, typeof parsed === 'string' ? parsed : JSON.stringify(parsed), 'utf8');
+        await fs.move(temporary, entry, { overwrite: true });
+    }
+
+    entryPath(content, culture) {
+        const key = crypto.createHash('sha256')
+            .update(JSON.stringify([CACHE_FORMAT, packageVersion, (culture || '').toLowerCase(), content]))
+            .digest('hex');
+        return path.join(this.folder, `${key}.json`);
+    }
+}
+
+module.exports = ParseCache;
@@ -26,19 +26,22 @@ const luParser = require('./luParser');
 const DiagnosticSeverity = require('./diagnostic').DiagnosticSeverity;
 const BuildDiagnostic = require('./diagnostic').BuildDiagnostic;
 const EntityTypeEnum = require('./enums/lusiEntityTypes');
+const overlay = require('./overlay');
+const templates = require('./templates');
 const parseFileContentsModule = {
     /**
      * Main parser code to parse current file contents into LUIS and QNA sections.
      * @param {string} fileContent current file content
      * @param {boolean} log indicates if we need verbose logging.
      * @param {string} locale LUIS locale code
+     * @param {ReferenceCache} referenceCache optional cache to resolve URL references with
      * @returns {parserObj} Object with that contains list of additional files to parse, parsed LUIS object and parsed QnA object
      * @throws {exception} Throws on errors. exception object includes errCode and text. 
      */
-    parseFile: async function (fileContent, log, locale) {
+    parseFile: async function (fileContent, log, locale, referenceCache) {
         fileContent = helpers.sanitizeNewLines(fileContent);
         let parsedContent = new parserObj();
-        await parseLuAndQnaWithAntlr(parsedContent, fileContent.toString(), log, locale);
+        await parseLuAndQnaWithAntlr(parsedContent, fileContent.toString(), log, locale, referenceCache);
 
         return parsedContent;
     },
@@ -105,11 +108,14 @@ const parseFileContentsModule = {
  * @param {string} fileContent current file content
  * @param {boolean} log indicates if we need verbose logging.
  * @param {string} locale LUIS locale code
+ * @param {ReferenceCache} referenceCache optional cache to resolve URL references with
  * @throws {exception} Throws on errors. exception object includes errCode and text.
  */
-const parseLuAndQnaWithAntlr = async function (parsedContent, fileContent, log, locale) {
+const parseLuAndQnaWithAntlr = async function (parsedContent, fileContent, log, locale, referenceCache) {
     fileContent = helpers.sanitizeNewLines(fileContent);
-    let luResource = luParser.parse(fileContent);
+    // template tokens are hidden from the grammar and expanded in the parsed utterances and QnA pairs
+    let template = templates.prepare(fileContent);
+    let luResource = luParser.parse(template.content);
 
     if (luResource.Errors && luResource.Errors.length > 0) {
         if (log) {
@@ -126,31 +132,34 @@ const parseLuAndQnaWithAntlr = async function (parsedContent, fileContent, log,
     }
 
     // parse reference section
-    await parseAndHandleReference(parsedContent, luResource);
+    await parseAndHandleReference(parsedContent, luResource, referenceCache);
 
     // parse entity definition v2 section
     parseAndHandleEntityV2(parsedContent, luResource, log, locale);
 
     // parse intent section
-    parseAndHandleIntent(parsedContent, luResource);
+    parseAndHandleIntent(parsedContent, luResource, template.values);
 
     // parse entity section
     parseAndHandleEntity(parsedContent, luResource, log, locale);
 
     // parse qna section
-    parseAndHandleQna(parsedContent, luResource);
+    parseAndHandleQna(parsedContent, luResource, template.values);
 
     // parse model info section
     parseAndHandleModelInfo(parsedContent, luResource, log);
+
+    helpers.updateFeatureReferences(parsedContent.LUISJsonStructure);
 }
 
 /**
  * Reference parser code to parse reference section.
  * @param {parserObj} Object with that contains list of additional files to parse, parsed LUIS object and parsed QnA object
  * @param {LUResouce} luResource resources extracted from lu file content
+ * @param {ReferenceCache} referenceCache optional cache to resolve URL references with
  * @throws {exception} Throws on errors. exception object includes errCode and text.
  */
-const parseAndHandleReference = async function (parsedContent, luResource) {
+const parseAndHandleReference = async function (parsedContent, luResource, referenceCache) {
     // handle reference
     let luImports = luResource.Imports;
     if (luImports && luImports.length > 0) {
@@ -159,44 +168,85 @@ const parseAndHandleReference = async function (parsedContent, luResource) {
             let linkValue = luImport.Path.replace('(', '').replace(')', '');
             let parseUrl = url.parse(linkValue);
             if (parseUrl.host || parseUrl.hostname) {
-                let options = { method: 'HEAD' };
-                let response;
-                try {
-                    response = await fetch(linkValue, options);
-                } catch (err) {
-                    // throw, invalid URI
-                    let errorMsg = `URI: "${linkValue}" appears to be invalid. Please double check the URI or re-try this parse when you are connected to the internet.`;
-                    let error = BuildDiagnostic({
-                        message: errorMsg,
-                        context: luImport.ParseTree
-                    })
-
-                    throw (new exception(retCode.errorCode.INVALID_URI, error.toString()));
-                }
-
-                if (!response.ok) {
-                    let errorMsg = `URI: "${linkValue}" appears to be invalid. Please double check the URI or re-try this parse when you are connected to the internet.`;
-                    let error = BuildDiagnostic({
-                        message: errorMsg,
-                        context: luImport.ParseTree
-                    })
+                let contentType;
+                if (referenceCache) {
+                    try {
+                        contentType = await referenceCache.getContentType(linkValue);
+                    } catch (err) {
+                        if (!(err instanceof exception)) throw (err);
+                        let error = BuildDiagnostic({
+                            message: err.text,
+                            context: luImport.ParseTree
+                        })
 
-                    throw (new exception(retCode.errorCode.INVALID_URI, error.toString()));
+                        throw (new exception(err.errCode, error.toString()));
+                    }
+                } else {
+                    contentType = await fetchContentType(linkValue, luImport);
                 }
-
-                let contentType = response.headers.get('content-type');
                 if (!contentType.includes('text/html')) {
                     parsedContent.qnaJsonStructure.files.push(new qnaFile(linkValue, linkValueText));
                 } else {
                     parsedContent.qnaJsonStructure.urls.push(linkValue);
                 }
 
+            } else if (linkValue.includes('#')) {
+                // deep references outside of intents import entity definitions e.g. [cities](./geo.lu#@cityList)
+                let referenceText = `${luImport.Description}(${linkValue})`;
+                let reference = helpers.parseLinkURI(referenceText);
+                if (reference.ref !== '' || reference.entity === undefined) {
+                    let error = BuildDiagnostic({
+                        message: `Only entity references like [cities](./geo.lu#@cityList) can be used outside of an intent, found "${referenceText}"`,
+                        context: luImport.ParseTree
+                    })
+
+                    throw (new exception(retCode.errorCode.INVALID_LU_FILE_REF, error.toString()));
+                }
+                parsedContent.additionalFilesToParse.push(new fileToParse(reference.luFile, false));
+                parsedContent.entityReferences.push({ luFile: reference.luFile, entity: reference.entity, text: referenceText });
             } else {
                 parsedContent.additionalFilesToParse.push(new fileToParse(linkValue));
             }
         }
     }
 }
+
+/**
+ * Helper function to get the content type of a referenced URL with a HEAD request
+ * @param {string} linkValue referenced URL
+ * @param {Object} luImport import the URL is referenced by
+ * @returns {string} content type
+ * @throws {exception} Throws if the URL cannot be reached
+ */
+const fetchContentType = async function (linkValue, luImport) {
+    let options = { method: 'HEAD' };
+    let response;
+    try {
+        response = await fetch(linkValue, options);
+    } catch (err) {
+        // throw, invalid URI
+        let errorMsg = `URI: "${linkValue}" appears to be invalid. Please double check the URI or re-try this parse when you are connected to the internet.`;
+        let error = BuildDiagnostic({
+            message: errorMsg,
+            context: luImport.ParseTree
+        })
+
+        throw (new exception(retCode.errorCode.INVALID_URI, error.toString()));
+    }
+
+    if (!response.ok) {
+        let errorMsg = `URI: "${linkValue}" appears to be invalid. Please double check the URI or re-try this parse when you are connected to the internet.`;
+        let error = BuildDiagnostic({
+            message: errorMsg,
+            context: luImport.ParseTree
+        })
+
+        throw (new exception(retCode.errorCode.INVALID_URI, error.toString()));
+    }
+
+    return response.headers.get('content-type');
+}
+
 /**
  * Helper function to handle @ reference in patterns
  * @param {String} utterance 
@@ -249,9 +299,10 @@ const handleAtPrefix = function(entity, flatEntityAndRoles) {
  * Intent parser code to parse intent section.
  * @param {parserObj} Object with that contains list of additional files to parse, parsed LUIS object and parsed QnA object
  * @param {LUResouce} luResource resources extracted from lu file content
+ * @param {Map<string, string[]>} templateValues values of the template placeholders in utterances
  * @throws {exception} Throws on errors. exception object includes errCode and text.
  */
-const parseAndHandleIntent = function (parsedContent, luResource) {
+const parseAndHandleIntent = function (parsedContent, luResource, templateValues) {
     // handle intent
     let intents = luResource.Intents;
     if (intents && intents.length > 0) {
@@ -259,7 +310,8 @@ const parseAndHandleIntent = function (parsedContent, luResource) {
             let intentName = intent.Name;
             // insert only if the intent is not already present.
             addItemIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.INTENT, intentName);
-            for (const utteranceAndEntities of intent.UtteranceAndEntitiesMap) {
+            let utterancesAndEntities = intent.UtteranceAndEntitiesMap.reduce((all, item) => all.concat(templates.expandUtterance(item, templateValues || new Map())), []);
+            for (const utteranceAndEntities of utterancesAndEntities) {
                 // add utterance
                 let utterance = utteranceAndEntities.utterance.trim();
                 // Fix for BF-CLI #122. 
@@ -610,6 +662,7 @@ const parseAndHandleEntityV2 = function (parsedContent, luResource, log, locale)
                     } 
                     break;
                 case EntityTypeEnum.ML:
+                    handleMachineLearnedEntity(parsedContent, entityName, entityRoles, entity.Features, entity.ParseTree);
                     break;
                 case EntityTypeEnum.PHRASELIST:
                     handlePhraseList(parsedContent, entityName, undefined, entityRoles, entity.ListBody, entity.ParseTree.newEntityLine());
@@ -621,6 +674,77 @@ const parseAndHandleEntityV2 = function (parsedContent, luResource, log, locale)
     }
 };
 
+/**
+ * Helper function to handle machine learned entity definitions along with their child entities and features
+ * @param {Object} parsedContent parsed LUIS, QnA and QnA alteration object
+ * @param {String} entityName entity name
+ * @param {String []} entityRoles collection of entity roles
+ * @param {String} entityFeatures comma separated list of features used by this entity
+ * @param {Object} parseTree parse tree of the entity definition
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const handleMachineLearnedEntity = function(parsedContent, entityName, entityRoles, entityFeatures, parseTree) {
+    addItemOrRoleIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.ENTITIES, entityName, entityRoles);
+    let entity = parsedContent.LUISJsonStructure.entities.find(item => item.name == entityName);
+    let features = getFeatures(parsedContent, entityFeatures);
+    if (features.length !== 0) {
+        entity.features = entity.features || [];
+        features.forEach(feature => {
+            if (!entity.features.find(item => JSON.stringify(item) === JSON.stringify(feature))) entity.features.push(feature);
+        });
+    }
+    let listBody = parseTree.newEntityListbody();
+    if (!listBody) return;
+    // child entities are nested by indentation: '- @ <type> <name> [usesFeature(s) <features>]'
+    let parents = [{ column: -1, children: entity.children = entity.children || [] }];
+    listBody.normalItemString().forEach(item => {
+        let childDefinition = item.getText().trim().substr(1).trim();
+        let childMatch = childDefinition.match(/^@\s*(\S+)\s+(\S+)(?:\s+usesFeatures?\s+(.+))?$/);
+        if (childMatch === null) {
+            let errorMsg = `Invalid child entity definition "${childDefinition}" for machine learned entity "${entityName}". Child entities must be defined as "- @ <type> <name>"`;
+            let error = BuildDiagnostic({
+                message: errorMsg,
+                context: item
+            })
+            throw (new exception(retCode.errorCode.INVALID_INPUT, error.toString()));
+        }
+        let childType = childMatch[1];
+        let childName = childMatch[2].replace(/^[\'\"]|[\'\"]$/g, "");
+        while (parents[parents.length - 1].column >= item.start.column) parents.pop();
+        let siblings = parents[parents.length - 1].children;
+        if (siblings.find(child => child.name == childName)) {
+            let errorMsg = `Child entity "${childName}" is defined more than once under machine learned entity "${entityName}"`;
+            let error = BuildDiagnostic({
+                message: errorMsg,
+                context: item
+            })
+            throw (new exception(retCode.errorCode.DUPLICATE_ENTITIES, error.toString()));
+        }
+        let child = {
+            name: childName,
+            instanceOf: (childType === EntityTypeEnum.ML || childType === EntityTypeEnum.SIMPLE) ? null : childType,
+            children: [],
+            features: getFeatures(parsedContent, childMatch[3])
+        };
+        siblings.push(child);
+        parents.push({ column: item.start.column, children: child.children });
+    });
+}
+
+/**
+ * Helper function to resolve a comma separated list of features to LUIS feature references
+ * @param {Object} parsedContent parsed LUIS, QnA and QnA alteration object
+ * @param {String} featuresList comma separated list of feature names
+ * @returns {Object []} list of feature references; phrase lists are referenced by featureName and models by modelName
+ */
+const getFeatures = function(parsedContent, featuresList) {
+    if (!featuresList) return [];
+    return featuresList.split(',').map(item => item.trim()).filter(item => item !== '').map(item => {
+        let isPhraseList = (parsedContent.LUISJsonStructure.model_features || []).find(phraseList => phraseList.name == item);
+        return isPhraseList ? { featureName: item } : { modelName: item };
+    });
+}
+
 /**
  * Helper function to handle pattern.any entity
  * @param {Object} parsedContent parsed LUIS, QnA and QnA alteration object
@@ -1109,9 +1233,10 @@ const handleRegExEntity = function(parsedContent, entityName, entityType, entity
  * Intent parser code to parse intent section.
  * @param {parserObj} Object with that contains list of additional files to parse, parsed LUIS object and parsed QnA object
  * @param {LUResouce} luResource resources extracted from lu file content
+ * @param {Map<string, string[]>} templateValues values of the template placeholders in questions and answers
  * @throws {exception} Throws on errors. exception object includes errCode and text.
  */
-const parseAndHandleQna = function (parsedContent, luResource) {
+const parseAndHandleQna = function (parsedContent, luResource, templateValues) {
     // handle QNA
     let qnas = luResource.Qnas;
     if (qnas && qnas.length > 0) {
@@ -1124,7 +1249,9 @@ const parseAndHandleQna = function (parsedContent, luResource) {
             }
 
             let answer = qna.Answer;
-            parsedContent.qnaJsonStructure.qnaList.push(new qnaListObj(0, answer.trim(), 'custom editorial', questions, metadata));
+            templates.expandQna(questions, answer, templateValues || new Map()).forEach(pair => {
+                parsedContent.qnaJsonStructure.qnaList.push(new qnaListObj(0, pair.answer.trim(), 'custom editorial', pair.questions, metadata.slice()));
+            });
         }
     }
 }
@@ -1142,7 +1269,7 @@ const parseAndHandleModelInfo = function (parsedContent, luResource, log) {
     if (modelInfos && modelInfos.length > 0) {
         for (const modelInfo of modelInfos) {
             let line = modelInfo.ModelInfo
-            let kvPair = line.split(/@(app|kb|intent|entity).(.*)=/g).map(item => item.trim());
+            let kvPair = line.split(/@(app|kb|intent|entity|overlay|var).(.*)=/g).map(item => item.trim());
             if (kvPair.length === 4) {
                 let hasError = false;
                 kvPair.forEach(item => {
@@ -1161,6 +1288,12 @@ const parseAndHandleModelInfo = function (parsedContent, luResource, log) {
 
                 if (kvPair[1].toLowerCase() === 'app') {
                     parsedContent.LUISJsonStructure[kvPair[2]] = kvPair[3];
+                } else if (kvPair[1].toLowerCase() === 'var') {
+                    // template variables are expanded before the utterances and QnA pairs are parsed
+                    continue;
+                } else if (kvPair[1].toLowerCase() === 'overlay') {
+                    // > !# @overlay.remove = sublist : cityList : Paris
+                    parsedContent.overlayDirectives.push(overlay.parseDirective(kvPair[2], kvPair[3], line));
                 } else if (kvPair[1].toLowerCase() === 'kb') {
                     parsedContent.qnaJsonStructure[kvPair[2]] = kvPair[3];
                 } else if (kvPair[1].toLowerCase() === 'intent') {
@@ -1185,6 +1318,21 @@ const parseAndHandleModelInfo = function (parsedContent, luResource, log) {
                                 intent['inherits'][inheritsProperties[4]] = inheritsProperties[5];
                             }
                         }
+                    } else if (kvPair[2].toLowerCase() === 'features') {
+                        // > !# @intent.features = name : BookFlight; features : cities, address
+                        let featuresProperties = kvPair[3].split(/[:;]/g).map(item => item.trim());
+                        if (featuresProperties.length !== 4) {
+                            process.stdout.write(chalk.default.yellowBright('[WARN]: Invalid intent features information found. Skipping "' + line + '"\n'));
+                        } else {
+                            let intent = parsedContent.LUISJsonStructure.intents.find(item => item.name == featuresProperties[1]);
+                            if (intent === undefined) {
+                                intent = {
+                                    "name": featuresProperties[1]
+                                };
+                                parsedContent.LUISJsonStructure.intents.push(intent);
+                            }
+                            intent['features'] = getFeatures(parsedContent, featuresProperties[3]);
+                        }
                     } else {
                         if (log) {
                             process.stdout.write(chalk.default.yellowBright('[WARN]: Invalid intent inherits information found. Skipping "' + line + '"\n'));
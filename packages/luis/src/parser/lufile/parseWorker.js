@@ -0,0 +1,16 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const { parentPort } = require('worker_threads');
+const parseFileContents = require('./parseFileContents');
+
+// parse file content sent by parseWorkers and send back its JSON, or the error
+parentPort.on('message', async job => {
+    try {
+        const parsed = await parseFileContents.parseFile(job.content, job.log, job.culture);
+        parentPort.postMessage({ id: job.id, json: JSON.stringify(parsed) });
+    } catch (err) {
+        parentPort.postMessage({ id: job.id, error: { errCode: err.errCode, text: err.text, message: err.message || String(err) } });
+    }
+});
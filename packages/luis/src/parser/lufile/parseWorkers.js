@@ -0,0 +1,88 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const os = require('os');
+const path = require('path');
+const exception = require('./classes/exception');
+const parserObject = require('./classes/parserObject');
+
+// worker threads are not available on older Node.js versions, content is parsed on the main thread there
+let workerThreads;
+try {
+    workerThreads = require('worker_threads');
+} catch (err) {
+    workerThreads = undefined;
+}
+
+const WORKER_SCRIPT = path.join(__dirname, 'parseWorker.js');
+
+// without an explicit number of workers, starting them only pays off for this many files
+const AUTO_MIN_FILES = 32;
+
+const parseWorkers = {
+    /**
+     * Get the number of worker threads to parse files with
+     * @param {number} requested requested number of workers, undefined for one per CPU core after the first
+     * @param {number} fileCount number of files to parse
+     * @returns {number} number of workers, 0 to parse on the main thread
+     */
+    count: function (requested, fileCount) {
+        if (workerThreads === undefined || fileCount < 2) return 0;
+        // a single worker would only add start up time to parsing on the main thread
+        if (requested !== undefined) return requested < 2 ? 0 : Math.min(requested, fileCount);
+        return fileCount < AUTO_MIN_FILES ? 0 : Math.min(os.cpus().length - 1, fileCount);
+    },
+    /**
+     * Parse file contents on worker threads
+     * @param {Object[]} jobs content and culture of each file
+     * @param {number} count number of worker threads
+     * @param {boolean} log indicates if we need verbose logging
+     * @returns {Object[]} JSON of the parsed content and the parsed content, or the error, in the order of the jobs
+     */
+    parseAll: function (jobs, count, log) {
+        return new Promise((resolve, reject) => {
+            const results = new Array(jobs.length);
+            const workers = [];
+            let next = 0;
+            let done = 0;
+            let settled = false;
+            const finish = err => {
+                if (settled) return;
+                settled = true;
+                workers.forEach(worker => worker.terminate());
+                if (err) reject(err);
+                else resolve(results);
+            };
+            const dispatch = worker => {
+                if (next >= jobs.length) return;
+                const id = next++;
+                worker.postMessage({ id: id, content: jobs[id].content, culture: jobs[id].culture, log: log });
+            };
+            for (let idx = 0; idx < Math.min(count, jobs.length); idx++) {
+                const worker = new workerThreads.Worker(WORKER_SCRIPT);
+                worker.on('message', result => {
+                    results[result.id] = result.error ? { error: toError(result.error) } : { json: result.json, parsed: parserObject.fromJson(result.json) };
+                    if (++done === jobs.length) return finish();
+                    dispatch(worker);
+                });
+                worker.on('error', finish);
+                // a worker that dies without an error event, e.g. out of memory, would leave its file pending forever
+                worker.on('exit', code => finish(new Error(`Parse worker thread stopped with exit code ${code} before all files were parsed`)));
+                workers.push(worker);
+                dispatch(worker);
+            }
+        });
+    }
+};
+
+/**
+ * Helper function to rebuild an error thrown on a worker thread
+ * @param {Object} error errCode and text of an exception, or message
+ * @returns {exception|Error} error
+ */
+const toError = function (error) {
+    return error.errCode !== undefined ? new exception(error.errCode, error.text) : new Error(error.message);
+}
+
+module.exports = parseWorkers;
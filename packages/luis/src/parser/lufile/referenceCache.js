@@ -0,0 +1,121 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const fetch = require('node-fetch');
+const exception = require('./classes/exception');
+const retCode = require('./enums/CLI-errors');
+
+const CACHE_FOLDER = '.lucache';
+
+/**
+ * Local cache of URL references in .lu files. The content of every referenced URL is stored in a content addressed
+ * cache folder next to a lockfile that records its content type and SHA-256 hash e.g.
+ * { "version": 1, "references": { "https://contoso.com/faq.pdf": { "contentType": "application/pdf", "sha256": "..." } } }
+ * In offline mode references are only resolved from the lockfile and the cache, so parses do not need the network.
+ */
+class ReferenceCache {
+    /**
+     * @param {string} filePath lockfile path
+     * @param {Object} content parsed lockfile content
+     * @param {boolean} offline resolve references from the cache only
+     */
+    constructor(filePath, content, offline) {
+        this.filePath = filePath;
+        this.cacheFolder = path.join(path.dirname(filePath), CACHE_FOLDER);
+        this.references = (content && content.references) || {};
+        this.offline = offline === true;
+        this.changed = false;
+    }
+
+    /**
+     * Read a lockfile. A missing lockfile gives an empty cache that is created on save.
+     * @param {string} filePath path to the lockfile
+     * @param {boolean} offline resolve references from the cache only
+     * @returns {ReferenceCache} reference cache
+     * @throws {exception} Throws if the lockfile exists but cannot be read
+     */
+    static async load(filePath, offline) {
+        filePath = path.resolve(filePath);
+        if (!await fs.pathExists(filePath)) return new ReferenceCache(filePath, undefined, offline);
+        let content;
+        try {
+            content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (err) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to read reference lockfile ${filePath}: ${err.message}`));
+        }
+        return new ReferenceCache(filePath, content, offline);
+    }
+
+    /**
+     * Get the content type of a referenced URL. Online the URL is fetched and its content cached, offline the content
+     * type comes from the lockfile after the cached content is checked against its hash.
+     * @param {string} uri referenced URL
+     * @returns {string} content type
+     * @throws {exception} Throws if the URL cannot be fetched, or offline if it is not cached or its content changed
+     */
+    async getContentType(uri) {
+        if (this.offline) {
+            const reference = this.references[uri];
+            if (reference === undefined) {
+                throw (new exception(retCode.errorCode.REFERENCE_NOT_CACHED, `URI: "${uri}" is not in reference lockfile ${this.filePath}. Parse once without --offline to cache it.`));
+            }
+            const cacheFile = path.join(this.cacheFolder, reference.sha256);
+            if (!await fs.pathExists(cacheFile) || hash(await fs.readFile(cacheFile)) !== reference.sha256) {
+                throw (new exception(retCode.errorCode.REFERENCE_NOT_CACHED, `URI: "${uri}" has no cached content matching hash ${reference.sha256} in ${this.cacheFolder}. Parse once without --offline to cache it.`));
+            }
+            return reference.contentType;
+        }
+
+        let response;
+        try {
+            response = await fetch(uri);
+        } catch (err) {
+            response = undefined;
+        }
+        if (response === undefined || !response.ok) {
+            throw (new exception(retCode.errorCode.INVALID_URI, `URI: "${uri}" appears to be invalid. Please double check the URI or re-try this parse when you are connected to the internet.`));
+        }
+        const content = await response.buffer();
+        const sha256 = hash(content);
+        const cacheFile = path.join(this.cacheFolder, sha256);
+        if (!await fs.pathExists(cacheFile)) {
+            await fs.ensureDir(this.cacheFolder);
+            await fs.writeFile(cacheFile, content);
+        }
+        const contentType = response.headers.get('content-type') || '';
+        const reference = this.references[uri];
+        if (reference === undefined || reference.sha256 !== sha256 || reference.contentType !== contentType) {
+            this.references[uri] = { contentType: contentType, sha256: sha256 };
+            this.changed = true;
+        }
+        return contentType;
+    }
+
+    /**
+     * Write the lockfile back if any reference was added or changed. References are sorted so the lockfile diffs well.
+     * @returns {void}
+     */
+    async save() {
+        if (!this.changed) return;
+        const references = {};
+        Object.keys(this.references).sort().forEach(uri => references[uri] = this.references[uri]);
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeFile(this.filePath, JSON.stringify({ version: 1, references: references }, null, 2), 'utf8');
+        this.changed = false;
+    }
+}
+
+/**
+ * Helper function to hash content
+ * @param {Buffer} content content
+ * @returns {string} hex SHA-256 hash
+ */
+const hash = function (content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = ReferenceCache;
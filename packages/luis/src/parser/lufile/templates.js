@@ -0,0 +1,220 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const exception = require('./classes/exception');
+const retCode = require('./enums/CLI-errors');
+
+// maximum number of utterances or QnA pairs one templated line or QnA pair expands to
+const EXPANSION_CAP = 1000;
+
+const VARIABLE_DEFINITION = /^\s*>\s*!#\s*@var\s+([A-Za-z_]\w*)\s*=(.*)$/;
+const TEMPLATE_TOKEN = /\$\{([^{}]+)\}/g;
+const PLACEHOLDER = /\$\$(\w+)\$\$/g;
+
+/**
+ * Templated utterances and QnA pairs. Variables are declared with > !# @var airline = Contoso|Fabrikam or a number
+ * range like > !# @var count = 1..5 and used as ${airline}. Generators like ${please|kindly} or ${1..3} are used inline
+ * in utterances and questions. Answers only expand declared variables, so adaptive expressions like
+ * ${user.name || 'unknown'} are kept as written.
+ * Every combination of values is expanded, a variable used twice has the same value in both places.
+ * The LU grammar reads ${...} as an entity, so tokens are replaced by $$<key>$$ placeholders before the content is
+ * parsed and the placeholders are expanded in the parsed utterances and QnA pairs.
+ */
+const templates = {
+    /**
+     * Replace template tokens with placeholders. Tokens that are not a declared variable or a generator are left as is,
+     * as are generators in answers and tokens with ||, e.g. adaptive expressions.
+     * @param {string} content LU file content
+     * @returns {Object} content with placeholders and values, the values of each placeholder key
+     * @throws {exception} Throws on variables without values
+     */
+    prepare: function (content) {
+        const variables = new Map();
+        content.split(/\r?\n/).forEach(line => {
+            const definition = line.match(VARIABLE_DEFINITION);
+            if (definition) variables.set(definition[1], parseValues(definition[2], line));
+        });
+        const values = new Map();
+        let generators = 0;
+        let inAnswer = false;
+        content = content.split(/(\r?\n)/).map(line => {
+            // answers are fenced with ```, a line with a fence is part of an answer
+            const fences = (line.match(/```/g) || []).length;
+            const answerLine = inAnswer || fences !== 0;
+            if (fences % 2 === 1) inAnswer = !inAnswer;
+            return line.replace(TEMPLATE_TOKEN, (token, body) => {
+                body = body.trim();
+                if (variables.has(body)) {
+                    values.set(body, variables.get(body));
+                    return `$$${body}$$`;
+                }
+                if (answerLine || body.includes('||') || (!body.includes('|') && !isRange(body))) return token;
+                const key = String(generators++);
+                values.set(key, parseValues(body, token));
+                return `$$${key}$$`;
+            });
+        }).join('');
+        return { content: content, values: values };
+    },
+    /**
+     * Expand the placeholders of a parsed utterance to every combination of values and move entity labels with the text
+     * @param {Object} utteranceAndEntities parsed utterance with its entities
+     * @param {Map<string, string[]>} values values of each placeholder key
+     * @returns {Object []} parsed utterances without placeholders
+     * @throws {exception} Throws if the utterance expands to more than the cap
+     */
+    expandUtterance: function (utteranceAndEntities, values) {
+        const text = utteranceAndEntities.utterance;
+        const keys = placeholderKeys([text], values);
+        if (keys.length === 0) return [utteranceAndEntities];
+        return combinations(keys, values, {}, text).map(binding => {
+            const expanded = substitute(text, binding, values);
+            return Object.assign({}, utteranceAndEntities, {
+                utterance: expanded.text,
+                entities: utteranceAndEntities.entities.map(entity => {
+                    const moved = Object.assign({}, entity);
+                    if (entity.startPos !== undefined) moved.startPos = expanded.position(entity.startPos, false);
+                    if (entity.endPos !== undefined) moved.endPos = expanded.position(entity.endPos, true);
+                    return moved;
+                })
+            });
+        });
+    },
+    /**
+     * Expand the placeholders of a QnA pair. Every combination of the values used in the answer gives a QnA pair, whose
+     * questions are expanded with the other values.
+     * @param {string[]} questions questions
+     * @param {string} answer answer
+     * @param {Map<string, string[]>} values values of each placeholder key
+     * @returns {Object []} QnA pairs with questions and answer
+     * @throws {exception} Throws if the QnA pair expands to more than the cap
+     */
+    expandQna: function (questions, answer, values) {
+        const answerKeys = placeholderKeys([answer], values);
+        const questionKeys = placeholderKeys(questions, values);
+        if (answerKeys.length === 0 && questionKeys.length === 0) return [{ questions: questions, answer: answer }];
+        return combinations(answerKeys, values, {}, answer).map(binding => {
+            const expandedQuestions = [];
+            questions.forEach(question => {
+                combinations(placeholderKeys([question], values).filter(key => !answerKeys.includes(key)), values, binding, question)
+                    .map(questionBinding => substitute(question, questionBinding, values).text)
+                    .forEach(text => !expandedQuestions.includes(text) ? expandedQuestions.push(text) : undefined);
+            });
+            return { questions: expandedQuestions, answer: substitute(answer, binding, values).text };
+        });
+    },
+    /**
+     * Put template tokens back into text that still has placeholders, for messages
+     * @param {string} text text with placeholders
+     * @returns {string} text with ${...} tokens
+     */
+    restore: function (text) {
+        return text.replace(PLACEHOLDER, (placeholder, key) => /^\d+$/.test(key) ? '${...}' : `\${${key}}`);
+    }
+};
+
+/**
+ * Helper function to parse the values of a variable or generator
+ * @param {string} definition a|b|c or a number range like 1..5
+ * @param {string} context variable definition line or token, for errors
+ * @returns {string[]} values
+ * @throws {exception} Throws if there are no values
+ */
+const parseValues = function (definition, context) {
+    definition = definition.trim();
+    const range = definition.match(/^(-?\d+)\s*\.\.\s*(-?\d+)$/);
+    if (range) {
+        const from = parseInt(range[1]), to = parseInt(range[2]);
+        if (Math.abs(to - from) + 1 > EXPANSION_CAP) {
+            throw (new exception(retCode.errorCode.INVALID_TEMPLATE, `[ERROR]: Template range "${context.trim()}" has more than ${EXPANSION_CAP} values`));
+        }
+        const step = from <= to ? 1 : -1;
+        const numbers = [];
+        for (let number = from; number !== to + step; number += step) numbers.push(String(number));
+        return numbers;
+    }
+    if (definition === '') {
+        throw (new exception(retCode.errorCode.INVALID_TEMPLATE, `[ERROR]: Template variable "${context.trim()}" has no values. Expected values like a|b|c or a range like 1..5`));
+    }
+    return definition.split('|').map(value => value.trim());
+}
+
+const isRange = function (body) {
+    return /^-?\d+\s*\.\.\s*-?\d+$/.test(body);
+}
+
+/**
+ * Helper function to find the placeholder keys used in text, in order of first use
+ * @param {string[]} texts texts
+ * @param {Map<string, string[]>} values values of each placeholder key
+ * @returns {string[]} keys
+ */
+const placeholderKeys = function (texts, values) {
+    const keys = [];
+    texts.forEach(text => (text.match(PLACEHOLDER) || []).forEach(placeholder => {
+        const key = placeholder.slice(2, -2);
+        if (values.has(key) && !keys.includes(key)) keys.push(key);
+    }));
+    return keys;
+}
+
+/**
+ * Helper function to build every combination of values for the keys, in the order the values are declared
+ * @param {string[]} keys placeholder keys
+ * @param {Map<string, string[]>} values values of each placeholder key
+ * @param {Object} fixed values already chosen for other keys
+ * @param {string} text templated text, for errors
+ * @returns {Object []} value index by key for each combination
+ * @throws {exception} Throws if there are more combinations than the cap
+ */
+const combinations = function (keys, values, fixed, text) {
+    const count = keys.reduce((total, key) => total * values.get(key).length, 1);
+    if (count > EXPANSION_CAP) {
+        throw (new exception(retCode.errorCode.INVALID_TEMPLATE, `[ERROR]: "${templates.restore(text.trim())}" expands to ${count} combinations, more than the cap of ${EXPANSION_CAP}. Split it into smaller templates.`));
+    }
+    let result = [Object.assign({}, fixed)];
+    keys.forEach(key => {
+        result = result.reduce((all, binding) => all.concat(values.get(key).map((value, idx) => Object.assign({}, binding, { [key]: idx }))), []);
+    });
+    return result;
+}
+
+/**
+ * Helper function to replace the placeholders in text with the chosen values
+ * @param {string} text text with placeholders
+ * @param {Object} binding value index by key
+ * @param {Map<string, string[]>} values values of each placeholder key
+ * @returns {Object} text and a function that maps a position in the text with placeholders to the expanded text
+ */
+const substitute = function (text, binding, values) {
+    const replacements = [];
+    const placeholder = new RegExp(PLACEHOLDER.source, 'g');
+    let expanded = '';
+    let last = 0;
+    let match;
+    while ((match = placeholder.exec(text)) !== null) {
+        if (binding[match[1]] === undefined) continue;
+        const value = values.get(match[1])[binding[match[1]]];
+        let start = match.index, end = match.index + match[0].length - 1;
+        // an empty value takes a space next to it along, so no leading or double spaces are left
+        if (value === '') {
+            if (text[end + 1] === ' ') end++;
+            else if (start > last && text[start - 1] === ' ') start--;
+        }
+        expanded += text.substring(last, start) + value;
+        replacements.push({ start: start, end: end, delta: value.length - (end - start + 1) });
+        last = end + 1;
+        placeholder.lastIndex = last;
+    }
+    expanded += text.substring(last);
+    return {
+        text: expanded,
+        // a label end inside a placeholder moves to the end of its value, a label start to the start of it
+        position: (position, isEnd) => position + replacements
+            .filter(replacement => isEnd ? replacement.start <= position : replacement.end < position)
+            .reduce((total, replacement) => total + replacement.delta, 0)
+    };
+}
+
+module.exports = templates;
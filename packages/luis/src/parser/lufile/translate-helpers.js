@@ -4,22 +4,23 @@
  * Licensed under the MIT License.
  */
 require('./utils');
-const fetch = require('node-fetch');
 const PARSERCONSTS = require('./enums/parserconsts');
 const retCode = require('./enums/CLI-errors');
 const chalk = require('chalk');
 const helperClasses = require('./classes/hclasses');
 const exception = require('./classes/exception');
 const helpers = require('./helpers');
+const translationProviders = require('./../translator/translationProviders');
 const NEWLINE = require('os').EOL;
 const MAX_TRANSLATE_BATCH_SIZE = 25;
 const MAX_CHAR_IN_REQUEST = 4990;
+const TRANSLATE_IGNORE_REGEX = /^>\s*!#\s*@translate\.ignore\s*(?:=(.*))?$/i;
 
 const translateHelpers = {
     /**
      * Helper function to parseAndTranslate lu file content
      * @param {string} fileContent file content
-     * @param {string} subscriptionKey translate text API key
+     * @param {string|object} subscriptionKey translate text API key or translation provider
      * @param {string} to_lang language code to translate content to
      * @param {string} src_lang language code for source content
      * @param {boolean} translate_comments translate comments in .lu files if this is set to true
@@ -29,7 +30,7 @@ const translateHelpers = {
      * @returns {string} Localized file content
      * @throws {exception} Throws on errors. exception object includes errCode and text. 
      */
-    parseAndTranslate : async function(fileContent, subscriptionKey, to_lang, src_lang, translate_comments, translate_link_text, log, batch_translate) {
+    parseAndTranslate : async function(fileContent, subscriptionKey, to_lang, src_lang, translate_comments, translate_link_text, log, batch_translate, glossary) {
         let batch_translate_size = batch_translate ? parseInt(batch_translate) : MAX_TRANSLATE_BATCH_SIZE;
         fileContent = helpers.sanitizeNewLines(fileContent);
         let linesInFile = fileContent.split(NEWLINE);
@@ -37,19 +38,38 @@ const translateHelpers = {
         let localizedContent = '';
         let currentSectionType = '';
         let inAnswer = false;
+        let inIgnoreBlock = false;
+        let ignoreNextLine = false;
         let lineCtr = 0;
         for(let lineIndex in linesInFile) {
             lineCtr++;
             let currentLine = linesInFile[lineIndex].trim();
+            // > !# @translate.ignore keeps the next line as is, = start and = end keep every line in between as is
+            let ignoreAnnotation = currentLine.match(TRANSLATE_IGNORE_REGEX);
+            if (ignoreAnnotation) {
+                let ignoreValue = (ignoreAnnotation[1] || '').trim().toLowerCase();
+                if (ignoreValue === 'start') {
+                    inIgnoreBlock = true;
+                } else if (ignoreValue === 'end') {
+                    inIgnoreBlock = false;
+                } else {
+                    ignoreNextLine = true;
+                }
+                addSegment(linesToTranslate, currentLine, false);
+                addSegment(linesToTranslate, NEWLINE, false);
+                continue;
+            }
+            let localize = !inIgnoreBlock && !ignoreNextLine;
+            if (currentLine !== '') ignoreNextLine = false;
             // is current line a comment? 
             if(currentLine.indexOf(PARSERCONSTS.COMMENT) === 0) {
                 if (inAnswer) {
-                    addSegment(linesToTranslate, currentLine, true);
+                    addSegment(linesToTranslate, currentLine, localize);
                     addSegment(linesToTranslate, NEWLINE, false);
                     continue;
                 }
                 if(translate_comments) {
-                    addSegment(linesToTranslate, currentLine, true);
+                    addSegment(linesToTranslate, currentLine, localize);
                 } else {
                     addSegment(linesToTranslate, currentLine, false);
                 }
@@ -58,7 +78,7 @@ const translateHelpers = {
                 currentSectionType = PARSERCONSTS.FILTER;
             } else if (currentLine.indexOf(PARSERCONSTS.INTENT) === 0) {
                 if (inAnswer) {
-                    addSegment(linesToTranslate, currentLine, true);
+                    addSegment(linesToTranslate, currentLine, localize);
                     addSegment(linesToTranslate, NEWLINE, false);
                     continue;
                 }
@@ -68,7 +88,7 @@ const translateHelpers = {
                     let beforeQuestion = currentLine.substring(0, currentLine.indexOf(' ') + 1);
                     let question = intentName.slice(1).trim();
                     addSegment(linesToTranslate, beforeQuestion + '? ', false);
-                    addSegment(linesToTranslate, question, true);
+                    addSegment(linesToTranslate, question, localize);
                     currentSectionType = PARSERCONSTS.QNA;
                 } else {
                     // we would not localize intent name but remember we are under intent section
@@ -79,7 +99,7 @@ const translateHelpers = {
                     currentLine.indexOf('*') === 0 || 
                     currentLine.indexOf('+') === 0 ) {
                 if (inAnswer) {
-                    addSegment(linesToTranslate, currentLine, true);
+                    addSegment(linesToTranslate, currentLine, localize);
                     addSegment(linesToTranslate, NEWLINE, false);
                     continue;
                 }
@@ -141,14 +161,14 @@ const translateHelpers = {
                         if (entity.start !== offset) {
                             candidateText = content.substring(offset, entity.start);
                             if (candidateText.trim() !== '') {
-                                addSegment(linesToTranslate, candidateText, true);
+                                addSegment(linesToTranslate, candidateText, localize);
                             } else {
                                 addSegment(linesToTranslate, candidateText, false);
                             }
                         }
                         if (entity.value !== '') {
                             addSegment(linesToTranslate, ' {' + entity.entity + '=', false);
-                            addSegment(linesToTranslate, content.substring(entity.start, entity.end + 1).trim(), true);
+                            addSegment(linesToTranslate, content.substring(entity.start, entity.end + 1).trim(), localize);
                             addSegment(linesToTranslate, '} ', false);
                         } else {
                             addSegment(linesToTranslate, ' {' + entity.entity + '} ', false);
@@ -158,7 +178,7 @@ const translateHelpers = {
                     if (offset !== content.length) {
                         candidateText = content.substring(offset);
                         if (candidateText.trim() !== '') {
-                            addSegment(linesToTranslate, candidateText.trim(), true);
+                            addSegment(linesToTranslate, candidateText.trim(), localize);
                         } else {
                             addSegment(linesToTranslate, candidateText, false);
                         }
@@ -174,10 +194,10 @@ const translateHelpers = {
                         addSegment(linesToTranslate, `\t- ${normalizedValueAsSynonym}:`, false);
                         addSegment(linesToTranslate, NEWLINE, false);
                         addSegment(linesToTranslate, '\t\t- ', false);
-                        addSegment(linesToTranslate, normalizedValueAsSynonym, true);
+                        addSegment(linesToTranslate, normalizedValueAsSynonym, localize);
                     } else {
                         addSegment(linesToTranslate, '\t\t- ', false);
-                        addSegment(linesToTranslate, content, true);
+                        addSegment(linesToTranslate, content, localize);
                     }
                     break;
                 case PARSERCONSTS.ENTITY:
@@ -187,12 +207,12 @@ const translateHelpers = {
                     listSeparator = currentLine.charAt(0);
                     content = currentLine.slice(1).trim();
                     addSegment(linesToTranslate, listSeparator + ' ', false);
-                    addSegment(linesToTranslate, content, true);
+                    addSegment(linesToTranslate, content, localize);
                     break;
                 }
             } else if(currentLine.indexOf(PARSERCONSTS.ENTITY) === 0) {
                 if (inAnswer) {
-                    addSegment(linesToTranslate, currentLine, true);
+                    addSegment(linesToTranslate, currentLine, localize);
                     addSegment(linesToTranslate, NEWLINE, false);
                     continue;
                 }
@@ -202,7 +222,7 @@ const translateHelpers = {
                 let entityType = entityDef[1];
                 if(entityType.includes(PARSERCONSTS.QNAALTERATIONS)) {
                     addSegment(linesToTranslate, '$', false);
-                    addSegment(linesToTranslate, entityName.trim(), true);
+                    addSegment(linesToTranslate, entityName.trim(), localize);
                     addSegment(linesToTranslate, ' : ' + PARSERCONSTS.QNAALTERATIONS + ' = ', false);
                     c
                 } else {
@@ -214,7 +234,7 @@ const translateHelpers = {
                         addSegment(linesToTranslate, NEWLINE, false);
                         let normalizedValueAsSynonym = entityType.replace('=', '').trim();
                         addSegment(linesToTranslate, '- ', false);
-                        addSegment(linesToTranslate, normalizedValueAsSynonym, true);
+                        addSegment(linesToTranslate, normalizedValueAsSynonym, localize);
                     } 
                 }
             } else if(currentLine.indexOf(PARSERCONSTS.ANSWER) === 0) {
@@ -226,7 +246,7 @@ const translateHelpers = {
                 currentSectionType = PARSERCONSTS.ANSWER;
             } else if (currentLine.indexOf(PARSERCONSTS.URLORFILEREF) ===0) {
                 if (inAnswer) {
-                    addSegment(linesToTranslate, currentLine, true);
+                    addSegment(linesToTranslate, currentLine, localize);
                     addSegment(linesToTranslate, NEWLINE, false);
                     continue;
                 }
@@ -239,7 +259,7 @@ const translateHelpers = {
                     let linkTextList = currentLine.trim().match(linkTextRegEx);
                     let linkTextValue = linkTextList[0].replace('[','').replace(']','');
                     addSegment(linesToTranslate, '[', false);
-                    addSegment(linesToTranslate, linkTextValue, true);
+                    addSegment(linesToTranslate, linkTextValue, localize);
                     addSegment(linesToTranslate, ']', false);
                     addSegment(linesToTranslate, '(' + linkValue + ')', false);
                 } else {
@@ -256,7 +276,7 @@ const translateHelpers = {
                 currentSectionType = PARSERCONSTS.NEWENTITY;
             } else {
                 if (inAnswer) {
-                    addSegment(linesToTranslate, currentLine, true);
+                    addSegment(linesToTranslate, currentLine, localize);
                     addSegment(linesToTranslate, NEWLINE, false);
                     continue;
                 } else {
@@ -267,7 +287,7 @@ const translateHelpers = {
             // do we have any payload to localize? and have we hit the batch size limit?
             if ((linesToTranslate.length !== 0) && (lineCtr % batch_translate_size === 0)) {
                 try {
-                    localizedContent += await batchTranslateText(linesToTranslate, subscriptionKey, to_lang, src_lang, log);
+                    localizedContent += await batchTranslateText(linesToTranslate, subscriptionKey, to_lang, src_lang, log, glossary);
                     linesToTranslate = [];
                 } catch (err) {
                     throw (err)
@@ -276,7 +296,7 @@ const translateHelpers = {
         }
         if (linesToTranslate.length !== 0) {
             try {
-                localizedContent += await batchTranslateText(linesToTranslate, subscriptionKey, to_lang, src_lang, log);
+                localizedContent += await batchTranslateText(linesToTranslate, subscriptionKey, to_lang, src_lang, log, glossary);
                 linesToTranslate = [];
             } catch (err) {
                 throw (err)
@@ -290,7 +310,7 @@ const translateHelpers = {
     /**
      * Helper function to call MT rest API to translate content
      * @param {string} text Text to translate
-     * @param {string} subscriptionKey user provided subscription to text translation API
+     * @param {string|object} subscriptionKey user provided subscription to text translation API or a translation provider from translationProviders
      * @param {string} to_lang target language to localize to
      * @param {string} from_lang source language of text
      * @returns {object} response from MT call.
@@ -298,23 +318,8 @@ const translateHelpers = {
      */
     translateText: async function(text, subscriptionKey, to_lang, from_lang) {
         let payload = Array.isArray(text) ? text : [{'Text' : text}];
-        let tUri = 'https://api.cognitive.microsofttranslator.com/translate?api-version=3.0&to=' + to_lang + '&includeAlignment=true';
-        if(from_lang) tUri += '&from=' + from_lang;
-        const options = {
-            method: 'POST',
-            body: JSON.stringify (payload),
-            headers: {
-                'Content-Type': 'application/json',
-                'Ocp-Apim-Subscription-Key' : subscriptionKey,
-                'X-ClientTraceId' : get_guid (),
-            }
-        };
-        const res = await fetch(tUri, options);
-        if (!res.ok) {
-            throw(new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL,'Text translator service call failed with [' + res.status + '] : ' + res.statusText + '.\nPlease check key & language code validity'));
-        }
-        let data = await res.json();
-        return data;
+        let provider = typeof subscriptionKey === 'object' && subscriptionKey !== null ? subscriptionKey : new translationProviders.MicrosoftTranslatorProvider({ key: subscriptionKey });
+        return await provider.translate(payload, to_lang, from_lang);
     }
 };
 /**
@@ -339,19 +344,21 @@ const addSegment = function (linesToTranslate, text, localize) {
 /**
  * Helper function to batch calls to translate API
  * @param {translateLine []} linesToTranslate Array of translateLine objects
- * @param {string} subscriptionKey translate text API key
+ * @param {string|object} subscriptionKey translate text API key or translation provider
  * @param {string} to_lang language code to translate content to
  * @param {string} src_lang language code for source content
  * @param {boolean} log indicates if this function should write verbose messages to process.stdout
+ * @param {Glossary} glossary terms with a forced translation per target language
  * @returns {string} translated content
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-const batchTranslateText = async function(linesToTranslate, subscriptionKey, to_lang, src_lang, log) {
+const batchTranslateText = async function(linesToTranslate, subscriptionKey, to_lang, src_lang, log, glossary) {
     // responsible for breaking localizable text into chunks that are 
     // - not more than 5000 characters in combined length 
     // - not more than 25 segments in one chunk
     let retValue = '';
     if (!Array.isArray(linesToTranslate) || linesToTranslate.length === 0) return retValue;
+    if (glossary) linesToTranslate = glossary.protectTerms(linesToTranslate, to_lang);
     let charCountInChunk = 0;
     let batchTranslate = [];
     for (var idx in linesToTranslate) {
@@ -386,7 +393,7 @@ const batchTranslateText = async function(linesToTranslate, subscriptionKey, to_
 /**
  * Helper function to call translate and update text with localized result
  * @param {object []} batchRequest Array of {'Text':'value'} objects
- * @param {string} subscriptionKey translate text API key
+ * @param {string|object} subscriptionKey translate text API key or translation provider
  * @param {string} to_lang language code to translate content to
  * @param {string} src_lang language code for source content
  * @param {translateLine []} linesToTranslateCopy Array of translateLine objects
@@ -408,15 +415,4 @@ const translateAndMap = async function (batchRequest, subscriptionKey, to_lang,
     });
 };
 
-/**
- * Helper function to create a random guid
-  * @returns {string} GUID
- */
-const get_guid = function () {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-    });
-}
-
 module.exports = translateHelpers;
@@ -4,10 +4,24 @@ export namespace ParseMultiPlatformLuis {
     attributes: string[] = []
   }
 
+  export class MachineLearnedEntity {
+    name = ''
+    className = ''
+    instanceOf = ''
+    roles: string[] = []
+    children: MachineLearnedEntity[] = []
+  }
+
   interface LuisEntity {
     name: string
     roles: string[]
-    children?: string[]
+    children?: any[]
+  }
+
+  interface LuisChildEntity {
+    name: string
+    instanceOf?: string | null
+    children?: LuisChildEntity[]
   }
 
   export class MultiPlatformLuis {
@@ -18,10 +32,12 @@ export namespace ParseMultiPlatformLuis {
     listEntities: string[] = []
     regexEntities: string[] = []
     patternEntities: string[] = []
+    machineLearnedEntities: MachineLearnedEntity[] = []
 
     public getInstancesList(): string[] {
       const builtIns: string[] = []
       const composites: string[] = []
+      const machineLearned: string[] = []
 
       this.builtInEntities.forEach(entityList => {
         builtIns.push(...entityList)
@@ -32,24 +48,55 @@ export namespace ParseMultiPlatformLuis {
         composites.push(...composite.attributes)
       })
 
+      this.machineLearnedEntities.forEach(entity => {
+        machineLearned.push(entity.name)
+        machineLearned.push(...entity.roles)
+      })
+
       const entities = [
         ...this.simpleEntities,
         ...builtIns,
         ...this.listEntities,
         ...this.regexEntities,
         ...this.patternEntities,
-        ...composites
+        ...composites,
+        ...machineLearned
       ].map(entity => jsonPropertyName(entity)).sort()
 
       let hi = [...new Set(entities)]
       return hi
     }
+
+    /**
+     * Returns every machine learned entity that has children, nested ones first,
+     * so that each generated class is declared before the classes referencing it.
+     */
+    public getMachineLearnedClasses(): MachineLearnedEntity[] {
+      const result: MachineLearnedEntity[] = []
+      const visit = (entity: MachineLearnedEntity) => {
+        entity.children.forEach(visit)
+        if (entity.children.length > 0) {
+          result.push(entity)
+        }
+      }
+      this.machineLearnedEntities.forEach(visit)
+      return result
+    }
+
+    /**
+     * Type used to generate a machine learned child without children of its own:
+     * 'list' for list entities, otherwise the prebuilt or entity name it is an instance of.
+     */
+    public getChildEntityType(child: MachineLearnedEntity): string {
+      return this.listEntities.includes(child.instanceOf) ? 'list' : child.instanceOf
+    }
   }
 
   export function fromLuisApp(luisApp: any): MultiPlatformLuis {
     const classData: MultiPlatformLuis = new MultiPlatformLuis()
     classData.intents = processIntents(luisApp.intents)
-    classData.simpleEntities = extractEntities(luisApp.entities) as string[]
+    classData.machineLearnedEntities = extractMachineLearnedEntities(luisApp.entities)
+    classData.simpleEntities = extractEntities(luisApp.entities.filter((entity: LuisEntity) => !isMachineLearned(entity))) as string[]
     classData.builtInEntities = extractEntities(luisApp.prebuiltEntities, true) as string[][]
     classData.listEntities = extractEntities(luisApp.closedLists) as string[]
     classData.regexEntities = extractEntities(luisApp.regex_entities) as string[]
@@ -111,6 +158,30 @@ export namespace ParseMultiPlatformLuis {
     return result
   }
 
+  function isMachineLearned(entity: LuisEntity): boolean {
+    return entity.children !== undefined && entity.children.some(child => typeof child !== 'string')
+  }
+
+  function extractMachineLearnedEntities(entities: LuisEntity[]): MachineLearnedEntity[] {
+    return entities
+      .filter(isMachineLearned)
+      .map(entity => {
+        const result = extractMachineLearnedEntity(entity, '')
+        entity.roles.sort()
+        result.roles = [...entity.roles]
+        return result
+      })
+  }
+
+  function extractMachineLearnedEntity(entity: LuisChildEntity, parentClassName: string): MachineLearnedEntity {
+    const result = new MachineLearnedEntity()
+    result.name = normalizeName(entity.name)
+    result.className = parentClassName ? `${parentClassName}_${result.name}` : result.name
+    result.instanceOf = entity.instanceOf || ''
+    result.children = (entity.children || []).map(child => extractMachineLearnedEntity(child, result.className))
+    return result
+  }
+
   function extractComposites(entities: LuisEntity[]): Composite[] {
     const result: Composite[] = []
     entities.forEach(entity => {
@@ -0,0 +1,269 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const helpers = require('./../lufile/helpers');
+const PARSERCONSTS = require('./../lufile/enums/parserconsts');
+const NEWLINE = require('os').EOL;
+
+const ENTITY_TYPES = ['simple', 'ml', 'machine-learned', 'list', 'regex', 'prebuilt', 'composite', 'patternany', 'phraselist', 'intent'];
+
+const luThreeWayMerge = {
+    /**
+     * Three-way merge of .lu content at the level of sections and utterances. Sections are intents, QnA pairs, entity
+     * definitions, model information and references. Changes made on one side only are taken as is, intents changed
+     * on both sides are merged utterance by utterance. Conflicting changes keep our version and add their version as
+     * comments between > <<<<<<< ours, > ======= and > >>>>>>> theirs markers so the result stays valid LU.
+     * @param {string} base content of the common ancestor
+     * @param {string} ours content of our version
+     * @param {string} theirs content of their version
+     * @returns {Object} merged content and the number of conflicts
+     */
+    merge: function (base, ours, theirs) {
+        const baseSections = getSections(base);
+        const ourSections = getSections(ours);
+        const theirSections = getSections(theirs);
+        let conflicts = 0;
+        const merged = [];
+        const mergeSection = (key) => {
+            const result = mergeItems(baseSections.get(key), ourSections.get(key), theirSections.get(key), (baseSection, ourSection, theirSection) => {
+                // intents changed on both sides can still be merged utterance by utterance
+                if (ourSection === undefined || theirSection === undefined || !ourSection.isIntent) return undefined;
+                const body = mergeUtterances(baseSection, ourSection, theirSection);
+                conflicts += body.conflicts;
+                return Object.assign({}, ourSection, { body: body.lines });
+            });
+            if (result.conflict) {
+                conflicts++;
+                return conflictLines(sectionLines(result.ours), sectionLines(result.theirs));
+            }
+            return result.item === undefined ? undefined : sectionLines(result.item);
+        };
+
+        orderKeys(ourSections, theirSections).forEach(key => {
+            const lines = mergeSection(key);
+            if (lines !== undefined) merged.push(lines.join(NEWLINE));
+        });
+        return { content: merged.length === 0 ? '' : merged.join(NEWLINE + NEWLINE) + NEWLINE, conflicts: conflicts };
+    }
+};
+
+/**
+ * Helper function to split .lu content into sections keyed by what they define
+ * @param {string} content .lu content
+ * @returns {Map} sections by key, in file order. Every section has leading comments, a header line and body lines
+ */
+const getSections = function (content) {
+    const sections = new Map();
+    const lines = helpers.sanitizeNewLines(content || '').split(NEWLINE);
+    let current;
+    let comments = [];
+    let inAnswer = false;
+    const addSection = (header) => {
+        current = { comments: comments, header: header, body: [], isIntent: false };
+        comments = [];
+        const key = getUniqueKey(sections, getKey(current));
+        current.isIntent = key.indexOf('intent:') === 0;
+        sections.set(key, current);
+    };
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        if (inAnswer || trimmed.indexOf(PARSERCONSTS.ANSWER) === 0) {
+            if (trimmed.indexOf(PARSERCONSTS.ANSWER) === 0) inAnswer = !inAnswer;
+            if (current === undefined) addSection(line);
+            else current.body.push(...comments, line);
+            comments = [];
+        } else if (trimmed.indexOf(PARSERCONSTS.COMMENT) === 0 && !isModelInfo(trimmed)) {
+            comments.push(line);
+        } else if (trimmed === '') {
+            if (current !== undefined && comments.length === 0) current.body.push(line);
+        } else if (isSectionHeader(trimmed)) {
+            addSection(line);
+        } else if (current === undefined) {
+            addSection(line);
+        } else {
+            current.body.push(...comments, line);
+            comments = [];
+        }
+    });
+    if (comments.length !== 0) {
+        if (current === undefined) addSection(comments.pop());
+        else current.body.push(...comments);
+    }
+    sections.forEach(section => {
+        while (section.body.length !== 0 && section.body[section.body.length - 1].trim() === '') section.body.pop();
+    });
+    return sections;
+}
+
+const isModelInfo = function (line) {
+    // translation annotations apply to the lines that follow them and stay with those lines like comments
+    const compact = line.replace(/\s/g, '');
+    return compact.indexOf(PARSERCONSTS.COMMENT + PARSERCONSTS.MODELINFO) === 0 && compact.indexOf('@translate.') === -1;
+}
+
+const isSectionHeader = function (line) {
+    return line.indexOf(PARSERCONSTS.INTENT) === 0 ||
+        line.indexOf(PARSERCONSTS.NEWENTITY) === 0 ||
+        line.indexOf(PARSERCONSTS.ENTITY) === 0 ||
+        line.indexOf(PARSERCONSTS.URLORFILEREF) === 0 ||
+        isModelInfo(line);
+}
+
+/**
+ * Helper function to compute what a section defines e.g. intent:BookFlight, qna:what is your name, entity:toCity
+ * @param {Object} section section
+ * @returns {string} key
+ */
+const getKey = function (section) {
+    const header = section.header.trim();
+    if (header.indexOf(PARSERCONSTS.INTENT) === 0) {
+        const name = header.replace(/^#+/, '').trim();
+        if (name.indexOf(PARSERCONSTS.QNA) === 0) return `qna:${normalize(name.slice(1))}`;
+        return `intent:${name}`;
+    }
+    if (header.indexOf(PARSERCONSTS.NEWENTITY) === 0) {
+        const tokens = header.slice(1).trim().split(/[\s=]+/);
+        const name = ENTITY_TYPES.includes((tokens[0] || '').toLowerCase()) && tokens.length > 1 ? tokens[1] : tokens[0];
+        return `entity:${name}`;
+    }
+    if (header.indexOf(PARSERCONSTS.ENTITY) === 0) {
+        return `entity:${header.slice(1).split(':')[0].trim()}`;
+    }
+    if (isModelInfo(header)) {
+        return `info:${normalize(header.split('=')[0])}`;
+    }
+    if (header.indexOf(PARSERCONSTS.URLORFILEREF) === 0) {
+        const path = header.match(/\((.*)\)/);
+        return `reference:${path === null ? normalize(header) : path[1].trim()}`;
+    }
+    return `line:${normalize(header)}`;
+}
+
+/**
+ * Helper function to make keys of sections that are defined more than once unique
+ * @param {Map} items items found so far
+ * @param {string} key item key
+ * @returns {string} unique key
+ */
+const getUniqueKey = function (items, key) {
+    let uniqueKey = key;
+    for (let idx = 2; items.has(uniqueKey); idx++) uniqueKey = `${key}#${idx}`;
+    return uniqueKey;
+}
+
+/**
+ * Helper function for the three-way merge of one item
+ * @param {Object} base item in the common ancestor, undefined if not defined
+ * @param {Object} ours our item, undefined if not defined
+ * @param {Object} theirs their item, undefined if not defined
+ * @param {Function} mergeBoth called when both sides changed the item, returns the merged item or undefined if it cannot be merged
+ * @returns {Object} merged item, undefined if deleted, or conflict with our and their item
+ */
+const mergeItems = function (base, ours, theirs, mergeBoth) {
+    if (isSame(ours, theirs)) return { item: ours };
+    if (isSame(ours, base)) return { item: theirs };
+    if (isSame(theirs, base)) return { item: ours };
+    const merged = mergeBoth ? mergeBoth(base, ours, theirs) : undefined;
+    if (merged !== undefined) return { item: merged };
+    return { conflict: true, ours: ours, theirs: theirs };
+}
+
+const isSame = function (item1, item2) {
+    if (item1 === undefined || item2 === undefined) return item1 === item2;
+    return getText(item1) === getText(item2);
+}
+
+/**
+ * Helper function to get the normalized text of a section or utterance, ignoring blank lines and whitespace
+ * @param {Object} item section or utterance
+ * @returns {string} normalized text
+ */
+const getText = function (item) {
+    if (typeof item === 'string') return normalize(item);
+    return [item.header].concat(item.body).map(normalize).filter(line => line !== '').join('\n');
+}
+
+/**
+ * Helper function to merge the utterances of an intent changed on both sides. Utterances are matched on their text
+ * without entity labels so label changes made on both sides are reported as conflicts.
+ * @param {Object} base intent in the common ancestor, undefined if not defined
+ * @param {Object} ours our intent
+ * @param {Object} theirs their intent
+ * @returns {Object} merged body lines and the number of conflicts
+ */
+const mergeUtterances = function (base, ours, theirs) {
+    const baseUtterances = getUtterances(base);
+    const ourUtterances = getUtterances(ours);
+    const theirUtterances = getUtterances(theirs);
+    let conflicts = 0;
+    const lines = [];
+    orderKeys(ourUtterances, theirUtterances).forEach(key => {
+        const result = mergeItems(baseUtterances.get(key), ourUtterances.get(key), theirUtterances.get(key));
+        if (result.conflict) {
+            conflicts++;
+            lines.push(...conflictLines(result.ours === undefined ? [] : [result.ours], result.theirs === undefined ? [] : [result.theirs]));
+        } else if (result.item !== undefined) {
+            lines.push(result.item);
+        }
+    });
+    return { lines: lines, conflicts: conflicts };
+}
+
+/**
+ * Helper function to index the body lines of an intent by utterance text without entity labels
+ * @param {Object} intent intent section, undefined if not defined
+ * @returns {Map} body lines by key
+ */
+const getUtterances = function (intent) {
+    const utterances = new Map();
+    if (intent === undefined) return utterances;
+    intent.body.filter(line => line.trim() !== '').forEach(line => {
+        const text = normalize(line).replace(/\{([^{}=]*)=([^{}]*)\}/g, '$2');
+        utterances.set(getUniqueKey(utterances, text), line);
+    });
+    return utterances;
+}
+
+/**
+ * Helper function to order merged keys. Our order is kept and keys only found in theirs follow the key before them.
+ * @param {Map} ours our items
+ * @param {Map} theirs their items
+ * @returns {string[]} keys
+ */
+const orderKeys = function (ours, theirs) {
+    const keys = Array.from(ours.keys());
+    let previous;
+    theirs.forEach((item, key) => {
+        if (!keys.includes(key)) {
+            const position = previous === undefined ? 0 : keys.indexOf(previous) + 1;
+            keys.splice(position, 0, key);
+        }
+        previous = key;
+    });
+    return keys;
+}
+
+const sectionLines = function (section) {
+    return section === undefined ? [] : section.comments.concat([section.header], section.body);
+}
+
+/**
+ * Helper function to write a conflict. Our lines stay in effect, their lines are commented out.
+ * @param {string[]} ourLines our lines
+ * @param {string[]} theirLines their lines
+ * @returns {string[]} lines with conflict markers
+ */
+const conflictLines = function (ourLines, theirLines) {
+    return ['> <<<<<<< ours']
+        .concat(ourLines)
+        .concat(['> ======='])
+        .concat(theirLines.map(line => line.trim() === '' ? '>' : `> ${line}`))
+        .concat(['> >>>>>>> theirs']);
+}
+
+const normalize = function (text) {
+    return (text || '').trim().replace(/\s+/g, ' ');
+}
+
+module.exports = luThreeWayMerge;
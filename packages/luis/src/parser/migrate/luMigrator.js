@@ -0,0 +1,197 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luParser = require('./../lufile/luParser');
+const helpers = require('./../lufile/helpers');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const DiagnosticSeverity = require('./../lufile/diagnostic').DiagnosticSeverity;
+const PARSERCONSTS = require('./../lufile/enums/parserconsts');
+const builtInTypes = require('./../lufile/enums/luisbuiltintypes');
+const NEWLINE = require('os').EOL;
+
+const luMigrator = {
+    /**
+     * Rewrite $name:type entity definitions to @ type name definitions. Simple, prebuilt, list, phrase list, composite
+     * and regex entities are migrated with their roles. List entity definitions that share a name become one @ list
+     * definition. QnA alterations have no @ form and are kept, as is anything that cannot be migrated without changing
+     * what it means. Those are reported as warnings.
+     * @param {string} content .lu content
+     * @returns {Object} migrated content, the number of migrated definitions and warnings with their line
+     * @throws {exception} Throws if the content has syntax errors
+     */
+    migrate: function (content) {
+        const text = helpers.sanitizeNewLines(content || '');
+        const result = { content: text, migrated: 0, warnings: [] };
+        if (text.trim() === '') return result;
+        const { fileContent, errors } = luParser.getFileContent(text);
+        const syntaxErrors = errors.filter(error => error && error.Severity === DiagnosticSeverity.ERROR);
+        if (syntaxErrors.length > 0) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to migrate content with syntax errors.${NEWLINE}${syntaxErrors.map(error => error.toString()).join(NEWLINE)}`));
+        }
+
+        const lines = text.split(NEWLINE);
+        const definitions = fileContent.paragraph()
+            .map(paragraph => paragraph.entityDefinition())
+            .filter(definition => definition !== undefined && definition !== null)
+            .map(definition => readDefinition(definition, lines));
+        const warn = (definition, message) => result.warnings.push({ line: definition.start + 1, message: message });
+
+        // list entities can be split across several $name:value= definitions, they are migrated together
+        const lists = new Map();
+        definitions.filter(definition => definition.kind === 'list').forEach(definition => {
+            if (!lists.has(definition.name)) lists.set(definition.name, []);
+            lists.get(definition.name).push(definition);
+        });
+        lists.forEach(group => {
+            const invalid = group.map(definition => definition.items.find(item => /[,;]|:$/.test(item))).find(item => item !== undefined);
+            if (invalid !== undefined) {
+                group.forEach(definition => definition.kind = undefined);
+                warn(group[0], `List entity "${group[0].name}" has the synonym "${invalid}" that would be read differently in the @ syntax. It is left unchanged.`);
+            }
+        });
+
+        const replacements = new Map();
+        definitions.forEach(definition => {
+            if (definition.kind === undefined) {
+                if (definition.reason) warn(definition, definition.reason);
+                return;
+            }
+            if (definition.kind === 'list') {
+                const group = lists.get(definition.name);
+                replacements.set(definition.start, { stop: definition.stop, lines: definition === group[0] ? writeList(group) : [] });
+            } else {
+                replacements.set(definition.start, { stop: definition.stop, lines: writeDefinition(definition) });
+            }
+            result.migrated++;
+        });
+
+        const migrated = [];
+        for (let idx = 0; idx < lines.length; idx++) {
+            const replacement = replacements.get(idx);
+            if (replacement === undefined) {
+                migrated.push(lines[idx]);
+            } else {
+                migrated.push(...replacement.lines);
+                idx = replacement.stop;
+                // do not leave a gap where a list definition was merged into an earlier one
+                if (replacement.lines.length === 0 && migrated.length !== 0 && migrated[migrated.length - 1].trim() === '') {
+                    while (idx + 1 < lines.length && lines[idx + 1].trim() === '') idx++;
+                }
+            }
+        }
+        result.content = migrated.join(NEWLINE);
+        return result;
+    }
+};
+
+/**
+ * Helper function to work out what an old style entity definition defines
+ * @param {Object} context entity definition context
+ * @param {string[]} lines content lines
+ * @returns {Object} definition with its kind, or no kind and the reason it cannot be migrated
+ */
+const readDefinition = function (context, lines) {
+    const start = context.start.line - 1;
+    const stop = context.stop.line - 1;
+    const line = context.entityLine();
+    const name = line.entityName().getText().trim();
+    const declaredType = line.entityType().getText().trim();
+    const parsed = helpers.getRolesAndType(declaredType);
+    const type = parsed.entityType;
+    const body = lines.slice(start + 1, stop + 1);
+    const definition = {
+        start: start,
+        stop: stop,
+        name: name,
+        type: type,
+        roles: parsed.roles.filter(role => role !== ''),
+        body: body,
+        items: body.map(item => item.trim()).filter(item => item !== '' && item.indexOf(PARSERCONSTS.COMMENT) !== 0).map(item => item.replace(/^[-*+]\s*/, ''))
+    };
+
+    // QnA alterations have no @ form
+    if (declaredType.includes(PARSERCONSTS.QNAALTERATIONS)) return definition;
+    if (builtInTypes.consolidatedList.includes(type)) {
+        definition.kind = 'prebuilt';
+    } else if (type.toLowerCase() === 'simple') {
+        definition.kind = 'simple';
+    } else if (type.endsWith('=')) {
+        definition.kind = 'list';
+        definition.value = type.slice(0, -1).trim();
+    } else if (type.toLowerCase().indexOf('phraselist') === 0) {
+        if (definition.roles.length !== 0) {
+            definition.reason = `Phrase list "${name}" has roles, which phrase lists do not support. It is left unchanged.`;
+        } else {
+            definition.kind = 'phraselist';
+            definition.interchangeable = type.toLowerCase().includes('interchangeable');
+        }
+    } else if (type.indexOf('[') === 0) {
+        definition.kind = 'composite';
+    } else if (type.indexOf('/') === 0 && type.length > 1 && type.endsWith('/')) {
+        definition.kind = 'regex';
+    } else {
+        definition.reason = `Entity "${name}" of type "${type}" is not a known entity type. It is left unchanged.`;
+    }
+    return definition;
+}
+
+/**
+ * Helper function to write a migrated definition. Comments in the definition body are kept.
+ * @param {Object} definition entity definition
+ * @returns {string[]} lines
+ */
+const writeDefinition = function (definition) {
+    switch (definition.kind) {
+        case 'prebuilt':
+            return [entityLine('prebuilt', definition.type, definition.roles)].concat(bodyComments(definition.body));
+        case 'simple':
+            return [entityLine('simple', definition.name, definition.roles)].concat(bodyComments(definition.body));
+        case 'composite': {
+            const children = definition.type.replace(/[\[\]]/g, '').split(/[,;]/).map(child => child.trim()).filter(child => child !== '');
+            return [`${entityLine('composite', definition.name, definition.roles)} = [${children.join(', ')}]`].concat(bodyComments(definition.body));
+        }
+        case 'regex':
+            return [`${entityLine('regex', definition.name, definition.roles)} = ${definition.type}`].concat(bodyComments(definition.body));
+        case 'phraselist': {
+            const name = `${definition.name}${definition.interchangeable ? '(interchangeable)' : ''}`;
+            return [`${entityLine('phraselist', name, [])}${definition.items.length !== 0 ? ' =' : ''}`].concat(writeBody(definition.body, '\t'));
+        }
+    }
+}
+
+/**
+ * Helper function to write the list entity definitions with the same name as one @ list definition
+ * @param {Object[]} group list entity definitions
+ * @returns {string[]} lines
+ */
+const writeList = function (group) {
+    const roles = [];
+    group.forEach(definition => definition.roles.forEach(role => { if (!roles.includes(role)) roles.push(role); }));
+    let lines = [`${entityLine('list', group[0].name, roles)} =`];
+    group.forEach(definition => {
+        lines.push(`\t- ${definition.value} :`);
+        lines = lines.concat(writeBody(definition.body, '\t\t'));
+    });
+    return lines;
+}
+
+const entityLine = function (type, name, roles) {
+    // names with white space need quotes in the @ syntax
+    const entityName = /\s/.test(name) ? `"${name}"` : name;
+    return `${PARSERCONSTS.NEWENTITY} ${type} ${entityName}${roles.length !== 0 ? ` ${roles.length > 1 ? 'hasRoles' : 'hasRole'} ${roles.join(',')}` : ''}`;
+}
+
+const writeBody = function (body, indent) {
+    return body.filter(line => line.trim() !== '').map(line => {
+        const trimmed = line.trim();
+        return trimmed.indexOf(PARSERCONSTS.COMMENT) === 0 ? trimmed : `${indent}- ${trimmed.replace(/^[-*+]\s*/, '')}`;
+    });
+}
+
+const bodyComments = function (body) {
+    return body.map(line => line.trim()).filter(line => line.indexOf(PARSERCONSTS.COMMENT) === 0);
+}
+
+module.exports = luMigrator;
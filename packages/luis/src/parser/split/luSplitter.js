@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const helpers = require('./../lufile/helpers');
+
+const luSplitter = {
+    /**
+     * Split the utterances of a LUIS model into k folds for cross-validation. Utterances are shuffled per intent with a
+     * seeded random generator and dealt to the folds in turn so every fold has about the same share of every intent.
+     * Each fold tests on its own utterances and trains on the others. Both keep all intents and entity definitions,
+     * patterns are training data and are only kept in the training model.
+     * @param {Object} model collated LUIS model
+     * @param {number} folds number of folds, at least 2
+     * @param {number} seed seed of the random generator, the same seed gives the same split
+     * @returns {Object} train and test models per fold and warnings for intents with too few utterances
+     * @throws {exception} Throws on an invalid number of folds
+     */
+    split: function (model, folds, seed) {
+        if (!Number.isInteger(folds) || folds < 2) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, the number of folds must be a whole number of at least 2, got ${folds}`));
+        }
+        const utterances = model.utterances || [];
+        const byIntent = new Map();
+        (model.intents || []).forEach(intent => byIntent.set(intent.name, []));
+        utterances.forEach(utterance => {
+            if (!byIntent.has(utterance.intent)) byIntent.set(utterance.intent, []);
+            byIntent.get(utterance.intent).push(utterance);
+        });
+
+        const warnings = [];
+        const random = helpers.createRandom(seed || 0);
+        const assignments = new Map();
+        let next = 0;
+        byIntent.forEach((intentUtterances, intent) => {
+            if (intentUtterances.length < folds) {
+                warnings.push(`Intent "${intent}" has ${intentUtterances.length} utterance(s), fewer than the ${folds} folds. Some folds will not test it${intentUtterances.length < 2 ? ' and some will not train it' : ''}.`);
+            }
+            helpers.shuffle(intentUtterances.slice(), random).forEach(utterance => assignments.set(utterance, next++ % folds));
+        });
+
+        const result = [];
+        for (let fold = 0; fold < folds; fold++) {
+            const train = deepCopy(model);
+            train.utterances = utterances.filter(utterance => assignments.get(utterance) !== fold).map(deepCopy);
+            const test = deepCopy(model);
+            test.utterances = utterances.filter(utterance => assignments.get(utterance) === fold).map(deepCopy);
+            test.patterns = [];
+            result.push({ train: train, test: test });
+        }
+        return { folds: result, warnings: warnings };
+    }
+};
+
+const deepCopy = function (item) {
+    return JSON.parse(JSON.stringify(item));
+}
+
+module.exports = luSplitter;
@@ -0,0 +1,135 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const helperClasses = require('./../lufile/classes/hclasses');
+
+/**
+ * Glossary of terms with a forced translation per target language. Terms are never sent to the translator, the
+ * glossary translation is used instead. Map a term to itself to keep brand names or product SKUs untranslated e.g.
+ * { "fr": { "Contoso": "Contoso", "flight": "vol" }, "de": { "Contoso": "Contoso" } }
+ */
+class Glossary {
+    /**
+     * @param {Object} content terms and their translation by target language
+     */
+    constructor(content) {
+        this.content = content || {};
+    }
+
+    /**
+     * Read a glossary file
+     * @param {string} filePath path to the JSON glossary file
+     * @returns {Glossary} glossary
+     * @throws {exception} Throws if the file cannot be read or is not valid JSON
+     */
+    static async load(filePath) {
+        let content;
+        try {
+            content = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+        } catch (err) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to read glossary ${filePath}: ${err.message}`));
+        }
+        return new Glossary(content);
+    }
+
+    /**
+     * @param {string} to_lang target language
+     * @returns {Object} map of term to forced translation for the language
+     */
+    getTerms(to_lang) {
+        return findLanguage(this.content, to_lang);
+    }
+
+    /**
+     * Split text to localize around glossary terms. Terms become segments that are not localized and carry their
+     * forced translation, surrounding whitespace is kept out of the text sent to the translator.
+     * @param {translateLine []} linesToTranslate Array of translateLine objects
+     * @param {string} to_lang target language
+     * @returns {translateLine []} Array of translateLine objects
+     */
+    protectTerms(linesToTranslate, to_lang) {
+        const terms = this.getTerms(to_lang);
+        const termRegex = getTermsRegExp(Object.keys(terms));
+        if (termRegex === undefined) return linesToTranslate;
+        const result = [];
+        linesToTranslate.forEach(item => {
+            if (!item.localize) {
+                result.push(item);
+                return;
+            }
+            let offset = 0;
+            let match;
+            termRegex.lastIndex = 0;
+            while ((match = termRegex.exec(item.text)) !== null) {
+                const start = match.index + match[1].length;
+                addLocalizedText(result, item.text.substring(offset, start));
+                result.push(new helperClasses.translateLine(getTranslation(terms, match[2]), false));
+                offset = start + match[2].length;
+                termRegex.lastIndex = offset;
+            }
+            addLocalizedText(result, item.text.substring(offset));
+        });
+        return result;
+    }
+}
+
+/**
+ * Helper function to find the entries for a language, falling back from e.g. fr-fr to fr
+ * @param {Object} collection entries by language code
+ * @param {string} lang language code
+ * @returns {Object} entries for the language
+ */
+const findLanguage = function (collection, lang) {
+    lang = (lang || '').toLowerCase();
+    const key = Object.keys(collection).find(item => item.toLowerCase() === lang) ||
+        Object.keys(collection).find(item => item.toLowerCase() === lang.split('-')[0]);
+    return key === undefined ? {} : collection[key];
+}
+
+/**
+ * Helper function to build a regular expression matching any of the terms as whole words regardless of case
+ * @param {string[]} terms glossary terms
+ * @returns {RegExp} regular expression or undefined if there are no terms
+ */
+const getTermsRegExp = function (terms) {
+    if (terms.length === 0) return undefined;
+    // longer terms first so multi word terms win over the words they contain
+    const alternatives = terms
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(^|[^\\w])(${alternatives.join('|')})(?=[^\\w]|$)`, 'gi');
+}
+
+/**
+ * Helper function to find the translation of a matched term
+ * @param {Object} terms map of term to forced translation
+ * @param {string} match matched text
+ * @returns {string} forced translation
+ */
+const getTranslation = function (terms, match) {
+    const term = Object.keys(terms).find(item => item.toLowerCase() === match.toLowerCase());
+    return terms[term];
+}
+
+/**
+ * Helper function to add text to localize, keeping leading and trailing whitespace out of the localized segment
+ * @param {translateLine []} linesToTranslate Array of translateLine objects
+ * @param {string} text text to localize
+ * @returns {void}
+ */
+const addLocalizedText = function (linesToTranslate, text) {
+    if (text === '') return;
+    const parts = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (parts[1] !== '') linesToTranslate.push(new helperClasses.translateLine(parts[1], false));
+    if (parts[2] !== '') linesToTranslate.push(new helperClasses.translateLine(parts[2], true));
+    if (parts[3] !== '') linesToTranslate.push(new helperClasses.translateLine(parts[3], false));
+}
+
+Glossary.findLanguage = findLanguage;
+
+module.exports = Glossary;
@@ -6,24 +6,24 @@ const retCode = require('./../lufile/enums/CLI-errors')
 const translateHelpers = require('./../lufile/translate-helpers')
 
 module.exports = {
-    translateLuFile: async function(files, translate_key, to_lang, src_lang, translate_comments, translate_link_text) {
+    translateLuFile: async function(files, translate_key, to_lang, src_lang, translate_comments, translate_link_text, glossary) {
         let translation = {}
         let i = 0
         while(files.length > i) {
             let file = files[i++] + ''       
             try {
                 let luObject = await parseFile(file)
-                translation[path.basename(file)] = await this.translateLuObj(luObject, translate_key, to_lang, src_lang, translate_comments, translate_link_text)      
+                translation[path.basename(file)] = await this.translateLuObj(luObject, translate_key, to_lang, src_lang, translate_comments, translate_link_text, glossary)      
             } catch (err) {
                 throw(err);
             }
          }
         return translation
     },
-    translateLuObj: async function(luObject, translate_key, to_lang, src_lang, translate_comments, translate_link_text) {
+    translateLuObj: async function(luObject, translate_key, to_lang, src_lang, translate_comments, translate_link_text, glossary) {
         let translation = {}
         try {
-            translation = await translateLuObject(luObject, translate_key, to_lang, src_lang, translate_comments, translate_link_text)      
+            translation = await translateLuObject(luObject, translate_key, to_lang, src_lang, translate_comments, translate_link_text, glossary)      
         } catch (err) {
             throw(err);
         }
@@ -34,7 +34,7 @@ module.exports = {
 /**
  * Helper function to parse, translate and write out localized lu files
  * @param {string} file file name
- * @param {string} translate_key translate text API key
+ * @param {string|object} translate_key translate text API key or translation provider
  * @param {string} to_lang language code to translate content to
  * @param {string} src_lang language code for source content
  * @param {boolean} translate_comments translate comments in .lu files if this is set to true
@@ -53,7 +53,7 @@ async function parseFile(file) {
     return fileContent
 }
 
-async function translateLuObject(luObject, translate_key, to_lang, src_lang, translate_comments, translate_link_text) {
+async function translateLuObject(luObject, translate_key, to_lang, src_lang, translate_comments, translate_link_text, glossary) {
     let parsedLocContent = ''
     let result = {}
     // Support multi-language specification for targets.
@@ -64,7 +64,7 @@ async function translateLuObject(luObject, translate_key, to_lang, src_lang, tra
         let tgt_lang = toLang[idx].trim();
         if (tgt_lang === '') continue;
         try {
-            parsedLocContent = await translateHelpers.parseAndTranslate(luObject, translate_key, tgt_lang, src_lang, translate_comments, translate_link_text, false)
+            parsedLocContent = await translateHelpers.parseAndTranslate(luObject, translate_key, tgt_lang, src_lang, translate_comments, translate_link_text, false, undefined, glossary)
         } catch (err) {
             throw(err);
         }
@@ -0,0 +1,123 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+
+const AUTO_DETECT = 'auto';
+
+/**
+ * Translation memory persisted as a JSON file. Translated text is keyed by source text, source language and target
+ * language so unchanged lines do not have to be sent to the translator again e.g.
+ * { "version": 1, "entries": { "en|fr": { "book a flight": "réserver un vol" } } }
+ */
+class TranslationMemory {
+    /**
+     * @param {string} filePath file the memory is saved to
+     * @param {Object} content parsed translation memory content
+     */
+    constructor(filePath, content) {
+        this.filePath = filePath;
+        this.entries = (content && content.entries) || {};
+        this.changed = false;
+    }
+
+    /**
+     * Read a translation memory file. A missing file gives an empty memory that is created on save.
+     * @param {string} filePath path to the translation memory file
+     * @returns {TranslationMemory} translation memory
+     * @throws {exception} Throws if the file exists but is not a valid translation memory
+     */
+    static async load(filePath) {
+        filePath = path.resolve(filePath);
+        if (!await fs.pathExists(filePath)) return new TranslationMemory(filePath);
+        let content;
+        try {
+            content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (err) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to read translation memory ${filePath}: ${err.message}`));
+        }
+        return new TranslationMemory(filePath, content);
+    }
+
+    /**
+     * @param {string} text source text
+     * @param {string} from_lang source language, undefined when auto detected
+     * @param {string} to_lang target language
+     * @returns {string} translated text or undefined if the text is not in memory
+     */
+    lookup(text, from_lang, to_lang) {
+        const entries = this.entries[getKey(from_lang, to_lang)];
+        return entries !== undefined && Object.prototype.hasOwnProperty.call(entries, text) ? entries[text] : undefined;
+    }
+
+    /**
+     * @param {string} text source text
+     * @param {string} from_lang source language, undefined when auto detected
+     * @param {string} to_lang target language
+     * @param {string} translation translated text
+     */
+    add(text, from_lang, to_lang, translation) {
+        const key = getKey(from_lang, to_lang);
+        if (this.entries[key] === undefined) this.entries[key] = {};
+        if (this.entries[key][text] === translation) return;
+        this.entries[key][text] = translation;
+        this.changed = true;
+    }
+
+    /**
+     * Write the memory back to its file if anything was added
+     * @returns {void}
+     */
+    async save() {
+        if (!this.changed) return;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeFile(this.filePath, JSON.stringify({ version: 1, entries: this.entries }, null, 2), 'utf8');
+        this.changed = false;
+    }
+
+    /**
+     * Wrap a translation provider so text found in memory is not translated again
+     * @param {Object} provider provider with an async translate(payload, to_lang, from_lang) function. Not needed when memoryOnly is set
+     * @param {boolean} memoryOnly fail instead of calling the provider when any text is missing from memory
+     * @returns {Object} provider with an async translate(payload, to_lang, from_lang) function
+     */
+    wrap(provider, memoryOnly) {
+        const memory = this;
+        return {
+            translate: async function (payload, to_lang, from_lang) {
+                const result = payload.map(item => {
+                    const translation = memory.lookup(item.Text, from_lang, to_lang);
+                    return translation === undefined ? undefined : { translations: [{ text: translation, to: to_lang }] };
+                });
+                const missing = payload.filter((item, idx) => result[idx] === undefined);
+                if (missing.length === 0) return result;
+                if (memoryOnly) {
+                    const lines = missing.map(item => `  "${item.Text.trim()}"`).join('\n');
+                    throw (new exception(retCode.errorCode.TRANSLATION_MEMORY_MISS, `Sorry, ${missing.length} line(s) to translate to ${to_lang} are missing from translation memory ${memory.filePath}:\n${lines}`));
+                }
+                const translated = await provider.translate(missing, to_lang, from_lang);
+                missing.forEach((item, idx) => {
+                    memory.add(item.Text, from_lang, to_lang, translated[idx].translations[0].text);
+                    result[payload.indexOf(item)] = translated[idx];
+                });
+                return result;
+            }
+        };
+    }
+}
+
+/**
+ * Helper function to build the memory key for a language pair
+ * @param {string} from_lang source language, undefined when auto detected
+ * @param {string} to_lang target language
+ * @returns {string} key
+ */
+const getKey = function (from_lang, to_lang) {
+    return `${(from_lang || AUTO_DETECT).toLowerCase()}|${to_lang.toLowerCase()}`;
+}
+
+module.exports = TranslationMemory;
@@ -0,0 +1,181 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const fetch = require('node-fetch');
+const exception = require('./../lufile/classes/exception');
+const retCode = require('./../lufile/enums/CLI-errors');
+const findLanguage = require('./glossary').findLanguage;
+
+const DEFAULT_ENDPOINT = 'https://api.cognitive.microsofttranslator.com';
+const AuthSchemes = ['subscription-key', 'bearer', 'none'];
+
+/**
+ * Translation provider calling a Microsoft Translator Text API v3 compatible endpoint. The endpoint can be a regional
+ * endpoint, a proxy or a mock translator.
+ */
+class MicrosoftTranslatorProvider {
+    /**
+     * @param {Object} options provider options
+     * @param {string} options.key translate text API key, or bearer token when auth is bearer
+     * @param {string} options.endpoint base URL of the translator API
+     * @param {string} options.auth authentication scheme, one of subscription-key, bearer or none
+     * @param {string} options.region Azure region of the translator resource, needed for regional keys
+     */
+    constructor(options) {
+        options = options || {};
+        this.key = options.key;
+        this.endpoint = (options.endpoint || DEFAULT_ENDPOINT).replace(/\/+$/, '');
+        this.auth = options.auth || 'subscription-key';
+        this.region = options.region;
+    }
+
+    /**
+     * Translate a batch of text segments
+     * @param {Object[]} payload Array of {'Text':'value'} objects
+     * @param {string} to_lang target language to localize to
+     * @param {string} from_lang source language of text
+     * @returns {Object[]} translator response, one {translations: [{text}]} entry per segment
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    async translate(payload, to_lang, from_lang) {
+        let tUri = `${this.endpoint}/translate?api-version=3.0&to=${to_lang}&includeAlignment=true`;
+        if (from_lang) tUri += '&from=' + from_lang;
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-ClientTraceId': get_guid()
+        };
+        if (this.auth === 'subscription-key') {
+            headers['Ocp-Apim-Subscription-Key'] = this.key;
+            if (this.region) headers['Ocp-Apim-Subscription-Region'] = this.region;
+        } else if (this.auth === 'bearer') {
+            headers['Authorization'] = `Bearer ${this.key}`;
+        }
+        const res = await fetch(tUri, { method: 'POST', body: JSON.stringify(payload), headers: headers });
+        if (!res.ok) {
+            throw (new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL, 'Text translator service call failed with [' + res.status + '] : ' + res.statusText + '.\nPlease check key & language code validity'));
+        }
+        return await res.json();
+    }
+}
+
+/**
+ * Translation provider reading translations from a JSON file for offline runs. The file maps target languages to
+ * translated strings and to a glossary of words that are replaced in every other string e.g.
+ * { "translations": { "fr": { "book a flight": "réserver un vol" } }, "glossary": { "fr": { "flight": "vol" } } }
+ * Text without a translation or glossary match is kept as is.
+ */
+class FileTranslationProvider {
+    /**
+     * @param {Object} content parsed translation file content
+     */
+    constructor(content) {
+        this.translations = content.translations || {};
+        this.glossary = content.glossary || {};
+    }
+
+    /**
+     * Read a translation file
+     * @param {string} filePath path to the JSON translation file
+     * @returns {FileTranslationProvider} provider
+     * @throws {exception} Throws if the file cannot be read or is not valid JSON
+     */
+    static async load(filePath) {
+        let content;
+        try {
+            content = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+        } catch (err) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, `Sorry, unable to read translation file ${filePath}: ${err.message}`));
+        }
+        return new FileTranslationProvider(content);
+    }
+
+    /**
+     * Translate a batch of text segments
+     * @param {Object[]} payload Array of {'Text':'value'} objects
+     * @param {string} to_lang target language to localize to
+     * @returns {Object[]} translations in the translator response format
+     */
+    async translate(payload, to_lang) {
+        const translations = findLanguage(this.translations, to_lang);
+        const glossary = findLanguage(this.glossary, to_lang);
+        return payload.map(item => {
+            const text = item.Text;
+            const trimmed = text.trim();
+            let translated;
+            if (trimmed !== '' && translations[trimmed] !== undefined) {
+                translated = text.replace(trimmed, translations[trimmed]);
+            } else {
+                translated = applyGlossary(text, glossary);
+            }
+            return { translations: [{ text: translated, to: to_lang }] };
+        });
+    }
+}
+
+/**
+ * Create the translation provider configured on the command line
+ * @param {Object} options provider options
+ * @param {string} options.provider microsoft (default) or file
+ * @param {string} options.key translate text API key
+ * @param {string} options.endpoint base URL of the translator API
+ * @param {string} options.auth authentication scheme, one of subscription-key, bearer or none
+ * @param {string} options.region Azure region of the translator resource
+ * @param {string} options.file translation file used by the file provider
+ * @returns {Object} provider with an async translate(payload, to_lang, from_lang) function
+ * @throws {exception} Throws on invalid options
+ */
+const createProvider = async function (options) {
+    options = options || {};
+    const provider = options.provider || 'microsoft';
+    if (provider === 'file') {
+        if (!options.file) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, a translation file is required for the file translation provider'));
+        }
+        return await FileTranslationProvider.load(options.file);
+    }
+    if (provider !== 'microsoft') {
+        throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, unknown translation provider "${provider}". Use microsoft or file`));
+    }
+    if (options.auth && !AuthSchemes.includes(options.auth)) {
+        throw (new exception(retCode.errorCode.INVALID_INPUT, `Sorry, unknown authentication scheme "${options.auth}". Use one of ${AuthSchemes.join(', ')}`));
+    }
+    if (!options.key && options.auth !== 'none') {
+        throw (new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, a translate key is required unless the authentication scheme is none'));
+    }
+    return new MicrosoftTranslatorProvider(options);
+}
+
+/**
+ * Helper function to replace glossary words, matching whole words regardless of case
+ * @param {string} text text to translate
+ * @param {Object} glossary map of source word to translated word
+ * @returns {string} text with glossary words replaced
+ */
+const applyGlossary = function (text, glossary) {
+    // replace longer terms first so multi word terms win over the words they contain
+    Object.keys(glossary).sort((a, b) => b.length - a.length).forEach(term => {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        text = text.replace(new RegExp(`(^|[^\\w])${escaped}(?=[^\\w]|$)`, 'gi'), (match, prefix) => prefix + glossary[term]);
+    });
+    return text;
+}
+
+/**
+ * Helper function to create a random guid
+ * @returns {string} GUID
+ */
+const get_guid = function () {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+        var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+    });
+}
+
+module.exports = {
+    MicrosoftTranslatorProvider: MicrosoftTranslatorProvider,
+    FileTranslationProvider: FileTranslationProvider,
+    createProvider: createProvider
+};
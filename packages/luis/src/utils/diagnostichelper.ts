@@ -0,0 +1,12 @@
+const diagnosticsCollector = require('./../parser/lufile/diagnosticsCollector')
+
+export const diagnosticsFormatFlagDescription = 'When set to json, all diagnostics found in every file are written to stderr as JSON with file path, range, severity and error code'
+
+export function writeDiagnostics(diagnostics: Array<any>, err?: any, file?: string): void {
+  if (err) {
+    diagnostics = diagnostics.concat(diagnosticsCollector.fromException(err, file))
+  }
+  process.stderr.write(JSON.stringify(diagnostics, null, 2) + '\n')
+  // the command still fails on errors, so builds using the JSON output stop on broken files
+  if (err || diagnosticsCollector.hasErrors(diagnostics)) process.exitCode = 1
+}
@@ -3,7 +3,7 @@ const fs = require('fs-extra')
 const path = require('path')
 const helpers = require('./../parser/lufile/helpers')
 
-export async function getLuFiles(input: string | undefined, recurse = false): Promise<Array<any>> {
+export async function getLuFiles(input: string | undefined, recurse = false, extensions = ['.lu']): Promise<Array<any>> {
   let filesToParse = []
   let fileStat = await fs.stat(input)
   if (fileStat.isFile()) {
@@ -15,10 +15,10 @@ export async function getLuFiles(input: string | undefined, recurse = false): Pr
     throw new CLIError('Sorry, ' + input + ' is not a folder or does not exist')
   }
 
-  filesToParse = helpers.findLUFiles(input, recurse)
+  filesToParse = helpers.findLUFiles(input, recurse, extensions)
 
   if (filesToParse.length === 0) {
-    throw new CLIError('Sorry, no .lu files found in the specified folder.')
+    throw new CLIError(`Sorry, no ${extensions.join(' or ')} files found in the specified folder.`)
   }
   return filesToParse
 }
@@ -0,0 +1,31 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+const luConverter = require('./../../../src/parser/converters/lutoluisconverter')
+
+describe('luis:augment', () => {
+  const outFile = path.join(__dirname, './../../../augmented.lu')
+
+  after(async () => {
+    await fs.remove(outFile)
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:augment', '--in', `${path.join(__dirname, './../../fixtures/augment/model.lu')}`, '--cap', '4', '--seed', '1', '--out', outFile])
+    .it('luis:augment writes labeled utterances expanded from patterns to a new .lu file', async ctx => {
+      expect(ctx.stdout).to.contain('Added 8 utterance(s) to 2 intent(s)')
+      expect(ctx.stderr).to.contain('Pattern "order {number} pizzas" of intent "OrderPizza" is skipped')
+      const model = await luConverter.parseLuToLuis([path.join(__dirname, './../../fixtures/augment/model.lu'), outFile], false, 'en-us')
+      expect(model.utterances.length).to.equal(11)
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:augment', '--in', `${path.join(__dirname, './../../fixtures/augment/model.lu')}`, '--cap', '0'])
+    .it('luis:augment fails on an invalid cap', ctx => {
+      expect(ctx.stderr).to.contain('Sorry, the cap must be a whole number of at least 1')
+    })
+})
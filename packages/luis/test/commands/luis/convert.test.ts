@@ -430,3 +430,181 @@ describe('luis:convert new entity format', () => {
   })
 })
 
+
+describe('luis:convert schema version 7.0.0', () => {
+  after(async function() {
+    await fs.remove(path.join(__dirname, './../../../root.lu'))
+    await fs.remove(path.join(__dirname, './../../../root.json'))
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/examples/v7.lu')}`, '--out', 'root.json', '--schemaversion', '7.0.0'])
+  .it('luis:convert emits hierarchical entities and phraselists for schema version 7.0.0', async () => {
+    let parsedObjects = await parseJsonFiles('./../../../root.json', './../../fixtures/verified/v7.json')
+    expect(parsedObjects[0]).to.deep.equal(parsedObjects[1])
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/verified/v7.json')}`, '--out', 'root.lu'])
+  .it('luis:convert reconstructs a LU file from a schema version 7.0.0 LUIS model', async () => {
+    expect(await compareLuFiles('./../../../root.lu', './../../fixtures/verified/v7.lu')).to.be.true
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/examples/v7.lu')}`])
+  .it('luis:convert leaves children and features of machine learned entities out of schema version 3.2.0', async (ctx) => {
+    let luis = JSON.parse(ctx.stdout)
+    let address = luis.entities.find((entity: any) => entity.name === 'address')
+    expect(address).to.deep.equal({name: 'address', roles: ['fromAddress', 'toAddress']})
+    expect(luis.luis_schema_version).to.equal('3.2.0')
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/verified/v7.lu')}`, '--out', 'root.json', '--schemaversion', '7.0.0'])
+  .it('luis:convert round trips a schema version 7.0.0 LUIS model without losing data', async () => {
+    let parsedObjects = await parseJsonFiles('./../../../root.json', './../../fixtures/verified/v7.json')
+    expect(parsedObjects[0]).to.deep.equal(parsedObjects[1])
+  })
+})
+
+describe('luis:convert --diagnostics-format json', () => {
+  afterEach(() => {
+    process.exitCode = 0
+  })
+
+  test
+  .stdout()
+  .stderr()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/diagnostics')}`, '--diagnostics-format', 'json'])
+  .it('luis:convert reports the diagnostics of every file', async (ctx) => {
+    let diagnostics = JSON.parse(ctx.stderr.substring(ctx.stderr.indexOf('[\n')))
+    expect(diagnostics.length).to.equal(3)
+    expect(diagnostics[0]).to.deep.equal({
+      file: path.join(__dirname, './../../fixtures/diagnostics/invalid-entity.lu'),
+      range: {start: {line: 3, character: 0}, end: {line: 3, character: 8}},
+      severity: 'warn',
+      message: 'no utterances found for intent definition: "# Cancel"'
+    })
+    expect(diagnostics[1].severity).to.equal('error')
+    expect(diagnostics[1].code).to.equal(11)
+    expect(diagnostics[1].codeName).to.equal('INVALID_INPUT')
+    expect(diagnostics[1].message).to.contain("Unknown PREBUILT entity 'foo'")
+    expect(diagnostics[2].file).to.equal(path.join(__dirname, './../../fixtures/diagnostics/syntax-error.lu'))
+    expect(diagnostics[2].range).to.deep.equal({start: {line: 2, character: 9}, end: {line: 2, character: 10}})
+    expect(diagnostics[2].codeName).to.equal('INVALID_LINE')
+    expect(ctx.stdout).to.equal('')
+    expect(process.exitCode).to.equal(1)
+  })
+
+  test
+  .stdout()
+  .stderr()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/testcases/missing-utterance.lu')}`, '--diagnostics-format', 'json'])
+  .it('luis:convert reports warnings and still converts files without errors', async (ctx) => {
+    let diagnostics = JSON.parse(ctx.stderr.substring(ctx.stderr.indexOf('[\n')))
+    expect(diagnostics.length).to.equal(1)
+    expect(diagnostics[0].severity).to.equal('warn')
+    expect(JSON.parse(ctx.stdout).intents[0].name).to.equal('Greeting')
+    expect(process.exitCode).to.not.equal(1)
+  })
+})
+
+describe('luis:convert --env', () => {
+  afterEach(() => {
+    process.exitCode = 0
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/overlay')}`, '--env', 'prod'])
+  .it('luis:convert applies the environment overlay and leaves other overlays out of the model', async (ctx) => {
+    let luis = JSON.parse(ctx.stdout.substring(0, ctx.stdout.indexOf('\n}\n') + 2))
+    expect(luis.intents.map((intent: any) => intent.name)).to.deep.equal(['BookFlight', 'Greeting'])
+    expect(luis.versionId).to.equal('0.1-prod')
+  })
+
+  test
+  .stdout()
+  .stderr()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/overlay/app.lu')}`, '--env', 'test'])
+  .it('luis:convert fails when the environment has no overlay', async (ctx) => {
+    expect(ctx.stderr).to.contain('No overlay found for environment "test"')
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/overlay')}`, '--recurse'])
+  .it('luis:convert leaves environment overlays out of the model without --env', async (ctx) => {
+    let luis = JSON.parse(ctx.stdout.substring(0, ctx.stdout.indexOf('\n}\n') + 2))
+    expect(luis.intents.map((intent: any) => intent.name)).to.deep.equal(['BookFlight', 'Debug', 'Greeting'])
+    expect(luis.closedLists[0].subLists.map((subList: any) => subList.canonicalForm)).to.deep.equal(['Seattle', 'Paris', 'Test City'])
+    expect(luis.versionId).to.equal('0.1')
+  })
+
+  test
+  .stdout()
+  .stderr()
+  .command(['luis:convert', '--in', `${path.join(__dirname, './../../fixtures/overlay')}`, '--env', 'syntax', '--diagnostics-format', 'json'])
+  .it('luis:convert reports the diagnostics of the environment overlay', async (ctx) => {
+    let diagnostics = JSON.parse(ctx.stderr.substring(ctx.stderr.indexOf('[\n')))
+    expect(diagnostics.map((item: any) => path.basename(item.file))).to.deep.equal(['syntax.lu'])
+    expect(diagnostics[0].codeName).to.equal('INVALID_LINE')
+    expect(process.exitCode).to.equal(1)
+  })
+})
+
+describe('luis:convert --cache', () => {
+  const cacheFolder = path.join(require('os').tmpdir(), 'luis-convert-parse-cache')
+  const input = path.join(__dirname, './../../fixtures/dispatch')
+  let uncached = ''
+
+  before(async () => {
+    await fs.remove(cacheFolder)
+  })
+
+  after(async () => {
+    await fs.remove(cacheFolder)
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', input])
+  .it('luis:convert parses without a cache', async (ctx) => {
+    uncached = ctx.stdout
+    expect(JSON.parse(uncached).intents).to.not.be.empty
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', input, '--workers', '2'])
+  .it('luis:convert gives the same model when files are parsed on worker threads', async (ctx) => {
+    expect(ctx.stdout).to.equal(uncached)
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', input, '--cache', cacheFolder])
+  .it('luis:convert fills the parse cache', async (ctx) => {
+    expect(ctx.stdout).to.equal(uncached)
+    expect(await fs.readdir(cacheFolder)).to.have.lengthOf(3)
+  })
+
+  test
+  .stdout()
+  .command(['luis:convert', '--in', input, '--cache', cacheFolder, '--workers', '2'])
+  .it('luis:convert gives the same model from the parse cache', async (ctx) => {
+    expect(ctx.stdout).to.equal(uncached)
+  })
+
+  test
+  .stdout()
+  .stderr()
+  .command(['luis:convert', '--in', input, '--workers', '0'])
+  .it('luis:convert fails with less than one worker', async (ctx) => {
+    expect(ctx.stderr).to.contain('--workers must be at least 1')
+  })
+})
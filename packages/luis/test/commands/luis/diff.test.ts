@@ -0,0 +1,26 @@
+import {expect, test} from '@oclif/test'
+const path = require('path')
+
+describe('luis:diff', () => {
+  test
+    .stdout()
+    .command(['luis:diff', '--base', `${path.join(__dirname, './../../fixtures/diff/base.lu')}`, '--in', `${path.join(__dirname, './../../fixtures/diff/head.lu')}`])
+    .it('luis:diff reports semantic differences between two .lu files', async ctx => {
+      expect(ctx.stdout).to.contain('Intents:\n  + Help\n  - Cancel')
+      expect(ctx.stdout).to.contain('~ [BookFlight -> Greeting] i want to travel')
+      expect(ctx.stdout).to.contain('~ [BookFlight] book a flight to london: + {fromCity=london} - {toCity=london}')
+      expect(ctx.stdout).to.contain('+ [BookFlight] book a ticket to {city} for {date}')
+      expect(ctx.stdout).to.contain('~ datetimeV2 (prebuilt): + departure - arrival')
+      expect(ctx.stdout).to.contain('~ airline: + Northwind; - Fabrikam; ~ Contoso Air: + contoso airlines - cair')
+      expect(ctx.stdout).to.not.contain('good morning')
+    })
+
+  test
+    .stdout()
+    .command(['luis:diff', '--base', `${path.join(__dirname, './../../fixtures/diff/head.lu')}`, '--in', `${path.join(__dirname, './../../fixtures/diff/head.lu')}`, '--format', 'json'])
+    .it('luis:diff writes differences as json', async ctx => {
+      let diff = JSON.parse(ctx.stdout)
+      expect(diff.intents).to.deep.equal({added: [], removed: []})
+      expect(diff.labels).to.deep.equal([])
+    })
+})
@@ -0,0 +1,32 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+
+describe('luis:dispatch:create', () => {
+  const outFolder = path.join(__dirname, './../../../../dispatch')
+
+  after(async () => {
+    await fs.remove(outFolder)
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:dispatch:create', '--in', `${path.join(__dirname, './../../../fixtures/dispatch')}`, '--out', outFolder, '--name', 'Assistant'])
+    .it('luis:dispatch:create writes a dispatch model and manifest for a folder of .lu and .qna files', async ctx => {
+      expect(ctx.stdout).to.contain('with 3 source intent(s)')
+      expect(ctx.stderr).to.contain('All utterances of l_chitchat are also in earlier sources')
+      const model = await fs.readJSON(path.join(outFolder, 'Assistant.json'))
+      expect(model.intents.map((intent: any) => intent.name)).to.deep.equal(['None', 'l_calendar', 'q_faq', 'l_weather'])
+      const manifest = await fs.readJSON(path.join(outFolder, 'Assistant.dispatch'))
+      expect(manifest.intents[1].files).to.deep.equal(['../test/fixtures/dispatch/faq.qna'])
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:dispatch:create', '--in', `${path.join(__dirname, './../../../fixtures/dispatch/faq.qna')}`, '--cap', '0'])
+    .it('luis:dispatch:create fails on a cap below 1', ctx => {
+      expect(ctx.stderr).to.contain('Sorry, the cap must be a whole number of at least 1')
+    })
+})
@@ -0,0 +1,41 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+const dialogflowImporter = require('./../../../src/parser/importers/dialogflowImporter')
+const importHelpers = require('./../../../src/parser/importers/importHelpers')
+
+describe('luis:export', () => {
+  const outFile = path.join(__dirname, './../../../exported.zip')
+
+  after(async () => {
+    await fs.remove(outFile)
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:export', '--in', `${path.join(__dirname, './../../fixtures/export/model.lu')}`, '--format', 'dialogflow', '--out', outFile])
+    .it('luis:export writes a Dialogflow agent .zip file', async ctx => {
+      expect(ctx.stdout).to.contain('Exported 3 intent(s)')
+      expect(ctx.stderr).to.contain('Phrase list "toppings" is not exported')
+      const result = dialogflowImporter.importAgent(await importHelpers.readFiles(outFile), {})
+      expect(result.model.intents.length).to.equal(3)
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:export', '--in', `${path.join(__dirname, './../../fixtures/export/model.lu')}`, '--format', 'rasa'])
+    .it('luis:export writes Rasa NLU YAML to stdout', ctx => {
+      expect(ctx.stdout).to.contain('- intent: TrackOrder')
+      expect(ctx.stderr).to.contain('2 pattern(s) are not exported')
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:export', '--in', `${path.join(__dirname, './../../fixtures/export/model.lu')}`, '--format', 'dialogflow'])
+    .it('luis:export fails on a Dialogflow export without output', ctx => {
+      expect(ctx.stderr).to.contain('Sorry, a Dialogflow agent needs an output folder or .zip file')
+    })
+})
@@ -0,0 +1,41 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+
+describe('luis:format', () => {
+  const outFolder = path.join(__dirname, './../../../formatted')
+
+  afterEach(async () => {
+    process.exitCode = 0
+    await fs.remove(outFolder)
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:format', '--in', `${path.join(__dirname, './../../fixtures/format/unformatted.lu')}`, '--out', outFolder])
+    .it('luis:format writes formatted files to the output folder', async () => {
+      const formatted = await fs.readFile(path.join(outFolder, 'unformatted.lu'), 'utf8')
+      expect(formatted).to.equal(await fs.readFile(path.join(__dirname, './../../fixtures/format/formatted.lu'), 'utf8'))
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:format', '--in', `${path.join(__dirname, './../../fixtures/format')}`, '--check'])
+    .it('luis:format --check lists unformatted files and exits with code 1', async ctx => {
+      expect(ctx.stdout).to.contain('unformatted.lu')
+      expect(ctx.stdout).to.not.match(/(^|[/\\])formatted\.lu/m)
+      expect(ctx.stderr).to.contain('1 file(s) not formatted')
+      expect(process.exitCode).to.equal(1)
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:format', '--in', `${path.join(__dirname, './../../fixtures/format/formatted.lu')}`, '--check'])
+    .it('luis:format --check passes on formatted files', async ctx => {
+      expect(ctx.stderr).to.equal('')
+      expect(process.exitCode).to.not.equal(1)
+    })
+})
@@ -52,6 +52,17 @@ describe('luis:generate:cs', () => {
       await compareSourceFiles('../../../fixtures/generate/CompositeEntities.cs', '../../../fixtures/generate/results/CompositeEntities.cs')
     })
 
+  test
+    .stdout()
+    .command(['luis:generate:cs',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/MachineLearnedEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/MachineLearnedEntities.cs')}`])
+    .it('Generates machine learned entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/MachineLearnedEntities.cs', '../../../fixtures/generate/results/MachineLearnedEntities.cs')
+    })
+
   test
     .stdout()
     .command(['luis:generate:cs',
@@ -0,0 +1,120 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+
+const compareSourceFiles = async function (file1: string, file2: string) {
+  let result = await fs.readFile(path.join(__dirname, file1))
+  let fixtureFile = await fs.readFile(path.join(__dirname, file2))
+  result = result.toString().replace(/\r\n/g, '\n')
+  fixtureFile = fixtureFile.toString().replace(/\r\n/g, '\n')
+  expect(result).to.be.equal(fixtureFile)
+}
+
+describe('luis:generate:java', () => {
+  before(async function () {
+    await fs.ensureDir(path.join(__dirname, '../../../fixtures/generate/results'))
+  })
+
+  after(async function () {
+    await fs.emptyDir(path.join(__dirname, '../../../fixtures/generate/results'))
+  })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/Intents.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/Intents.java')}`])
+    .it('Generates intents correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/Intents.java', '../../../fixtures/generate/results/Intents.java')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/SimpleEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/SimpleEntities.java')}`])
+    .it('Generates simple entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/SimpleEntities.java', '../../../fixtures/generate/results/SimpleEntities.java')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/CompositeEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/CompositeEntities.java')}`])
+    .it('Generates composites entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/CompositeEntities.java', '../../../fixtures/generate/results/CompositeEntities.java')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/MachineLearnedEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/MachineLearnedEntities.java')}`])
+    .it('Generates machine learned entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/MachineLearnedEntities.java', '../../../fixtures/generate/results/MachineLearnedEntities.java')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/ClosedLists.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/ClosedLists.java')}`])
+    .it('Generates closed lists entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/ClosedLists.java', '../../../fixtures/generate/results/ClosedLists.java')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/PatternEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/PatternEntities.java')}`])
+    .it('Generates pattern entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/PatternEntities.java', '../../../fixtures/generate/results/PatternEntities.java')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/RegexEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/RegexEntities.java')}`])
+    .it('Generates regex entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/RegexEntities.java', '../../../fixtures/generate/results/RegexEntities.java')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/PrebuiltEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/PrebuiltEntities.java')}`])
+    .it('Generates prebuilt entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/PrebuiltEntities.java', '../../../fixtures/generate/results/PrebuiltEntities.java')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:java',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/ContosoApp.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/ContosoApp.java')}`])
+    .it('Generates a complete app correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/ContosoApp.java', '../../../fixtures/generate/results/ContosoApp.java')
+    })
+})
@@ -0,0 +1,120 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+
+const compareSourceFiles = async function (file1: string, file2: string) {
+  let result = await fs.readFile(path.join(__dirname, file1))
+  let fixtureFile = await fs.readFile(path.join(__dirname, file2))
+  result = result.toString().replace(/\r\n/g, '\n')
+  fixtureFile = fixtureFile.toString().replace(/\r\n/g, '\n')
+  expect(result).to.be.equal(fixtureFile)
+}
+
+describe('luis:generate:py', () => {
+  before(async function () {
+    await fs.ensureDir(path.join(__dirname, '../../../fixtures/generate/results'))
+  })
+
+  after(async function () {
+    await fs.emptyDir(path.join(__dirname, '../../../fixtures/generate/results'))
+  })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/Intents.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/intents.py')}`])
+    .it('Generates intents correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/intents.py', '../../../fixtures/generate/results/intents.py')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/SimpleEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/simple_entities.py')}`])
+    .it('Generates simple entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/simple_entities.py', '../../../fixtures/generate/results/simple_entities.py')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/CompositeEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/composite_entities.py')}`])
+    .it('Generates composites entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/composite_entities.py', '../../../fixtures/generate/results/composite_entities.py')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/MachineLearnedEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/machine_learned_entities.py')}`])
+    .it('Generates machine learned entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/machine_learned_entities.py', '../../../fixtures/generate/results/machine_learned_entities.py')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/ClosedLists.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/closed_lists.py')}`])
+    .it('Generates closed lists entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/closed_lists.py', '../../../fixtures/generate/results/closed_lists.py')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/PatternEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/pattern_entities.py')}`])
+    .it('Generates pattern entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/pattern_entities.py', '../../../fixtures/generate/results/pattern_entities.py')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/RegexEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/regex_entities.py')}`])
+    .it('Generates regex entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/regex_entities.py', '../../../fixtures/generate/results/regex_entities.py')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/PrebuiltEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/prebuilt_entities.py')}`])
+    .it('Generates prebuilt entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/prebuilt_entities.py', '../../../fixtures/generate/results/prebuilt_entities.py')
+    })
+
+  test
+    .stdout()
+    .command(['luis:generate:py',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/ContosoApp.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/contoso_app.py')}`])
+    .it('Generates a complete app correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/contoso_app.py', '../../../fixtures/generate/results/contoso_app.py')
+    })
+})
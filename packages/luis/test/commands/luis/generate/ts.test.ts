@@ -53,6 +53,17 @@ describe('luis:generate:ts', () => {
       await compareSourceFiles('../../../fixtures/generate/composite-entities.ts', '../../../fixtures/generate/results/composite-entities.ts')
     })
 
+  test
+    .stdout()
+    .command(['luis:generate:ts',
+      '--in',
+      `${path.join(__dirname, '../../../fixtures/generate/MachineLearnedEntities.json')}`,
+      '--out',
+      `${path.join(__dirname, '../../../fixtures/generate/results/machine-learned-entities.ts')}`])
+    .it('Generates machine learned entities correctly', async () => {
+      await compareSourceFiles('../../../fixtures/generate/machine-learned-entities.ts', '../../../fixtures/generate/results/machine-learned-entities.ts')
+    })
+
   test
     .stdout()
     .command(['luis:generate:ts',
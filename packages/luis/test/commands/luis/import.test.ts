@@ -0,0 +1,41 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+const luConverter = require('./../../../src/parser/converters/lutoluisconverter')
+
+describe('luis:import', () => {
+  const outFile = path.join(__dirname, './../../../imported.lu')
+
+  after(async () => {
+    await fs.remove(outFile)
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:import', '--in', `${path.join(__dirname, './../../fixtures/import/dialogflow')}`, '--out', outFile])
+    .it('luis:import detects a Dialogflow agent folder and writes a .lu file', async ctx => {
+      expect(ctx.stdout).to.contain('Imported 2 intent(s), 5 utterance(s) and 1 pattern(s)')
+      expect(ctx.stderr).to.contain('System entity @sys.unit-weight has no LUIS counterpart')
+      const model = await luConverter.parseLuToLuis([outFile], false, 'en-us')
+      expect(model.utterances.length).to.equal(5)
+      expect(model.closedLists[0].name).to.equal('cityList')
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:import', '--in', `${path.join(__dirname, './../../fixtures/import/alexa.json')}`])
+    .it('luis:import writes the imported .lu content to stdout', ctx => {
+      expect(ctx.stdout).to.contain('## BookFlightIntent')
+      expect(ctx.stdout).to.contain('@ list CITY_TYPE hasRole toCity')
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:import', '--in', `${path.join(__dirname, './../../fixtures/import/wit.zip')}`, '--format', 'rasa'])
+    .it('luis:import fails on a format that does not match the input', ctx => {
+      expect(ctx.stderr).to.contain('Sorry, rasa training data must be a file')
+    })
+})
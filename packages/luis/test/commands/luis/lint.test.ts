@@ -0,0 +1,57 @@
+import {expect, test} from '@oclif/test'
+const path = require('path')
+
+describe('luis:lint', () => {
+  afterEach(() => {
+    process.exitCode = 0
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:lint', '--in', `${path.join(__dirname, './../../fixtures/lint/issues.lu')}`])
+    .it('luis:lint reports issues using the closest .lulintrc', async ctx => {
+      expect(ctx.stdout).to.contain('[WARN] line 8:0 - line 8:10: Intent "Greeting" has 2 utterance(s). At least 3 are recommended. (min-utterances)')
+      expect(ctx.stdout).to.contain('[ERROR] line 10:0 - line 10:26: Utterance "book a flight to seattle" in intent "Greeting" is also defined in intent "BookFlight" at line 2. (duplicate-utterances)')
+      expect(ctx.stdout).to.contain('Phrase list "cities" does not match any utterance. (unused-phrase-lists)')
+      expect(ctx.stdout).to.not.contain('pattern-shadows-utterance')
+      expect(ctx.stderr).to.contain('1 lint error(s) found')
+      expect(process.exitCode).to.equal(1)
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:lint', '--in', `${path.join(__dirname, './../../fixtures/lint/issues.lu')}`, '--format', 'json'])
+    .it('luis:lint writes issues as json', async ctx => {
+      let issues = JSON.parse(ctx.stdout)
+      let duplicate = issues.find((issue: any) => issue.rule === 'duplicate-utterances')
+      expect(duplicate.severity).to.equal('error')
+      expect(duplicate.range).to.deep.equal({start: {line: 9, character: 0}, end: {line: 9, character: 26}})
+      expect(issues.filter((issue: any) => issue.rule === 'unlabeled-entity-mentions').length).to.equal(2)
+      expect(process.exitCode).to.equal(1)
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:lint', '--in', `${path.join(__dirname, './../../fixtures/lint/issues.lu')}`, '--format', 'sarif'])
+    .it('luis:lint writes issues as a SARIF log', async ctx => {
+      let log = JSON.parse(ctx.stdout)
+      expect(log.version).to.equal('2.1.0')
+      let result = log.runs[0].results.find((item: any) => item.ruleId === 'min-utterances')
+      expect(result.level).to.equal('warning')
+      expect(result.locations[0].physicalLocation.region).to.deep.equal({startLine: 8, startColumn: 1, endLine: 8, endColumn: 11})
+      expect(log.runs[0].tool.driver.rules[result.ruleIndex].id).to.equal('min-utterances')
+      expect(process.exitCode).to.equal(1)
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:lint', '--in', `${path.join(__dirname, './../../fixtures/examples/1.lu')}`])
+    .it('luis:lint passes on files without lint errors', async ctx => {
+      expect(ctx.stderr).to.not.contain('lint error(s) found')
+      expect(process.exitCode).to.not.equal(1)
+    })
+})
@@ -0,0 +1,30 @@
+import {expect, test} from '@oclif/test'
+const path = require('path')
+
+describe('luis:merge', () => {
+  afterEach(() => {
+    process.exitCode = 0
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:merge', '--base', `${path.join(__dirname, './../../fixtures/merge/base.lu')}`, '--ours', `${path.join(__dirname, './../../fixtures/merge/ours.lu')}`, '--theirs', `${path.join(__dirname, './../../fixtures/merge/theirs.lu')}`])
+    .it('luis:merge auto-resolves non overlapping changes and annotates conflicts', async ctx => {
+      expect(ctx.stdout).to.contain('# Greeting\n- hello\n- hi\n- good morning\n\n# Help\n- what can you do')
+      expect(ctx.stdout).to.contain('> <<<<<<< ours\n- book a flight to {fromCity=london}\n> =======\n> - book a flight to {destination=london}\n> >>>>>>> theirs')
+      expect(ctx.stdout).to.not.contain('i want to travel')
+      expect(ctx.stderr).to.contain('2 conflict(s) found')
+      expect(process.exitCode).to.equal(1)
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:merge', '--base', `${path.join(__dirname, './../../fixtures/merge/base.lu')}`, '--ours', `${path.join(__dirname, './../../fixtures/merge/base.lu')}`, '--theirs', `${path.join(__dirname, './../../fixtures/merge/theirs.lu')}`])
+    .it('luis:merge takes their changes when ours did not change', async ctx => {
+      expect(ctx.stdout).to.contain('- book a flight to {destination=london}')
+      expect(ctx.stderr).to.equal('')
+      expect(process.exitCode).to.not.equal(1)
+    })
+})
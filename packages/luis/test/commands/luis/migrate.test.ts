@@ -0,0 +1,33 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+
+describe('luis:migrate', () => {
+  const outFolder = path.join(__dirname, './../../../migrated')
+
+  after(async () => {
+    await fs.remove(outFolder)
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:migrate', '--in', `${path.join(__dirname, './../../fixtures/migrate/legacy.lu')}`, '--out', outFolder])
+    .it('luis:migrate writes migrated files to the output folder', async ctx => {
+      const migrated = await fs.readFile(path.join(outFolder, 'legacy.lu'), 'utf8')
+      expect(migrated).to.equal(await fs.readFile(path.join(__dirname, './../../fixtures/migrate/legacy.migrated.lu'), 'utf8'))
+      expect(ctx.stdout).to.contain('Migrated 8 entity definition(s) in 1 file(s)')
+      expect(ctx.stderr).to.contain('line 19: Entity "weird" of type "foo" is not a known entity type')
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:migrate', '--in', `${path.join(__dirname, './../../fixtures/migrate/legacy.lu')}`, '--dry-run'])
+    .it('luis:migrate --dry-run shows a unified diff', async ctx => {
+      expect(ctx.stdout).to.contain('+++ b/')
+      expect(ctx.stdout).to.contain('-$userName:simple\n')
+      expect(ctx.stdout).to.contain('+@ simple userName\n')
+      expect(ctx.stdout).to.not.contain('Migrated')
+    })
+})
@@ -0,0 +1,27 @@
+import {expect, test} from '@oclif/test'
+const fs = require('fs-extra')
+const path = require('path')
+
+describe('luis:split', () => {
+  const outFolder = path.join(__dirname, './../../../folds')
+
+  after(async () => {
+    await fs.remove(outFolder)
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:split', '--in', `${path.join(__dirname, './../../fixtures/split/model.lu')}`, '--folds', '3', '--seed', '42', '--out', outFolder])
+    .it('luis:split writes train and test .lu files per fold', async ctx => {
+      expect(ctx.stdout).to.contain('Split 10 utterance(s) into 3 folds')
+      expect(ctx.stderr).to.contain('Intent "Cancel" has 1 utterance(s), fewer than the 3 folds')
+      for (let fold = 1; fold <= 3; fold++) {
+        const train = await fs.readFile(path.join(outFolder, `fold${fold}`, 'train.lu'), 'utf8')
+        const testContent = await fs.readFile(path.join(outFolder, `fold${fold}`, 'test.lu'), 'utf8')
+        expect(train).to.contain('book a flight from')
+        expect(testContent).to.not.contain('book a flight from')
+        expect(testContent).to.contain('@ simple city hasRoles fromCity,toCity')
+      }
+    })
+})
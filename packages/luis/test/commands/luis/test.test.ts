@@ -0,0 +1,33 @@
+import {expect, test} from '@oclif/test'
+const path = require('path')
+
+describe('luis:test', () => {
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:test', '--in', `${path.join(__dirname, './../../fixtures/evaluate/test.lu')}`, '--model', `${path.join(__dirname, './../../fixtures/evaluate/train.lu')}`])
+    .it('luis:test reports intent and entity accuracy of the exact match recognizer as a table', async ctx => {
+      expect(ctx.stdout).to.contain('BookFlight  1.00       0.50    0.67  2')
+      expect(ctx.stdout).to.contain('Intent accuracy: 75.00%, 3 of 4 utterance(s) passed')
+      expect(ctx.stdout).to.contain('city    2         1          1        50.00%')
+      expect(ctx.stdout).to.contain('- i need a flight to london: expected intent BookFlight but was None; missing city [19-24]')
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:test', '--in', `${path.join(__dirname, './../../fixtures/evaluate/test.lu')}`, '--recognizer', 'recorded', '--responses', `${path.join(__dirname, './../../fixtures/evaluate/responses.json')}`, '--format', 'junit'])
+    .it('luis:test writes JUnit XML for recorded responses', async ctx => {
+      expect(ctx.stdout).to.contain('<testsuite name="luis:test" tests="4" failures="2">')
+      expect(ctx.stdout).to.contain('<testcase classname="BookFlight" name="book a flight to seattle"/>')
+      expect(ctx.stdout).to.contain('<failure message="expected intent None but was Greeting"/>')
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:test', '--in', `${path.join(__dirname, './../../fixtures/evaluate/test.lu')}`, '--recognizer', 'recorded'])
+    .it('luis:test needs a responses file for the recorded recognizer', async ctx => {
+      expect(ctx.stderr).to.contain('a recorded responses file is required')
+    })
+})
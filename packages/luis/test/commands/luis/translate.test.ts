@@ -35,3 +35,87 @@ describe('luis:translate', () => {
       expect(await compareLuFiles('./../../../fr/file.lu', './../../fixtures/fr/file.lu')).to.be.true
     })
 })
+
+describe('luis:translate --diagnostics-format json', () => {
+  afterEach(() => {
+    process.exitCode = 0
+  })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:translate', '--translatekey', 'xxxxxxx', '--in', `${path.join(__dirname, './../../fixtures/diagnostics/translate')}`, '--tgtlang', 'fr', '--diagnostics-format', 'json'])
+    .it('luis:translate reports a diagnostic for every file that failed to translate', async (ctx) => {
+      let diagnostics = JSON.parse(ctx.stderr.substring(ctx.stderr.indexOf('[\n')))
+      expect(diagnostics.length).to.equal(2)
+      expect(diagnostics.map((item: any) => path.basename(item.file))).to.deep.equal(['empty1.lu', 'empty2.lu'])
+      expect(diagnostics[0].severity).to.equal('error')
+      expect(diagnostics[0].codeName).to.equal('FILE_OPEN_ERROR')
+      expect(diagnostics[0].code).to.equal(6)
+      expect(process.exitCode).to.equal(1)
+    })
+})
+
+describe('luis:translate --translate_provider file', () => {
+  after(async function(){
+    await fs.remove(path.join(__dirname, './../../../fr/'))
+  })
+
+  test
+    .stdout()
+    .command(['luis:translate', '--in', `${path.join(__dirname, './../../fixtures/translation/booking.lu')}`, '--tgtlang', 'fr', '--out', './', '--translate_provider', 'file', '--translate_file', `${path.join(__dirname, './../../fixtures/translation/translations.json')}`])
+    .it('luis:translate translates offline from a translation file', async () => {
+      expect(await compareLuFiles('./../../../fr/booking.lu', './../../fixtures/translation/booking.fr.lu')).to.be.true
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:translate', '--in', `${path.join(__dirname, './../../fixtures/translation/booking.lu')}`, '--tgtlang', 'fr', '--translate_provider', 'file'])
+    .it('luis:translate requires a translation file for the file provider', async (ctx) => {
+      expect(ctx.stderr).to.contain('a translation file is required')
+    })
+})
+
+describe('luis:translate --tm', () => {
+  after(async function(){
+    await fs.remove(path.join(__dirname, './../../../fr/'))
+    await fs.remove(path.join(__dirname, './../../../translation-memory.json'))
+  })
+
+  test
+    .stdout()
+    .command(['luis:translate', '--in', `${path.join(__dirname, './../../fixtures/translation/booking.lu')}`, '--tgtlang', 'fr', '--out', './', '--translate_provider', 'file', '--translate_file', `${path.join(__dirname, './../../fixtures/translation/translations.json')}`, '--tm', './translation-memory.json'])
+    .it('luis:translate --tm adds new translations to the translation memory', async () => {
+      let memory = await fs.readJson(path.join(__dirname, './../../../translation-memory.json'))
+      expect(memory.entries['auto|fr']['hello']).to.equal('bonjour')
+    })
+
+  test
+    .stdout()
+    .command(['luis:translate', '--in', `${path.join(__dirname, './../../fixtures/translation/booking.lu')}`, '--tgtlang', 'fr', '--out', './', '--tm', './translation-memory.json', '--tm-only'])
+    .it('luis:translate --tm-only translates from the translation memory alone', async () => {
+      expect(await compareLuFiles('./../../../fr/booking.lu', './../../fixtures/translation/booking.fr.lu')).to.be.true
+    })
+
+  test
+    .stdout()
+    .stderr()
+    .command(['luis:translate', '--in', `${path.join(__dirname, './../../fixtures/translation/booking.lu')}`, '--tgtlang', 'de', '--tm', './translation-memory.json', '--tm-only'])
+    .it('luis:translate --tm-only fails when lines are missing from the translation memory', async (ctx) => {
+      expect(ctx.stderr).to.contain('5 line(s) to translate to de are missing from translation memory')
+    })
+})
+
+describe('luis:translate --glossary', () => {
+  after(async function(){
+    await fs.remove(path.join(__dirname, './../../../fr/'))
+  })
+
+  test
+    .stdout()
+    .command(['luis:translate', '--in', `${path.join(__dirname, './../../fixtures/translation/annotated.lu')}`, '--tgtlang', 'fr', '--out', './', '--translate_provider', 'file', '--translate_file', `${path.join(__dirname, './../../fixtures/translation/translations.json')}`, '--glossary', `${path.join(__dirname, './../../fixtures/translation/glossary.json')}`])
+    .it('luis:translate forces glossary terms and keeps lines annotated with @translate.ignore', async () => {
+      expect(await compareLuFiles('./../../../fr/annotated.lu', './../../fixtures/translation/annotated.fr.lu')).to.be.true
+    })
+})
@@ -102,3 +102,42 @@ describe('qnamaker:convert with --sort option', () => {
     expect(await compareLuFiles('./../../../qna.lu', './../../fixtures/verified/qna_a_sorted.lu')).to.be.true
   })
 })
+
+describe('qnamaker:convert --diagnostics-format json', () => {
+  afterEach(() => {
+    process.exitCode = 0
+  })
+
+  test
+  .stdout()
+  .stderr()
+  .command(['qnamaker:convert', '--in', `${path.join(__dirname, './../../fixtures/diagnostics/qna')}`, '--diagnostics-format', 'json'])
+  .it('qnamaker:convert reports the diagnostics of every file', async (ctx) => {
+    let diagnostics = JSON.parse(ctx.stderr.substring(ctx.stderr.indexOf('[\n')))
+    expect(diagnostics.length).to.equal(1)
+    expect(diagnostics[0].file).to.equal(path.join(__dirname, './../../fixtures/diagnostics/qna/missing-answer.lu'))
+    expect(diagnostics[0].range.start).to.deep.equal({line: 1, character: 0})
+    expect(diagnostics[0].codeName).to.equal('INVALID_LINE')
+    expect(ctx.stdout).to.equal('')
+    expect(process.exitCode).to.equal(1)
+  })
+})
+
+describe('qnamaker:convert --offline', () => {
+  test
+  .stdout()
+  .command(['qnamaker:convert', '--in', `${path.join(__dirname, './../../fixtures/references/faq.lu')}`, '--lockfile', `${path.join(__dirname, './../../fixtures/references/lu.lock.json')}`, '--offline'])
+  .it('qnamaker:convert resolves URL references from the reference lockfile without network access', async (ctx) => {
+    let qna = JSON.parse(ctx.stdout.substring(0, ctx.stdout.indexOf('\n}\n') + 2))
+    expect(qna.urls).to.deep.equal(['https://contoso.com/support'])
+    expect(qna.files[0].fileUri).to.equal('https://contoso.com/manual.pdf')
+  })
+
+  test
+  .stdout()
+  .stderr()
+  .command(['qnamaker:convert', '--in', `${path.join(__dirname, './../../fixtures/references/faq.lu')}`, '--offline'])
+  .it('qnamaker:convert fails on --offline without a reference lockfile', async (ctx) => {
+    expect(ctx.stderr).to.contain('--offline requires a reference lockfile set with --lockfile')
+  })
+})
@@ -0,0 +1,330 @@
+// <auto-generated>
+// Code generated by luis:generate:java
+// Tool github: https://github.com/microsoft/botframwork-cli
+// Changes may cause incorrect behavior and will be lost if the code is
+// regenerated.
+// </auto-generated>
+package luis;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import com.fasterxml.jackson.annotation.JsonProperty;
+import com.fasterxml.jackson.databind.DeserializationFeature;
+import com.fasterxml.jackson.databind.ObjectMapper;
+import com.microsoft.bot.builder.IntentScore;
+import com.microsoft.bot.builder.RecognizerConvert;
+import com.microsoft.bot.builder.RecognizerResult;
+import java.util.AbstractMap;
+import java.util.Map;
+
+public class ContosoApp extends RecognizerResult implements RecognizerConvert
+{
+    public enum Intent {
+        Cancel("Cancel"),
+        Delivery("Delivery"),
+        EntityTests("EntityTests"),
+        Greeting("Greeting"),
+        Help("Help"),
+        None("None"),
+        Roles("Roles"),
+        search("search"),
+        SpecifyName("SpecifyName"),
+        Travel("Travel"),
+        Weather_GetForecast("Weather_GetForecast");
+
+        private final String value;
+
+        Intent(String value) {
+            this.value = value;
+        }
+
+        public String getValue() {
+            return value;
+        }
+    }
+
+    public static class InstanceData
+    {
+        public int startIndex;
+        public int endIndex;
+        public String text;
+        public Double score;
+        public String type;
+        public String subtype;
+    }
+
+    public static class DateTimeSpec
+    {
+        public String type;
+        @JsonProperty("timex")
+        public String[] expressions;
+    }
+
+    public static class GeographyV2
+    {
+        public String type;
+        @JsonProperty("value")
+        public String location;
+    }
+
+    public static class NumberWithUnits
+    {
+        public Double number;
+        public String units;
+    }
+
+    public static class OrdinalV2
+    {
+        public long offset;
+        public String relativeTo;
+    }
+
+    public static class _Entities
+    {
+        // Simple entities
+        public String[] City;
+        public String[] To;
+        public String[] From;
+        public String[] Name;
+        public String[] likee;
+        public String[] liker;
+        public String[] State;
+        public String[] Weather_Location;
+        public String[] destination;
+        public String[] source;
+
+        // Built-in entities
+        public NumberWithUnits[] age;
+        public NumberWithUnits[] begin;
+        public NumberWithUnits[] end;
+        public DateTimeSpec[] datetime;
+        public DateTimeSpec[] arrive;
+        public DateTimeSpec[] leave;
+        public NumberWithUnits[] dimension;
+        public NumberWithUnits[] length;
+        public NumberWithUnits[] width;
+        public String[] email;
+        public String[] receiver;
+        public String[] sender;
+        public GeographyV2[] geographyV2;
+        public GeographyV2[] endloc;
+        public GeographyV2[] startloc;
+        public NumberWithUnits[] money;
+        public NumberWithUnits[] max;
+        public NumberWithUnits[] min;
+        public double[] number;
+        public double[] ordinal;
+        public double[] start;
+        public OrdinalV2[] ordinalV2;
+        public OrdinalV2[] endpos;
+        public OrdinalV2[] startpos;
+        public double[] percentage;
+        public double[] maximum;
+        public double[] minimum;
+        public String[] personName;
+        public String[] child;
+        public String[] parent;
+        public String[] phonenumber;
+        public String[] newPhone;
+        public String[] old;
+        public NumberWithUnits[] temperature;
+        public NumberWithUnits[] a;
+        public NumberWithUnits[] b;
+        public String[] url;
+        public String[] oldURL;
+
+        // Lists
+        public String[][] Airline;
+        public String[][] Buyer;
+        public String[][] Seller;
+
+        // Regex entities
+        public String[] Part;
+        public String[] buy;
+        public String[] sell;
+
+        // Pattern.any
+        public String[] person;
+        public String[] from;
+        public String[] to;
+        public String[] subject;
+        public String[] extra;
+
+        // Composites
+        public static class _InstanceAddress
+        {
+            public InstanceData[] Destination;
+            public InstanceData[] Source;
+            public InstanceData[] number;
+            public InstanceData[] State;
+        }
+        public static class AddressClass
+        {
+            public String[] Destination;
+            public String[] Source;
+            public double[] number;
+            public String[] State;
+            @JsonProperty("$instance")
+            public _InstanceAddress _instance;
+        }
+        public AddressClass[] Address;
+
+        public static class _InstanceComposite1
+        {
+            public InstanceData[] age;
+            public InstanceData[] datetime;
+            public InstanceData[] dimension;
+            public InstanceData[] email;
+            public InstanceData[] money;
+            public InstanceData[] number;
+            public InstanceData[] ordinal;
+            public InstanceData[] percentage;
+            public InstanceData[] phonenumber;
+            public InstanceData[] temperature;
+        }
+        public static class Composite1Class
+        {
+            public NumberWithUnits[] age;
+            public DateTimeSpec[] datetime;
+            public NumberWithUnits[] dimension;
+            public String[] email;
+            public NumberWithUnits[] money;
+            public double[] number;
+            public double[] ordinal;
+            public double[] percentage;
+            public String[] phonenumber;
+            public NumberWithUnits[] temperature;
+            @JsonProperty("$instance")
+            public _InstanceComposite1 _instance;
+        }
+        public Composite1Class[] Composite1;
+
+        public static class _InstanceComposite2
+        {
+            public InstanceData[] Airline;
+            public InstanceData[] City;
+            public InstanceData[] url;
+            public InstanceData[] From;
+            public InstanceData[] To;
+            public InstanceData[] Weather_Location;
+        }
+        public static class Composite2Class
+        {
+            public String[][] Airline;
+            public String[] City;
+            public String[] url;
+            public String[] From;
+            public String[] To;
+            public String[] Weather_Location;
+            @JsonProperty("$instance")
+            public _InstanceComposite2 _instance;
+        }
+        public Composite2Class[] Composite2;
+
+        // Instance
+        public static class _Instance
+        {
+            public InstanceData[] Address;
+            public InstanceData[] Airline;
+            public InstanceData[] Buyer;
+            public InstanceData[] City;
+            public InstanceData[] Composite1;
+            public InstanceData[] Composite2;
+            public InstanceData[] Destination;
+            public InstanceData[] From;
+            public InstanceData[] Name;
+            public InstanceData[] Part;
+            public InstanceData[] Seller;
+            public InstanceData[] Source;
+            public InstanceData[] State;
+            public InstanceData[] To;
+            public InstanceData[] Weather_Location;
+            public InstanceData[] a;
+            public InstanceData[] age;
+            public InstanceData[] arrive;
+            public InstanceData[] b;
+            public InstanceData[] begin;
+            public InstanceData[] buy;
+            public InstanceData[] child;
+            public InstanceData[] datetime;
+            public InstanceData[] destination;
+            public InstanceData[] dimension;
+            public InstanceData[] email;
+            public InstanceData[] end;
+            public InstanceData[] endloc;
+            public InstanceData[] endpos;
+            public InstanceData[] extra;
+            public InstanceData[] from;
+            public InstanceData[] geographyV2;
+            public InstanceData[] leave;
+            public InstanceData[] length;
+            public InstanceData[] likee;
+            public InstanceData[] liker;
+            public InstanceData[] max;
+            public InstanceData[] maximum;
+            public InstanceData[] min;
+            public InstanceData[] minimum;
+            public InstanceData[] money;
+            public InstanceData[] newPhone;
+            public InstanceData[] number;
+            public InstanceData[] old;
+            public InstanceData[] oldURL;
+            public InstanceData[] ordinal;
+            public InstanceData[] ordinalV2;
+            public InstanceData[] parent;
+            public InstanceData[] percentage;
+            public InstanceData[] person;
+            public InstanceData[] personName;
+            public InstanceData[] phonenumber;
+            public InstanceData[] receiver;
+            public InstanceData[] sell;
+            public InstanceData[] sender;
+            public InstanceData[] source;
+            public InstanceData[] start;
+            public InstanceData[] startloc;
+            public InstanceData[] startpos;
+            public InstanceData[] subject;
+            public InstanceData[] temperature;
+            public InstanceData[] to;
+            public InstanceData[] url;
+            public InstanceData[] width;
+        }
+        @JsonProperty("$instance")
+        public _Instance _instance;
+    }
+
+    @JsonIgnore
+    public _Entities typedEntities;
+
+    @Override
+    public void convert(Object result)
+    {
+        ObjectMapper mapper = new ObjectMapper().configure(DeserializationFeature.FAIL_ON_UNKNOWN_PROPERTIES, false);
+        RecognizerResult app = result instanceof RecognizerResult
+            ? (RecognizerResult) result
+            : mapper.convertValue(result, RecognizerResult.class);
+        setText(app.getText());
+        setAlteredText(app.getAlteredText());
+        setIntents(app.getIntents());
+        setEntities(app.getEntities());
+        if (app.getProperties() != null) {
+            app.getProperties().forEach(this::setProperties);
+        }
+        typedEntities = app.getEntities() != null ? mapper.convertValue(app.getEntities(), _Entities.class) : null;
+    }
+
+    public Map.Entry<Intent, Double> topIntent()
+    {
+        Intent maxIntent = null;
+        double max = 0.0;
+        for (Intent intent : Intent.values())
+        {
+            IntentScore score = getIntents() != null ? getIntents().get(intent.getValue()) : null;
+            if (score != null && score.getScore() > max)
+            {
+                maxIntent = intent;
+                max = score.getScore();
+            }
+        }
+        return new AbstractMap.SimpleEntry<>(maxIntent, max);
+    }
+}
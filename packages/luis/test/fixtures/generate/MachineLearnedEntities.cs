@@ -0,0 +1,117 @@
+// <auto-generated>
+// Code generated by luis:generate:cs
+// Tool github: https://github.com/microsoft/botframwork-cli
+// Changes may cause incorrect behavior and will be lost if the code is
+// regenerated.
+// </auto-generated>
+using Newtonsoft.Json;
+using System.Collections.Generic;
+using Microsoft.Bot.Builder;
+using Microsoft.Bot.Builder.AI.Luis;
+namespace Luis
+{
+    public partial class ContosoApp: IRecognizerConvert
+    {
+        [JsonProperty("text")]
+        public string Text;
+
+        [JsonProperty("alteredText")]
+        public string AlteredText;
+
+        public enum Intent {
+            None
+        };
+        [JsonProperty("intents")]
+        public Dictionary<Intent, IntentScore> Intents;
+
+        public class _Entities
+        {
+            // Simple entities
+            public string[] Comment;
+
+            // Built-in entities
+            public GeographyV2[] geographyV2;
+            public double[] number;
+
+            // Lists
+            public string[][] StreetSuffix;
+
+
+            // Machine learned entities
+            public class _InstanceAddress_Street
+            {
+                public InstanceData[] Name;
+                public InstanceData[] Suffix;
+            }
+            public class Address_StreetClass
+            {
+                public string[] Name;
+                public string[][] Suffix;
+                [JsonProperty("$instance")]
+                public _InstanceAddress_Street _instance;
+            }
+
+            public class _InstanceAddress
+            {
+                public InstanceData[] StreetNumber;
+                public InstanceData[] Street;
+                public InstanceData[] City;
+            }
+            public class AddressClass
+            {
+                public double[] StreetNumber;
+                public Address_StreetClass[] Street;
+                public GeographyV2[] City;
+                [JsonProperty("$instance")]
+                public _InstanceAddress _instance;
+            }
+            public AddressClass[] Address;
+            public AddressClass[] Destination;
+            public AddressClass[] Source;
+
+            // Instance
+            public class _Instance
+            {
+                public InstanceData[] Address;
+                public InstanceData[] Comment;
+                public InstanceData[] Destination;
+                public InstanceData[] Source;
+                public InstanceData[] StreetSuffix;
+                public InstanceData[] geographyV2;
+                public InstanceData[] number;
+            }
+            [JsonProperty("$instance")]
+            public _Instance _instance;
+        }
+        [JsonProperty("entities")]
+        public _Entities Entities;
+
+        [JsonExtensionData(ReadData = true, WriteData = true)]
+        public IDictionary<string, object> Properties {get; set; }
+
+        public void Convert(dynamic result)
+        {
+            var app = JsonConvert.DeserializeObject<ContosoApp>(JsonConvert.SerializeObject(result, new JsonSerializerSettings { NullValueHandling = NullValueHandling.Ignore }));
+            Text = app.Text;
+            AlteredText = app.AlteredText;
+            Intents = app.Intents;
+            Entities = app.Entities;
+            Properties = app.Properties;
+        }
+
+        public (Intent intent, double score) TopIntent()
+        {
+            Intent maxIntent = Intent.None;
+            var max = 0.0;
+            foreach (var entry in Intents)
+            {
+                if (entry.Value.Score > max)
+                {
+                    maxIntent = entry.Key;
+                    max = entry.Value.Score.Value;
+                }
+            }
+            return (maxIntent, max);
+        }
+    }
+}
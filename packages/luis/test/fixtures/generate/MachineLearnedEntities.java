@@ -0,0 +1,165 @@
+// <auto-generated>
+// Code generated by luis:generate:java
+// Tool github: https://github.com/microsoft/botframwork-cli
+// Changes may cause incorrect behavior and will be lost if the code is
+// regenerated.
+// </auto-generated>
+package luis;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import com.fasterxml.jackson.annotation.JsonProperty;
+import com.fasterxml.jackson.databind.DeserializationFeature;
+import com.fasterxml.jackson.databind.ObjectMapper;
+import com.microsoft.bot.builder.IntentScore;
+import com.microsoft.bot.builder.RecognizerConvert;
+import com.microsoft.bot.builder.RecognizerResult;
+import java.util.AbstractMap;
+import java.util.Map;
+
+public class ContosoApp extends RecognizerResult implements RecognizerConvert
+{
+    public enum Intent {
+        None("None");
+
+        private final String value;
+
+        Intent(String value) {
+            this.value = value;
+        }
+
+        public String getValue() {
+            return value;
+        }
+    }
+
+    public static class InstanceData
+    {
+        public int startIndex;
+        public int endIndex;
+        public String text;
+        public Double score;
+        public String type;
+        public String subtype;
+    }
+
+    public static class DateTimeSpec
+    {
+        public String type;
+        @JsonProperty("timex")
+        public String[] expressions;
+    }
+
+    public static class GeographyV2
+    {
+        public String type;
+        @JsonProperty("value")
+        public String location;
+    }
+
+    public static class NumberWithUnits
+    {
+        public Double number;
+        public String units;
+    }
+
+    public static class OrdinalV2
+    {
+        public long offset;
+        public String relativeTo;
+    }
+
+    public static class _Entities
+    {
+        // Simple entities
+        public String[] Comment;
+
+        // Built-in entities
+        public GeographyV2[] geographyV2;
+        public double[] number;
+
+        // Lists
+        public String[][] StreetSuffix;
+
+        // Machine learned entities
+        public static class _InstanceAddress_Street
+        {
+            public InstanceData[] Name;
+            public InstanceData[] Suffix;
+        }
+        public static class Address_StreetClass
+        {
+            public String[] Name;
+            public String[][] Suffix;
+            @JsonProperty("$instance")
+            public _InstanceAddress_Street _instance;
+        }
+
+        public static class _InstanceAddress
+        {
+            public InstanceData[] StreetNumber;
+            public InstanceData[] Street;
+            public InstanceData[] City;
+        }
+        public static class AddressClass
+        {
+            public double[] StreetNumber;
+            public Address_StreetClass[] Street;
+            public GeographyV2[] City;
+            @JsonProperty("$instance")
+            public _InstanceAddress _instance;
+        }
+        public AddressClass[] Address;
+        public AddressClass[] Destination;
+        public AddressClass[] Source;
+
+        // Instance
+        public static class _Instance
+        {
+            public InstanceData[] Address;
+            public InstanceData[] Comment;
+            public InstanceData[] Destination;
+            public InstanceData[] Source;
+            public InstanceData[] StreetSuffix;
+            public InstanceData[] geographyV2;
+            public InstanceData[] number;
+        }
+        @JsonProperty("$instance")
+        public _Instance _instance;
+    }
+
+    @JsonIgnore
+    public _Entities typedEntities;
+
+    @Override
+    public void convert(Object result)
+    {
+        ObjectMapper mapper = new ObjectMapper().configure(DeserializationFeature.FAIL_ON_UNKNOWN_PROPERTIES, false);
+        RecognizerResult app = result instanceof RecognizerResult
+            ? (RecognizerResult) result
+            : mapper.convertValue(result, RecognizerResult.class);
+        setText(app.getText());
+        setAlteredText(app.getAlteredText());
+        setIntents(app.getIntents());
+        setEntities(app.getEntities());
+        if (app.getProperties() != null) {
+            app.getProperties().forEach(this::setProperties);
+        }
+        typedEntities = app.getEntities() != null ? mapper.convertValue(app.getEntities(), _Entities.class) : null;
+    }
+
+    public Map.Entry<Intent, Double> topIntent()
+    {
+        Intent maxIntent = null;
+        double max = 0.0;
+        for (Intent intent : Intent.values())
+        {
+            IntentScore score = getIntents() != null ? getIntents().get(intent.getValue()) : null;
+            if (score != null && score.getScore() > max)
+            {
+                maxIntent = intent;
+                max = score.getScore();
+            }
+        }
+        return new AbstractMap.SimpleEntry<>(maxIntent, max);
+    }
+}
@@ -0,0 +1,194 @@
+// <auto-generated>
+// Code generated by luis:generate:java
+// Tool github: https://github.com/microsoft/botframwork-cli
+// Changes may cause incorrect behavior and will be lost if the code is
+// regenerated.
+// </auto-generated>
+package luis;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import com.fasterxml.jackson.annotation.JsonProperty;
+import com.fasterxml.jackson.databind.DeserializationFeature;
+import com.fasterxml.jackson.databind.ObjectMapper;
+import com.microsoft.bot.builder.IntentScore;
+import com.microsoft.bot.builder.RecognizerConvert;
+import com.microsoft.bot.builder.RecognizerResult;
+import java.util.AbstractMap;
+import java.util.Map;
+
+public class ContosoApp extends RecognizerResult implements RecognizerConvert
+{
+    public enum Intent {
+        ;
+
+        private final String value;
+
+        Intent(String value) {
+            this.value = value;
+        }
+
+        public String getValue() {
+            return value;
+        }
+    }
+
+    public static class InstanceData
+    {
+        public int startIndex;
+        public int endIndex;
+        public String text;
+        public Double score;
+        public String type;
+        public String subtype;
+    }
+
+    public static class DateTimeSpec
+    {
+        public String type;
+        @JsonProperty("timex")
+        public String[] expressions;
+    }
+
+    public static class GeographyV2
+    {
+        public String type;
+        @JsonProperty("value")
+        public String location;
+    }
+
+    public static class NumberWithUnits
+    {
+        public Double number;
+        public String units;
+    }
+
+    public static class OrdinalV2
+    {
+        public long offset;
+        public String relativeTo;
+    }
+
+    public static class _Entities
+    {
+        // Built-in entities
+        public NumberWithUnits[] age;
+        public NumberWithUnits[] begin;
+        public NumberWithUnits[] end;
+        public DateTimeSpec[] datetime;
+        public DateTimeSpec[] arrive;
+        public DateTimeSpec[] leave;
+        public NumberWithUnits[] dimension;
+        public NumberWithUnits[] length;
+        public NumberWithUnits[] width;
+        public String[] email;
+        public String[] receiver;
+        public String[] sender;
+        public GeographyV2[] geographyV2;
+        public GeographyV2[] endloc;
+        public GeographyV2[] startloc;
+        public NumberWithUnits[] money;
+        public NumberWithUnits[] max;
+        public NumberWithUnits[] min;
+        public double[] number;
+        public double[] ordinal;
+        public double[] start;
+        public OrdinalV2[] ordinalV2;
+        public OrdinalV2[] endpos;
+        public OrdinalV2[] startpos;
+        public double[] percentage;
+        public double[] maximum;
+        public double[] minimum;
+        public String[] personName;
+        public String[] child;
+        public String[] parent;
+        public String[] phonenumber;
+        public String[] newPhone;
+        public String[] old;
+        public NumberWithUnits[] temperature;
+        public NumberWithUnits[] a;
+        public NumberWithUnits[] b;
+        public String[] url;
+        public String[] oldURL;
+
+        // Instance
+        public static class _Instance
+        {
+            public InstanceData[] a;
+            public InstanceData[] age;
+            public InstanceData[] arrive;
+            public InstanceData[] b;
+            public InstanceData[] begin;
+            public InstanceData[] child;
+            public InstanceData[] datetime;
+            public InstanceData[] dimension;
+            public InstanceData[] email;
+            public InstanceData[] end;
+            public InstanceData[] endloc;
+            public InstanceData[] endpos;
+            public InstanceData[] geographyV2;
+            public InstanceData[] leave;
+            public InstanceData[] length;
+            public InstanceData[] max;
+            public InstanceData[] maximum;
+            public InstanceData[] min;
+            public InstanceData[] minimum;
+            public InstanceData[] money;
+            public InstanceData[] newPhone;
+            public InstanceData[] number;
+            public InstanceData[] old;
+            public InstanceData[] oldURL;
+            public InstanceData[] ordinal;
+            public InstanceData[] ordinalV2;
+            public InstanceData[] parent;
+            public InstanceData[] percentage;
+            public InstanceData[] personName;
+            public InstanceData[] phonenumber;
+            public InstanceData[] receiver;
+            public InstanceData[] sender;
+            public InstanceData[] start;
+            public InstanceData[] startloc;
+            public InstanceData[] startpos;
+            public InstanceData[] temperature;
+            public InstanceData[] url;
+            public InstanceData[] width;
+        }
+        @JsonProperty("$instance")
+        public _Instance _instance;
+    }
+
+    @JsonIgnore
+    public _Entities typedEntities;
+
+    @Override
+    public void convert(Object result)
+    {
+        ObjectMapper mapper = new ObjectMapper().configure(DeserializationFeature.FAIL_ON_UNKNOWN_PROPERTIES, false);
+        RecognizerResult app = result instanceof RecognizerResult
+            ? (RecognizerResult) result
+            : mapper.convertValue(result, RecognizerResult.class);
+        setText(app.getText());
+        setAlteredText(app.getAlteredText());
+        setIntents(app.getIntents());
+        setEntities(app.getEntities());
+        if (app.getProperties() != null) {
+            app.getProperties().forEach(this::setProperties);
+        }
+        typedEntities = app.getEntities() != null ? mapper.convertValue(app.getEntities(), _Entities.class) : null;
+    }
+
+    public Map.Entry<Intent, Double> topIntent()
+    {
+        Intent maxIntent = null;
+        double max = 0.0;
+        for (Intent intent : Intent.values())
+        {
+            IntentScore score = getIntents() != null ? getIntents().get(intent.getValue()) : null;
+            if (score != null && score.getScore() > max)
+            {
+                maxIntent = intent;
+                max = score.getScore();
+            }
+        }
+        return new AbstractMap.SimpleEntry<>(maxIntent, max);
+    }
+}
@@ -0,0 +1,595 @@
+# <auto-generated>
+# Code generated by luis:generate:py
+# Tool github: https://github.com/microsoft/botframwork-cli
+# Changes may cause incorrect behavior and will be lost if the code is
+# regenerated.
+# </auto-generated>
+from dataclasses import dataclass, field
+from enum import Enum
+from typing import Any, Dict, List, Optional, Tuple
+
+
+def _from_dict(cls, data):
+    return cls.from_dict(data) if data is not None else None
+
+
+def _from_list(cls, data):
+    return [cls.from_dict(item) for item in data] if data is not None else None
+
+
+@dataclass
+class IntentData:
+    score: float = 0.0
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'IntentData':
+        return cls(
+            score=data.get('score', 0.0),
+        )
+
+
+@dataclass
+class InstanceData:
+    start_index: int = 0
+    end_index: int = 0
+    text: str = ''
+    score: Optional[float] = None
+    type: Optional[str] = None
+    subtype: Optional[str] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'InstanceData':
+        return cls(
+            start_index=data.get('startIndex', 0),
+            end_index=data.get('endIndex', 0),
+            text=data.get('text', ''),
+            score=data.get('score'),
+            type=data.get('type'),
+            subtype=data.get('subtype'),
+        )
+
+
+@dataclass
+class DateTimeSpec:
+    type: str = ''
+    expressions: List[str] = field(default_factory=list)
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'DateTimeSpec':
+        return cls(
+            type=data.get('type', ''),
+            expressions=data.get('timex', []),
+        )
+
+
+@dataclass
+class GeographyV2:
+    type: str = ''
+    location: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeographyV2':
+        return cls(
+            type=data.get('type', ''),
+            location=data.get('value', ''),
+        )
+
+
+@dataclass
+class NumberWithUnits:
+    number: Optional[float] = None
+    units: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'NumberWithUnits':
+        return cls(
+            number=data.get('number'),
+            units=data.get('units', ''),
+        )
+
+
+@dataclass
+class OrdinalV2:
+    offset: int = 0
+    relative_to: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'OrdinalV2':
+        return cls(
+            offset=data.get('offset', 0),
+            relative_to=data.get('relativeTo', ''),
+        )
+
+
+class Intent(Enum):
+    Cancel = 'Cancel'
+    Delivery = 'Delivery'
+    EntityTests = 'EntityTests'
+    Greeting = 'Greeting'
+    Help = 'Help'
+    None_ = 'None'
+    Roles = 'Roles'
+    search = 'search'
+    SpecifyName = 'SpecifyName'
+    Travel = 'Travel'
+    Weather_GetForecast = 'Weather_GetForecast'
+
+
+@dataclass
+class GeneratedIntents:
+    Cancel: Optional[IntentData] = None
+    Delivery: Optional[IntentData] = None
+    EntityTests: Optional[IntentData] = None
+    Greeting: Optional[IntentData] = None
+    Help: Optional[IntentData] = None
+    None_: Optional[IntentData] = None
+    Roles: Optional[IntentData] = None
+    search: Optional[IntentData] = None
+    SpecifyName: Optional[IntentData] = None
+    Travel: Optional[IntentData] = None
+    Weather_GetForecast: Optional[IntentData] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedIntents':
+        return cls(
+            Cancel=_from_dict(IntentData, data.get('Cancel')),
+            Delivery=_from_dict(IntentData, data.get('Delivery')),
+            EntityTests=_from_dict(IntentData, data.get('EntityTests')),
+            Greeting=_from_dict(IntentData, data.get('Greeting')),
+            Help=_from_dict(IntentData, data.get('Help')),
+            None_=_from_dict(IntentData, data.get('None')),
+            Roles=_from_dict(IntentData, data.get('Roles')),
+            search=_from_dict(IntentData, data.get('search')),
+            SpecifyName=_from_dict(IntentData, data.get('SpecifyName')),
+            Travel=_from_dict(IntentData, data.get('Travel')),
+            Weather_GetForecast=_from_dict(IntentData, data.get('Weather_GetForecast')),
+        )
+
+
+@dataclass
+class GeneratedInstanceAddress:
+    Destination: Optional[List[InstanceData]] = None
+    Source: Optional[List[InstanceData]] = None
+    number: Optional[List[InstanceData]] = None
+    State: Optional[List[InstanceData]] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedInstanceAddress':
+        return cls(
+            Destination=_from_list(InstanceData, data.get('Destination')),
+            Source=_from_list(InstanceData, data.get('Source')),
+            number=_from_list(InstanceData, data.get('number')),
+            State=_from_list(InstanceData, data.get('State')),
+        )
+
+
+@dataclass
+class AddressClass:
+    Destination: Optional[List[str]] = None
+    Source: Optional[List[str]] = None
+    number: Optional[List[float]] = None
+    State: Optional[List[str]] = None
+    instance: Optional[GeneratedInstanceAddress] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'AddressClass':
+        return cls(
+            Destination=data.get('Destination'),
+            Source=data.get('Source'),
+            number=data.get('number'),
+            State=data.get('State'),
+            instance=_from_dict(GeneratedInstanceAddress, data.get('$instance')),
+        )
+
+
+@dataclass
+class GeneratedInstanceComposite1:
+    age: Optional[List[InstanceData]] = None
+    datetime: Optional[List[InstanceData]] = None
+    dimension: Optional[List[InstanceData]] = None
+    email: Optional[List[InstanceData]] = None
+    money: Optional[List[InstanceData]] = None
+    number: Optional[List[InstanceData]] = None
+    ordinal: Optional[List[InstanceData]] = None
+    percentage: Optional[List[InstanceData]] = None
+    phonenumber: Optional[List[InstanceData]] = None
+    temperature: Optional[List[InstanceData]] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedInstanceComposite1':
+        return cls(
+            age=_from_list(InstanceData, data.get('age')),
+            datetime=_from_list(InstanceData, data.get('datetime')),
+            dimension=_from_list(InstanceData, data.get('dimension')),
+            email=_from_list(InstanceData, data.get('email')),
+            money=_from_list(InstanceData, data.get('money')),
+            number=_from_list(InstanceData, data.get('number')),
+            ordinal=_from_list(InstanceData, data.get('ordinal')),
+            percentage=_from_list(InstanceData, data.get('percentage')),
+            phonenumber=_from_list(InstanceData, data.get('phonenumber')),
+            temperature=_from_list(InstanceData, data.get('temperature')),
+        )
+
+
+@dataclass
+class Composite1Class:
+    age: Optional[List[NumberWithUnits]] = None
+    datetime: Optional[List[DateTimeSpec]] = None
+    dimension: Optional[List[NumberWithUnits]] = None
+    email: Optional[List[str]] = None
+    money: Optional[List[NumberWithUnits]] = None
+    number: Optional[List[float]] = None
+    ordinal: Optional[List[float]] = None
+    percentage: Optional[List[float]] = None
+    phonenumber: Optional[List[str]] = None
+    temperature: Optional[List[NumberWithUnits]] = None
+    instance: Optional[GeneratedInstanceComposite1] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'Composite1Class':
+        return cls(
+            age=_from_list(NumberWithUnits, data.get('age')),
+            datetime=_from_list(DateTimeSpec, data.get('datetime')),
+            dimension=_from_list(NumberWithUnits, data.get('dimension')),
+            email=data.get('email'),
+            money=_from_list(NumberWithUnits, data.get('money')),
+            number=data.get('number'),
+            ordinal=data.get('ordinal'),
+            percentage=data.get('percentage'),
+            phonenumber=data.get('phonenumber'),
+            temperature=_from_list(NumberWithUnits, data.get('temperature')),
+            instance=_from_dict(GeneratedInstanceComposite1, data.get('$instance')),
+        )
+
+
+@dataclass
+class GeneratedInstanceComposite2:
+    Airline: Optional[List[InstanceData]] = None
+    City: Optional[List[InstanceData]] = None
+    url: Optional[List[InstanceData]] = None
+    From: Optional[List[InstanceData]] = None
+    To: Optional[List[InstanceData]] = None
+    Weather_Location: Optional[List[InstanceData]] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedInstanceComposite2':
+        return cls(
+            Airline=_from_list(InstanceData, data.get('Airline')),
+            City=_from_list(InstanceData, data.get('City')),
+            url=_from_list(InstanceData, data.get('url')),
+            From=_from_list(InstanceData, data.get('From')),
+            To=_from_list(InstanceData, data.get('To')),
+            Weather_Location=_from_list(InstanceData, data.get('Weather_Location')),
+        )
+
+
+@dataclass
+class Composite2Class:
+    Airline: Optional[List[List[str]]] = None
+    City: Optional[List[str]] = None
+    url: Optional[List[str]] = None
+    From: Optional[List[str]] = None
+    To: Optional[List[str]] = None
+    Weather_Location: Optional[List[str]] = None
+    instance: Optional[GeneratedInstanceComposite2] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'Composite2Class':
+        return cls(
+            Airline=data.get('Airline'),
+            City=data.get('City'),
+            url=data.get('url'),
+            From=data.get('From'),
+            To=data.get('To'),
+            Weather_Location=data.get('Weather_Location'),
+            instance=_from_dict(GeneratedInstanceComposite2, data.get('$instance')),
+        )
+
+
+@dataclass
+class GeneratedInstance:
+    Address: Optional[List[InstanceData]] = None
+    Airline: Optional[List[InstanceData]] = None
+    Buyer: Optional[List[InstanceData]] = None
+    City: Optional[List[InstanceData]] = None
+    Composite1: Optional[List[InstanceData]] = None
+    Composite2: Optional[List[InstanceData]] = None
+    Destination: Optional[List[InstanceData]] = None
+    From: Optional[List[InstanceData]] = None
+    Name: Optional[List[InstanceData]] = None
+    Part: Optional[List[InstanceData]] = None
+    Seller: Optional[List[InstanceData]] = None
+    Source: Optional[List[InstanceData]] = None
+    State: Optional[List[InstanceData]] = None
+    To: Optional[List[InstanceData]] = None
+    Weather_Location: Optional[List[InstanceData]] = None
+    a: Optional[List[InstanceData]] = None
+    age: Optional[List[InstanceData]] = None
+    arrive: Optional[List[InstanceData]] = None
+    b: Optional[List[InstanceData]] = None
+    begin: Optional[List[InstanceData]] = None
+    buy: Optional[List[InstanceData]] = None
+    child: Optional[List[InstanceData]] = None
+    datetime: Optional[List[InstanceData]] = None
+    destination: Optional[List[InstanceData]] = None
+    dimension: Optional[List[InstanceData]] = None
+    email: Optional[List[InstanceData]] = None
+    end: Optional[List[InstanceData]] = None
+    endloc: Optional[List[InstanceData]] = None
+    endpos: Optional[List[InstanceData]] = None
+    extra: Optional[List[InstanceData]] = None
+    from_: Optional[List[InstanceData]] = None
+    geographyV2: Optional[List[InstanceData]] = None
+    leave: Optional[List[InstanceData]] = None
+    length: Optional[List[InstanceData]] = None
+    likee: Optional[List[InstanceData]] = None
+    liker: Optional[List[InstanceData]] = None
+    max: Optional[List[InstanceData]] = None
+    maximum: Optional[List[InstanceData]] = None
+    min: Optional[List[InstanceData]] = None
+    minimum: Optional[List[InstanceData]] = None
+    money: Optional[List[InstanceData]] = None
+    newPhone: Optional[List[InstanceData]] = None
+    number: Optional[List[InstanceData]] = None
+    old: Optional[List[InstanceData]] = None
+    oldURL: Optional[List[InstanceData]] = None
+    ordinal: Optional[List[InstanceData]] = None
+    ordinalV2: Optional[List[InstanceData]] = None
+    parent: Optional[List[InstanceData]] = None
+    percentage: Optional[List[InstanceData]] = None
+    person: Optional[List[InstanceData]] = None
+    personName: Optional[List[InstanceData]] = None
+    phonenumber: Optional[List[InstanceData]] = None
+    receiver: Optional[List[InstanceData]] = None
+    sell: Optional[List[InstanceData]] = None
+    sender: Optional[List[InstanceData]] = None
+    source: Optional[List[InstanceData]] = None
+    start: Optional[List[InstanceData]] = None
+    startloc: Optional[List[InstanceData]] = None
+    startpos: Optional[List[InstanceData]] = None
+    subject: Optional[List[InstanceData]] = None
+    temperature: Optional[List[InstanceData]] = None
+    to: Optional[List[InstanceData]] = None
+    url: Optional[List[InstanceData]] = None
+    width: Optional[List[InstanceData]] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedInstance':
+        return cls(
+            Address=_from_list(InstanceData, data.get('Address')),
+            Airline=_from_list(InstanceData, data.get('Airline')),
+            Buyer=_from_list(InstanceData, data.get('Buyer')),
+            City=_from_list(InstanceData, data.get('City')),
+            Composite1=_from_list(InstanceData, data.get('Composite1')),
+            Composite2=_from_list(InstanceData, data.get('Composite2')),
+            Destination=_from_list(InstanceData, data.get('Destination')),
+            From=_from_list(InstanceData, data.get('From')),
+            Name=_from_list(InstanceData, data.get('Name')),
+            Part=_from_list(InstanceData, data.get('Part')),
+            Seller=_from_list(InstanceData, data.get('Seller')),
+            Source=_from_list(InstanceData, data.get('Source')),
+            State=_from_list(InstanceData, data.get('State')),
+            To=_from_list(InstanceData, data.get('To')),
+            Weather_Location=_from_list(InstanceData, data.get('Weather_Location')),
+            a=_from_list(InstanceData, data.get('a')),
+            age=_from_list(InstanceData, data.get('age')),
+            arrive=_from_list(InstanceData, data.get('arrive')),
+            b=_from_list(InstanceData, data.get('b')),
+            begin=_from_list(InstanceData, data.get('begin')),
+            buy=_from_list(InstanceData, data.get('buy')),
+            child=_from_list(InstanceData, data.get('child')),
+            datetime=_from_list(InstanceData, data.get('datetime')),
+            destination=_from_list(InstanceData, data.get('destination')),
+            dimension=_from_list(InstanceData, data.get('dimension')),
+            email=_from_list(InstanceData, data.get('email')),
+            end=_from_list(InstanceData, data.get('end')),
+            endloc=_from_list(InstanceData, data.get('endloc')),
+            endpos=_from_list(InstanceData, data.get('endpos')),
+            extra=_from_list(InstanceData, data.get('extra')),
+            from_=_from_list(InstanceData, data.get('from')),
+            geographyV2=_from_list(InstanceData, data.get('geographyV2')),
+            leave=_from_list(InstanceData, data.get('leave')),
+            length=_from_list(InstanceData, data.get('length')),
+            likee=_from_list(InstanceData, data.get('likee')),
+            liker=_from_list(InstanceData, data.get('liker')),
+            max=_from_list(InstanceData, data.get('max')),
+            maximum=_from_list(InstanceData, data.get('maximum')),
+            min=_from_list(InstanceData, data.get('min')),
+            minimum=_from_list(InstanceData, data.get('minimum')),
+            money=_from_list(InstanceData, data.get('money')),
+            newPhone=_from_list(InstanceData, data.get('newPhone')),
+            number=_from_list(InstanceData, data.get('number')),
+            old=_from_list(InstanceData, data.get('old')),
+            oldURL=_from_list(InstanceData, data.get('oldURL')),
+            ordinal=_from_list(InstanceData, data.get('ordinal')),
+            ordinalV2=_from_list(InstanceData, data.get('ordinalV2')),
+            parent=_from_list(InstanceData, data.get('parent')),
+            percentage=_from_list(InstanceData, data.get('percentage')),
+            person=_from_list(InstanceData, data.get('person')),
+            personName=_from_list(InstanceData, data.get('personName')),
+            phonenumber=_from_list(InstanceData, data.get('phonenumber')),
+            receiver=_from_list(InstanceData, data.get('receiver')),
+            sell=_from_list(InstanceData, data.get('sell')),
+            sender=_from_list(InstanceData, data.get('sender')),
+            source=_from_list(InstanceData, data.get('source')),
+            start=_from_list(InstanceData, data.get('start')),
+            startloc=_from_list(InstanceData, data.get('startloc')),
+            startpos=_from_list(InstanceData, data.get('startpos')),
+            subject=_from_list(InstanceData, data.get('subject')),
+            temperature=_from_list(InstanceData, data.get('temperature')),
+            to=_from_list(InstanceData, data.get('to')),
+            url=_from_list(InstanceData, data.get('url')),
+            width=_from_list(InstanceData, data.get('width')),
+        )
+
+
+@dataclass
+class GeneratedEntities:
+    City: Optional[List[str]] = None
+    To: Optional[List[str]] = None
+    From: Optional[List[str]] = None
+    Name: Optional[List[str]] = None
+    likee: Optional[List[str]] = None
+    liker: Optional[List[str]] = None
+    State: Optional[List[str]] = None
+    Weather_Location: Optional[List[str]] = None
+    destination: Optional[List[str]] = None
+    source: Optional[List[str]] = None
+    age: Optional[List[NumberWithUnits]] = None
+    begin: Optional[List[NumberWithUnits]] = None
+    end: Optional[List[NumberWithUnits]] = None
+    datetime: Optional[List[DateTimeSpec]] = None
+    arrive: Optional[List[DateTimeSpec]] = None
+    leave: Optional[List[DateTimeSpec]] = None
+    dimension: Optional[List[NumberWithUnits]] = None
+    length: Optional[List[NumberWithUnits]] = None
+    width: Optional[List[NumberWithUnits]] = None
+    email: Optional[List[str]] = None
+    receiver: Optional[List[str]] = None
+    sender: Optional[List[str]] = None
+    geographyV2: Optional[List[GeographyV2]] = None
+    endloc: Optional[List[GeographyV2]] = None
+    startloc: Optional[List[GeographyV2]] = None
+    money: Optional[List[NumberWithUnits]] = None
+    max: Optional[List[NumberWithUnits]] = None
+    min: Optional[List[NumberWithUnits]] = None
+    number: Optional[List[float]] = None
+    ordinal: Optional[List[float]] = None
+    start: Optional[List[float]] = None
+    ordinalV2: Optional[List[OrdinalV2]] = None
+    endpos: Optional[List[OrdinalV2]] = None
+    startpos: Optional[List[OrdinalV2]] = None
+    percentage: Optional[List[float]] = None
+    maximum: Optional[List[float]] = None
+    minimum: Optional[List[float]] = None
+    personName: Optional[List[str]] = None
+    child: Optional[List[str]] = None
+    parent: Optional[List[str]] = None
+    phonenumber: Optional[List[str]] = None
+    newPhone: Optional[List[str]] = None
+    old: Optional[List[str]] = None
+    temperature: Optional[List[NumberWithUnits]] = None
+    a: Optional[List[NumberWithUnits]] = None
+    b: Optional[List[NumberWithUnits]] = None
+    url: Optional[List[str]] = None
+    oldURL: Optional[List[str]] = None
+    Airline: Optional[List[List[str]]] = None
+    Buyer: Optional[List[List[str]]] = None
+    Seller: Optional[List[List[str]]] = None
+    Part: Optional[List[str]] = None
+    buy: Optional[List[str]] = None
+    sell: Optional[List[str]] = None
+    person: Optional[List[str]] = None
+    from_: Optional[List[str]] = None
+    to: Optional[List[str]] = None
+    subject: Optional[List[str]] = None
+    extra: Optional[List[str]] = None
+    Address: Optional[List[AddressClass]] = None
+    Composite1: Optional[List[Composite1Class]] = None
+    Composite2: Optional[List[Composite2Class]] = None
+    instance: Optional[GeneratedInstance] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedEntities':
+        return cls(
+            City=data.get('City'),
+            To=data.get('To'),
+            From=data.get('From'),
+            Name=data.get('Name'),
+            likee=data.get('likee'),
+            liker=data.get('liker'),
+            State=data.get('State'),
+            Weather_Location=data.get('Weather_Location'),
+            destination=data.get('destination'),
+            source=data.get('source'),
+            age=_from_list(NumberWithUnits, data.get('age')),
+            begin=_from_list(NumberWithUnits, data.get('begin')),
+            end=_from_list(NumberWithUnits, data.get('end')),
+            datetime=_from_list(DateTimeSpec, data.get('datetime')),
+            arrive=_from_list(DateTimeSpec, data.get('arrive')),
+            leave=_from_list(DateTimeSpec, data.get('leave')),
+            dimension=_from_list(NumberWithUnits, data.get('dimension')),
+            length=_from_list(NumberWithUnits, data.get('length')),
+            width=_from_list(NumberWithUnits, data.get('width')),
+            email=data.get('email'),
+            receiver=data.get('receiver'),
+            sender=data.get('sender'),
+            geographyV2=_from_list(GeographyV2, data.get('geographyV2')),
+            endloc=_from_list(GeographyV2, data.get('endloc')),
+            startloc=_from_list(GeographyV2, data.get('startloc')),
+            money=_from_list(NumberWithUnits, data.get('money')),
+            max=_from_list(NumberWithUnits, data.get('max')),
+            min=_from_list(NumberWithUnits, data.get('min')),
+            number=data.get('number'),
+            ordinal=data.get('ordinal'),
+            start=data.get('start'),
+            ordinalV2=_from_list(OrdinalV2, data.get('ordinalV2')),
+            endpos=_from_list(OrdinalV2, data.get('endpos')),
+            startpos=_from_list(OrdinalV2, data.get('startpos')),
+            percentage=data.get('percentage'),
+            maximum=data.get('maximum'),
+            minimum=data.get('minimum'),
+            personName=data.get('personName'),
+            child=data.get('child'),
+            parent=data.get('parent'),
+            phonenumber=data.get('phonenumber'),
+            newPhone=data.get('newPhone'),
+            old=data.get('old'),
+            temperature=_from_list(NumberWithUnits, data.get('temperature')),
+            a=_from_list(NumberWithUnits, data.get('a')),
+            b=_from_list(NumberWithUnits, data.get('b')),
+            url=data.get('url'),
+            oldURL=data.get('oldURL'),
+            Airline=data.get('Airline'),
+            Buyer=data.get('Buyer'),
+            Seller=data.get('Seller'),
+            Part=data.get('Part'),
+            buy=data.get('buy'),
+            sell=data.get('sell'),
+            person=data.get('person'),
+            from_=data.get('from'),
+            to=data.get('to'),
+            subject=data.get('subject'),
+            extra=data.get('extra'),
+            Address=_from_list(AddressClass, data.get('Address')),
+            Composite1=_from_list(Composite1Class, data.get('Composite1')),
+            Composite2=_from_list(Composite2Class, data.get('Composite2')),
+            instance=_from_dict(GeneratedInstance, data.get('$instance')),
+        )
+
+
+@dataclass
+class ContosoApp:
+    text: str = ''
+    altered_text: Optional[str] = None
+    intents: GeneratedIntents = field(default_factory=GeneratedIntents)
+    entities: GeneratedEntities = field(default_factory=GeneratedEntities)
+    properties: Dict[str, Any] = field(default_factory=dict)
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'ContosoApp':
+        return cls(
+            text=data.get('text', ''),
+            altered_text=data.get('alteredText'),
+            intents=GeneratedIntents.from_dict(data.get('intents') or {}),
+            entities=GeneratedEntities.from_dict(data.get('entities') or {}),
+            properties={key: value for key, value in data.items() if key not in ('text', 'alteredText', 'intents', 'entities')},
+        )
+
+    @classmethod
+    def from_recognizer_result(cls, result: Any) -> 'ContosoApp':
+        return cls.from_dict({
+            **(result.properties or {}),
+            'text': result.text,
+            'alteredText': result.altered_text,
+            'intents': {name: {'score': intent.score} for name, intent in (result.intents or {}).items()},
+            'entities': result.entities or {},
+        })
+
+    def top_intent(self) -> Tuple[Optional[Intent], float]:
+        max_intent, max_score = None, 0.0
+        for intent in Intent:
+            data = getattr(self.intents, intent.name)
+            if data is not None and data.score > max_score:
+                max_intent, max_score = intent, data.score
+        return max_intent, max_score
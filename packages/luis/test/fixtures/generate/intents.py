@@ -0,0 +1,201 @@
+# <auto-generated>
+# Code generated by luis:generate:py
+# Tool github: https://github.com/microsoft/botframwork-cli
+# Changes may cause incorrect behavior and will be lost if the code is
+# regenerated.
+# </auto-generated>
+from dataclasses import dataclass, field
+from enum import Enum
+from typing import Any, Dict, List, Optional, Tuple
+
+
+def _from_dict(cls, data):
+    return cls.from_dict(data) if data is not None else None
+
+
+def _from_list(cls, data):
+    return [cls.from_dict(item) for item in data] if data is not None else None
+
+
+@dataclass
+class IntentData:
+    score: float = 0.0
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'IntentData':
+        return cls(
+            score=data.get('score', 0.0),
+        )
+
+
+@dataclass
+class InstanceData:
+    start_index: int = 0
+    end_index: int = 0
+    text: str = ''
+    score: Optional[float] = None
+    type: Optional[str] = None
+    subtype: Optional[str] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'InstanceData':
+        return cls(
+            start_index=data.get('startIndex', 0),
+            end_index=data.get('endIndex', 0),
+            text=data.get('text', ''),
+            score=data.get('score'),
+            type=data.get('type'),
+            subtype=data.get('subtype'),
+        )
+
+
+@dataclass
+class DateTimeSpec:
+    type: str = ''
+    expressions: List[str] = field(default_factory=list)
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'DateTimeSpec':
+        return cls(
+            type=data.get('type', ''),
+            expressions=data.get('timex', []),
+        )
+
+
+@dataclass
+class GeographyV2:
+    type: str = ''
+    location: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeographyV2':
+        return cls(
+            type=data.get('type', ''),
+            location=data.get('value', ''),
+        )
+
+
+@dataclass
+class NumberWithUnits:
+    number: Optional[float] = None
+    units: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'NumberWithUnits':
+        return cls(
+            number=data.get('number'),
+            units=data.get('units', ''),
+        )
+
+
+@dataclass
+class OrdinalV2:
+    offset: int = 0
+    relative_to: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'OrdinalV2':
+        return cls(
+            offset=data.get('offset', 0),
+            relative_to=data.get('relativeTo', ''),
+        )
+
+
+class Intent(Enum):
+    Cancel = 'Cancel'
+    Delivery = 'Delivery'
+    EntityTests = 'EntityTests'
+    Greeting = 'Greeting'
+    Help = 'Help'
+    None_ = 'None'
+    Roles = 'Roles'
+    search = 'search'
+    SpecifyName = 'SpecifyName'
+    Travel = 'Travel'
+    Weather_GetForecast = 'Weather_GetForecast'
+
+
+@dataclass
+class GeneratedIntents:
+    Cancel: Optional[IntentData] = None
+    Delivery: Optional[IntentData] = None
+    EntityTests: Optional[IntentData] = None
+    Greeting: Optional[IntentData] = None
+    Help: Optional[IntentData] = None
+    None_: Optional[IntentData] = None
+    Roles: Optional[IntentData] = None
+    search: Optional[IntentData] = None
+    SpecifyName: Optional[IntentData] = None
+    Travel: Optional[IntentData] = None
+    Weather_GetForecast: Optional[IntentData] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedIntents':
+        return cls(
+            Cancel=_from_dict(IntentData, data.get('Cancel')),
+            Delivery=_from_dict(IntentData, data.get('Delivery')),
+            EntityTests=_from_dict(IntentData, data.get('EntityTests')),
+            Greeting=_from_dict(IntentData, data.get('Greeting')),
+            Help=_from_dict(IntentData, data.get('Help')),
+            None_=_from_dict(IntentData, data.get('None')),
+            Roles=_from_dict(IntentData, data.get('Roles')),
+            search=_from_dict(IntentData, data.get('search')),
+            SpecifyName=_from_dict(IntentData, data.get('SpecifyName')),
+            Travel=_from_dict(IntentData, data.get('Travel')),
+            Weather_GetForecast=_from_dict(IntentData, data.get('Weather_GetForecast')),
+        )
+
+
+@dataclass
+class GeneratedInstance:
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedInstance':
+        return cls()
+
+
+@dataclass
+class GeneratedEntities:
+    instance: Optional[GeneratedInstance] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedEntities':
+        return cls(
+            instance=_from_dict(GeneratedInstance, data.get('$instance')),
+        )
+
+
+@dataclass
+class ContosoApp:
+    text: str = ''
+    altered_text: Optional[str] = None
+    intents: GeneratedIntents = field(default_factory=GeneratedIntents)
+    entities: GeneratedEntities = field(default_factory=GeneratedEntities)
+    properties: Dict[str, Any] = field(default_factory=dict)
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'ContosoApp':
+        return cls(
+            text=data.get('text', ''),
+            altered_text=data.get('alteredText'),
+            intents=GeneratedIntents.from_dict(data.get('intents') or {}),
+            entities=GeneratedEntities.from_dict(data.get('entities') or {}),
+            properties={key: value for key, value in data.items() if key not in ('text', 'alteredText', 'intents', 'entities')},
+        )
+
+    @classmethod
+    def from_recognizer_result(cls, result: Any) -> 'ContosoApp':
+        return cls.from_dict({
+            **(result.properties or {}),
+            'text': result.text,
+            'alteredText': result.altered_text,
+            'intents': {name: {'score': intent.score} for name, intent in (result.intents or {}).items()},
+            'entities': result.entities or {},
+        })
+
+    def top_intent(self) -> Tuple[Optional[Intent], float]:
+        max_intent, max_score = None, 0.0
+        for intent in Intent:
+            data = getattr(self.intents, intent.name)
+            if data is not None and data.score > max_score:
+                max_intent, max_score = intent, data.score
+        return max_intent, max_score
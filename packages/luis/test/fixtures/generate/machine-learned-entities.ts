@@ -0,0 +1,77 @@
+/**
+ * <auto-generated>
+ * Code generated by luis:generate:ts
+ * Tool github: https://github.com/microsoft/botframwork-cli
+ * Changes may cause incorrect behavior and will be lost if the code is
+ * regenerated.
+ * </auto-generated>
+ */
+import {DateTimeSpec, GeographyV2, InstanceData, IntentData, NumberWithUnits, OrdinalV2} from 'botbuilder-ai'
+
+export interface GeneratedIntents {
+  None: IntentData
+}
+
+export interface GeneratedInstanceAddress_Street {
+  Name?: InstanceData[]
+  Suffix?: InstanceData[]
+}
+export interface Address_Street {
+  Name?: string[]
+  Suffix?: string[][]
+  $instance?: GeneratedInstanceAddress_Street
+}
+
+export interface GeneratedInstanceAddress {
+  StreetNumber?: InstanceData[]
+  Street?: InstanceData[]
+  City?: InstanceData[]
+}
+export interface Address {
+  StreetNumber?: number[]
+  Street?: Address_Street[]
+  City?: GeographyV2[]
+  $instance?: GeneratedInstanceAddress
+}
+
+export interface GeneratedInstance {
+  Address?: InstanceData[]
+  Comment?: InstanceData[]
+  Destination?: InstanceData[]
+  Source?: InstanceData[]
+  StreetSuffix?: InstanceData[]
+  geographyV2?: InstanceData[]
+  number?: InstanceData[]
+}
+
+export interface GeneratedEntities {
+  // Simple entities
+  Comment?: string[]
+
+  // Built-in entities
+  geographyV2?: GeographyV2[]
+  number?: number[]
+
+  // Lists
+  StreetSuffix?: string[][]
+
+  // Regex entities
+
+  // Pattern.any
+
+  // Composites
+
+  // Machine learned entities
+  Address?: Address[]
+  Destination?: Address[]
+  Source?: Address[]
+  $instance: GeneratedInstance
+}
+
+export interface ContosoApp {
+  text: string
+  alteredText?: string
+  intents: GeneratedIntents
+  entities: GeneratedEntities
+  [propName: string]: any
+}
@@ -0,0 +1,261 @@
+# <auto-generated>
+# Code generated by luis:generate:py
+# Tool github: https://github.com/microsoft/botframwork-cli
+# Changes may cause incorrect behavior and will be lost if the code is
+# regenerated.
+# </auto-generated>
+from dataclasses import dataclass, field
+from enum import Enum
+from typing import Any, Dict, List, Optional, Tuple
+
+
+def _from_dict(cls, data):
+    return cls.from_dict(data) if data is not None else None
+
+
+def _from_list(cls, data):
+    return [cls.from_dict(item) for item in data] if data is not None else None
+
+
+@dataclass
+class IntentData:
+    score: float = 0.0
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'IntentData':
+        return cls(
+            score=data.get('score', 0.0),
+        )
+
+
+@dataclass
+class InstanceData:
+    start_index: int = 0
+    end_index: int = 0
+    text: str = ''
+    score: Optional[float] = None
+    type: Optional[str] = None
+    subtype: Optional[str] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'InstanceData':
+        return cls(
+            start_index=data.get('startIndex', 0),
+            end_index=data.get('endIndex', 0),
+            text=data.get('text', ''),
+            score=data.get('score'),
+            type=data.get('type'),
+            subtype=data.get('subtype'),
+        )
+
+
+@dataclass
+class DateTimeSpec:
+    type: str = ''
+    expressions: List[str] = field(default_factory=list)
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'DateTimeSpec':
+        return cls(
+            type=data.get('type', ''),
+            expressions=data.get('timex', []),
+        )
+
+
+@dataclass
+class GeographyV2:
+    type: str = ''
+    location: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeographyV2':
+        return cls(
+            type=data.get('type', ''),
+            location=data.get('value', ''),
+        )
+
+
+@dataclass
+class NumberWithUnits:
+    number: Optional[float] = None
+    units: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'NumberWithUnits':
+        return cls(
+            number=data.get('number'),
+            units=data.get('units', ''),
+        )
+
+
+@dataclass
+class OrdinalV2:
+    offset: int = 0
+    relative_to: str = ''
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'OrdinalV2':
+        return cls(
+            offset=data.get('offset', 0),
+            relative_to=data.get('relativeTo', ''),
+        )
+
+
+class Intent(Enum):
+    None_ = 'None'
+
+
+@dataclass
+class GeneratedIntents:
+    None_: Optional[IntentData] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedIntents':
+        return cls(
+            None_=_from_dict(IntentData, data.get('None')),
+        )
+
+
+@dataclass
+class GeneratedInstanceAddress_Street:
+    Name: Optional[List[InstanceData]] = None
+    Suffix: Optional[List[InstanceData]] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedInstanceAddress_Street':
+        return cls(
+            Name=_from_list(InstanceData, data.get('Name')),
+            Suffix=_from_list(InstanceData, data.get('Suffix')),
+        )
+
+
+@dataclass
+class Address_StreetClass:
+    Name: Optional[List[str]] = None
+    Suffix: Optional[List[List[str]]] = None
+    instance: Optional[GeneratedInstanceAddress_Street] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'Address_StreetClass':
+        return cls(
+            Name=data.get('Name'),
+            Suffix=data.get('Suffix'),
+            instance=_from_dict(GeneratedInstanceAddress_Street, data.get('$instance')),
+        )
+
+
+@dataclass
+class GeneratedInstanceAddress:
+    StreetNumber: Optional[List[InstanceData]] = None
+    Street: Optional[List[InstanceData]] = None
+    City: Optional[List[InstanceData]] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedInstanceAddress':
+        return cls(
+            StreetNumber=_from_list(InstanceData, data.get('StreetNumber')),
+            Street=_from_list(InstanceData, data.get('Street')),
+            City=_from_list(InstanceData, data.get('City')),
+        )
+
+
+@dataclass
+class AddressClass:
+    StreetNumber: Optional[List[float]] = None
+    Street: Optional[List[Address_StreetClass]] = None
+    City: Optional[List[GeographyV2]] = None
+    instance: Optional[GeneratedInstanceAddress] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'AddressClass':
+        return cls(
+            StreetNumber=data.get('StreetNumber'),
+            Street=_from_list(Address_StreetClass, data.get('Street')),
+            City=_from_list(GeographyV2, data.get('City')),
+            instance=_from_dict(GeneratedInstanceAddress, data.get('$instance')),
+        )
+
+
+@dataclass
+class GeneratedInstance:
+    Address: Optional[List[InstanceData]] = None
+    Comment: Optional[List[InstanceData]] = None
+    Destination: Optional[List[InstanceData]] = None
+    Source: Optional[List[InstanceData]] = None
+    StreetSuffix: Optional[List[InstanceData]] = None
+    geographyV2: Optional[List[InstanceData]] = None
+    number: Optional[List[InstanceData]] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedInstance':
+        return cls(
+            Address=_from_list(InstanceData, data.get('Address')),
+            Comment=_from_list(InstanceData, data.get('Comment')),
+            Destination=_from_list(InstanceData, data.get('Destination')),
+            Source=_from_list(InstanceData, data.get('Source')),
+            StreetSuffix=_from_list(InstanceData, data.get('StreetSuffix')),
+            geographyV2=_from_list(InstanceData, data.get('geographyV2')),
+            number=_from_list(InstanceData, data.get('number')),
+        )
+
+
+@dataclass
+class GeneratedEntities:
+    Comment: Optional[List[str]] = None
+    geographyV2: Optional[List[GeographyV2]] = None
+    number: Optional[List[float]] = None
+    StreetSuffix: Optional[List[List[str]]] = None
+    Address: Optional[List[AddressClass]] = None
+    Destination: Optional[List[AddressClass]] = None
+    Source: Optional[List[AddressClass]] = None
+    instance: Optional[GeneratedInstance] = None
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'GeneratedEntities':
+        return cls(
+            Comment=data.get('Comment'),
+            geographyV2=_from_list(GeographyV2, data.get('geographyV2')),
+            number=data.get('number'),
+            StreetSuffix=data.get('StreetSuffix'),
+            Address=_from_list(AddressClass, data.get('Address')),
+            Destination=_from_list(AddressClass, data.get('Destination')),
+            Source=_from_list(AddressClass, data.get('Source')),
+            instance=_from_dict(GeneratedInstance, data.get('$instance')),
+        )
+
+
+@dataclass
+class ContosoApp:
+    text: str = ''
+    altered_text: Optional[str] = None
+    intents: GeneratedIntents = field(default_factory=GeneratedIntents)
+    entities: GeneratedEntities = field(default_factory=GeneratedEntities)
+    properties: Dict[str, Any] = field(default_factory=dict)
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> 'ContosoApp':
+        return cls(
+            text=data.get('text', ''),
+            altered_text=data.get('alteredText'),
+            intents=GeneratedIntents.from_dict(data.get('intents') or {}),
+            entities=GeneratedEntities.from_dict(data.get('entities') or {}),
+            properties={key: value for key, value in data.items() if key not in ('text', 'alteredText', 'intents', 'entities')},
+        )
+
+    @classmethod
+    def from_recognizer_result(cls, result: Any) -> 'ContosoApp':
+        return cls.from_dict({
+            **(result.properties or {}),
+            'text': result.text,
+            'alteredText': result.altered_text,
+            'intents': {name: {'score': intent.score} for name, intent in (result.intents or {}).items()},
+            'entities': result.entities or {},
+        })
+
+    def top_intent(self) -> Tuple[Optional[Intent], float]:
+        max_intent, max_score = None, 0.0
+        for intent in Intent:
+            data = getattr(self.intents, intent.name)
+            if data is not None and data.score > max_score:
+                max_intent, max_score = intent, data.score
+        return max_intent, max_score
@@ -0,0 +1,75 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luAugmenter = require('./../../../src/parser/augment/luAugmenter');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('LU pattern augmentation', function () {
+    const model = {
+        intents: [{ name: 'BookFlight' }, { name: 'OrderPizza' }, { name: 'Greeting' }],
+        entities: [{ name: 'pizzaSize', roles: [], features: [{ featureName: 'size' }] }],
+        closedLists: [{ name: 'city', roles: ['fromCity', 'toCity'], subLists: [{ canonicalForm: 'seattle', list: ['sea'] }, { canonicalForm: 'london', list: [] }] }],
+        model_features: [{ name: 'size', words: 'small,large', mode: true, activated: true }],
+        prebuiltEntities: [{ name: 'number', roles: [] }],
+        utterances: [{ text: 'fly to london', intent: 'BookFlight', entities: [{ entity: 'city', role: 'toCity', startPos: 7, endPos: 12 }] }],
+        patterns: [
+            { pattern: '[please] (fly|travel) to {city:toCity}', intent: 'BookFlight' },
+            { pattern: 'a {pizzaSize} pizza', intent: 'OrderPizza' },
+            { pattern: 'order {number} pizzas', intent: 'OrderPizza' }
+        ]
+    };
+
+    it('Expands optional text, alternatives and list values into labeled utterances', function () {
+        const result = luAugmenter.augment(model, { cap: 20, seed: 1 });
+        const flights = result.model.utterances.filter(utterance => utterance.intent === 'BookFlight');
+        assert.sameMembers(flights.map(utterance => utterance.text), [
+            'fly to seattle', 'fly to sea', 'travel to seattle', 'travel to sea', 'travel to london',
+            'please fly to seattle', 'please fly to sea', 'please fly to london',
+            'please travel to seattle', 'please travel to sea', 'please travel to london'
+        ]);
+        const sea = flights.find(utterance => utterance.text === 'please travel to sea');
+        assert.deepEqual(sea.entities, [{ entity: 'city', role: 'toCity', startPos: 17, endPos: 19 }]);
+    });
+
+    it('Fills entities with the words of their phrase list features', function () {
+        const result = luAugmenter.augment(model, { cap: 20, seed: 1 });
+        const pizzas = result.model.utterances.filter(utterance => utterance.intent === 'OrderPizza');
+        assert.sameMembers(pizzas.map(utterance => utterance.text), ['a small pizza', 'a large pizza']);
+        assert.deepEqual(pizzas.find(utterance => utterance.text === 'a large pizza').entities, [{ entity: 'pizzaSize', startPos: 2, endPos: 6 }]);
+    });
+
+    it('Keeps definitions and only intents with new utterances', function () {
+        const result = luAugmenter.augment(model, { cap: 20, seed: 1 });
+        assert.deepEqual(result.model.intents, [{ name: 'BookFlight' }, { name: 'OrderPizza' }]);
+        assert.deepEqual(result.model.closedLists, model.closedLists);
+        assert.deepEqual(result.model.patterns, []);
+        assert.equal(model.utterances.length, 1);
+    });
+
+    it('Caps new utterances per intent and is deterministic for a seed', function () {
+        const texts = seed => luAugmenter.augment(model, { cap: 3, seed: seed }).model.utterances.map(utterance => utterance.text);
+        assert.equal(texts(5).filter(text => !text.endsWith('pizza')).length, 3);
+        assert.deepEqual(texts(5), texts(5));
+        assert.notDeepEqual(texts(5), texts(6));
+    });
+
+    it('Warns about patterns that cannot be expanded', function () {
+        const result = luAugmenter.augment(Object.assign({}, model, { patterns: model.patterns.concat([{ pattern: 'fly (to {city}', intent: 'BookFlight' }]) }), { cap: 1 });
+        assert.deepEqual(result.warnings, [
+            'Pattern "order {number} pizzas" of intent "OrderPizza" is skipped, no list or phrase list values found for {number}.',
+            'Pattern "fly (to {city}" of intent "BookFlight" is skipped, it has unbalanced brackets.'
+        ]);
+    });
+
+    it('Needs a cap of at least 1', function () {
+        try {
+            luAugmenter.augment(model, { cap: 0 });
+            assert.fail('Expected augment to throw');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+        }
+    });
+});
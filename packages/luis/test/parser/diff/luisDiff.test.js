@@ -0,0 +1,59 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luisDiff = require('./../../../src/parser/diff/luisDiff');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('LUIS model diff', function () {
+    it('Ignores ordering and whitespace', function () {
+        const base = {
+            intents: [{ name: 'Greeting' }, { name: 'None' }],
+            utterances: [{ text: 'hi  there', intent: 'Greeting', entities: [] }, { text: 'hello', intent: 'Greeting', entities: [] }]
+        };
+        const head = {
+            intents: [{ name: 'None' }, { name: 'Greeting' }],
+            utterances: [{ text: 'hello ', intent: 'Greeting', entities: [] }, { text: 'hi there', intent: 'Greeting', entities: [] }]
+        };
+        const diff = luisDiff.diff(base, head);
+        assert.isTrue(luisDiff.isEmpty(diff));
+        assert.equal(luisDiff.toText(diff), 'No differences found.');
+    });
+
+    it('Reports label and role changes of nested labels', function () {
+        const base = {
+            entities: [{ name: 'address', roles: [], children: [{ name: 'city' }] }],
+            utterances: [{ text: 'ship to 1 main st seattle', intent: 'Ship', entities: [{ entity: 'address', startPos: 8, endPos: 24, children: [{ entity: 'city', startPos: 18, endPos: 24 }] }] }]
+        };
+        const head = {
+            entities: [{ name: 'address', roles: ['destination'], children: [{ name: 'city' }, { name: 'street' }] }],
+            utterances: [{ text: 'ship to 1 main st seattle', intent: 'Ship', entities: [{ entity: 'address', role: 'destination', startPos: 8, endPos: 24, children: [{ entity: 'street', startPos: 8, endPos: 16 }, { entity: 'city', startPos: 18, endPos: 24 }] }] }]
+        };
+        const diff = luisDiff.diff(base, head);
+        assert.deepEqual(diff.labels, [{
+            text: 'ship to 1 main st seattle',
+            intent: 'Ship',
+            added: ['{address:destination=1 main st seattle}', '{street=1 main st}'],
+            removed: ['{address=1 main st seattle}']
+        }]);
+        assert.deepEqual(diff.roles, [{ name: 'address', type: 'simple', added: ['destination'], removed: [] }]);
+        assert.deepEqual(diff.entities.changed, [{ name: 'address', type: 'simple', property: 'children', before: ['city'], after: ['city', 'street'] }]);
+    });
+
+    it('Reports entity type and definition changes', function () {
+        const base = {
+            regex_entities: [{ name: 'zip', regexPattern: '[0-9]{5}', roles: [] }],
+            model_features: [{ name: 'cities', words: 'seattle,paris', mode: true }],
+            entities: [{ name: 'airport', roles: [] }]
+        };
+        const head = {
+            regex_entities: [{ name: 'zip', regexPattern: '[0-9]{5}(-[0-9]{4})?', roles: [] }],
+            model_features: [{ name: 'cities', words: 'paris, seattle, london', mode: true }],
+            patternAnyEntities: [{ name: 'airport', roles: [] }]
+        };
+        const diff = luisDiff.diff(base, head);
+        assert.deepEqual(diff.entities.changed.map(entity => `${entity.name}.${entity.property}`), ['airport.type', 'cities.words', 'zip.pattern']);
+        assert.include(luisDiff.toText(diff), '~ airport (patternany): type "simple" -> "patternany"');
+    });
+});
@@ -0,0 +1,24 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const textDiff = require('./../../../src/parser/diff/textDiff');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Text diff', function () {
+    it('Returns nothing for the same text', function () {
+        assert.equal(textDiff.unifiedDiff('a\nb\n', 'a\nb\n', 'a/file', 'b/file'), '');
+    });
+
+    it('Writes changes with context in unified diff format', function () {
+        const oldText = '1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n';
+        const newText = '1\n2\nthree\n4\n5\n6\n7\n8\n9\n10\n11\n';
+        assert.equal(textDiff.unifiedDiff(oldText, newText, 'a/file', 'b/file'),
+            '--- a/file\n+++ b/file\n@@ -1,6 +1,6 @@\n 1\n 2\n-3\n+three\n 4\n 5\n 6\n@@ -8,3 +8,4 @@\n 8\n 9\n 10\n+11\n');
+    });
+
+    it('Writes empty ranges for added files', function () {
+        assert.equal(textDiff.unifiedDiff('', 'a\n', 'a/file', 'b/file'), '--- a/file\n+++ b/file\n@@ -0,0 +1 @@\n+a\n');
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const dispatchBuilder = require('./../../../src/parser/dispatch/dispatchBuilder');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Dispatch model creation', function () {
+    const fixtures = path.join(__dirname, './../../fixtures/dispatch');
+    const sources = ['calendar.lu', 'faq.qna', 'weather.lu'].map(name => path.join(fixtures, name));
+
+    it('Creates l_ and q_ intents with the utterances and questions of each source', async function () {
+        const result = await dispatchBuilder.create(sources, { root: fixtures });
+        assert.deepEqual(result.model.intents.map(intent => intent.name), ['None', 'l_calendar', 'q_faq', 'l_weather']);
+        const faq = result.model.utterances.filter(utterance => utterance.intent === 'q_faq').map(utterance => utterance.text);
+        assert.sameMembers(faq, ['how do i reset my password', 'how can i change my password', 'i forgot my password', 'what are your opening hours', 'when are you open']);
+        assert.include(result.model.utterances.map(utterance => utterance.text), 'forecast for seattle');
+        assert.equal(result.model.culture, 'en-us');
+    });
+
+    it('Maps intents back to their source files, including referenced files', async function () {
+        const result = await dispatchBuilder.create(sources, { root: fixtures, name: 'Assistant' });
+        assert.equal(result.manifest.name, 'Assistant');
+        assert.deepEqual(result.manifest.intents[0], { intent: 'l_calendar', type: 'luis', files: ['calendar.lu', 'chitchat.lu'], total: 6, sampled: 6 });
+        assert.deepEqual(result.manifest.intents[1].files, ['faq.qna']);
+    });
+
+    it('Drops utterances already used by an earlier source', async function () {
+        const result = await dispatchBuilder.create(sources.concat(path.join(fixtures, 'chitchat.lu')), { root: fixtures });
+        assert.equal(result.model.utterances.filter(utterance => utterance.text === 'show weather alerts').length, 1);
+        assert.deepEqual(result.warnings, [
+            '1 utterance(s) of l_weather are also in an earlier source and are not added.',
+            'All utterances of l_chitchat are also in earlier sources, it is not dispatched to.'
+        ]);
+        assert.notInclude(result.model.intents.map(intent => intent.name), 'l_chitchat');
+    });
+
+    it('Samples each source down to the cap and repeats with the same seed', async function () {
+        const first = await dispatchBuilder.create(sources, { cap: 2, seed: 7 });
+        const second = await dispatchBuilder.create(sources, { cap: 2, seed: 7 });
+        assert.equal(first.model.utterances.length, 6);
+        assert.deepEqual(first.model.utterances, second.model.utterances);
+        assert.deepEqual(first.manifest.intents.map(item => item.sampled), [2, 2, 2]);
+    });
+
+    it('Throws on a cap below 1', async function () {
+        try {
+            await dispatchBuilder.create(sources, { cap: 0 });
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+        }
+    });
+});
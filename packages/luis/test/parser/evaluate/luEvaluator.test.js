@@ -0,0 +1,55 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luEvaluator = require('./../../../src/parser/evaluate/luEvaluator');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('LU test evaluation', function () {
+    const testCases = [
+        { text: 'book a flight to seattle', intent: 'BookFlight', entities: [{ entity: 'city', startPos: 17, endPos: 23 }] },
+        { text: 'fly from london', intent: 'BookFlight', entities: [{ entity: 'fromCity', startPos: 9, endPos: 14 }] },
+        { text: 'hello', intent: 'Greeting', entities: [] },
+        { text: 'what is the weather', intent: 'None', entities: [] }
+    ];
+    const predictions = [
+        { intent: 'BookFlight', entities: [{ entity: 'city', startPos: 17, endPos: 23 }] },
+        { intent: 'BookFlight', entities: [{ entity: 'city', role: 'fromCity', startPos: 9, endPos: 14 }] },
+        { intent: 'None', entities: [{ entity: 'city', startPos: 0, endPos: 4 }] },
+        { intent: 'None', entities: [] }
+    ];
+
+    it('Computes per intent precision, recall, F1 and a confusion matrix', function () {
+        const report = luEvaluator.evaluate(testCases, predictions);
+        assert.equal(report.total, 4);
+        assert.equal(report.passed, 3);
+        assert.equal(report.intentAccuracy, 0.75);
+        assert.deepEqual(report.confusion, { labels: ['BookFlight', 'Greeting', 'None'], matrix: [[2, 0, 0], [0, 0, 1], [0, 0, 1]] });
+        const none = report.intents.find(intent => intent.name === 'None');
+        assert.equal(none.precision, 0.5);
+        assert.equal(none.recall, 1);
+        assert.closeTo(none.f1, 0.667, 0.001);
+        const greeting = report.intents.find(intent => intent.name === 'Greeting');
+        assert.equal(greeting.f1, 0);
+    });
+
+    it('Computes per entity span accuracy, matching roles', function () {
+        const report = luEvaluator.evaluate(testCases, predictions);
+        assert.deepEqual(report.entities, [
+            { name: 'city', expected: 1, predicted: 2, matched: 1, precision: 0.5, spanAccuracy: 1 },
+            { name: 'fromCity', expected: 1, predicted: 1, matched: 1, precision: 1, spanAccuracy: 1 }
+        ]);
+    });
+
+    it('Writes a table and JUnit XML', function () {
+        const report = luEvaluator.evaluate(testCases, predictions);
+        const text = luEvaluator.toTable(report);
+        assert.include(text, 'Intent accuracy: 75.00%, 3 of 4 utterance(s) passed');
+        assert.include(text, '- hello: expected intent Greeting but was None; unexpected city [0-4]');
+        const xml = luEvaluator.toJUnit(report);
+        assert.include(xml, '<testsuite name="luis:test" tests="4" failures="1">');
+        assert.include(xml, '<testcase classname="BookFlight" name="fly from london"/>');
+        assert.include(xml, '<failure message="expected intent Greeting but was None; unexpected city [0-4]"/>');
+    });
+});
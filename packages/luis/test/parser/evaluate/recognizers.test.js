@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const recognizers = require('./../../../src/parser/evaluate/recognizers');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+const http = require('http');
+const path = require('path');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Exact match recognizer', function () {
+    it('Recognizes training utterances ignoring case and white space', async function () {
+        const recognizer = await recognizers.createRecognizer({
+            model: { utterances: [{ text: 'fly to paris', intent: 'BookFlight', entities: [{ entity: 'city', startPos: 7, endPos: 11 }] }] }
+        });
+        const prediction = await recognizer.recognize('Fly  to Paris');
+        assert.equal(prediction.intent, 'BookFlight');
+        assert.deepEqual(prediction.entities, [{ entity: 'city', role: undefined, startPos: 7, endPos: 11 }]);
+        assert.deepEqual(await recognizer.recognize('something else'), { intent: 'None', entities: [] });
+    });
+
+    it('Needs a training model', async function () {
+        try {
+            await recognizers.createRecognizer({ recognizer: 'exact' });
+            assert.fail('Expected createRecognizer to throw');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+        }
+    });
+});
+
+describe('Recorded recognizer', function () {
+    const responses = path.join(__dirname, './../../fixtures/evaluate/responses.json');
+
+    it('Reads LUIS v2, v3 and plain recorded responses', async function () {
+        const recognizer = await recognizers.createRecognizer({ recognizer: 'recorded', responses: responses });
+        assert.deepEqual(await recognizer.recognize('book a flight to seattle'), { intent: 'BookFlight', entities: [{ entity: 'city', role: undefined, startPos: 17, endPos: 23 }] });
+        assert.deepEqual(await recognizer.recognize('hello'), { intent: 'Greeting', entities: [] });
+        assert.deepEqual(await recognizer.recognize('what is the weather'), { intent: 'Greeting', entities: [] });
+    });
+
+    it('Throws when no response was recorded for an utterance', async function () {
+        const recognizer = await recognizers.createRecognizer({ recognizer: 'recorded', responses: responses });
+        try {
+            await recognizer.recognize('cancel');
+            assert.fail('Expected recognize to throw');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+            assert.include(err.text, '"cancel"');
+        }
+    });
+});
+
+describe('Http recognizer', function () {
+    let server;
+    let requests = [];
+    before(function (done) {
+        server = http.createServer((req, res) => {
+            requests.push({ url: req.url, headers: req.headers });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                prediction: {
+                    topIntent: 'BookFlight',
+                    entities: { number: [2], $instance: { number: [{ type: 'builtin.number', startIndex: 5, length: 1, role: 'seats' }] } }
+                }
+            }));
+        });
+        server.listen(0, '127.0.0.1', done);
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    it('Sends the utterance to the endpoint and reads a LUIS v3 response', async function () {
+        const recognizer = await recognizers.createRecognizer({ recognizer: 'http', endpoint: `http://127.0.0.1:${server.address().port}/predict?verbose=true`, key: 'abc' });
+        const prediction = await recognizer.recognize('book 2 seats');
+        assert.deepEqual(prediction, { intent: 'BookFlight', entities: [{ entity: 'number', role: 'seats', startPos: 5, endPos: 5 }] });
+        assert.equal(requests[0].url, '/predict?verbose=true&q=book%202%20seats');
+        assert.equal(requests[0].headers['ocp-apim-subscription-key'], 'abc');
+    });
+});
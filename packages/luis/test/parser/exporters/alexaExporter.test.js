@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const luConverter = require('./../../../src/parser/converters/lutoluisconverter');
+const alexaExporter = require('./../../../src/parser/exporters/alexaExporter');
+const alexaImporter = require('./../../../src/parser/importers/alexaImporter');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Alexa interaction model export', function () {
+    const fixture = path.join(__dirname, './../../fixtures/export/model.lu');
+
+    it('Exports samples with slots and custom slot types', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        const languageModel = JSON.parse(alexaExporter.exportInteractionModel(model, {}).content).interactionModel.languageModel;
+        assert.equal(languageModel.invocationName, 'pizza bot');
+        const order = languageModel.intents.find(intent => intent.name === 'OrderPizza');
+        assert.deepEqual(order.samples, ['i want a {pizzaSize} pizza with {crust} crust', 'order {quantity} pizzas', 'order a {pizzaSize} pizza']);
+        assert.deepEqual(order.slots.map(slot => slot.type), ['size', 'crust', 'AMAZON.NUMBER']);
+        assert.deepEqual(languageModel.types.find(type => type.name === 'size').values[0], { name: { value: 'small', synonyms: ['little', 'tiny'] } });
+        assert.include(languageModel.intents.map(intent => intent.name), 'AMAZON.StopIntent');
+    });
+
+    it('Warns about entities without slot types and the None intent', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        const result = alexaExporter.exportInteractionModel(model, { invocationName: 'pizza shop' });
+        assert.deepEqual(result.warnings, [
+            'Entity "orderId" of intent "TrackOrder" has no Alexa slot type, its labels are exported as text and its patterns are not exported.',
+            'Intent "None" is not exported, Alexa skills use AMAZON.FallbackIntent instead.'
+        ]);
+        const track = JSON.parse(result.content).interactionModel.languageModel.intents.find(intent => intent.name === 'TrackOrder');
+        assert.deepEqual(track.samples, ['where is order 123456']);
+    });
+
+    it('Exports an interaction model that imports back', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        const result = alexaImporter.importInteractionModel(alexaExporter.exportInteractionModel(model, {}).content);
+        assert.include(result.model.intents.map(intent => intent.name), 'OrderPizza');
+        assert.include(result.model.patterns.map(pattern => pattern.pattern), 'order {number:quantity} pizzas');
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const luConverter = require('./../../../src/parser/converters/lutoluisconverter');
+const dialogflowExporter = require('./../../../src/parser/exporters/dialogflowExporter');
+const dialogflowImporter = require('./../../../src/parser/importers/dialogflowImporter');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Dialogflow agent export', function () {
+    const fixture = path.join(__dirname, './../../fixtures/export/model.lu');
+
+    it('Exports intents with training phrases, templates and parameters', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        const files = dialogflowExporter.exportAgent(model, {}).files;
+        assert.equal(JSON.parse(files.get('agent.json')).language, 'en');
+        const intent = JSON.parse(files.get('intents/OrderPizza.json'));
+        assert.deepEqual(intent.responses[0].parameters.map(parameter => parameter.dataType), ['@size', '@crust', '@sys.number']);
+        const phrases = JSON.parse(files.get('intents/OrderPizza_usersays_en.json'));
+        assert.deepEqual(phrases[1].data, [{ text: 'order ' }, { text: '2', alias: 'quantity', meta: '@sys.number', userDefined: true }, { text: ' pizzas' }]);
+        assert.deepEqual(phrases[2], { data: [{ text: 'order a @size:pizzaSize pizza' }], isTemplate: true, count: 0 });
+        assert.isTrue(JSON.parse(files.get('intents/None.json')).fallbackIntent);
+    });
+
+    it('Exports list, regex and labeled entities as entity types', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        const files = dialogflowExporter.exportAgent(model, { culture: 'pt-BR' }).files;
+        assert.deepEqual(JSON.parse(files.get('entities/size_entries_pt-br.json')), [
+            { value: 'small', synonyms: ['small', 'little', 'tiny'] },
+            { value: 'large', synonyms: ['large', 'big'] }
+        ]);
+        assert.isTrue(JSON.parse(files.get('entities/orderId.json')).isRegexp);
+        assert.isTrue(JSON.parse(files.get('entities/crust.json')).automatedExpansion);
+    });
+
+    it('Exports an agent that imports back', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        const exported = dialogflowExporter.exportAgent(model, {});
+        assert.deepEqual(exported.warnings, ['Phrase list "toppings" is not exported, Dialogflow has no phrase lists.']);
+        const result = dialogflowImporter.importAgent(exported.files, {});
+        assert.sameMembers(result.model.intents.map(intent => intent.name), ['OrderPizza', 'TrackOrder', 'None']);
+        assert.include(result.model.patterns.map(pattern => pattern.pattern), 'track {orderId}');
+    });
+});
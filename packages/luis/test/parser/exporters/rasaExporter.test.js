@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const luConverter = require('./../../../src/parser/converters/lutoluisconverter');
+const rasaExporter = require('./../../../src/parser/exporters/rasaExporter');
+const rasaImporter = require('./../../../src/parser/importers/rasaImporter');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Rasa NLU export', function () {
+    const fixture = path.join(__dirname, './../../fixtures/export/model.lu');
+
+    it('Exports labeled examples, synonyms, regular expressions and lookup tables', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        const content = rasaExporter.exportYaml(model).content;
+        assert.include(content, '- intent: OrderPizza');
+        assert.include(content, '- i want a [big]{"entity": "size", "role": "pizzaSize"} pizza with [thin](crust) crust');
+        assert.include(content, '- synonym: small\n  examples: |\n    - little\n    - tiny'.replace(/\n/g, require('os').EOL));
+        assert.include(content, '- regex: orderId');
+        assert.include(content, '- lookup: toppings');
+    });
+
+    it('Exports YAML that imports back', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        const result = rasaImporter.importYaml(rasaExporter.exportYaml(model).content);
+        assert.sameMembers(result.model.intents.map(intent => intent.name), ['OrderPizza', 'TrackOrder', 'None']);
+        const order = result.model.utterances.find(utterance => utterance.text === 'order 2 pizzas');
+        assert.deepEqual(order.entities, [{ entity: 'number', role: 'quantity', startPos: 6, endPos: 6 }]);
+        assert.deepEqual(result.model.regex_entities.map(regex => regex.regexPattern), ['[0-9]{6}']);
+    });
+
+    it('Warns about patterns and prebuilt entities', async function () {
+        const model = await luConverter.parseLuToLuis([fixture], false, 'en-us');
+        assert.deepEqual(rasaExporter.exportYaml(model).warnings, [
+            '2 pattern(s) are not exported, Rasa has no patterns.',
+            'Prebuilt entities number are not exported. Add an extractor like Duckling to the Rasa pipeline for them.'
+        ]);
+    });
+});
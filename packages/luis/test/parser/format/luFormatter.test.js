@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luFormatter = require('./../../../src/parser/format/luFormatter');
+const luParser = require('./../../../src/parser/lufile/luParser');
+const parseFile = require('./../../../src/parser/lufile/parseFileContents').parseFile;
+const DiagnosticSeverity = require('./../../../src/parser/lufile/diagnostic').DiagnosticSeverity;
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+const txtfile = require('./../../../src/parser/lufile/read-text-file');
+const path = require('path');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('LU formatter', function () {
+    it('Normalizes heading levels and list markers', function () {
+        const content = '# Greeting\n* hi\n+   hello there  \n\n\n### Help\n-what can you do\n';
+        assert.equal(luFormatter.format(content), '## Greeting\n- hi\n- hello there\n\n## Help\n- what can you do\n');
+    });
+
+    it('Keeps comments and model information', function () {
+        const content = '> !# @app.name=Booking\n>  header comment\n\n# Greeting\n- hi\n> in the intent\n- hello\n> last comment\n';
+        assert.equal(luFormatter.format(content), '> !# @app.name = Booking\n\n>  header comment\n\n## Greeting\n- hi\n> in the intent\n- hello\n\n> last comment\n');
+    });
+
+    it('Normalizes entity definitions in both syntaxes', function () {
+        const content = '@   list   city   hasRoles  fromCity ,toCity\n  - Seattle:\n      - sea\n@ composite  trip = [ fromCity,toCity ]\n$ userName : simple\n$ PREBUILT : datetimeV2 Roles = start, end\n';
+        assert.equal(luFormatter.format(content), '@ list city hasRoles fromCity,toCity =\n\t- Seattle :\n\t\t- sea\n\n@ composite trip = [fromCity, toCity]\n\n$userName:simple\n\n$PREBUILT:datetimeV2 Roles=start,end\n');
+    });
+
+    it('Keeps QnA answers as is', function () {
+        const content = '# ? what is your name\n  * what do you call yourself\n**Filters:**\n - name = value\n```markdown\n  I am a bot\n```\n';
+        assert.equal(luFormatter.format(content), '## ? what is your name\n- what do you call yourself\n\n**Filters:**\n- name = value\n\n```markdown\n  I am a bot\n```\n');
+    });
+
+    it('Keeps trailing spaces in QnA answers so they parse the same', async function () {
+        for (const fixture of ['examples/qna1.lu', 'examples/qna2.lu', 'testcases/faq.lu', 'verified/allGenQnA.lu']) {
+            const content = txtfile.readSync(path.join(__dirname, './../../fixtures', fixture));
+            const formatted = luFormatter.format(content);
+            const expected = await parseFile(content, false, 'en-us');
+            const actual = await parseFile(formatted, false, 'en-us');
+            assert.deepEqual(actual.qnaJsonStructure, expected.qnaJsonStructure, fixture);
+        }
+    });
+
+    it('Sorts sections when asked to', function () {
+        const content = '@ simple zip\n\n# Greeting\n- hi\n\n@ simple city\n\n# Cancel\n- stop\n\n> !# @app.name = Booking\n';
+        assert.equal(luFormatter.format(content, { sort: true }), '> !# @app.name = Booking\n\n## Cancel\n- stop\n\n## Greeting\n- hi\n\n@ simple city\n\n@ simple zip\n');
+    });
+
+    it('Formats files idempotently to content that parses without errors', function () {
+        const content = txtfile.readSync(path.join(__dirname, './../../fixtures/format/unformatted.lu'));
+        const formatted = luFormatter.format(content);
+        assert.equal(formatted, txtfile.readSync(path.join(__dirname, './../../fixtures/format/formatted.lu')));
+        assert.isTrue(luFormatter.isFormatted(formatted));
+        assert.isFalse(luFormatter.isFormatted(content));
+        const errors = luParser.parse(formatted).Errors.filter(error => error && error.Severity === DiagnosticSeverity.ERROR);
+        assert.equal(errors.length, 0);
+    });
+
+    it('Throws on content with syntax errors', function () {
+        try {
+            luFormatter.format('# Greeting\n- hi\n@ list city = seattle\n');
+            assert.fail('Expected the formatter to throw');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+            assert.include(err.text, 'line 3:');
+        }
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const alexaImporter = require('./../../../src/parser/importers/alexaImporter');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Alexa interaction model import', function () {
+    const fixture = path.join(__dirname, './../../fixtures/import/alexa.json');
+
+    it('Imports samples with slots as patterns using slot names as roles', async function () {
+        const result = alexaImporter.importInteractionModel(await fs.readFile(fixture, 'utf8'));
+        assert.deepEqual(result.model.intents, [{ name: 'BookFlightIntent' }, { name: 'AMAZON.HelpIntent' }]);
+        assert.deepEqual(result.model.utterances.map(utterance => utterance.text), ['book a flight', 'what can you do']);
+        assert.deepEqual(result.model.patterns.map(pattern => pattern.pattern), [
+            'book a flight to {CITY_TYPE:toCity}',
+            'fly to {CITY_TYPE:toCity} on {datetimeV2:travelDate}',
+            'remember {note}'
+        ]);
+    });
+
+    it('Maps custom slot types to list entities and built-in slot types to prebuilt entities', async function () {
+        const result = alexaImporter.importInteractionModel(await fs.readFile(fixture, 'utf8'));
+        assert.deepEqual(result.model.closedLists, [{
+            name: 'CITY_TYPE',
+            roles: ['toCity'],
+            subLists: [{ canonicalForm: 'seattle', list: ['emerald city'] }, { canonicalForm: 'paris', list: [] }]
+        }]);
+        assert.deepEqual(result.model.prebuiltEntities, [{ name: 'datetimeV2', roles: ['travelDate'] }]);
+        assert.deepEqual(result.model.patternAnyEntities, [{ name: 'note', explicitList: [], roles: [] }]);
+    });
+
+    it('Warns about content that is not imported', async function () {
+        const result = alexaImporter.importInteractionModel(await fs.readFile(fixture, 'utf8'));
+        assert.deepEqual(result.warnings, [
+            'Slot type AMAZON.SearchQuery of slot "note" has no LUIS counterpart and is imported as a pattern.any entity.',
+            'Slot samples of intent "BookFlightIntent" are not imported.',
+            'Intent "AMAZON.StopIntent" has no sample utterances and is not imported.',
+            'The dialog model is not imported.',
+            'Prompts are not imported.'
+        ]);
+    });
+
+    it('Throws on a file that is not an interaction model', function () {
+        try {
+            alexaImporter.importInteractionModel('{ "intents": [] }');
+            assert.fail('Expected importInteractionModel to throw');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+        }
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const dialogflowImporter = require('./../../../src/parser/importers/dialogflowImporter');
+const importHelpers = require('./../../../src/parser/importers/importHelpers');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Dialogflow agent import', function () {
+    const fixture = path.join(__dirname, './../../fixtures/import/dialogflow');
+
+    it('Imports training phrases with parameters as roles', async function () {
+        const result = dialogflowImporter.importAgent(await importHelpers.readFiles(fixture), {});
+        assert.sameDeepMembers(result.model.intents, [{ name: 'Book Flight' }, { name: 'Default Welcome Intent' }]);
+        const book = result.model.utterances.find(utterance => utterance.text === 'book a flight to Paris on monday');
+        assert.deepEqual(book.entities, [{ entity: 'city', role: 'destination', startPos: 17, endPos: 21 }]);
+        const fly = result.model.utterances.find(utterance => utterance.text === 'fly to Seattle with my sister');
+        assert.deepEqual(fly.entities, [{ entity: 'city', startPos: 7, endPos: 13 }, { entity: 'companion', startPos: 20, endPos: 28 }]);
+        assert.deepEqual(result.model.patterns.map(pattern => pattern.pattern), ['flights to {city:destination} on {datetimeV2:date}']);
+        assert.deepEqual(result.model.prebuiltEntities, [{ name: 'datetimeV2', roles: ['date'] }]);
+    });
+
+    it('Maps entity types to list and regex entities', async function () {
+        const result = dialogflowImporter.importAgent(await importHelpers.readFiles(fixture), {});
+        assert.deepEqual(result.model.closedLists, [{
+            name: 'cityList',
+            roles: [],
+            subLists: [{ canonicalForm: 'Seattle', list: ['Emerald City'] }, { canonicalForm: 'Paris', list: [] }]
+        }]);
+        assert.deepEqual(result.model.entities.find(entity => entity.name === 'city').features, [{ modelName: 'cityList' }]);
+        assert.deepEqual(result.model.regex_entities, [{ name: 'flightNumber', regexPattern: '[A-Z]{2}[0-9]{3,4}', roles: [] }]);
+    });
+
+    it('Warns about content that is not imported', async function () {
+        const result = dialogflowImporter.importAgent(await importHelpers.readFiles(fixture), { culture: 'en-US' });
+        assert.deepEqual(result.warnings, [
+            'System entity @sys.unit-weight has no LUIS counterpart, its label in "book a flight for 10 kg" is not imported.',
+            'Contexts, events and responses of Dialogflow intents are not imported.'
+        ]);
+        const other = dialogflowImporter.importAgent(await importHelpers.readFiles(fixture), { culture: 'de' });
+        assert.include(other.warnings, 'Intent "Book Flight" has no training phrases for language de and is not imported.');
+        assert.equal(other.model.intents.length, 0);
+    });
+});
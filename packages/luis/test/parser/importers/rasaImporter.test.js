@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const rasaImporter = require('./../../../src/parser/importers/rasaImporter');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Rasa NLU import', function () {
+    const fixtures = path.join(__dirname, './../../fixtures/import');
+
+    it('Imports labeled examples of Markdown training data', async function () {
+        const result = rasaImporter.importMarkdown(await fs.readFile(path.join(fixtures, 'rasa.md'), 'utf8'));
+        assert.deepEqual(result.model.intents, [{ name: 'book_flight' }, { name: 'greet' }]);
+        const fly = result.model.utterances.find(utterance => utterance.text === 'fly from NYC to Berlin');
+        assert.deepEqual(fly.entities, [
+            { entity: 'city', startPos: 9, endPos: 11 },
+            { entity: 'city', role: 'destination', startPos: 16, endPos: 21 }
+        ]);
+        assert.deepEqual(result.model.entities.find(entity => entity.name === 'city').roles, ['destination']);
+    });
+
+    it('Maps synonyms, lookup tables and regular expressions', async function () {
+        const result = rasaImporter.importMarkdown(await fs.readFile(path.join(fixtures, 'rasa.md'), 'utf8'));
+        assert.deepEqual(result.model.closedLists, [{ name: 'cityList', roles: [], subLists: [{ canonicalForm: 'New York City', list: ['NYC', 'nyc', 'big apple'] }] }]);
+        assert.deepEqual(result.model.model_features, [{ name: 'cityPhrases', words: 'London,Rome', mode: true, activated: true }]);
+        assert.deepEqual(result.model.regex_entities, [{ name: 'zipcode', regexPattern: '[0-9]{5}', roles: [] }]);
+        assert.deepEqual(result.model.entities.find(entity => entity.name === 'city').features, [{ modelName: 'cityList' }, { featureName: 'cityPhrases' }]);
+        assert.deepEqual(result.warnings, [
+            'Synonyms of "unused value" are not imported, no labeled entity uses them.',
+            'Lookup table "airports" is not imported, lookup table files are not supported.'
+        ]);
+    });
+
+    it('Imports YAML training data and warns about other Rasa data', async function () {
+        const result = rasaImporter.importYaml(await fs.readFile(path.join(fixtures, 'rasa.yml'), 'utf8'));
+        assert.equal(result.model.utterances.length, 4);
+        assert.deepEqual(result.model.closedLists[0].subLists, [{ canonicalForm: 'New York City', list: ['NYC', 'big apple'] }]);
+        assert.deepEqual(result.model.regex_entities, [{ name: 'zipcode', regexPattern: '\\d{5}', roles: [] }]);
+        assert.deepEqual(result.warnings, ['Rasa "responses" data is not imported, only NLU training data is.']);
+    });
+
+    it('Throws on invalid YAML', function () {
+        try {
+            rasaImporter.importYaml('nlu:\n- intent: greet\n  examples: |\n    - hi\n - bad');
+            assert.fail('Expected importYaml to throw');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+        }
+    });
+});
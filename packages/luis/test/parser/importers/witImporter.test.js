@@ -0,0 +1,47 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const witImporter = require('./../../../src/parser/importers/witImporter');
+const importHelpers = require('./../../../src/parser/importers/importHelpers');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Wit.ai export import', function () {
+    const fixture = path.join(__dirname, './../../fixtures/import/wit.zip');
+
+    it('Reads the export from a .zip file and imports labeled utterances', async function () {
+        const result = witImporter.importApp(await importHelpers.readFiles(fixture));
+        assert.deepEqual(result.model.intents, [{ name: 'book_flight' }, { name: 'send_message' }, { name: 'None' }]);
+        assert.deepEqual(result.model.utterances[0].entities, [{ entity: 'city', role: 'destination', startPos: 17, endPos: 21 }]);
+        assert.deepEqual(result.model.utterances[1].entities, [{ entity: 'city', startPos: 9, endPos: 15 }]);
+        assert.deepEqual(result.model.utterances[2].entities, [{ entity: 'message_body', startPos: 22, endPos: 27 }]);
+        assert.deepEqual(result.model.prebuiltEntities, [{ name: 'datetimeV2', roles: [] }]);
+    });
+
+    it('Maps keywords to list entities', async function () {
+        const result = witImporter.importApp(await importHelpers.readFiles(fixture));
+        assert.deepEqual(result.model.closedLists.map(list => list.name), ['cityList', 'airline']);
+        assert.deepEqual(result.model.closedLists[1].subLists, [{ canonicalForm: 'Contoso Air', list: ['contoso'] }]);
+        assert.deepEqual(result.model.entities.find(entity => entity.name === 'city').features, [{ modelName: 'cityList' }]);
+    });
+
+    it('Imports exports with expressions.json', function () {
+        const files = new Map([
+            ['app/expressions.json', JSON.stringify({ data: [{ text: 'order a pizza', entities: [{ entity: 'intent', value: '"order"' }, { entity: 'food', start: 8, end: 13, value: 'pizza' }] }] })],
+            ['app/entities/food.json', JSON.stringify({ data: { name: 'food', values: [{ value: 'pizza', expressions: ['pizza', 'pie'] }] } })]
+        ]);
+        const result = witImporter.importApp(files);
+        assert.deepEqual(result.model.utterances, [{ text: 'order a pizza', intent: 'order', entities: [{ entity: 'food', startPos: 8, endPos: 12 }] }]);
+        assert.deepEqual(result.model.closedLists[0].subLists, [{ canonicalForm: 'pizza', list: ['pie'] }]);
+    });
+
+    it('Warns about traits and built-in entities without a LUIS counterpart', async function () {
+        const result = witImporter.importApp(await importHelpers.readFiles(fixture));
+        assert.deepEqual(result.warnings, [
+            'Trait "wit$sentiment" is not imported.',
+            'Built-in entity wit$quantity has no LUIS counterpart, its label in "it is 3 miles away" is not imported.'
+        ]);
+    });
+});
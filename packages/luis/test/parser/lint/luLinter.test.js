@@ -0,0 +1,87 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const linter = require('./../../../src/parser/lint/luLinter');
+var chai = require('chai');
+var assert = chai.assert;
+
+const lint = function (luFile, rules) {
+    return linter.lint(luFile, linter.resolveConfig({ rules: rules }));
+}
+
+describe('luis:lint rules', function () {
+    it('Reports syntax errors without running the rules', function () {
+        const results = lint(`$TestList=one=
+
+# Greeting
+- hi`);
+        assert.equal(results.length, 1);
+        assert.equal(results[0].rule, 'syntax');
+        assert.equal(results[0].diagnostic.Severity, 'ERROR');
+    });
+
+    it('Rules can be tuned and turned off', function () {
+        const luFile = `# Greeting
+- hi
+- hello`;
+        assert.equal(lint(luFile).length, 1);
+        assert.equal(lint(luFile, { 'min-utterances': ['warn', { min: 2 }] }).length, 0);
+        assert.equal(lint(luFile, { 'min-utterances': 'off' }).length, 0);
+        assert.equal(lint(luFile, { 'min-utterances': 'error' })[0].diagnostic.Severity, 'ERROR');
+    });
+
+    it('Unknown rules and severities are rejected', function () {
+        assert.throws(() => linter.resolveConfig({ rules: { 'no-such-rule': 'warn' } }));
+        assert.throws(() => linter.resolveConfig({ rules: { 'min-utterances': 'info' } }));
+    });
+
+    it('Intents with utterances from other files are not counted', function () {
+        const results = lint(`# Greeting
+- [hi](./greetings.lu#Greeting)`);
+        assert.equal(results.length, 0);
+    });
+
+    it('Duplicate utterances within the same intent are not reported', function () {
+        const results = lint(`# Greeting
+- hi
+- Hi`, { 'min-utterances': 'off' });
+        assert.equal(results.length, 0);
+    });
+
+    it('Labelled values mentioned without a label are reported', function () {
+        const results = lint(`# Travel
+- fly to {city=new york}
+- new york please
+- i love new yorkers`, { 'min-utterances': 'off' });
+        assert.equal(results.length, 1);
+        assert.equal(results[0].rule, 'unlabeled-entity-mentions');
+        assert.equal(results[0].diagnostic.Range.Start.Line, 3);
+    });
+
+    it('Phrase lists defined with either syntax are reported if unused', function () {
+        const results = lint(`# Travel
+- fly to paris
+
+$cities:phraseList
+- paris, london
+
+@ phraselist airlines(interchangeable) =
+    - contoso air, fabrikam`, { 'min-utterances': 'off' });
+        assert.equal(results.length, 1);
+        assert.include(results[0].diagnostic.Message, 'Phrase list "airlines"');
+    });
+
+    it('Patterns matching utterances of other intents are reported', function () {
+        const results = lint(`# Travel
+- (fly|travel) to {city} [please]
+
+# Help
+- fly to the help desk
+- travel to paris please?
+- fly help`, { 'min-utterances': 'off' });
+        assert.equal(results.length, 2);
+        results.forEach(result => assert.equal(result.rule, 'pattern-shadows-utterance'));
+        assert.equal(results[0].diagnostic.Range.Start.Line, 2);
+    });
+});
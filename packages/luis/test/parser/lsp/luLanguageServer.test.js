@@ -0,0 +1,121 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const url = require('url');
+const fs = require('fs-extra');
+const PassThrough = require('stream').PassThrough;
+const LuLanguageServer = require('./../../../src/parser/lsp/luLanguageServer');
+const RpcConnection = require('./../../../src/parser/lsp/rpcConnection');
+var chai = require('chai');
+var assert = chai.assert;
+
+const mainPath = path.join(__dirname, './../../fixtures/lsp/main.lu');
+const mainUri = url.pathToFileURL(mainPath).toString();
+const flightsUri = url.pathToFileURL(path.join(__dirname, './../../fixtures/lsp/flights.lu')).toString();
+
+/**
+ * Runs the server with the given messages and returns all messages it sent
+ */
+const runServer = async function (messages) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const received = [];
+    const client = new RpcConnection(output, input);
+    const clientDone = client.listen(message => { received.push(message); });
+    const serverDone = new LuLanguageServer(input, output).listen();
+    messages.concat([{ method: 'exit' }]).forEach(message => client.send(message));
+    await serverDone;
+    output.end();
+    await clientDone;
+    return received;
+}
+
+describe('luis:lsp language server', function () {
+    it('Frames messages with a Content-Length header', function () {
+        let written = '';
+        const connection = new RpcConnection(new PassThrough(), { write: text => { written += text; } });
+        connection.send({ id: 1, result: 'é' });
+        const content = JSON.stringify({ jsonrpc: '2.0', id: 1, result: 'é' });
+        assert.equal(written, `Content-Length: ${Buffer.byteLength(content)}\r\n\r\n${content}`);
+    });
+
+    it('Reports capabilities on initialize and rejects unknown requests', async function () {
+        const received = await runServer([
+            { id: 1, method: 'initialize', params: {} },
+            { id: 2, method: 'workspace/symbol', params: {} },
+            { id: 3, method: 'shutdown' }
+        ]);
+        assert.equal(received.length, 3);
+        assert.equal(received[0].result.capabilities.textDocumentSync, 1);
+        assert.isTrue(received[0].result.capabilities.documentSymbolProvider);
+        assert.isTrue(received[0].result.capabilities.definitionProvider);
+        assert.deepEqual(received[0].result.capabilities.completionProvider.triggerCharacters, ['{', '@']);
+        assert.equal(received[1].error.code, -32601);
+        assert.equal(received[2].id, 3);
+        assert.isNull(received[2].result);
+    });
+
+    it('Publishes diagnostics when a document is opened and changed', async function () {
+        const received = await runServer([
+            { method: 'textDocument/didOpen', params: { textDocument: { uri: 'file:///test.lu', text: '# Greeting\n- hi\n' } } },
+            { method: 'textDocument/didChange', params: { textDocument: { uri: 'file:///test.lu' }, contentChanges: [{ text: '# Greeting\n- hi\n@ foo bar\n' }] } },
+            { method: 'textDocument/didClose', params: { textDocument: { uri: 'file:///test.lu' } } }
+        ]);
+        assert.equal(received.length, 3);
+        received.forEach(message => assert.equal(message.method, 'textDocument/publishDiagnostics'));
+        assert.deepEqual(received[0].params.diagnostics, []);
+        assert.equal(received[1].params.diagnostics.length, 1);
+        assert.equal(received[1].params.diagnostics[0].severity, 1);
+        assert.equal(received[1].params.diagnostics[0].range.start.line, 2);
+        assert.deepEqual(received[2].params.diagnostics, []);
+    });
+
+    it('Reports errors found while building the model', async function () {
+        const server = new LuLanguageServer(new PassThrough(), { write: () => {} });
+        const diagnostics = await server.getDiagnostics('# Greeting\n- hi {foo=bar}\n@ prebuilt foo\n');
+        assert.equal(diagnostics.length, 1);
+        assert.equal(diagnostics[0].severity, 1);
+        assert.equal(diagnostics[0].range.start.line, 2);
+        assert.include(diagnostics[0].message, 'Unknown PREBUILT entity');
+    });
+
+    it('Lists intents, entities and QnA pairs as document symbols', async function () {
+        const text = await fs.readFile(mainPath, 'utf8');
+        const received = await runServer([
+            { method: 'textDocument/didOpen', params: { textDocument: { uri: mainUri, text: text + '\n# ? what is your name\n```markdown\nbot\n```\n' } } },
+            { id: 1, method: 'textDocument/documentSymbol', params: { textDocument: { uri: mainUri } } }
+        ]);
+        const symbols = received.find(message => message.id === 1).result;
+        assert.deepEqual(symbols.map(symbol => symbol.name), ['Greeting', 'toCity', 'number', 'what is your name']);
+        assert.deepEqual(symbols.map(symbol => symbol.kind), [5, 8, 8, 15]);
+        assert.deepEqual(symbols[0].selectionRange, { start: { line: 0, character: 0 }, end: { line: 0, character: 10 } });
+        assert.equal(symbols[1].detail, 'simple');
+    });
+
+    it('Resolves references to intents in other files', async function () {
+        const text = await fs.readFile(mainPath, 'utf8');
+        const received = await runServer([
+            { method: 'textDocument/didOpen', params: { textDocument: { uri: mainUri, text: text } } },
+            { id: 1, method: 'textDocument/definition', params: { textDocument: { uri: mainUri }, position: { line: 2, character: 10 } } },
+            { id: 2, method: 'textDocument/definition', params: { textDocument: { uri: mainUri }, position: { line: 1, character: 3 } } }
+        ]);
+        const definition = received.find(message => message.id === 1).result;
+        assert.equal(definition.uri, flightsUri);
+        assert.equal(definition.range.start.line, 5);
+        assert.isNull(received.find(message => message.id === 2).result);
+    });
+
+    it('Completes entity names inside labels', async function () {
+        const text = await fs.readFile(mainPath, 'utf8');
+        const received = await runServer([
+            { method: 'textDocument/didOpen', params: { textDocument: { uri: mainUri, text: text } } },
+            { id: 1, method: 'textDocument/completion', params: { textDocument: { uri: mainUri }, position: { line: 3, character: 20 } } },
+            { id: 2, method: 'textDocument/completion', params: { textDocument: { uri: mainUri }, position: { line: 3, character: 27 } } }
+        ]);
+        const labels = received.find(message => message.id === 1).result.map(item => item.label);
+        assert.includeMembers(labels, ['toCity', 'number']);
+        assert.deepEqual(received.find(message => message.id === 2).result, []);
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const diagnosticsCollector = require('./../../../src/parser/lufile/diagnosticsCollector');
+const exception = require('./../../../src/parser/lufile/classes/exception');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Diagnostics collector', function () {
+    it('Recovers every diagnostic from an exception text', function () {
+        const err = new exception(retCode.errorCode.INVALID_LINE, '[ERROR] line 2:0 - line 2:5: first error\n[ERROR] line 4:2: second error\n  with more details');
+        const diagnostics = diagnosticsCollector.fromException(err, 'a.lu');
+        assert.deepEqual(diagnostics, [
+            { file: 'a.lu', range: { start: { line: 1, character: 0 }, end: { line: 1, character: 5 } }, severity: 'error', message: 'first error', code: 3, codeName: 'INVALID_LINE' },
+            { file: 'a.lu', range: { start: { line: 3, character: 2 }, end: { line: 3, character: 2 } }, severity: 'error', message: 'second error\nwith more details', code: 3, codeName: 'INVALID_LINE' }
+        ]);
+    });
+
+    it('Reports exceptions without location and unexpected errors', function () {
+        const openError = diagnosticsCollector.fromException(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [a.lu]'), 'a.lu');
+        assert.equal(openError.length, 1);
+        assert.isUndefined(openError[0].range);
+        assert.equal(openError[0].codeName, 'FILE_OPEN_ERROR');
+        const unknownError = diagnosticsCollector.fromException(new Error('boom'), 'a.lu');
+        assert.equal(unknownError[0].code, retCode.errorCode.UNKNOWN_ERROR);
+        assert.equal(unknownError[0].message, 'boom');
+    });
+
+    it('Collects diagnostics from every file', async function () {
+        const diagnostics = await diagnosticsCollector.collectFileDiagnostics(['does-not-exist.lu', 'does-not-exist-either.lu']);
+        assert.equal(diagnostics.length, 2);
+        diagnostics.forEach(diagnostic => assert.equal(diagnostic.codeName, 'FILE_OPEN_ERROR'));
+    });
+});
@@ -74,4 +74,18 @@ describe('With helper functions', function() {
             done();
         }
     });
+
+    it('parseLinkURI parses entity, question ID, label filter and glob references', function() {
+        assert.deepEqual(helpers.parseLinkURI('[cities](./geo.lu#@cityList)'), { luFile: './geo.lu', ref: '', entity: 'cityList', qnaId: undefined });
+        assert.deepEqual(helpers.parseLinkURI('[hours](./faq.qna#?3)'), { luFile: './faq.qna', ref: '?', entity: undefined, qnaId: 3 });
+        assert.deepEqual(helpers.parseLinkURI('[labeled](./geo.lu#*utterances*@city)'), { luFile: './geo.lu', ref: 'utterances', entity: 'city', qnaId: undefined });
+        assert.deepEqual(helpers.parseLinkURI('[bookings](./geo.lu#Book*)'), { luFile: './geo.lu', ref: 'Book*', entity: undefined, qnaId: undefined });
+        assert.deepEqual(helpers.parseLinkURI('[intent](./geo.lu#Book-Flight@toCity)'), { luFile: './geo.lu', ref: 'Book-Flight', entity: 'toCity', qnaId: undefined });
+    });
+
+    it('parseLinkURI throws when a deep reference is incomplete', function() {
+        ['[test](./1.lu#?one)', '[test](./1.lu#Intent@)', '[test](./1.lu#)'].forEach(testLu => {
+            assert.throws(() => helpers.parseLinkURI(testLu));
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const overlay = require('./../../../src/parser/lufile/overlay');
+const parseFileContents = require('./../../../src/parser/lufile/parseFileContents');
+const luConverter = require('./../../../src/parser/converters/lutoluisconverter');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Environment overlays', function () {
+    const fixtures = path.join(__dirname, './../../fixtures/overlay');
+
+    it('parses remove and replace directives from model info', async function () {
+        let parsed = await parseFileContents.parseFile('> !# @overlay.remove = utterance : hi: there\n> !# @overlay.replace = sublist : cityList : Test City', false, 'en-us');
+        assert.deepEqual(parsed.overlayDirectives, [
+            { action: 'remove', target: 'utterance', name: 'hi: there', canonicalForm: undefined, text: '> !# @overlay.remove = utterance : hi: there' },
+            { action: 'replace', target: 'sublist', name: 'cityList', canonicalForm: 'Test City', text: '> !# @overlay.replace = sublist : cityList : Test City' }
+        ]);
+    });
+
+    it('throws on invalid directives', function () {
+        ['patch', 'remove'].forEach(action => {
+            try {
+                overlay.parseDirective(action, action === 'patch' ? 'intent : Debug' : 'sublist : cityList', 'test');
+                assert.fail('Test failed: parseDirective did not throw!');
+            } catch (err) {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_OVERLAY);
+            }
+        });
+        try {
+            overlay.parseDirective('replace', 'utterance : hi', 'test');
+            assert.fail('Test failed: parseDirective did not throw!');
+        } catch (err) {
+            assert.include(err.text, '@overlay.replace can target intent, list, sublist, phraselist');
+        }
+    });
+
+    it('removes, replaces and adds content and app settings of the base model', async function () {
+        let model = await luConverter.parseLuToLuis([path.join(fixtures, 'app.lu')], false, 'en-us', undefined, [path.join(fixtures, 'env/prod.lu')]);
+        assert.deepEqual(model.intents.map(item => item.name), ['BookFlight', 'Greeting']);
+        assert.deepEqual(model.utterances.map(item => item.text), ['book a flight', 'fly me somewhere', 'good morning']);
+        assert.deepEqual(model.closedLists[0].subLists, [
+            { canonicalForm: 'Seattle', list: ['SEA', 'Emerald city'] },
+            { canonicalForm: 'Paris', list: ['CDG'] },
+            { canonicalForm: 'London', list: ['LHR'] }
+        ]);
+        assert.deepEqual(model.model_features.map(item => `${item.name}=${item.words}`), ['travelWords=trip,journey,travel', 'airlineWords=fly,book']);
+        assert.equal(model.name, 'Travel');
+        assert.equal(model.versionId, '0.1-prod');
+    });
+
+    it('removes and replaces phrase lists of the base model', async function () {
+        const base = luConverter.parseLuToLuis([path.join(fixtures, 'app.lu')], false, 'en-us');
+        const patch = async content => {
+            let overlayObject = await parseFileContents.parseFile(content, false, 'en-us');
+            overlayObject.srcFile = 'test.lu';
+            let model = await base;
+            model = JSON.parse(JSON.stringify(model));
+            overlay.applyDirectives(model, overlayObject);
+            return model;
+        };
+        assert.deepEqual((await patch('> !# @overlay.remove = phraselist : debugWords')).model_features.map(item => item.name), ['travelWords', 'airlineWords']);
+        try {
+            await patch('> !# @overlay.replace = phraselist : debugWords');
+            assert.fail('Test failed: applyDirectives did not throw!');
+        } catch (err) {
+            assert.include(err.text, 'Phrase list "debugWords" is not defined in the overlay');
+        }
+        try {
+            await patch('> !# @overlay.remove = phraselist : cityWords');
+            assert.fail('Test failed: applyDirectives did not throw!');
+        } catch (err) {
+            assert.include(err.text, 'Phrase list "cityWords" is not in the base model');
+        }
+    });
+
+    it('throws when a directive targets content that is not in the base model', async function () {
+        try {
+            await luConverter.parseLuToLuis([path.join(fixtures, 'app.lu')], false, 'en-us', undefined, [path.join(fixtures, 'env/broken.lu')]);
+            assert.fail('Test failed: parseLuToLuis did not throw!');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_OVERLAY);
+            assert.include(err.text, 'Sublist "Berlin" of list entity "cityList" is not in the base model');
+        }
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ParseCache = require('./../../../src/parser/lufile/parseCache');
+const parseWorkers = require('./../../../src/parser/lufile/parseWorkers');
+const parseFileContents = require('./../../../src/parser/lufile/parseFileContents');
+const lumerger = require('./../../../src/parser/converters/lumerger');
+var chai = require('chai');
+var assert = chai.assert;
+
+// worker threads are missing on older Node.js versions, where files are always parsed on the main thread
+let workerThreads;
+try {
+    workerThreads = require('worker_threads');
+} catch (err) {
+    workerThreads = undefined;
+}
+
+describe('Parse cache', function () {
+    const examples = path.join(__dirname, './../../fixtures/examples');
+    const files = ['1.lu', '2.lu', '3.lu', '4.lu', '5.lu', '6.lu', 'buyChocolate.lu', 'changeAlarm.lu'].map(item => path.join(examples, item));
+    const plain = value => JSON.parse(JSON.stringify(value));
+    let folder;
+
+    beforeEach(async function () {
+        folder = await fs.mkdtemp(path.join(os.tmpdir(), 'parse-cache-'));
+    });
+
+    afterEach(async function () {
+        await fs.remove(folder);
+    });
+
+    it('returns cached content the same as parsed content', async function () {
+        const content = await fs.readFile(files[0], 'utf8');
+        const cache = new ParseCache(folder);
+        assert.isUndefined(await cache.get(content, 'en-us'));
+        const parsed = await parseFileContents.parseFile(content, false, 'en-us');
+        await cache.set(content, 'en-us', parsed);
+        const cached = await cache.get(content, 'en-us');
+        assert.deepEqual(plain(cached), plain(parsed));
+        assert.equal(cache.hits, 1);
+        assert.equal(cache.misses, 1);
+    });
+
+    it('keys entries by content and culture', async function () {
+        const content = await fs.readFile(files[0], 'utf8');
+        const cache = new ParseCache(folder);
+        await cache.set(content, 'en-us', await parseFileContents.parseFile(content, false, 'en-us'));
+        assert.isUndefined(await cache.get(content, 'fr-fr'));
+        assert.isUndefined(await cache.get(content + '\n- one more utterance', 'en-us'));
+        assert.isDefined(await cache.get(content, 'EN-US'));
+    });
+
+    it('does not cache content with URL references', async function () {
+        const content = '[Product manual](https://contoso.com/manual.pdf)';
+        const cache = new ParseCache(folder);
+        assert.isFalse(ParseCache.canCache(content));
+        await cache.set(content, 'en-us', '{}');
+        assert.isUndefined(await cache.get(content, 'en-us'));
+    });
+
+    it('parses damaged entries again', async function () {
+        const content = await fs.readFile(files[0], 'utf8');
+        const cache = new ParseCache(folder);
+        await cache.set(content, 'en-us', await parseFileContents.parseFile(content, false, 'en-us'));
+        await fs.writeFile(cache.entryPath(content, 'en-us'), '{"LUISJsonStr', 'utf8');
+        assert.isUndefined(await cache.get(content, 'en-us'));
+    });
+
+    it('merges files from the cache the same as without it', async function () {
+        const expected = plain(await lumerger.mergeAndResolveReferences(files, false, 'en-us'));
+        const cache = new ParseCache(folder);
+        assert.deepEqual(plain(await lumerger.mergeAndResolveReferences(files, false, 'en-us', undefined, { cache: cache })), expected);
+        const misses = cache.misses;
+        assert.equal(cache.hits, 0);
+        const warm = new ParseCache(folder);
+        assert.deepEqual(plain(await lumerger.mergeAndResolveReferences(files, false, 'en-us', undefined, { cache: warm })), expected);
+        assert.equal(warm.hits, misses);
+        assert.equal(warm.misses, 0);
+    });
+
+    it('merges files parsed on worker threads the same as on the main thread', async function () {
+        if (workerThreads === undefined) this.skip();
+        this.timeout(60000);
+        const expected = plain(await lumerger.mergeAndResolveReferences(files, false, 'en-us'));
+        const cache = new ParseCache(folder);
+        const parseAll = parseWorkers.parseAll;
+        let parsedOnWorkers = 0;
+        parseWorkers.parseAll = function (jobs) {
+            parsedOnWorkers += jobs.length;
+            return parseAll.apply(this, arguments);
+        };
+        try {
+            assert.deepEqual(plain(await lumerger.mergeAndResolveReferences(files, false, 'en-us', undefined, { cache: cache, workers: 2 })), expected);
+        } finally {
+            parseWorkers.parseAll = parseAll;
+        }
+        // files found through references later on are parsed on the main thread when they come one at a time
+        assert.equal(parsedOnWorkers, files.length);
+        assert.equal((await fs.readdir(folder)).length, cache.misses);
+    });
+
+    it('reports parse errors from worker threads', async function () {
+        this.timeout(60000);
+        const broken = [files[0], path.join(examples, 'negativeCase1.lu')];
+        let expected;
+        try {
+            await lumerger.mergeAndResolveReferences(broken, false, 'en-us');
+        } catch (err) {
+            expected = err;
+        }
+        assert.isDefined(expected);
+        try {
+            await lumerger.mergeAndResolveReferences(broken, false, 'en-us', undefined, { workers: 2 });
+            assert.fail('parse error was not reported');
+        } catch (err) {
+            assert.equal(err.errCode, expected.errCode);
+            assert.equal(err.text, expected.text);
+        }
+    });
+
+    it('fails when a worker thread stops without a result', async function () {
+        if (workerThreads === undefined) this.skip();
+        this.timeout(60000);
+        const Worker = workerThreads.Worker;
+        workerThreads.Worker = class extends Worker {
+            constructor() {
+                super('process.exit(3)', { eval: true });
+            }
+        };
+        try {
+            await parseWorkers.parseAll([{ content: '# Greeting\n- hi', culture: 'en-us' }, { content: '# Help\n- help', culture: 'en-us' }], 2, false);
+            assert.fail('parseAll did not fail');
+        } catch (err) {
+            assert.include(err.message, 'exit code 3');
+        } finally {
+            workerThreads.Worker = Worker;
+        }
+    });
+
+    it('parses on the main thread for one file or one worker', function () {
+        assert.equal(parseWorkers.count(4, 1), 0);
+        assert.equal(parseWorkers.count(1, 10), 0);
+        assert.equal(parseWorkers.count(undefined, 10), 0);
+    });
+
+    it('starts no more worker threads than files', function () {
+        if (workerThreads === undefined) this.skip();
+        assert.equal(parseWorkers.count(4, 3), 3);
+    });
+});
@@ -1093,5 +1093,59 @@ describe('V2 Entity definitions using @ notation', function () {
                 .catch(err => done(err));
         })
     })
-    
-});
\ No newline at end of file
+
+    describe('Machine learned entity definition', function(){
+        it('basic definition with roles and features', function(done){
+            let luFile = `
+                @ phraselist cities =
+                    - seattle, portland
+                @ machine-learned address hasRoles fromAddress, toAddress usesFeatures cities
+            `;
+
+            parseFile.parseFile(luFile)
+                .then(res => {
+                    assert.equal(res.LUISJsonStructure.entities.length, 1);
+                    assert.equal(res.LUISJsonStructure.entities[0].name, 'address');
+                    assert.deepEqual(res.LUISJsonStructure.entities[0].roles, ['fromAddress', 'toAddress']);
+                    assert.deepEqual(res.LUISJsonStructure.entities[0].features, [{featureName: 'cities'}]);
+                    done();
+                })
+                .catch(err => done(err));
+        })
+
+        it('child entities are nested by indentation', function(done){
+            let luFile = `
+                @ machine-learned address
+                    - @ number streetNumber
+                    - @ machine-learned street
+                        - @ simple name
+                        - @ streetSuffix suffix
+                    - @ geographyV2 city
+            `;
+
+            parseFile.parseFile(luFile)
+                .then(res => {
+                    let children = res.LUISJsonStructure.entities[0].children;
+                    assert.deepEqual(children.map(child => child.name), ['streetNumber', 'street', 'city']);
+                    assert.deepEqual(children.map(child => child.instanceOf), ['number', null, 'geographyV2']);
+                    assert.deepEqual(children[1].children.map(child => child.name), ['name', 'suffix']);
+                    assert.deepEqual(children[1].children.map(child => child.instanceOf), [null, 'streetSuffix']);
+                    done();
+                })
+                .catch(err => done(err));
+        })
+
+        it('duplicate child entity definitions throw', function(done){
+            let luFile = `
+                @ machine-learned address
+                    - @ number streetNumber
+                    - @ number streetNumber
+            `;
+
+            parseFile.parseFile(luFile)
+                .then(res => done(res))
+                .catch(err => done());
+        })
+    })
+
+});
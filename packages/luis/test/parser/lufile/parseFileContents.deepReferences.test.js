@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const luConverter = require('./../../../src/parser/converters/lutoluisconverter');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Deep references in .lu files', function () {
+    const fixtures = path.join(__dirname, './../../fixtures/references/deep');
+    let model;
+
+    before(async function () {
+        model = await luConverter.parseLuToLuis([path.join(fixtures, 'root.lu')], false, 'en-us');
+    });
+
+    const textsOf = function (intent) {
+        return model.utterances.filter(item => item.intent === intent).map(item => item.text);
+    };
+
+    it('imports an entity with the list and phrase list it uses as features', function () {
+        assert.deepEqual(model.entities.map(item => item.name), ['destination']);
+        assert.deepEqual(model.closedLists.map(item => item.name), ['cityList']);
+        assert.deepEqual(model.model_features.map(item => item.name), ['travelWords']);
+        assert.equal(model.utterances.find(item => item.text === 'cancel it'), undefined);
+    });
+
+    it('imports the utterances and patterns of intents matching a glob', function () {
+        assert.deepEqual(textsOf('Travel'), ['book a flight to Seattle', 'fly me somewhere', 'book a trip to Paris', 'find a hotel in Paris', 'any hotel will do']);
+        assert.deepEqual(model.patterns.filter(item => item.intent === 'Travel').map(item => item.pattern), ['flight to {cityList:toCity}']);
+    });
+
+    it('imports only utterances and patterns that use an entity or role', function () {
+        assert.deepEqual(textsOf('Destination'), ['book a flight to Seattle', 'book a trip to Paris', 'find a hotel in Paris']);
+        assert.deepEqual(model.patterns.filter(item => item.intent === 'Destination'), []);
+        assert.deepEqual(model.utterances.filter(item => item.intent === 'Destination').map(item => item.entities), [
+            [{ entity: 'destination', startPos: 17, endPos: 23 }],
+            [{ entity: 'destination', startPos: 15, endPos: 19 }],
+            [{ entity: 'destination', startPos: 16, endPos: 20 }]
+        ]);
+        assert.deepEqual(model.utterances.filter(item => item.intent === 'Travel').map(item => item.entities.length), [0, 0, 0, 0, 0]);
+        assert.deepEqual(textsOf('ToCity'), []);
+        assert.deepEqual(model.patterns.filter(item => item.intent === 'ToCity').map(item => item.pattern), ['flight to {cityList:toCity}']);
+    });
+
+    it('imports one QnA pair by its question ID', function () {
+        assert.deepEqual(textsOf('Hours'), ['What are your hours?', 'When are you open?']);
+    });
+
+    it('throws when a referenced entity is not defined', async function () {
+        try {
+            await luConverter.parseLuToLuis([path.join(fixtures, 'missingEntity.lu')], false, 'en-us');
+            assert.fail('Test failed: parseLuToLuis did not throw!');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+            assert.include(err.text, 'Entity "airport" is not defined');
+        }
+    });
+
+    it('throws when a question ID is out of range', async function () {
+        try {
+            await luConverter.parseLuToLuis([path.join(fixtures, 'missingQuestion.lu')], false, 'en-us');
+            assert.fail('Test failed: parseLuToLuis did not throw!');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+            assert.include(err.text, 'has no question with ID 3');
+        }
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs-extra');
+const path = require('path');
+const parseFile = require('./../../../src/parser/lufile/parseFileContents').parseFile;
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors').errorCode;
+const diagnosticsCollector = require('./../../../src/parser/lufile/diagnosticsCollector');
+
+describe('Templated utterances in .lu files', function () {
+    const fixture = path.join(__dirname, './../../fixtures/templates/booking.lu');
+    let parsed;
+
+    before(async function () {
+        parsed = await parseFile(await fs.readFile(fixture, 'utf8'), false, 'en-us');
+    });
+
+    const labels = function (utterance) {
+        return utterance.entities.map(entity => `${entity.entity}=${utterance.text.substring(entity.startPos, entity.endPos + 1)}`);
+    };
+
+    it('expands variables and generators to every combination and moves labels with the text', function () {
+        let labeled = parsed.LUISJsonStructure.utterances.filter(item => item.entities.length !== 0);
+        assert.deepEqual(labeled.map(item => item.text), [
+            'please book a Contoso flight to Seattle',
+            'please book a Contoso flight to Paris',
+            'please book a Fabrikam flight to Seattle',
+            'please book a Fabrikam flight to Paris',
+            'book a Contoso flight to Seattle',
+            'book a Contoso flight to Paris',
+            'book a Fabrikam flight to Seattle',
+            'book a Fabrikam flight to Paris'
+        ]);
+        labeled.forEach(item => assert.deepEqual(labels(item), [`carrier=${item.text.split(' ')[item.text.indexOf('please') === 0 ? 3 : 2]}`, `destination=${item.text.split(' ').pop()}`]));
+    });
+
+    it('uses the same value for every use of a variable', function () {
+        let texts = parsed.LUISJsonStructure.utterances.filter(item => item.text.startsWith('fly')).map(item => item.text);
+        assert.deepEqual(texts, [
+            'fly Contoso to Seattle and back to Seattle',
+            'fly Contoso to Paris and back to Paris',
+            'fly Fabrikam to Seattle and back to Seattle',
+            'fly Fabrikam to Paris and back to Paris'
+        ]);
+        assert.deepEqual(parsed.LUISJsonStructure.patterns.map(item => item.pattern), ['book {destination} with Contoso', 'book {destination} with Fabrikam']);
+    });
+
+    it('expands QnA pairs by the variables of the answer and questions by the others', function () {
+        assert.deepEqual(parsed.qnaJsonStructure.qnaList.map(item => ({ questions: item.questions, answer: item.answer })), [
+            { questions: ['How much luggage can I bring on Contoso?', 'What is the Contoso baggage allowance?'], answer: 'See the Contoso baggage policy. Hi ${user.name}!' },
+            { questions: ['How much luggage can I bring on Fabrikam?', 'What is the Fabrikam baggage allowance?'], answer: 'See the Fabrikam baggage policy. Hi ${user.name}!' },
+            { questions: ['Do you fly to Seattle?', 'Do you fly to Paris?'], answer: 'Yes, we fly there.' }
+        ]);
+    });
+
+    it('keeps adaptive expressions and generators in answers as written', async function () {
+        let qna = await parseFile("> !# @var airline = Contoso|Fabrikam\n# ? What is my name?\n```markdown\nYour name is ${user.name || 'unknown'}, flying ${airline}. ${yes|no}\n```", false, 'en-us');
+        assert.deepEqual(qna.qnaJsonStructure.qnaList.map(item => item.answer), [
+            "Your name is ${user.name || 'unknown'}, flying Contoso. ${yes|no}",
+            "Your name is ${user.name || 'unknown'}, flying Fabrikam. ${yes|no}"
+        ]);
+    });
+
+    it('throws when a line expands to more than the cap', async function () {
+        try {
+            await parseFile('# Count\n- ${1..40} times ${1..40}', false, 'en-us');
+            assert.fail('Test failed: parseFile did not throw!');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.INVALID_TEMPLATE);
+            assert.include(err.text, '"${...} times ${...}" expands to 1600 combinations');
+        }
+    });
+
+    it('throws on a variable without values', async function () {
+        try {
+            await parseFile('> !# @var airline =\n# Book\n- fly ${airline}', false, 'en-us');
+            assert.fail('Test failed: parseFile did not throw!');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.INVALID_TEMPLATE);
+        }
+    });
+
+    it('reports no diagnostics for templated files', async function () {
+        assert.deepEqual(await diagnosticsCollector.collectFileDiagnostics([fixture], 'en-us'), []);
+    });
+});
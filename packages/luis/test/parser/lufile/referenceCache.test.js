@@ -0,0 +1,103 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ReferenceCache = require('./../../../src/parser/lufile/referenceCache');
+const parseFileContents = require('./../../../src/parser/lufile/parseFileContents');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('Reference cache', function () {
+    const fixtures = path.join(__dirname, './../../fixtures/references');
+    const content = '[Product manual](https://contoso.com/manual.pdf)\n[Support page](https://contoso.com/support)';
+    const pages = {
+        '/manual.pdf': { contentType: 'application/pdf', body: '%PDF-1.4 contoso manual' },
+        '/support': { contentType: 'text/html; charset=utf-8', body: '<html><body>support</body></html>' }
+    };
+    let folder;
+    let server;
+    let host;
+
+    before(function (done) {
+        server = http.createServer((request, response) => {
+            const page = pages[request.url];
+            response.writeHead(page === undefined ? 404 : 200, page === undefined ? {} : { 'Content-Type': page.contentType });
+            response.end(page === undefined ? '' : page.body);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            host = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    beforeEach(async function () {
+        folder = await fs.mkdtemp(path.join(os.tmpdir(), 'lucache-'));
+    });
+
+    afterEach(async function () {
+        await fs.remove(folder);
+    });
+
+    it('Caches fetched references and records them in the lockfile', async function () {
+        const cache = await ReferenceCache.load(path.join(folder, 'lu.lock.json'));
+        const parsed = await parseFileContents.parseFile(content.replace(/https:\/\/contoso.com/g, host), false, 'en-us', cache);
+        assert.deepEqual(parsed.qnaJsonStructure.urls, [`${host}/support`]);
+        assert.equal(parsed.qnaJsonStructure.files[0].fileUri, `${host}/manual.pdf`);
+        await cache.save();
+        const lock = JSON.parse((await fs.readFile(path.join(folder, 'lu.lock.json'), 'utf8')).split(host).join('https://contoso.com'));
+        assert.deepEqual(lock, await fs.readJSON(path.join(fixtures, 'lu.lock.json')));
+        assert.sameMembers(await fs.readdir(path.join(folder, '.lucache')), await fs.readdir(path.join(fixtures, '.lucache')));
+    });
+
+    it('Resolves references from the lockfile and cache offline', async function () {
+        const cache = await ReferenceCache.load(path.join(fixtures, 'lu.lock.json'), true);
+        const parsed = await parseFileContents.parseFile(content, false, 'en-us', cache);
+        assert.deepEqual(parsed.qnaJsonStructure.urls, ['https://contoso.com/support']);
+        assert.equal(parsed.qnaJsonStructure.files.length, 1);
+        assert.isFalse(cache.changed);
+    });
+
+    it('Throws offline on a reference that is not in the lockfile', async function () {
+        const cache = await ReferenceCache.load(path.join(folder, 'lu.lock.json'), true);
+        try {
+            await parseFileContents.parseFile(content, false, 'en-us', cache);
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.REFERENCE_NOT_CACHED);
+            assert.include(err.text, 'URI: "https://contoso.com/manual.pdf" is not in reference lockfile');
+        }
+    });
+
+    it('Throws offline when the cached content does not match its hash', async function () {
+        await fs.copy(fixtures, folder);
+        const lock = await fs.readJSON(path.join(folder, 'lu.lock.json'));
+        await fs.writeFile(path.join(folder, '.lucache', lock.references['https://contoso.com/manual.pdf'].sha256), 'changed');
+        const cache = await ReferenceCache.load(path.join(folder, 'lu.lock.json'), true);
+        try {
+            await cache.getContentType('https://contoso.com/manual.pdf');
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.REFERENCE_NOT_CACHED);
+        }
+    });
+
+    it('Throws on a reference that cannot be fetched online', async function () {
+        const cache = await ReferenceCache.load(path.join(folder, 'lu.lock.json'));
+        try {
+            await cache.getContentType(`${host}/missing.pdf`);
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_URI);
+            assert.isFalse(cache.changed);
+        }
+    });
+});
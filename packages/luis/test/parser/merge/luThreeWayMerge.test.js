@@ -0,0 +1,64 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luThreeWayMerge = require('./../../../src/parser/merge/luThreeWayMerge');
+const luParser = require('./../../../src/parser/lufile/luParser');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('LU three-way merge', function () {
+    const base = '# Greeting\n- hello\n- hi\n\n# Cancel\n- cancel it\n\n@ simple city\n';
+
+    it('Merges non overlapping changes to the same intent', function () {
+        const ours = '# Greeting\n- hello\n- hi\n- good morning\n\n# Cancel\n- cancel it\n\n@ simple city\n';
+        const theirs = '# Greeting\n- hi\n- hey there\n\n# Cancel\n- cancel it\n\n@ simple city\n';
+        const result = luThreeWayMerge.merge(base, ours, theirs);
+        assert.equal(result.conflicts, 0);
+        assert.equal(result.content, '# Greeting\n- hi\n- hey there\n- good morning\n\n# Cancel\n- cancel it\n\n@ simple city\n');
+    });
+
+    it('Takes sections added, removed or changed on one side', function () {
+        const ours = '# Greeting\n- hello\n- hi\n\n# Help\n- what can you do\n\n# Cancel\n- cancel it\n\n@ simple city\n';
+        const theirs = '# Greeting\n- hello\n- hi\n\n@ simple city hasRoles origin, destination\n';
+        const result = luThreeWayMerge.merge(base, ours, theirs);
+        assert.equal(result.conflicts, 0);
+        assert.equal(result.content, '# Greeting\n- hello\n- hi\n\n# Help\n- what can you do\n\n@ simple city hasRoles origin, destination\n');
+    });
+
+    it('Ignores whitespace and ordering changes', function () {
+        const theirs = '@ simple   city\n\n# Cancel\n-   cancel it\n\n# Greeting\n- hi\n- hello\n';
+        const result = luThreeWayMerge.merge(base, base, theirs);
+        assert.equal(result.conflicts, 0);
+        assert.equal(luParser.parse(result.content).Intents.length, 2);
+    });
+
+    it('Writes conflicts as valid LU with our version in effect', function () {
+        const labelled = '# Book\n- fly to {city=paris}\n\n@ simple city\n@ simple toCity\n@ simple destination\n';
+        const ours = labelled.replace('{city=paris}', '{toCity=paris}').replace('@ simple city\n', '@ simple city hasRoles origin\n');
+        const theirs = labelled.replace('{city=paris}', '{destination=paris}').replace('@ simple city\n', '@ simple city hasRoles target\n');
+        const result = luThreeWayMerge.merge(labelled, ours, theirs);
+        assert.equal(result.conflicts, 2);
+        assert.include(result.content, '# Book\n> <<<<<<< ours\n- fly to {toCity=paris}\n> =======\n> - fly to {destination=paris}\n> >>>>>>> theirs\n');
+        assert.include(result.content, '> <<<<<<< ours\n@ simple city hasRoles origin\n> =======\n> @ simple city hasRoles target\n> >>>>>>> theirs');
+        const luResource = luParser.parse(result.content);
+        assert.equal(luResource.Errors.filter(Boolean).length, 0);
+        assert.equal(luResource.Intents[0].UtteranceAndEntitiesMap[0].utterance, 'fly to paris');
+    });
+
+    it('Reports a conflict when one side deletes an intent the other side changed', function () {
+        const ours = '# Greeting\n- hello\n- hi\n\n# Cancel\n- cancel it\n- stop\n\n@ simple city\n';
+        const theirs = '# Greeting\n- hello\n- hi\n\n@ simple city\n';
+        const result = luThreeWayMerge.merge(base, ours, theirs);
+        assert.equal(result.conflicts, 1);
+        assert.include(result.content, '> <<<<<<< ours\n# Cancel\n- cancel it\n- stop\n> =======\n> >>>>>>> theirs');
+    });
+
+    it('Keeps QnA answers as is', function () {
+        const qna = '# ? what is your name\n```markdown\nMy name is\n\n# bot\n```\n';
+        const theirs = qna + '\n# ? how old are you\n```markdown\nNew\n```\n';
+        const result = luThreeWayMerge.merge(qna, qna, theirs);
+        assert.equal(result.conflicts, 0);
+        assert.equal(result.content, theirs);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luMigrator = require('./../../../src/parser/migrate/luMigrator');
+const parseFileContents = require('./../../../src/parser/lufile/parseFileContents');
+const luisDiff = require('./../../../src/parser/diff/luisDiff');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+const txtfile = require('./../../../src/parser/lufile/read-text-file');
+const path = require('path');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('LU entity migration', function () {
+    it('Migrates simple, prebuilt, composite and regex entities with their roles', function () {
+        const content = '$userName:simple Roles=sender\n$PREBUILT:datetimeV2 Roles=start, end\n$trip:[fromCity,toCity]\n$zip:/[0-9]{5}/\n';
+        const result = luMigrator.migrate(content);
+        assert.equal(result.migrated, 4);
+        assert.equal(result.content, '@ simple userName hasRole sender\n@ prebuilt datetimeV2 hasRoles start,end\n@ composite trip = [fromCity, toCity]\n@ regex zip = /[0-9]{5}/\n');
+    });
+
+    it('Merges list entity definitions with the same name', function () {
+        const content = '$city:Seattle= Roles=fromCity\n- sea\n\n$city:Portland=\n- pdx\n\n# Greeting\n- hi\n';
+        const result = luMigrator.migrate(content);
+        assert.equal(result.content, '@ list city hasRole fromCity =\n\t- Seattle :\n\t\t- sea\n\t- Portland :\n\t\t- pdx\n\n# Greeting\n- hi\n');
+    });
+
+    it('Migrates phrase lists', function () {
+        const result = luMigrator.migrate('$drinks:phraseList interchangeable\n- tea, coffee\n$food:PhraseList\n- pizza\n');
+        assert.equal(result.content, '@ phraselist drinks(interchangeable) =\n\t- tea, coffee\n@ phraselist food =\n\t- pizza\n');
+    });
+
+    it('Leaves definitions that cannot be migrated unchanged with a warning', function () {
+        const content = '$city:Washington=\n- washington, dc\n$Alt : qna-alterations=\n- alternative\n$weird:foo\n';
+        const result = luMigrator.migrate(content);
+        assert.equal(result.migrated, 0);
+        assert.equal(result.content, content);
+        assert.equal(result.warnings.length, 2);
+        assert.equal(result.warnings[0].line, 1);
+        assert.include(result.warnings[1].message, 'not a known entity type');
+    });
+
+    it('Produces the same LUIS model as the legacy definitions', async function () {
+        const content = txtfile.readSync(path.join(__dirname, './../../fixtures/migrate/legacy.lu'));
+        const result = luMigrator.migrate(content);
+        assert.equal(result.content, txtfile.readSync(path.join(__dirname, './../../fixtures/migrate/legacy.migrated.lu')));
+        const legacy = await parseFileContents.parseFile(content, false, 'en-us');
+        const migrated = await parseFileContents.parseFile(result.content, false, 'en-us');
+        assert.isTrue(luisDiff.isEmpty(luisDiff.diff(legacy.LUISJsonStructure, migrated.LUISJsonStructure)));
+    });
+
+    it('Throws on content with syntax errors', function () {
+        try {
+            luMigrator.migrate('# Greeting\n- hi\n@ list city = seattle\n');
+            assert.fail('Expected the migration to throw');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+        }
+    });
+});
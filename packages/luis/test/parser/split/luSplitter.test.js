@@ -0,0 +1,73 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const luSplitter = require('./../../../src/parser/split/luSplitter');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+describe('LU k-fold split', function () {
+    const utterances = [];
+    for (let idx = 0; idx < 6; idx++) utterances.push({ text: `book flight ${idx}`, intent: 'BookFlight', entities: [{ entity: 'city', startPos: 0, endPos: 3 }] });
+    for (let idx = 0; idx < 3; idx++) utterances.push({ text: `hello ${idx}`, intent: 'Greeting', entities: [] });
+    utterances.push({ text: 'cancel', intent: 'Cancel', entities: [] });
+    const model = {
+        intents: [{ name: 'BookFlight' }, { name: 'Greeting' }, { name: 'Cancel' }],
+        entities: [{ name: 'city', roles: [] }],
+        utterances: utterances,
+        patterns: [{ pattern: 'fly to {city}', intent: 'BookFlight' }]
+    };
+
+    it('Tests every utterance exactly once and trains on the rest', function () {
+        const result = luSplitter.split(model, 3, 7);
+        assert.equal(result.folds.length, 3);
+        const tested = [].concat(...result.folds.map(fold => fold.test.utterances.map(utterance => utterance.text)));
+        assert.sameMembers(tested, utterances.map(utterance => utterance.text));
+        result.folds.forEach(fold => {
+            assert.equal(fold.train.utterances.length + fold.test.utterances.length, utterances.length);
+            assert.deepEqual(fold.train.entities, model.entities);
+            assert.deepEqual(fold.test.intents, model.intents);
+        });
+    });
+
+    it('Stratifies by intent and keeps labels', function () {
+        const result = luSplitter.split(model, 3, 7);
+        result.folds.forEach(fold => {
+            assert.equal(fold.test.utterances.filter(utterance => utterance.intent === 'BookFlight').length, 2);
+            assert.equal(fold.test.utterances.filter(utterance => utterance.intent === 'Greeting').length, 1);
+            fold.test.utterances.filter(utterance => utterance.intent === 'BookFlight')
+                .forEach(utterance => assert.deepEqual(utterance.entities, [{ entity: 'city', startPos: 0, endPos: 3 }]));
+        });
+    });
+
+    it('Keeps patterns in the training data only', function () {
+        const result = luSplitter.split(model, 3, 7);
+        result.folds.forEach(fold => {
+            assert.deepEqual(fold.train.patterns, model.patterns);
+            assert.deepEqual(fold.test.patterns, []);
+        });
+    });
+
+    it('Gives the same split for the same seed', function () {
+        const texts = result => result.folds.map(fold => fold.test.utterances.map(utterance => utterance.text));
+        assert.deepEqual(texts(luSplitter.split(model, 3, 42)), texts(luSplitter.split(model, 3, 42)));
+        assert.notDeepEqual(texts(luSplitter.split(model, 3, 42)), texts(luSplitter.split(model, 3, 43)));
+    });
+
+    it('Warns about intents with too few utterances', function () {
+        const result = luSplitter.split(model, 4, 1);
+        assert.equal(result.warnings.length, 2);
+        assert.include(result.warnings[0], 'Intent "Greeting" has 3 utterance(s), fewer than the 4 folds');
+        assert.include(result.warnings[1], 'some will not train it');
+    });
+
+    it('Needs at least 2 folds', function () {
+        try {
+            luSplitter.split(model, 1, 0);
+            assert.fail('Expected split to throw');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+        }
+    });
+});
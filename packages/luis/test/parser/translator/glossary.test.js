@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const Glossary = require('./../../../src/parser/translator/glossary');
+const translateHelpers = require('./../../../src/parser/lufile/translate-helpers');
+const luParser = require('./../../../src/parser/lufile/luParser');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+const recordingProvider = function () {
+    const provider = {
+        sent: [],
+        translate: async function (payload, to_lang) {
+            payload.forEach(item => provider.sent.push(item.Text));
+            return payload.map(item => ({ translations: [{ text: item.Text.toUpperCase(), to: to_lang }] }));
+        }
+    };
+    return provider;
+}
+
+describe('Translation glossary', function () {
+    it('Never sends glossary terms to the translator', async function () {
+        const provider = recordingProvider();
+        const glossary = new Glossary({ fr: { 'Contoso Cloud': 'Contoso Cloud', 'SKU-42': 'SKU-42', 'london': 'Londres' } });
+        const result = await translateHelpers.parseAndTranslate('# Buy\n- buy contoso cloud SKU-42 in {city=London}', provider, 'fr', 'en', false, false, false, undefined, glossary);
+        assert.equal(result, '# Buy\n- BUY Contoso Cloud SKU-42 IN  {city=Londres} \n');
+        assert.deepEqual(provider.sent, ['buy', 'in']);
+    });
+
+    it('Uses the terms of the base language for regional languages', function () {
+        const glossary = new Glossary({ fr: { flight: 'vol' } });
+        assert.deepEqual(glossary.getTerms('fr-CA'), { flight: 'vol' });
+        assert.deepEqual(glossary.getTerms('de'), {});
+    });
+
+    it('Throws when the glossary file cannot be read', async function () {
+        try {
+            await Glossary.load(path.join(__dirname, 'missing.json'));
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+        }
+    });
+});
+
+describe('Translate ignore annotation', function () {
+    const content = '# Greeting\n> !# @translate.ignore\n- hello Contoso\n- hi there\n\n> !# @translate.ignore = start\n# Brand\n- Contoso Cloud\n> !# @translate.ignore = end\n- buy now';
+
+    it('Keeps annotated lines and blocks as is', async function () {
+        const provider = recordingProvider();
+        const result = await translateHelpers.parseAndTranslate(content, provider, 'fr', 'en', false, false, false);
+        assert.deepEqual(provider.sent, ['hi there', 'buy now']);
+        assert.include(result, '- hello Contoso\n- HI THERE\n');
+        assert.include(result, '- Contoso Cloud\n> !# @translate.ignore = end\n- BUY NOW');
+    });
+
+    it('Parses annotations inside an intent body', function () {
+        const luResource = luParser.parse(content);
+        assert.equal(luResource.Errors.filter(Boolean).length, 0);
+        assert.deepEqual(luResource.Intents.map(intent => intent.UtteranceAndEntitiesMap.length), [2, 2]);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const TranslationMemory = require('./../../../src/parser/translator/translationMemory');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+const countingProvider = function () {
+    const provider = {
+        calls: [],
+        translate: async function (payload, to_lang) {
+            provider.calls.push(payload.map(item => item.Text));
+            return payload.map(item => ({ translations: [{ text: `${to_lang}:${item.Text}`, to: to_lang }] }));
+        }
+    };
+    return provider;
+}
+
+describe('Translation memory', function () {
+    let tmFile;
+    beforeEach(async function () {
+        tmFile = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'tm-')), 'memory.json');
+    });
+
+    afterEach(async function () {
+        await fs.remove(path.dirname(tmFile));
+    });
+
+    it('Only sends text missing from memory to the provider', async function () {
+        const provider = countingProvider();
+        const memory = await TranslationMemory.load(tmFile);
+        memory.add('hello', 'en', 'fr', 'bonjour');
+        const result = await memory.wrap(provider).translate([{ Text: 'hello' }, { Text: 'book a flight' }], 'fr', 'en');
+        assert.deepEqual(result.map(item => item.translations[0].text), ['bonjour', 'fr:book a flight']);
+        assert.deepEqual(provider.calls, [['book a flight']]);
+        assert.equal(memory.lookup('book a flight', 'en', 'fr'), 'fr:book a flight');
+    });
+
+    it('Keys entries by source and target language', async function () {
+        const memory = await TranslationMemory.load(tmFile);
+        memory.add('hello', undefined, 'fr', 'bonjour');
+        assert.equal(memory.lookup('hello', undefined, 'FR'), 'bonjour');
+        assert.isUndefined(memory.lookup('hello', 'en', 'fr'));
+        assert.isUndefined(memory.lookup('hello', undefined, 'de'));
+    });
+
+    it('Persists new translations and reloads them', async function () {
+        const memory = await TranslationMemory.load(tmFile);
+        await memory.wrap(countingProvider()).translate([{ Text: 'hello' }], 'de', 'en');
+        await memory.save();
+        const provider = countingProvider();
+        const reloaded = await TranslationMemory.load(tmFile);
+        const result = await reloaded.wrap(provider).translate([{ Text: 'hello' }], 'de', 'en');
+        assert.equal(result[0].translations[0].text, 'de:hello');
+        assert.equal(provider.calls.length, 0);
+    });
+
+    it('Fails on missing text in memory only mode', async function () {
+        const memory = await TranslationMemory.load(tmFile);
+        memory.add('hello', 'en', 'fr', 'bonjour');
+        try {
+            await memory.wrap(undefined, true).translate([{ Text: 'hello' }, { Text: 'goodbye' }], 'fr', 'en');
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.TRANSLATION_MEMORY_MISS);
+            assert.include(err.text, '"goodbye"');
+            assert.notInclude(err.text, '"hello"');
+        }
+    });
+
+    it('Throws on an invalid memory file', async function () {
+        await fs.writeFile(tmFile, '{ not json');
+        try {
+            await TranslationMemory.load(tmFile);
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+        }
+    });
+});
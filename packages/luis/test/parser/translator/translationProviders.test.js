@@ -0,0 +1,104 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const http = require('http');
+const path = require('path');
+const translationProviders = require('./../../../src/parser/translator/translationProviders');
+const translateHelpers = require('./../../../src/parser/lufile/translate-helpers');
+const retCode = require('./../../../src/parser/lufile/enums/CLI-errors');
+var chai = require('chai');
+var assert = chai.assert;
+
+const TRANSLATION_FILE = path.join(__dirname, './../../fixtures/translation/translations.json');
+
+describe('File translation provider', function () {
+    it('Uses exact translations first and glossary words otherwise', async function () {
+        const provider = await translationProviders.createProvider({ provider: 'file', file: TRANSLATION_FILE });
+        const result = await provider.translate([{ Text: 'hello' }, { Text: 'cancel my Flight please' }, { Text: 'goodbye' }], 'fr');
+        assert.deepEqual(result.map(item => item.translations[0].text), ['bonjour', "annuler my vol s'il vous plaît", 'goodbye']);
+    });
+
+    it('Falls back from a regional language to its base language', async function () {
+        const provider = await translationProviders.createProvider({ provider: 'file', file: TRANSLATION_FILE });
+        assert.equal((await translateHelpers.translateText('hello', provider, 'fr-FR'))[0].translations[0].text, 'bonjour');
+        assert.equal((await translateHelpers.translateText('hello', provider, 'de'))[0].translations[0].text, 'hello');
+    });
+
+    it('Throws when the translation file cannot be read', async function () {
+        try {
+            await translationProviders.createProvider({ provider: 'file', file: path.join(__dirname, 'missing.json') });
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+        }
+    });
+});
+
+describe('Translation provider options', function () {
+    const invalidOptions = [
+        { provider: 'file' },
+        { provider: 'unknown', key: 'xxx' },
+        { auth: 'basic', key: 'xxx' },
+        {}
+    ];
+    invalidOptions.forEach(options => {
+        it(`Rejects ${JSON.stringify(options)}`, async function () {
+            try {
+                await translationProviders.createProvider(options);
+                assert.fail('expected an exception');
+            } catch (err) {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+            }
+        });
+    });
+});
+
+describe('Microsoft translator provider', function () {
+    let server;
+    let requests = [];
+    before(function (done) {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push({ url: req.url, headers: req.headers });
+                const payload = JSON.parse(body);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload.map(item => ({ translations: [{ text: item.Text.toUpperCase(), to: 'fr' }] }))));
+            });
+        });
+        server.listen(0, '127.0.0.1', done);
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    beforeEach(function () {
+        requests = [];
+    });
+
+    it('Calls the configured endpoint with a bearer token', async function () {
+        const provider = await translationProviders.createProvider({ key: 'token', auth: 'bearer', endpoint: `http://127.0.0.1:${server.address().port}/` });
+        const result = await translateHelpers.translateText('hello', provider, 'fr', 'en');
+        assert.equal(result[0].translations[0].text, 'HELLO');
+        assert.equal(requests[0].url, '/translate?api-version=3.0&to=fr&includeAlignment=true&from=en');
+        assert.equal(requests[0].headers['authorization'], 'Bearer token');
+        assert.isUndefined(requests[0].headers['ocp-apim-subscription-key']);
+    });
+
+    it('Sends the subscription key and region', async function () {
+        const provider = await translationProviders.createProvider({ key: 'xxx', region: 'westeurope', endpoint: `http://127.0.0.1:${server.address().port}` });
+        await translateHelpers.translateText('hello', provider, 'fr');
+        assert.equal(requests[0].headers['ocp-apim-subscription-key'], 'xxx');
+        assert.equal(requests[0].headers['ocp-apim-subscription-region'], 'westeurope');
+    });
+
+    it('Sends no credentials when auth is none', async function () {
+        const provider = await translationProviders.createProvider({ auth: 'none', endpoint: `http://127.0.0.1:${server.address().port}` });
+        await translateHelpers.translateText('hello', provider, 'fr');
+        assert.isUndefined(requests[0].headers['ocp-apim-subscription-key']);
+        assert.isUndefined(requests[0].headers['authorization']);
+    });
+});